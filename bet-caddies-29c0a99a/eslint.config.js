@@ -35,4 +35,11 @@ export default [
       ],
     },
   },
+  {
+    // The API server, pipelines and engine run on Node.
+    files: ['src/{db,engine,live-tracking,observability,pipeline,server,services,sources}/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.browser, ...globals.node },
+    },
+  },
 ]
@@ -0,0 +1,22 @@
+-- Versioned probability calibration tables
+CREATE TABLE IF NOT EXISTS "calibration_tables" (
+  "id" TEXT NOT NULL,
+  "tour" TEXT NOT NULL,
+  "marketKey" TEXT NOT NULL,
+  "version" INTEGER NOT NULL,
+  "method" TEXT NOT NULL,
+  "paramsJson" JSONB NOT NULL,
+  "sampleSize" INTEGER NOT NULL,
+  "logLoss" DOUBLE PRECISION,
+  "baselineLogLoss" DOUBLE PRECISION,
+  "active" BOOLEAN NOT NULL DEFAULT false,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "calibration_tables_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "calibration_tables_tour_marketKey_version_key" ON "calibration_tables"("tour", "marketKey", "version");
+CREATE INDEX IF NOT EXISTS "calibration_tables_tour_marketKey_active_idx" ON "calibration_tables"("tour", "marketKey", "active");
+
+ALTER TABLE "bet_recommendations"
+  ADD COLUMN "calibration_table_id" TEXT,
+  ADD COLUMN "calibration_version" INTEGER;
@@ -0,0 +1,14 @@
+-- Admin cut-rule overrides keyed by event (DataGolf event id or event name)
+CREATE TABLE IF NOT EXISTS "event_cut_rules" (
+  "id" TEXT NOT NULL,
+  "tour" TEXT NOT NULL,
+  "eventKey" TEXT NOT NULL,
+  "eventName" TEXT NOT NULL,
+  "ruleJson" JSONB NOT NULL,
+  "updatedBy" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "event_cut_rules_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "event_cut_rules_tour_eventKey_key" ON "event_cut_rules"("tour", "eventKey");
@@ -0,0 +1,17 @@
+-- Per-run comparison of live picks against the shadow optimal engine
+CREATE TABLE IF NOT EXISTS "engine_shadow_runs" (
+  "id" TEXT NOT NULL,
+  "runId" TEXT NOT NULL,
+  "tourEventId" TEXT NOT NULL,
+  "tour" TEXT NOT NULL,
+  "legacyJson" JSONB NOT NULL,
+  "optimalJson" JSONB NOT NULL,
+  "comparisonJson" JSONB NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "engine_shadow_runs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "engine_shadow_runs_runId_tourEventId_key" ON "engine_shadow_runs"("runId", "tourEventId");
+
+ALTER TABLE "engine_shadow_runs" ADD CONSTRAINT "engine_shadow_runs_runId_fkey" FOREIGN KEY ("runId") REFERENCES "runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "engine_shadow_runs" ADD CONSTRAINT "engine_shadow_runs_tourEventId_fkey" FOREIGN KEY ("tourEventId") REFERENCES "tour_events"("id") ON DELETE CASCADE ON UPDATE CASCADE;
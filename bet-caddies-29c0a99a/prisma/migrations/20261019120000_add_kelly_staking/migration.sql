@@ -0,0 +1,8 @@
+-- Fractional-Kelly stake per recommendation and per-user bankroll settings
+ALTER TABLE "bet_recommendations"
+  ADD COLUMN "stake_units" DOUBLE PRECISION,
+  ADD COLUMN "kelly_fraction" DOUBLE PRECISION;
+
+ALTER TABLE "users"
+  ADD COLUMN "bankroll" DOUBLE PRECISION,
+  ADD COLUMN "kellyFraction" DOUBLE PRECISION;
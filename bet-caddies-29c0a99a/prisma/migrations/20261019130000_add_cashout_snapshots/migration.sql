@@ -0,0 +1,26 @@
+-- Estimated cash-out value and hold/cash-out advice per tracked bet, one row per time bucket
+CREATE TABLE IF NOT EXISTS "cashout_snapshots" (
+  "id" TEXT NOT NULL,
+  "betRecommendationId" TEXT NOT NULL,
+  "bucketStart" TIMESTAMP(3) NOT NULL,
+  "capturedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "placedOddsDecimal" DOUBLE PRECISION NOT NULL,
+  "liveOddsDecimal" DOUBLE PRECISION,
+  "liveOddsBook" TEXT,
+  "pLive" DOUBLE PRECISION,
+  "pLiveSource" TEXT NOT NULL,
+  "fairCashout" DOUBLE PRECISION,
+  "marginApplied" DOUBLE PRECISION NOT NULL,
+  "exitValue" DOUBLE PRECISION,
+  "holdValue" DOUBLE PRECISION,
+  "recommendation" TEXT,
+  "confidence" TEXT NOT NULL,
+  "evidenceJson" JSONB NOT NULL,
+  "dataIssues" JSONB NOT NULL,
+  CONSTRAINT "cashout_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "cashout_snapshots_betRecommendationId_bucketStart_key" ON "cashout_snapshots"("betRecommendationId", "bucketStart");
+CREATE INDEX IF NOT EXISTS "cashout_snapshots_betRecommendationId_capturedAt_idx" ON "cashout_snapshots"("betRecommendationId", "capturedAt");
+
+ALTER TABLE "cashout_snapshots" ADD CONSTRAINT "cashout_snapshots_betRecommendationId_fkey" FOREIGN KEY ("betRecommendationId") REFERENCES "bet_recommendations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
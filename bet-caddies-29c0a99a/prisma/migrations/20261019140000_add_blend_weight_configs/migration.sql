@@ -0,0 +1,19 @@
+-- Versioned learned blend weights for sim / DataGolf / market probabilities
+CREATE TABLE IF NOT EXISTS "blend_weight_configs" (
+  "id" TEXT NOT NULL,
+  "tour" TEXT NOT NULL,
+  "marketKey" TEXT NOT NULL,
+  "version" INTEGER NOT NULL,
+  "weightsJson" JSONB NOT NULL,
+  "defaultsJson" JSONB NOT NULL,
+  "ridge" DOUBLE PRECISION NOT NULL,
+  "sampleSize" INTEGER NOT NULL,
+  "logLoss" DOUBLE PRECISION,
+  "staticLogLoss" DOUBLE PRECISION,
+  "active" BOOLEAN NOT NULL DEFAULT false,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "blend_weight_configs_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "blend_weight_configs_tour_marketKey_version_key" ON "blend_weight_configs"("tour", "marketKey", "version");
+CREATE INDEX IF NOT EXISTS "blend_weight_configs_tour_marketKey_active_idx" ON "blend_weight_configs"("tour", "marketKey", "active");
@@ -0,0 +1,19 @@
+-- Append-only odds history: every price fetched by the pipeline or live tracking
+CREATE TABLE IF NOT EXISTS "odds_history" (
+  "id" TEXT NOT NULL,
+  "eventKey" TEXT NOT NULL,
+  "tour" TEXT NOT NULL,
+  "tourEventId" TEXT,
+  "marketKey" TEXT NOT NULL,
+  "selectionName" TEXT NOT NULL,
+  "dg_player_id" TEXT,
+  "bookmaker" TEXT NOT NULL,
+  "oddsDecimal" DOUBLE PRECISION NOT NULL,
+  "source" TEXT NOT NULL,
+  "runId" TEXT,
+  "capturedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT "odds_history_pkey" PRIMARY KEY ("id")
+);
+
+CREATE INDEX IF NOT EXISTS "odds_history_eventKey_marketKey_selectionName_capturedAt_idx" ON "odds_history"("eventKey", "marketKey", "selectionName", "capturedAt");
+CREATE INDEX IF NOT EXISTS "odds_history_eventKey_marketKey_dg_player_id_capturedAt_idx" ON "odds_history"("eventKey", "marketKey", "dg_player_id", "capturedAt");
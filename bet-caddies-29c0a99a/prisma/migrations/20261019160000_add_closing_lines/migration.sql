@@ -0,0 +1,27 @@
+-- Last pre-tee-off prices and closing line value per published recommendation
+CREATE TABLE IF NOT EXISTS "closing_lines" (
+  "id" TEXT NOT NULL,
+  "betRecommendationId" TEXT NOT NULL,
+  "teeOffAt" TIMESTAMP(3) NOT NULL,
+  "teeOffSource" TEXT NOT NULL,
+  "capturedAt" TIMESTAMP(3) NOT NULL,
+  "final" BOOLEAN NOT NULL DEFAULT false,
+  "publishedOdds" DOUBLE PRECISION NOT NULL,
+  "bookmaker" TEXT NOT NULL,
+  "closingOdds" DOUBLE PRECISION,
+  "closingBestOdds" DOUBLE PRECISION,
+  "closingBestBook" TEXT,
+  "closingFairProb" DOUBLE PRECISION,
+  "clvOdds" DOUBLE PRECISION,
+  "clvBestOdds" DOUBLE PRECISION,
+  "clvEv" DOUBLE PRECISION,
+  "booksJson" JSONB NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  CONSTRAINT "closing_lines_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "closing_lines_betRecommendationId_key" ON "closing_lines"("betRecommendationId");
+CREATE INDEX IF NOT EXISTS "closing_lines_final_teeOffAt_idx" ON "closing_lines"("final", "teeOffAt");
+
+ALTER TABLE "closing_lines" ADD CONSTRAINT "closing_lines_betRecommendationId_fkey" FOREIGN KEY ("betRecommendationId") REFERENCES "bet_recommendations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
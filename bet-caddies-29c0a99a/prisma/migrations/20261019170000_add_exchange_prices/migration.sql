@@ -0,0 +1,5 @@
+-- Exchange lay prices and available liquidity on odds offers
+ALTER TABLE "odds_offers"
+  ADD COLUMN "lay_odds" DOUBLE PRECISION,
+  ADD COLUMN "back_liquidity" DOUBLE PRECISION,
+  ADD COLUMN "lay_liquidity" DOUBLE PRECISION;
@@ -0,0 +1,8 @@
+-- Each-way terms on win offers and each-way recommendations
+ALTER TABLE "odds_offers"
+  ADD COLUMN "ew_places" INTEGER,
+  ADD COLUMN "ew_fraction" DOUBLE PRECISION;
+
+ALTER TABLE "bet_recommendations"
+  ADD COLUMN "ew_places" INTEGER,
+  ADD COLUMN "ew_fraction" DOUBLE PRECISION;
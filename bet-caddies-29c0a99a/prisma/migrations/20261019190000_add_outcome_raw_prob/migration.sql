@@ -0,0 +1,3 @@
+-- Pre-calibration probability on outcome metrics, which calibration is fitted on
+ALTER TABLE IF EXISTS "selection_outcome_metrics"
+  ADD COLUMN IF NOT EXISTS "rawProb" DOUBLE PRECISION;
@@ -0,0 +1,4 @@
+-- Calibration table version applied to each selection result
+ALTER TABLE "selection_results"
+  ADD COLUMN "calibration_table_id" TEXT,
+  ADD COLUMN "calibration_version" INTEGER;
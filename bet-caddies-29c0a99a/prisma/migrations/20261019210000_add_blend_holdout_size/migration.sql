@@ -0,0 +1,3 @@
+-- Held-out rows the blend weights' log losses were measured on
+ALTER TABLE "blend_weight_configs"
+  ADD COLUMN "holdoutSize" INTEGER;
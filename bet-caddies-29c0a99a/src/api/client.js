@@ -202,6 +202,21 @@ export class BetCaddiesApi {
     }
   }
 
+  oddsHistory = {
+    selection: async ({ tourEventId, marketKey, selection, dgPlayerId, since } = {}) => {
+      const qs = new URLSearchParams({ tour_event_id: String(tourEventId || ''), market_key: String(marketKey || '') })
+      if (selection) qs.set('selection', selection)
+      if (dgPlayerId) qs.set('dg_player_id', String(dgPlayerId))
+      if (since) qs.set('since', since)
+      const response = await this.client.get(`/api/odds-history?${qs.toString()}`)
+      return response.data || response
+    },
+    bet: async (betId) => {
+      const response = await this.client.get(`/api/bets/${encodeURIComponent(betId)}/odds-history`)
+      return response.data || response
+    }
+  }
+
   pages = {
     get: async (slug) => {
       const response = await this.client.get(`/api/pages/${encodeURIComponent(slug)}`)
@@ -279,6 +294,55 @@ export class BetCaddiesApi {
         return response.data || []
       }
     },
+    EngineShadowRun: {
+      list: async () => {
+        const response = await this.client.get('/api/entities/engine-shadow-runs')
+        return response.data || []
+      }
+    },
+    CashoutSnapshot: {
+      list: async () => {
+        const response = await this.client.get('/api/entities/cashout-snapshots')
+        return { data: response.data || [], summary: response.summary || [] }
+      }
+    },
+    ClosingLine: {
+      report: async () => {
+        const response = await this.client.get('/api/entities/closing-lines')
+        return { data: response.data || [], summary: response.summary || null }
+      },
+      capture: async () => {
+        const response = await this.client.post('/api/admin/closing-lines/capture')
+        return response.data || response
+      }
+    },
+    BlendWeightConfig: {
+      list: async () => {
+        const response = await this.client.get('/api/entities/blend-weights')
+        return response.data || []
+      }
+    },
+    Scenario: {
+      listEvents: async (runId) => {
+        const response = await this.client.get(`/api/admin/scenarios/${runId}/events`)
+        return response.data || []
+      },
+      run: async (data) => {
+        const response = await this.client.post('/api/admin/scenarios', data)
+        return response.data || response
+      }
+    },
+    VigComparison: {
+      listMarkets: async (runId) => {
+        const response = await this.client.get(`/api/admin/vig-comparison/${runId}/markets`)
+        return response.data || []
+      },
+      compare: async ({ runId, tourEventId, marketKey }) => {
+        const qs = new URLSearchParams({ run_id: runId, tour_event_id: tourEventId, market_key: marketKey })
+        const response = await this.client.get(`/api/admin/vig-comparison?${qs.toString()}`)
+        return response.data || response
+      }
+    },
     GolfBet: {
       list: async (order, limit) => {
         const response = await this.client.get('/api/entities/golf-bets')
@@ -307,6 +371,10 @@ export class BetCaddiesApi {
         const response = await this.client.put(`/api/entities/tour-events/${id}`, data)
         return response.data || response
       },
+      updateCutRule: async (id, data) => {
+        const response = await this.client.put(`/api/entities/tour-events/${id}/cut-rule`, data)
+        return response.data || response
+      },
       delete: async (id) => {
         const response = await this.client.delete(`/api/entities/tour-events/${id}`)
         return response.data || response
@@ -1,8 +1,11 @@
 import React, { useState } from 'react';
+import PropTypes from 'prop-types';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ChevronDown, ChevronUp, Zap, TrendingUp, TrendingDown, Minus, Cloud, Sun, Wind, Droplets, Plus, ExternalLink, Check } from 'lucide-react';
+import { ChevronDown, ChevronUp, Zap, TrendingUp, TrendingDown, Minus, Cloud, Sun, Wind, Droplets, Plus, ExternalLink, Check, Wallet } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
+import LineMovementChart from '@/components/ui/LineMovementChart';
+import { stakeForBankroll } from '@/domain/staking';
 
 const tourColors = {
   PGA: 'bg-blue-500/20 text-blue-400 border-blue-500/30',
@@ -53,12 +56,18 @@ const FormIndicator = ({ indicator }) => {
   return <Minus className="w-4 h-4 text-slate-400" />;
 };
 
-export default function BetCard({ bet, onAddBet, onPlaceBet, isAdded = false, providers = [] }) {
+export default function BetCard({ bet, onAddBet, onPlaceBet, isAdded = false, providers = [], bankroll = null, kellyFraction = null }) {
   const [expanded, setExpanded] = useState(false);
   const [showOdds, setShowOdds] = useState(false);
+  const [showMovement, setShowMovement] = useState(false);
 
   const WeatherIcon = weatherIcons[bet.weather_icon] || Cloud;
   const providerData = providers.find(p => p.slug === bet.provider_best_slug);
+  const stakeAmount = stakeForBankroll({
+    stakeUnits: bet.stake_units,
+    bankroll,
+    kellyFraction: kellyFraction ?? undefined
+  });
 
   return (
     <motion.div
@@ -187,6 +196,17 @@ export default function BetCard({ bet, onAddBet, onPlaceBet, isAdded = false, pr
           </div>
         </div>
 
+        {/* Suggested Stake */}
+        {bet.stake_units != null && (
+          <div className="bg-slate-800/30 rounded-lg px-3 py-2 mb-4 flex items-center gap-2">
+            <Wallet className="w-4 h-4 text-emerald-400" />
+            <span className="text-sm text-slate-300">
+              {bet.stake_units > 0 ? `Suggested stake ${bet.stake_units.toFixed(2)}u` : 'No stake suggested'}
+              {bet.stake_units > 0 && stakeAmount != null && ` (${stakeAmount.toFixed(2)} of your bankroll)`}
+            </span>
+          </div>
+        )}
+
         {/* Odds Movement */}
         {bet.odds_movement_summary && (
           <div className="bg-slate-800/30 rounded-lg px-3 py-2 mb-4 flex items-center gap-2">
@@ -231,6 +251,30 @@ export default function BetCard({ bet, onAddBet, onPlaceBet, isAdded = false, pr
           )}
         </AnimatePresence>
 
+        {/* Line Movement */}
+        <button
+          onClick={() => setShowMovement(!showMovement)}
+          className="w-full flex items-center justify-between py-2 text-sm text-slate-400 hover:text-white transition-colors"
+        >
+          <span>Line movement</span>
+          {showMovement ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+        </button>
+
+        <AnimatePresence>
+          {showMovement && (
+            <motion.div
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: 'auto', opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              className="overflow-hidden"
+            >
+              <div className="bg-slate-800/30 rounded-xl p-3 mb-4">
+                <LineMovementChart betId={bet.id} />
+              </div>
+            </motion.div>
+          )}
+        </AnimatePresence>
+
         {/* AI Analysis */}
         <button
           onClick={() => setExpanded(!expanded)}
@@ -306,4 +350,14 @@ export default function BetCard({ bet, onAddBet, onPlaceBet, isAdded = false, pr
       </div>
     </motion.div>
   );
-}
\ No newline at end of file
+}
+
+BetCard.propTypes = {
+  bet: PropTypes.object.isRequired,
+  onAddBet: PropTypes.func,
+  onPlaceBet: PropTypes.func,
+  isAdded: PropTypes.bool,
+  providers: PropTypes.arrayOf(PropTypes.object),
+  bankroll: PropTypes.number,
+  kellyFraction: PropTypes.number,
+};
@@ -0,0 +1,93 @@
+import { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { useQuery } from '@tanstack/react-query';
+import { LineChart, Line, XAxis, YAxis, ReferenceLine } from 'recharts';
+import { api } from '@/api/client';
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+
+const chartConfig = {
+  best: { label: 'Best price', color: '#34d399' },
+  book: { label: 'Our book', color: '#fbbf24' }
+};
+
+const formatTime = (value) => new Date(value).toLocaleString('en-GB', {
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// One row per timestamp; a series without a price at that time is left empty
+// and its step line carries on from its previous price.
+const mergeSeries = (history) => {
+  const rows = new Map();
+  const add = (points, key) => {
+    for (const point of points) {
+      const time = new Date(point.t).getTime();
+      if (!rows.has(time)) rows.set(time, { time });
+      rows.get(time)[key] = point.odds;
+    }
+  };
+  add(history.best || [], 'best');
+  const placedBook = history.books?.find((book) => book.bookmaker === history.placedBook);
+  if (placedBook) add(placedBook.points, 'book');
+  return Array.from(rows.values()).sort((a, b) => a.time - b.time);
+};
+
+export default function LineMovementChart({ betId, className = 'h-40 w-full' }) {
+  const { data: history, isLoading } = useQuery({
+    queryKey: ['oddsHistory', betId],
+    queryFn: () => api.oddsHistory.bet(betId),
+    enabled: Boolean(betId),
+    staleTime: 5 * 60 * 1000
+  });
+
+  const data = useMemo(() => (history ? mergeSeries(history) : []), [history]);
+
+  if (isLoading) {
+    return <div className="text-xs text-slate-500 py-4">Loading price history…</div>;
+  }
+  if (data.length < 2) {
+    return <div className="text-xs text-slate-500 py-4">Not enough price history to chart yet.</div>;
+  }
+
+  const opened = history.best[0];
+  const latest = history.best[history.best.length - 1];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-xs text-slate-400 mb-2">
+        <span>Best price opened {opened.odds.toFixed(2)} ({opened.bookmaker})</span>
+        <span>Now {latest.odds.toFixed(2)} ({latest.bookmaker})</span>
+      </div>
+      <ChartContainer config={{ ...chartConfig, book: { ...chartConfig.book, label: history.placedBook || 'Our book' } }} className={className}>
+        <LineChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+          <XAxis
+            dataKey="time"
+            type="number"
+            scale="time"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={formatTime}
+            tickLine={false}
+            axisLine={false}
+            minTickGap={32}
+          />
+          <YAxis domain={['auto', 'auto']} tickLine={false} axisLine={false} width={40} />
+          <ChartTooltip content={<ChartTooltipContent labelFormatter={(_, payload) => formatTime(payload?.[0]?.payload?.time)} />} />
+          {Number.isFinite(history.placedOdds) && (
+            <ReferenceLine y={history.placedOdds} stroke="#94a3b8" strokeDasharray="4 4" />
+          )}
+          <Line dataKey="best" type="stepAfter" stroke="var(--color-best)" dot={false} connectNulls isAnimationActive={false} />
+          <Line dataKey="book" type="stepAfter" stroke="var(--color-book)" dot={false} connectNulls isAnimationActive={false} />
+        </LineChart>
+      </ChartContainer>
+      {Number.isFinite(history.placedOdds) && (
+        <div className="text-xs text-slate-500 mt-1">Dashed line: our pick at {history.placedOdds.toFixed(2)}</div>
+      )}
+    </div>
+  );
+}
+
+LineMovementChart.propTypes = {
+  betId: PropTypes.string.isRequired,
+  className: PropTypes.string,
+};
@@ -0,0 +1,134 @@
+// Estimated cash-out value for a live bet (LIVE_CASHOUT_NOTIFIER_PLAN.md,
+// phases 3-4). Books do not publish cash-out offers, so the exit value is a
+// proxy: a blend of what the current price and our in-play model say the bet
+// is worth, less the margin a book keeps when buying a bet back. A bet placed
+// on an exchange is instead closed by laying it at the current lay price, and
+// its returns are net of the exchange's commission. All values are gross
+// returns or net EVs for `stake`, which defaults to one unit.
+
+export const DEFAULT_CASHOUT_MARGIN = 0.1
+export const DEFAULT_CASHOUT_MARKET_WEIGHT = 0.7
+export const DEFAULT_CASHOUT_BUFFER_SHARE = 0.03
+
+const validOdds = (value) => {
+  const odds = Number(value)
+  return Number.isFinite(odds) && odds > 1 ? odds : null
+}
+
+const validProbability = (value) => {
+  const p = Number(value)
+  return value != null && Number.isFinite(p) && p >= 0 && p <= 1 ? p : null
+}
+
+/**
+ * Gross value of closing a back bet at `placedOdds` by laying it at
+ * `layOdds` for an equal profit either way; commission is taken from that
+ * profit when there is one.
+ */
+export const tradeOutValue = ({ placedOdds, layOdds, stake = 1, commission = 0 }) => {
+  const placed = validOdds(placedOdds)
+  const lay = validOdds(layOdds)
+  if (!placed || !lay || !(stake > 0)) return null
+  const profit = stake * (placed / lay - 1)
+  return stake + (profit > 0 ? profit * (1 - commission) : profit)
+}
+
+/**
+ * Fair exit value and a CASH_OUT / HOLD / WAIT call for one bet. Confidence is
+ * HIGH with both a live price and a model probability for a mapped player,
+ * MEDIUM with only one of them and LOW for unmapped players; with neither the
+ * recommendation is null. Cash out needs the exit EV to beat holding by the
+ * buffer (and confidence above LOW); hold needs the reverse at HIGH.
+ * Exchange bets pass their `commission`, and `layOdds` when the exchange
+ * quotes one: the exit is then the trade-out value, with no book margin.
+ */
+export const estimateCashout = ({
+  placedOdds,
+  liveOdds = null,
+  pLive = null,
+  stake = 1,
+  mapped = true,
+  margin = DEFAULT_CASHOUT_MARGIN,
+  marketWeight = DEFAULT_CASHOUT_MARKET_WEIGHT,
+  bufferShare = DEFAULT_CASHOUT_BUFFER_SHARE,
+  minBuffer = 0,
+  commission = 0,
+  layOdds = null
+}) => {
+  const placed = validOdds(placedOdds)
+  if (!placed || !(stake > 0)) return null
+  const current = validOdds(liveOdds)
+  const probability = validProbability(pLive)
+  const grossReturn = stake * (1 + (placed - 1) * (1 - commission))
+  const tradeOut = tradeOutValue({ placedOdds: placed, layOdds, stake, commission })
+
+  const fairMarket = tradeOut ?? (current ? grossReturn / current : null)
+  const fairModel = probability != null ? probability * grossReturn : null
+  if (fairMarket == null && fairModel == null) {
+    return {
+      fairMarket: null,
+      fairModel: null,
+      fairExit: null,
+      exitValue: null,
+      exitEv: null,
+      holdEv: null,
+      buffer: null,
+      confidence: 'LOW',
+      marginApplied: null,
+      recommendation: null
+    }
+  }
+
+  // A trade-out is a price we can actually take, so it is not blended.
+  const fairExit = tradeOut ?? (fairMarket != null && fairModel != null
+    ? marketWeight * fairMarket + (1 - marketWeight) * fairModel
+    : (fairMarket ?? fairModel))
+  const marginApplied = tradeOut != null ? 0 : margin
+  const exitValue = fairExit * (1 - marginApplied)
+  const exitEv = exitValue - stake
+  // Without our own probability, holding is valued at the market's price.
+  const holdProbability = probability ?? 1 / (current ?? validOdds(layOdds))
+  const holdEv = holdProbability * grossReturn - stake
+  const buffer = Math.max(bufferShare * stake, minBuffer)
+
+  let confidence = 'MEDIUM'
+  if (!mapped) confidence = 'LOW'
+  else if (fairMarket != null && fairModel != null) confidence = 'HIGH'
+
+  let recommendation = 'WAIT'
+  if (exitEv > holdEv + buffer && confidence !== 'LOW') recommendation = 'CASH_OUT'
+  else if (exitEv < holdEv - buffer && confidence === 'HIGH') recommendation = 'HOLD'
+
+  return {
+    fairMarket,
+    fairModel,
+    fairExit,
+    exitValue,
+    exitEv,
+    holdEv,
+    buffer,
+    confidence,
+    marginApplied,
+    recommendation
+  }
+}
+
+// Snapshots are keyed by the start of their time bucket so replays within a
+// bucket land on the same row.
+export const cashoutBucketStart = (date, bucketMinutes) => {
+  const bucketMs = Math.max(1, bucketMinutes) * 60 * 1000
+  return new Date(Math.floor(date.getTime() / bucketMs) * bucketMs)
+}
+
+/**
+ * Judges advice once the bet has settled: `settledReturn` is the gross return
+ * the bet paid. Cashing out was right when the exit value beat it; holding was
+ * right when it did not. WAIT is not graded.
+ */
+export const gradeCashoutAdvice = ({ recommendation, exitValue, settledReturn }) => {
+  if (!Number.isFinite(exitValue) || !Number.isFinite(settledReturn)) return null
+  const cashOutGain = exitValue - settledReturn
+  if (recommendation === 'CASH_OUT') return { correct: cashOutGain > 0, gain: cashOutGain }
+  if (recommendation === 'HOLD') return { correct: cashOutGain <= 0, gain: -cashOutGain }
+  return null
+}
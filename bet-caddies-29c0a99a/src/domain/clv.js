@@ -0,0 +1,141 @@
+// Closing line value. A pick's price is compared with the last prices seen
+// before tee-off, at the book we published and across the allowed books; the
+// closing prices with the vig removed are the market's best estimate of the
+// true probability, so beating them is the low-noise signal win/loss is not.
+import { weightedMedian } from '../engine/v2/odds/odds-utils.js'
+import { removeVig, DEFAULT_VIG_METHODS } from '../engine/v2/odds/vig-removal.js'
+
+const toTime = (value) => new Date(value).getTime()
+
+/**
+ * Latest price per selection and book captured at or before `cutoff`, from
+ * odds history rows: `Map<selectionName, Map<bookmaker, { odds, capturedAt }>>`.
+ */
+export const latestPricesBefore = (rows = [], cutoff) => {
+  const limit = toTime(cutoff)
+  const latest = new Map()
+  for (const row of rows) {
+    const time = toTime(row.capturedAt)
+    if (!Number.isFinite(time) || time > limit || !(row.oddsDecimal > 1)) continue
+    if (!latest.has(row.selectionName)) latest.set(row.selectionName, new Map())
+    const books = latest.get(row.selectionName)
+    const current = books.get(row.bookmaker)
+    if (!current || time > toTime(current.capturedAt)) {
+      books.set(row.bookmaker, { odds: row.oddsDecimal, capturedAt: row.capturedAt })
+    }
+  }
+  return latest
+}
+
+// Matchup books price each pairing as its own market; selections list the
+// backed player first, so the pairing is the sorted participants.
+const pairingKey = (selection) => String(selection).split(' vs ').map((name) => name.trim()).sort().join(' vs ')
+
+/**
+ * Vig-free closing probability per selection: each book's closing prices are
+ * de-vigged to `total` as a field or per pairing for matchups, with the
+ * market's vig method, and the books' estimates are combined by median, as
+ * the pipeline prices markets. A null total (unknown make-cut field) gives none.
+ */
+export const closingFairProbabilities = (latest, { matchup = false, method = null, total = 1 } = {}) => {
+  if (total === null) return new Map()
+
+  const groups = new Map()
+  for (const selection of latest.keys()) {
+    const groupKey = matchup ? pairingKey(selection) : 'field'
+    if (!groups.has(groupKey)) groups.set(groupKey, [])
+    groups.get(groupKey).push(selection)
+  }
+
+  const books = new Set()
+  for (const prices of latest.values()) {
+    for (const book of prices.keys()) books.add(book)
+  }
+
+  const estimates = new Map()
+  for (const book of books) {
+    for (const selections of groups.values()) {
+      const offers = selections
+        .map((selection) => ({ selection, oddsDecimal: latest.get(selection).get(book)?.odds }))
+        .filter((offer) => Number.isFinite(offer.oddsDecimal))
+      if (matchup && offers.length < selections.length) continue
+      const fair = removeVig(offers, { method: method || DEFAULT_VIG_METHODS[matchup ? 'matchup' : 'outright'], total })
+      if (fair.length === 0) continue
+      offers.forEach((offer, index) => {
+        if (!estimates.has(offer.selection)) estimates.set(offer.selection, [])
+        estimates.get(offer.selection).push(fair[index])
+      })
+    }
+  }
+
+  const result = new Map()
+  for (const [selection, values] of estimates.entries()) {
+    result.set(selection, weightedMedian(values, values.map(() => 1)))
+  }
+  return result
+}
+
+/**
+ * CLV of a pick published at `publishedOdds`:
+ * - `clvOdds`: published over closing odds at the same book, less 1;
+ * - `clvBestOdds`: the same against the best closing price of any book;
+ * - `clvEv`: expected return per unit at the vig-free closing probability.
+ */
+export const computeClv = ({ publishedOdds, closingOdds = null, closingBestOdds = null, closingFairProb = null }) => {
+  const valid = Number.isFinite(publishedOdds) && publishedOdds > 1
+  const ratio = (closing) => (valid && Number.isFinite(closing) && closing > 1 ? publishedOdds / closing - 1 : null)
+  return {
+    clvOdds: ratio(closingOdds),
+    clvBestOdds: ratio(closingBestOdds),
+    clvEv: valid && Number.isFinite(closingFairProb) && closingFairProb > 0 ? publishedOdds * closingFairProb - 1 : null
+  }
+}
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null)
+
+/**
+ * Aggregates picks `{ clvOdds, clvBestOdds, clvEv, ... }` by `keyFor(pick)`.
+ * `beatCloseRate` is the share of picks with a closing price at their book
+ * that were published at a better price.
+ */
+export const summarizeClv = (picks = [], keyFor = () => 'all') => {
+  const groups = new Map()
+  for (const pick of picks) {
+    const key = keyFor(pick) ?? 'unknown'
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(pick)
+  }
+  return Array.from(groups.entries())
+    .map(([key, group]) => {
+      const withClose = group.filter((pick) => Number.isFinite(pick.clvOdds))
+      return {
+        key,
+        picks: group.length,
+        withClose: withClose.length,
+        avgClvOdds: mean(withClose.map((pick) => pick.clvOdds)),
+        avgClvBestOdds: mean(group.map((pick) => pick.clvBestOdds).filter(Number.isFinite)),
+        avgClvEv: mean(group.map((pick) => pick.clvEv).filter(Number.isFinite)),
+        beatCloseRate: withClose.length ? withClose.filter((pick) => pick.clvOdds > 0).length / withClose.length : null
+      }
+    })
+    .sort((a, b) => b.picks - a.picks)
+}
+
+/**
+ * CLV report by tier, market and tour for picks carrying their tier,
+ * `marketKey` and `tour`.
+ */
+export const buildClvReport = (picks = []) => ({
+  overall: summarizeClv(picks)[0] || {
+    key: 'all',
+    picks: 0,
+    withClose: 0,
+    avgClvOdds: null,
+    avgClvBestOdds: null,
+    avgClvEv: null,
+    beatCloseRate: null
+  },
+  byTier: summarizeClv(picks, (pick) => pick.tier),
+  byMarket: summarizeClv(picks, (pick) => pick.marketKey),
+  byTour: summarizeClv(picks, (pick) => pick.tour)
+})
@@ -0,0 +1,86 @@
+// Dead-heat rules: when players tie for the last paying place(s), the stake is
+// divided by the number of tied players and multiplied by the number of places
+// they share, then settled at full odds. Three players tied for 9th in a top-10
+// market share two places, so each bet pays 2/3 of the stake at full odds.
+
+/**
+ * Fraction of the stake paid at full odds for a finish at `position` shared by
+ * `tiedCount` players in a market paying `places` places. Returns 0 outside the
+ * places and null when the position is unknown.
+ */
+export const deadHeatFraction = ({ position, tiedCount = 1, places }) => {
+  const pos = Number(position)
+  const paid = Number(places)
+  if (!Number.isFinite(pos) || pos < 1 || !Number.isFinite(paid) || paid < 1) return null
+  if (pos > paid) return 0
+  const tied = Number.isFinite(Number(tiedCount)) ? Math.max(1, Math.floor(Number(tiedCount))) : 1
+  const placesShared = paid - pos + 1
+  return tied <= placesShared ? 1 : placesShared / tied
+}
+
+export const countTiedPositions = (positions = []) => {
+  const counts = new Map()
+  for (const position of positions) {
+    if (!Number.isFinite(position)) continue
+    counts.set(position, (counts.get(position) || 0) + 1)
+  }
+  return counts
+}
+
+/**
+ * Total returned to the bettor (stake included) for a settled bet.
+ * Void and push bets return the stake; pending bets return null.
+ */
+export const settledReturn = ({ outcome, stake, oddsDecimal, deadHeatFraction: fraction = 1 }) => {
+  const amount = Number(stake)
+  if (!Number.isFinite(amount)) return null
+  if (outcome === 'lost') return 0
+  if (outcome === 'void' || outcome === 'push') return amount
+  if (outcome !== 'won') return null
+  const odds = Number(oddsDecimal)
+  if (!Number.isFinite(odds)) return null
+  const share = Number.isFinite(Number(fraction)) ? Number(fraction) : 1
+  return amount * share * odds
+}
+
+export const formatDeadHeatFraction = (fraction) => {
+  if (!Number.isFinite(fraction) || fraction >= 1 || fraction <= 0) return null
+  for (let denominator = 2; denominator <= 20; denominator += 1) {
+    const numerator = Math.round(fraction * denominator)
+    if (Math.abs(numerator / denominator - fraction) < 1e-6) return `${numerator}/${denominator}`
+  }
+  return `${Math.round(fraction * 100)}%`
+}
+
+// Matchup and 3-ball ties settle one of two ways depending on the book: dead
+// heat (the stake is split between the tied players) or void (the stake is
+// returned when the backed player ties for the best score). Defaults follow
+// the common book rules per market and can be overridden per book.
+export const MATCHUP_TIE_RULES = ['dead_heat', 'void']
+
+export const DEFAULT_MATCHUP_TIE_RULES = {
+  tournament_matchups: 'void',
+  round_matchups: 'void',
+  '3_balls': 'dead_heat'
+}
+
+/**
+ * Parses overrides such as "bet365:dead_heat,fanduel/3_balls:void" into a map
+ * keyed by "book" or "book/market". Unknown rules are ignored.
+ */
+export const parseMatchupTieRules = (value) => {
+  const overrides = new Map()
+  for (const entry of String(value || '').split(',')) {
+    const [target, rule] = entry.split(':').map((part) => part?.trim().toLowerCase())
+    if (!target || !MATCHUP_TIE_RULES.includes(rule)) continue
+    overrides.set(target, rule)
+  }
+  return overrides
+}
+
+export const resolveMatchupTieRule = ({ marketKey, bookmaker = null, overrides = new Map() }) => {
+  const book = bookmaker ? String(bookmaker).toLowerCase() : null
+  if (book && overrides.has(`${book}/${marketKey}`)) return overrides.get(`${book}/${marketKey}`)
+  if (book && overrides.has(book)) return overrides.get(book)
+  return DEFAULT_MATCHUP_TIE_RULES[marketKey] || 'dead_heat'
+}
@@ -0,0 +1,135 @@
+import { deadHeatFraction, formatDeadHeatFraction } from './dead-heat.js'
+
+// Each-way bets are two equal bets at half the total stake each: one on the
+// player to win at the listed odds and one on the player to finish inside the
+// book's places at a fraction of those odds. The place part pays for a winner
+// too, and ties straddling the last paying place settle under dead-heat rules.
+// UK books set their own terms, e.g. 8 places at 1/5 or 5 places at 1/4.
+
+export const EACH_WAY_MARKET = 'each_way'
+
+// Standard terms for a regular tour event at the default UK books. Terms vary
+// by week (majors and big fields often pay more places), so EACH_WAY_TERMS
+// replaces these with each book's terms.
+export const DEFAULT_EACH_WAY_TERMS = 'bet365:5:1/4,williamhill:5:1/4,skybet:5:1/4,unibet:5:1/4'
+
+// Each-way bets are struck at the win price, so their prices are the win market's.
+export const oddsMarketKey = (marketKey) => (marketKey === EACH_WAY_MARKET ? 'win' : marketKey)
+
+/**
+ * Place fraction from "1/5", "0.2" or a number. Returns null unless it lies in
+ * (0, 1].
+ */
+export const parsePlaceFraction = (value) => {
+  if (value == null || value === '') return null
+  const text = String(value).trim()
+  const parts = text.split('/')
+  const fraction = parts.length === 2 ? Number(parts[0]) / Number(parts[1]) : Number(text)
+  return Number.isFinite(fraction) && fraction > 0 && fraction <= 1 ? fraction : null
+}
+
+const toPlaces = (value) => {
+  const places = Number(value)
+  return Number.isInteger(places) && places >= 1 ? places : null
+}
+
+/**
+ * Parses book terms such as "bet365:8:1/5,skybet:10:1/5,williamhill/DPWT:7:1/5"
+ * into a map keyed by "book" or "book/TOUR". Entries without valid places and
+ * fraction are ignored.
+ */
+export const parseEachWayTerms = (value) => {
+  const terms = new Map()
+  for (const entry of String(value || '').split(',')) {
+    const [target, places, fraction] = entry.split(':').map((part) => part?.trim())
+    const [book, tour] = String(target || '').split('/')
+    const parsed = { places: toPlaces(places), fraction: parsePlaceFraction(fraction) }
+    if (!book || !parsed.places || !parsed.fraction) continue
+    terms.set(tour ? `${book.toLowerCase()}/${tour.toUpperCase()}` : book.toLowerCase(), parsed)
+  }
+  return terms
+}
+
+/**
+ * Terms for one offer: the offer's own `ewPlaces` / `ewFraction` when the feed
+ * quoted them, otherwise the book's configured terms for the tour, otherwise
+ * null (the book does not sell the market each-way).
+ */
+export const resolveEachWayTerms = ({ offer, tour = null, overrides = new Map() }) => {
+  const places = toPlaces(offer?.ewPlaces)
+  const fraction = parsePlaceFraction(offer?.ewFraction)
+  if (places && fraction) return { places, fraction }
+  const book = String(offer?.bookmaker || offer?.book || '').toLowerCase()
+  if (!book) return null
+  if (tour && overrides.has(`${book}/${String(tour).toUpperCase()}`)) return overrides.get(`${book}/${String(tour).toUpperCase()}`)
+  return overrides.get(book) || null
+}
+
+export const placeOdds = (oddsDecimal, fraction) => 1 + (oddsDecimal - 1) * fraction
+
+export const formatPlaceFraction = (fraction) => (fraction === 1 ? '1/1' : formatDeadHeatFraction(fraction))
+
+// "5 places at 1/4", or null without complete terms.
+export const describeEachWayTerms = ({ places, fraction }) => (
+  places >= 1 && fraction > 0 ? `${places} places at ${formatPlaceFraction(fraction)}` : null
+)
+
+/**
+ * Expected profit per unit of total stake. `winProb` and `placeProb` are
+ * payout-equivalent (dead heats included), `placeProb` for the exact number
+ * of places the book pays.
+ */
+export const eachWayEv = ({ winProb, placeProb, oddsDecimal, fraction }) => {
+  if (![winProb, placeProb, oddsDecimal, fraction].every(Number.isFinite) || oddsDecimal <= 1) return NaN
+  return (winProb * oddsDecimal + placeProb * placeOdds(oddsDecimal, fraction)) / 2 - 1
+}
+
+/**
+ * Single-price view of an each-way bet for staking: `probability` is the
+ * chance of any return and `oddsDecimal` the average return given one, so
+ * probability × odds − 1 is the each-way EV.
+ */
+export const eachWayPayoutOdds = ({ winProb, placeProb, oddsDecimal, fraction }) => {
+  const ev = eachWayEv({ winProb, placeProb, oddsDecimal, fraction })
+  if (!Number.isFinite(ev) || !(placeProb > 0)) return NaN
+  return (1 + ev) / placeProb
+}
+
+/**
+ * The paying outcomes of an each-way bet per unit of total stake, for staking:
+ * a winner returns both halves, a place-only finish just the place half.
+ * `returnMultiple` includes the stake; the remaining probability returns
+ * nothing. Null for bad inputs.
+ */
+export const eachWayOutcomes = ({ winProb, placeProb, oddsDecimal, fraction }) => {
+  if (![winProb, placeProb, oddsDecimal, fraction].every(Number.isFinite) || oddsDecimal <= 1) return null
+  const place = placeOdds(oddsDecimal, fraction)
+  return [
+    { probability: winProb, returnMultiple: (oddsDecimal + place) / 2 },
+    { probability: Math.max(0, placeProb - winProb), returnMultiple: place / 2 }
+  ]
+}
+
+/**
+ * Settles an each-way bet on a finishing position. Returns the outcome ('won'
+ * when the win part pays, 'placed' when only the place part does, which at
+ * short odds can return less than the stake), the dead-heat share paid on
+ * each part and the total returned for `stake` (stake included, split equally
+ * between the parts).
+ */
+export const settleEachWay = ({ position, tiedCount = 1, places, fraction, oddsDecimal, stake = 1 }) => {
+  const amount = Number(stake)
+  const odds = Number(oddsDecimal)
+  const placeShare = deadHeatFraction({ position, tiedCount, places })
+  const winShare = deadHeatFraction({ position, tiedCount, places: 1 })
+  if (placeShare == null || !Number.isFinite(amount) || !Number.isFinite(odds) || !(fraction > 0)) {
+    return { outcome: null, winDeadHeat: null, placeDeadHeat: null, totalReturn: null }
+  }
+  const half = amount / 2
+  return {
+    outcome: winShare > 0 ? 'won' : (placeShare > 0 ? 'placed' : 'lost'),
+    winDeadHeat: winShare > 0 ? winShare : null,
+    placeDeadHeat: placeShare > 0 ? placeShare : null,
+    totalReturn: half * winShare * odds + half * placeShare * placeOdds(odds, fraction)
+  }
+}
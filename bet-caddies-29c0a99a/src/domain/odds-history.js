@@ -0,0 +1,83 @@
+// Line movement. Every price seen for an event, market, selection and book is
+// appended to the odds history, from pipeline fetches, live-tracking polls and
+// pre-tee-off closing captures, so a selection's prices can be read back as a
+// time series.
+import { buildCutRuleEventKey } from '../engine/v2/cut-rules.js'
+
+export const ODDS_HISTORY_SOURCES = ['pipeline', 'live', 'closing']
+
+const toTime = (value) => new Date(value).getTime()
+
+/**
+ * Each pipeline run creates its own TourEvent rows, so history is keyed by
+ * the event itself: tour plus DataGolf event id, or the event name without one.
+ */
+export const oddsHistoryEventKey = ({ tour, dgEventId, eventName } = {}) => {
+  const eventKey = buildCutRuleEventKey({ dgEventId, eventName })
+  return eventKey ? `${String(tour || '').toUpperCase()}:${eventKey}` : null
+}
+
+/**
+ * Odds history rows from parsed offers (outright offers name the book as
+ * `book`, matchup offers as `bookmaker`). Rows from one fetch share
+ * `capturedAt`, so the books read back as one point in time.
+ */
+export const toOddsHistoryRows = (offers = [], { event, marketKey, source, runId = null, capturedAt = new Date() }) => {
+  const eventKey = oddsHistoryEventKey(event)
+  if (!eventKey) return []
+  const rows = []
+  for (const offer of offers) {
+    const bookmaker = offer?.bookmaker ?? offer?.book
+    const oddsDecimal = Number(offer?.oddsDecimal)
+    if (!offer?.selectionName || !bookmaker || !Number.isFinite(oddsDecimal) || oddsDecimal <= 1) continue
+    rows.push({
+      eventKey,
+      tour: event.tour,
+      tourEventId: event.id ?? null,
+      marketKey,
+      selectionName: String(offer.selectionName),
+      dgPlayerId: offer.selectionId != null ? String(offer.selectionId) : null,
+      bookmaker: String(bookmaker),
+      oddsDecimal,
+      source,
+      runId,
+      capturedAt
+    })
+  }
+  return rows
+}
+
+/**
+ * Price series for one selection from its history rows: a step series per
+ * book, and the best price on offer at each capture. Repeated prices are
+ * collapsed, keeping a book's last sighting so its line runs to the end.
+ * Points are `{ t, odds }` (plus `bookmaker` on the best series).
+ */
+export const buildPriceSeries = (rows = []) => {
+  const sorted = rows
+    .filter((row) => Number.isFinite(row?.oddsDecimal) && Number.isFinite(toTime(row?.capturedAt)))
+    .sort((a, b) => toTime(a.capturedAt) - toTime(b.capturedAt))
+
+  const books = new Map()
+  const best = new Map()
+  for (const row of sorted) {
+    const t = new Date(row.capturedAt).toISOString()
+    if (!books.has(row.bookmaker)) books.set(row.bookmaker, { points: [], lastSeen: null })
+    const book = books.get(row.bookmaker)
+    if (book.points[book.points.length - 1]?.odds !== row.oddsDecimal) book.points.push({ t, odds: row.oddsDecimal })
+    book.lastSeen = { t, odds: row.oddsDecimal }
+
+    const current = best.get(t)
+    if (!current || row.oddsDecimal > current.odds) best.set(t, { t, odds: row.oddsDecimal, bookmaker: row.bookmaker })
+  }
+
+  return {
+    books: Array.from(books.entries()).map(([bookmaker, { points, lastSeen }]) => ({
+      bookmaker,
+      points: points[points.length - 1].t === lastSeen.t ? points : [...points, lastSeen]
+    })),
+    best: Array.from(best.values()),
+    firstSeenAt: sorted.length ? new Date(sorted[0].capturedAt).toISOString() : null,
+    lastSeenAt: sorted.length ? new Date(sorted[sorted.length - 1].capturedAt).toISOString() : null
+  }
+}
@@ -0,0 +1,120 @@
+// Fractional-Kelly staking. Stakes are expressed in units, where one unit is
+// 1% of bankroll at the house Kelly fraction; a user's own bankroll and Kelly
+// fraction scale those units into a cash stake.
+
+export const DEFAULT_KELLY_FRACTION = 0.25
+export const DEFAULT_STAKE_CAPS = {
+  maxUnitsPerPick: 2,
+  maxUnitsPerPlayer: 3,
+  maxUnitsPerMarket: Infinity,
+  maxUnitsPerEvent: 10
+}
+
+/**
+ * Full-Kelly share of bankroll for a bet at decimal odds with win probability
+ * `probability`. Returns 0 for bets without an edge and null for bad inputs.
+ */
+export const kellyFraction = ({ probability, oddsDecimal }) => {
+  const p = Number(probability)
+  const odds = Number(oddsDecimal)
+  if (!Number.isFinite(p) || p <= 0 || p >= 1 || !Number.isFinite(odds) || odds <= 1) return null
+  const b = odds - 1
+  return Math.max(0, (p * b - (1 - p)) / b)
+}
+
+/**
+ * Full-Kelly share of bankroll for a bet with several paying outcomes, each
+ * `{ probability, returnMultiple }` with the stake included; the rest of the
+ * probability returns nothing. Found by bisection on the log-growth slope, so
+ * a single outcome gives the same answer as kellyFraction.
+ */
+export const kellyFractionForOutcomes = (outcomes) => {
+  if (!Array.isArray(outcomes) || outcomes.length === 0) return null
+  const valid = outcomes.every(({ probability, returnMultiple }) => (
+    Number.isFinite(probability) && probability >= 0 && Number.isFinite(returnMultiple) && returnMultiple >= 0
+  ))
+  const paying = valid ? outcomes.reduce((sum, { probability }) => sum + probability, 0) : NaN
+  if (!(paying > 0 && paying <= 1 + 1e-9)) return null
+  const losing = Math.max(0, 1 - paying)
+  const slope = (f) => outcomes.reduce(
+    (sum, { probability, returnMultiple }) => sum + probability * (returnMultiple - 1) / (1 + f * (returnMultiple - 1)),
+    0
+  ) - losing / (1 - f)
+  if (!(slope(0) > 0)) return 0
+  let low = 0
+  let high = 1
+  for (let step = 0; step < 60; step += 1) {
+    const mid = (low + high) / 2
+    if (slope(mid) > 0) low = mid
+    else high = mid
+  }
+  return low
+}
+
+const scaleGroup = (stakes, indices, cap) => {
+  const total = indices.reduce((sum, index) => sum + stakes[index], 0)
+  if (total <= cap || total <= 0) return
+  const scale = cap / total
+  for (const index of indices) stakes[index] *= scale
+}
+
+/**
+ * Sizes one event's picks. Each pick is staked at `fraction` × full Kelly,
+ * capped per pick, then scaled down proportionally wherever a player's, a
+ * market's or the event's total would exceed its cap. Players are grouped by
+ * `playerKey` and markets by `marketKey`; `probability` and `oddsDecimal` read the win chance and price of a pick,
+ * unless `outcomes` returns the pick's paying outcomes (as for each-way bets,
+ * which pay differently on a win and a place).
+ */
+export const sizeStakes = (picks = [], {
+  fraction = DEFAULT_KELLY_FRACTION,
+  maxUnitsPerPick = DEFAULT_STAKE_CAPS.maxUnitsPerPick,
+  maxUnitsPerPlayer = DEFAULT_STAKE_CAPS.maxUnitsPerPlayer,
+  maxUnitsPerMarket = DEFAULT_STAKE_CAPS.maxUnitsPerMarket,
+  maxUnitsPerEvent = DEFAULT_STAKE_CAPS.maxUnitsPerEvent,
+  playerKey = (pick) => pick.playerKey,
+  marketKey = (pick) => pick.marketKey,
+  probability = (pick) => pick.probability,
+  oddsDecimal = (pick) => pick.oddsDecimal,
+  outcomes = () => null
+} = {}) => {
+  const kelly = picks.map((pick) => {
+    const paying = outcomes(pick)
+    return paying
+      ? kellyFractionForOutcomes(paying)
+      : kellyFraction({ probability: probability(pick), oddsDecimal: oddsDecimal(pick) })
+  })
+  const stakes = kelly.map((full) => (full == null ? 0 : Math.min(maxUnitsPerPick, full * fraction * 100)))
+
+  const groupBy = (keyOf) => {
+    const groups = new Map()
+    picks.forEach((pick, index) => {
+      const key = keyOf(pick)
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(index)
+    })
+    return groups.values()
+  }
+  for (const indices of groupBy(playerKey)) scaleGroup(stakes, indices, maxUnitsPerPlayer)
+  for (const indices of groupBy(marketKey)) scaleGroup(stakes, indices, maxUnitsPerMarket)
+  scaleGroup(stakes, picks.map((_, index) => index), maxUnitsPerEvent)
+
+  return picks.map((pick, index) => ({
+    ...pick,
+    kellyFraction: kelly[index],
+    stakeUnits: Math.round(stakes[index] * 100) / 100
+  }))
+}
+
+/**
+ * Cash stake for a user. House units assume DEFAULT_KELLY_FRACTION, so a user
+ * on half Kelly stakes twice the units' share of their bankroll.
+ */
+export const stakeForBankroll = ({ stakeUnits, bankroll, kellyFraction: userFraction = DEFAULT_KELLY_FRACTION }) => {
+  const units = Number(stakeUnits)
+  const amount = Number(bankroll)
+  const fraction = Number(userFraction)
+  if (!Number.isFinite(units) || !Number.isFinite(amount) || amount <= 0) return null
+  const scale = Number.isFinite(fraction) && fraction > 0 ? fraction / DEFAULT_KELLY_FRACTION : 1
+  return Math.round(amount * (units / 100) * scale * 100) / 100
+}
@@ -0,0 +1,22 @@
+/** @typedef {import('../portfolioOptimizer/optimizer.js').CandidateBet} CandidateBet */
+/** @typedef {'Par' | 'Birdie' | 'Eagle' | 'Long Shot'} BetTier */
+/** @typedef {CandidateBet & { tier: BetTier }} TieredBet */
+
+/**
+ * @param {CandidateBet} bet
+ * @returns {BetTier}
+ */
+export function assignTier(bet) {
+  if (bet.edge > 0.08) return 'Par'
+  if (bet.edge > 0.05) return 'Birdie'
+  if (bet.edge > 0.03) return 'Eagle'
+  return 'Long Shot'
+}
+
+/**
+ * @param {CandidateBet[]} bets
+ * @returns {TieredBet[]}
+ */
+export function selectBets(bets) {
+  return bets.map((b) => ({ ...b, tier: assignTier(b) }))
+}
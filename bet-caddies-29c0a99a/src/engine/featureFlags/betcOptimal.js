@@ -0,0 +1,3 @@
+// The optimal engine runs in shadow alongside the live selection; set
+// BETC_OPTIMAL_ENGINE_ENABLED=false to skip it entirely.
+export const BETC_OPTIMAL_ENGINE_ENABLED = process.env.BETC_OPTIMAL_ENGINE_ENABLED !== 'false'
@@ -0,0 +1 @@
+export { BETC_OPTIMAL_ENGINE_ENABLED } from './betcOptimal.js'
@@ -0,0 +1,189 @@
+import { deadHeatFraction } from '../../domain/dead-heat.js'
+import { EACH_WAY_MARKET, placeOdds } from '../../domain/each-way.js'
+
+// Joint outcomes read straight from the simulator's per-sim score matrices, so
+// bets on the same player (or on players in the same matchup) share the draws
+// that settle them. Correlations come from these draws; marginal probabilities
+// stay with the blended fair probabilities.
+
+export const DEFAULT_JOINT_SIMS = 2000
+
+const TOP_N_PLACES = { win: 1, top_5: 5, top_10: 10, top_20: 20 }
+const MATCHUP_MARKETS = new Set(['tournament_matchups', 'round_matchups', '3_balls'])
+
+const lowerBound = (sorted, value) => {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1
+    if (sorted[mid] < value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+const upperBound = (sorted, value) => {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1
+    if (sorted[mid] <= value) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// Per-sim field views (sorted totals, round-1 leaders, cut round) are built
+// once and shared by every bet.
+const buildSimViews = (scores, simCount) => {
+  const playerCount = scores.playerKeys.length
+  const { rounds } = scores
+  const views = []
+  for (let sim = 0; sim < simCount; sim += 1) {
+    const base = sim * playerCount
+    const sortedTotals = Float64Array.from(scores.totals.subarray(base, base + playerCount)).sort()
+    let r1Best = Infinity
+    let r1Leaders = 0
+    let minPlayed = rounds
+    for (let index = 0; index < playerCount; index += 1) {
+      const offset = (base + index) * rounds
+      const r1 = scores.roundScores[offset]
+      if (r1 < r1Best) {
+        r1Best = r1
+        r1Leaders = 1
+      } else if (r1 === r1Best) {
+        r1Leaders += 1
+      }
+      let played = 0
+      while (played < rounds && !Number.isNaN(scores.roundScores[offset + played])) played += 1
+      minPlayed = Math.min(minPlayed, played)
+    }
+    views.push({ sortedTotals, r1Best, r1Leaders, minPlayed })
+  }
+  return views
+}
+
+const roundsPlayed = (scores, sim, index) => {
+  const offset = (sim * scores.playerKeys.length + index) * scores.rounds
+  let played = 0
+  while (played < scores.rounds && !Number.isNaN(scores.roundScores[offset + played])) played += 1
+  return played
+}
+
+const readScore = (scores, sim, index, round) => {
+  const playerCount = scores.playerKeys.length
+  return round
+    ? scores.roundScores[(sim * playerCount + index) * scores.rounds + (round - 1)]
+    : scores.totals[sim * playerCount + index]
+}
+
+// Share of the stake paid at full odds in each sim, or null when the bet
+// cannot be settled from the score matrices.
+const buildPayoutVector = (scores, views, bet) => {
+  const simCount = views.length
+  const payouts = new Float64Array(simCount)
+
+  if (MATCHUP_MARKETS.has(bet.marketKey)) {
+    const indices = String(bet.selectionKey).split(' vs ').map((name) => scores.playerIndex.get(name.trim()))
+    if (indices.length < 2 || indices.some((index) => index == null)) return null
+    for (let sim = 0; sim < simCount; sim += 1) {
+      const values = indices.map((index) => readScore(scores, sim, index, bet.round))
+      if (values.some((value) => Number.isNaN(value))) continue
+      const best = Math.min(...values)
+      if (values[0] !== best) continue
+      payouts[sim] = 1 / values.filter((value) => value === best).length
+    }
+    return payouts
+  }
+
+  const index = scores.playerIndex.get(bet.selectionKey)
+  if (index == null) return null
+  const eachWay = bet.marketKey === EACH_WAY_MARKET ? bet.eachWay : null
+  const places = eachWay ? eachWay.places : TOP_N_PLACES[bet.marketKey]
+  const odds = bet.bestOffer?.oddsDecimal
+  if (eachWay && !(odds > 1)) return null
+  for (let sim = 0; sim < simCount; sim += 1) {
+    const view = views[sim]
+    if (places) {
+      const total = readScore(scores, sim, index, null)
+      const position = lowerBound(view.sortedTotals, total) + 1
+      const tiedCount = upperBound(view.sortedTotals, total) - position + 1
+      payouts[sim] = deadHeatFraction({ position, tiedCount, places }) || 0
+      // Correlation is scale-free, so an each-way bet uses its return per unit.
+      if (eachWay) {
+        const winShare = deadHeatFraction({ position, tiedCount, places: 1 }) || 0
+        payouts[sim] = (winShare * odds + payouts[sim] * placeOdds(odds, eachWay.fraction)) / 2
+      }
+    } else if (bet.marketKey === 'make_cut' || bet.marketKey === 'mc') {
+      const madeCut = view.minPlayed === scores.rounds || roundsPlayed(scores, sim, index) > view.minPlayed
+      payouts[sim] = (madeCut === (bet.marketKey === 'make_cut')) ? 1 : 0
+    } else if (bet.marketKey === 'frl') {
+      const r1 = readScore(scores, sim, index, 1)
+      payouts[sim] = r1 === view.r1Best ? 1 / view.r1Leaders : 0
+    } else {
+      return null
+    }
+  }
+  return payouts
+}
+
+const pearson = (a, b) => {
+  const n = a.length
+  let meanA = 0
+  let meanB = 0
+  for (let i = 0; i < n; i += 1) {
+    meanA += a[i]
+    meanB += b[i]
+  }
+  meanA /= n
+  meanB /= n
+  let cov = 0
+  let varA = 0
+  let varB = 0
+  for (let i = 0; i < n; i += 1) {
+    const da = a[i] - meanA
+    const db = b[i] - meanB
+    cov += da * db
+    varA += da * da
+    varB += db * db
+  }
+  if (varA <= 0 || varB <= 0) return 0
+  return Math.max(-1, Math.min(1, cov / Math.sqrt(varA * varB)))
+}
+
+export const buildBetOutcomeKey = (bet) => `${bet.marketKey}:${bet.selectionKey}:${bet.round ?? ''}`
+
+/**
+ * Returns `(betA, betB) => correlation` between two bets' payouts across the
+ * first `maxSims` simulations. Bets are `{ marketKey, selectionKey, round }`;
+ * pairs that cannot be settled from the sims (or no sims at all) report 0.
+ */
+export const createCorrelationEstimator = (scores, { maxSims = DEFAULT_JOINT_SIMS } = {}) => {
+  if (!scores || !scores.simCount || !scores.playerIndex) return () => 0
+  const simCount = Math.min(scores.simCount, maxSims)
+  let views = null
+  const payoutCache = new Map()
+  const pairCache = new Map()
+
+  const payoutsFor = (bet) => {
+    const key = buildBetOutcomeKey(bet)
+    if (!payoutCache.has(key)) {
+      views = views || buildSimViews(scores, simCount)
+      payoutCache.set(key, buildPayoutVector(scores, views, bet))
+    }
+    return payoutCache.get(key)
+  }
+
+  return (betA, betB) => {
+    const keyA = buildBetOutcomeKey(betA)
+    const keyB = buildBetOutcomeKey(betB)
+    if (keyA === keyB) return 1
+    const pairKey = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`
+    if (!pairCache.has(pairKey)) {
+      const a = payoutsFor(betA)
+      const b = payoutsFor(betB)
+      pairCache.set(pairKey, a && b ? pearson(a, b) : 0)
+    }
+    return pairCache.get(pairKey)
+  }
+}
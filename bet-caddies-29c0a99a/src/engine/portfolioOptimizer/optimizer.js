@@ -0,0 +1,153 @@
+import { eachWayOutcomes } from '../../domain/each-way.js'
+
+/**
+ * @typedef {Object} CandidateBet
+ * @property {string} playerId
+ * @property {string} market
+ * @property {number} edge
+ */
+
+/**
+ * Keeps each player's best `maxPerPlayer` bets by edge, then the best
+ * `maxTotal` overall. Extra fields on the bets are carried through.
+ *
+ * @param {CandidateBet[]} bets
+ * @returns {CandidateBet[]}
+ */
+export function optimisePortfolio(bets, maxPerPlayer = 2, maxTotal = 5) {
+  const byPlayer = {}
+  bets.forEach((b) => {
+    byPlayer[b.playerId] = byPlayer[b.playerId] || []
+    byPlayer[b.playerId].push(b)
+  })
+
+  const filtered = []
+  Object.values(byPlayer).forEach((playerBets) => {
+    playerBets
+      .sort((a, b) => b.edge - a.edge)
+      .slice(0, maxPerPlayer)
+      .forEach((b) => filtered.push(b))
+  })
+
+  return filtered
+    .sort((a, b) => b.edge - a.edge)
+    .slice(0, maxTotal)
+}
+
+const MAX_SWAP_PASSES = 5
+
+// Standard deviation of the return per unit staked. Each-way candidates pay
+// differently on a win and a place-only finish, so both outcomes count.
+const returnSd = (candidate, p, odds) => {
+  const paying = (candidate.eachWay && eachWayOutcomes({ ...candidate.eachWay, oddsDecimal: candidate.bestOffer?.oddsDecimal })) ||
+    [{ probability: p, returnMultiple: odds }]
+  const mean = paying.reduce((sum, { probability, returnMultiple }) => sum + probability * returnMultiple, 0)
+  const square = paying.reduce((sum, { probability, returnMultiple }) => sum + probability * returnMultiple ** 2, 0)
+  return Math.sqrt(Math.max(0, square - mean * mean))
+}
+
+// Stake (bankroll share) at fractional Kelly using the mean/variance
+// approximation ev / variance, capped per pick.
+const toPortfolioBet = (candidate, { kellyFraction, maxUnitsPerPick }) => {
+  const p = candidate.fairProb
+  const odds = candidate.payoutOdds ?? candidate.bestOffer?.oddsDecimal
+  const ev = candidate.ev
+  const valid = Number.isFinite(p) && p > 0 && p < 1 && Number.isFinite(odds) && odds > 1 && Number.isFinite(ev)
+  const sigma = valid ? returnSd(candidate, p, odds) : 0
+  const stake = valid && ev > 0 ? Math.min(maxUnitsPerPick / 100, (kellyFraction * ev) / (sigma * sigma)) : 0
+  return { candidate, ev: valid ? ev : 0, sigma, stake }
+}
+
+/**
+ * Correlation-aware tier selection over pipeline candidates. The portfolio
+ * maximises the book's expected log-growth, approximated as E[R] - Var[R] / 2
+ * with picks already made in earlier tiers (`prior`) included, while the
+ * tier's own standard deviation stays within `maxSdUnits` (1u = 1% of
+ * bankroll). Picks are chosen greedily by marginal growth, then improved by
+ * pairwise swaps. The budget never cuts a tier below `minPicks`.
+ */
+export function optimiseTierPortfolio(candidates, {
+  minPicks = 0,
+  maxPicks = 5,
+  maxSdUnits = Infinity,
+  kellyFraction = 0.25,
+  maxUnitsPerPick = 2,
+  maxPerPlayer = Infinity,
+  maxPerMarket = Infinity,
+  correlation = () => 0,
+  prior = []
+} = {}) {
+  const sizing = { kellyFraction, maxUnitsPerPick }
+  const pool = candidates.map((candidate) => toPortfolioBet(candidate, sizing))
+  const priorBets = prior.map((candidate) => toPortfolioBet(candidate, sizing))
+  const budget = Number.isFinite(maxSdUnits) ? (maxSdUnits / 100) ** 2 : Infinity
+
+  const covariance = (a, b) => {
+    if (a === b) return a.sigma * a.sigma
+    if (a.stake === 0 || b.stake === 0) return 0
+    return correlation(a.candidate, b.candidate) * a.sigma * b.sigma
+  }
+  const variance = (bets) => {
+    let total = 0
+    for (const a of bets) for (const b of bets) total += a.stake * b.stake * covariance(a, b)
+    return total
+  }
+  const growth = (bets) => {
+    const book = priorBets.concat(bets)
+    return book.reduce((sum, bet) => sum + bet.stake * bet.ev, 0) - variance(book) / 2
+  }
+  const feasible = (bets) => {
+    const players = {}
+    const markets = {}
+    for (const { candidate } of bets) {
+      const player = candidate.selectionKey || candidate.selection
+      players[player] = (players[player] || 0) + 1
+      markets[candidate.marketKey] = (markets[candidate.marketKey] || 0) + 1
+      if (players[player] > maxPerPlayer || markets[candidate.marketKey] > maxPerMarket) return false
+    }
+    return true
+  }
+  const withinBudget = (bets) => bets.length <= minPicks || variance(bets) <= budget
+
+  const selected = []
+  while (selected.length < maxPicks) {
+    const base = growth(selected)
+    let best = null
+    for (const bet of pool) {
+      if (selected.includes(bet)) continue
+      const next = selected.concat(bet)
+      if (!feasible(next) || !withinBudget(next)) continue
+      const gain = growth(next) - base
+      // Below the tier minimum any +EV pick is taken; above it, only growth.
+      if (selected.length >= minPicks && gain <= 0) continue
+      if (!best || gain > best.gain) best = { bet, gain }
+    }
+    if (!best) break
+    selected.push(best.bet)
+  }
+
+  for (let pass = 0; pass < MAX_SWAP_PASSES; pass += 1) {
+    let improved = false
+    for (let i = 0; i < selected.length; i += 1) {
+      const current = growth(selected)
+      for (const bet of pool) {
+        if (selected.includes(bet)) continue
+        const next = selected.slice()
+        next[i] = bet
+        if (!feasible(next) || !withinBudget(next)) continue
+        if (growth(next) > current + 1e-12) {
+          selected[i] = bet
+          improved = true
+          break
+        }
+      }
+    }
+    if (!improved) break
+  }
+
+  return {
+    picks: selected.map((bet) => bet.candidate),
+    growth: growth(selected),
+    sdUnits: Math.sqrt(variance(selected)) * 100
+  }
+}
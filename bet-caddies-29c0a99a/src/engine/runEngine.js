@@ -0,0 +1,98 @@
+// The Node pipeline has no TypeScript build, so it runs these JavaScript
+// modules; the .ts engine modules beside them are left as they are.
+import { BETC_OPTIMAL_ENGINE_ENABLED } from './featureFlags/index.js'
+import { optimisePortfolio } from './portfolioOptimizer/optimizer.js'
+import { selectBets } from './betSelector/selector.js'
+
+// Selector tiers mapped onto the live tier keys so picks compare like for like.
+export const OPTIMAL_TIER_KEYS = {
+  Par: 'PAR',
+  Birdie: 'BIRDIE',
+  Eagle: 'EAGLE',
+  'Long Shot': 'LONG_SHOTS'
+}
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null)
+
+export const buildBetKey = (candidate) => `${candidate.marketKey}:${candidate.selectionKey || candidate.selection}`
+
+// Compact, JSON-safe view of a pipeline candidate; both engines persist this shape.
+const toEngineBet = (candidate, tier = candidate.tier || null) => ({
+  key: buildBetKey(candidate),
+  playerId: candidate.selectionKey || candidate.selection,
+  selection: candidate.selection,
+  dgPlayerId: candidate.bestOffer?.selectionId ? String(candidate.bestOffer.selectionId) : null,
+  market: candidate.marketKey,
+  tier,
+  edge: finiteOrNull(candidate.edge),
+  ev: finiteOrNull(candidate.ev),
+  fairProb: finiteOrNull(candidate.fairProb),
+  odds: finiteOrNull(candidate.bestOffer?.oddsDecimal),
+  bookmaker: candidate.bestOffer?.bookmaker || null,
+  ewPlaces: candidate.eachWay?.places ?? null,
+  ewFraction: candidate.eachWay?.fraction ?? null,
+  isFallback: candidate.isFallback === true
+})
+
+/** The live selection, as already chosen by WeeklyPipeline. */
+export async function runLegacyEngine({ selected = [] } = {}) {
+  return { source: 'legacy', bets: selected.map((candidate) => toEngineBet(candidate)) }
+}
+
+/**
+ * Edge-ranked portfolio over the same candidates the live selection saw.
+ * Only positive-edge candidates with a usable price are eligible.
+ */
+export async function runOptimalEngine({ candidates = [], limits = {} } = {}) {
+  const eligible = candidates
+    .filter((candidate) => Number.isFinite(candidate.edge) && candidate.edge > 0)
+    .filter((candidate) => Number.isFinite(candidate.bestOffer?.oddsDecimal))
+    .map((candidate) => toEngineBet(candidate, null))
+  const portfolio = optimisePortfolio(eligible, limits.maxPerPlayer, limits.maxTotal)
+  const bets = selectBets(portfolio).map((bet) => ({ ...bet, tier: OPTIMAL_TIER_KEYS[bet.tier] || bet.tier }))
+  return { source: 'optimal', bets }
+}
+
+const summarizeBets = (bets) => ({
+  count: bets.length,
+  totalEv: bets.reduce((sum, bet) => sum + (bet.ev ?? 0), 0),
+  totalEdge: bets.reduce((sum, bet) => sum + (bet.edge ?? 0), 0),
+  byTier: bets.reduce((acc, bet) => {
+    const tier = bet.tier || 'UNKNOWN'
+    acc[tier] = (acc[tier] || 0) + 1
+    return acc
+  }, {})
+})
+
+export const compareEngineResults = (legacy, optimal) => {
+  const legacyByKey = new Map(legacy.bets.map((bet) => [bet.key, bet]))
+  const optimalByKey = new Map(optimal.bets.map((bet) => [bet.key, bet]))
+  const overlap = legacy.bets.filter((bet) => optimalByKey.has(bet.key)).map((bet) => bet.key)
+  const sameTier = overlap.filter((key) => legacyByKey.get(key).tier === optimalByKey.get(key).tier)
+  return {
+    legacy: summarizeBets(legacy.bets),
+    optimal: summarizeBets(optimal.bets),
+    overlap,
+    sameTier: sameTier.length,
+    onlyLegacy: legacy.bets.filter((bet) => !optimalByKey.has(bet.key)).map((bet) => bet.key),
+    onlyOptimal: optimal.bets.filter((bet) => !legacyByKey.has(bet.key)).map((bet) => bet.key)
+  }
+}
+
+/**
+ * Runs the live (legacy) selection and, when enabled, the optimal engine in
+ * shadow. The legacy picks stay active; the shadow result is for comparison.
+ */
+export async function runEngine(input) {
+  const legacy = await runLegacyEngine(input)
+  if (!BETC_OPTIMAL_ENGINE_ENABLED) {
+    return { active: legacy, shadow: null, comparison: null }
+  }
+
+  const optimal = await runOptimalEngine(input)
+  return {
+    active: legacy,
+    shadow: optimal,
+    comparison: compareEngineResults(legacy, optimal)
+  }
+}
@@ -0,0 +1,167 @@
+import { clampProbability, logit, invLogit } from '../odds/odds-utils.js'
+import { splitByTime } from '../holdout.js'
+
+export const BLEND_SOURCES = ['sim', 'dg', 'mkt']
+
+const DEFAULT_MIN_SAMPLES = Number(process.env.BLEND_MIN_SAMPLES || 100)
+// Strength of the pull towards the static weights, in pseudo-observations.
+const DEFAULT_RIDGE = Number(process.env.BLEND_RIDGE || 50)
+// Share of the most recently settled rows kept out of the fit to judge it on.
+const DEFAULT_HOLDOUT_FRACTION = Number(process.env.BLEND_HOLDOUT_FRACTION || 0.3)
+// The simulation stays in every blend, however little the history favours it.
+const MIN_SIM_WEIGHT = 0.05
+
+/**
+ * The fixed weights used when no learned version is active: the simulation
+ * plus at most `maxDgInfluence` of DataGolf, and no market.
+ */
+export const staticBlendWeights = (maxDgInfluence = Number(process.env.DG_MAX_INFLUENCE || 0.35)) => ({
+  sim: 1 - maxDgInfluence,
+  dg: maxDgInfluence,
+  mkt: 0
+})
+
+/**
+ * Logit-space weighted average of the sources that are present; weights are
+ * renormalised over them, so a lone simulation probability passes through.
+ */
+export const blendWithWeights = (probabilities, weights) => {
+  let num = 0
+  let den = 0
+  for (const source of BLEND_SOURCES) {
+    const p = probabilities[source]
+    const w = weights[source] || 0
+    if (!Number.isFinite(p) || w <= 0) continue
+    num += w * logit(clampProbability(p))
+    den += w
+  }
+  return den > 0 ? clampProbability(invLogit(num / den)) : NaN
+}
+
+// The probabilities a selection was priced from, as recorded in its
+// confidence breakdown when the run produced it. The published predictedProb
+// is itself a blend, so rows without a recorded simProb have no sim input
+// and are left out of the fit.
+export const readBlendInputs = (row) => {
+  const agreement = row.confidenceJson?.externalAgreement || {}
+  const context = row.confidenceJson?.context || {}
+  return {
+    sim: agreement.simProb ?? null,
+    dg: row.dgProb ?? agreement.dgProb ?? null,
+    mkt: context.marketProb ?? null,
+    actualOutcome: row.actualOutcome,
+    settledAt: row.settledAt ?? null
+  }
+}
+
+// Settled rows with the simulation and at least one other source; rows with
+// a single source blend to that source whatever the weights.
+const toSamples = (rows = []) => rows
+  .map((row) => {
+    const x = {}
+    for (const source of BLEND_SOURCES) {
+      const p = Number(row[source])
+      x[source] = row[source] != null && Number.isFinite(p) && p > 0 && p < 1 ? logit(clampProbability(p)) : null
+    }
+    const y = Number(row.actualOutcome)
+    return { x, y: y >= 1 ? 1 : (y <= 0 ? 0 : y), settledAt: row.settledAt }
+  })
+  .filter(({ x, y }) => Number.isFinite(y) && x.sim != null && BLEND_SOURCES.filter((source) => x[source] != null).length >= 2)
+
+const blendLogit = (x, weights) => {
+  let num = 0
+  let den = 0
+  for (const source of BLEND_SOURCES) {
+    if (x[source] == null) continue
+    num += weights[source] * x[source]
+    den += weights[source]
+  }
+  return den > 0 ? { z: num / den, den } : { z: x.sim, den: 0 }
+}
+
+export const blendLogLoss = (samples, weights) => {
+  if (samples.length === 0) return NaN
+  const total = samples.reduce((sum, { x, y }) => {
+    const q = clampProbability(invLogit(blendLogit(x, weights).z))
+    return sum - (y * Math.log(q) + (1 - y) * Math.log(1 - q))
+  }, 0)
+  return total / samples.length
+}
+
+const project = (weights) => Object.fromEntries(BLEND_SOURCES.map((source) => [
+  source,
+  Math.max(source === 'sim' ? MIN_SIM_WEIGHT : 0, weights[source])
+]))
+
+// Projected gradient descent with step halving on log loss plus a ridge
+// penalty `ridge * |w - defaults|^2` (summed over samples, not averaged).
+const fitWeights = (samples, defaults, { ridge, iterations = 200 }) => {
+  const n = samples.length
+  const objective = (weights) => blendLogLoss(samples, weights) +
+    ridge / n * BLEND_SOURCES.reduce((sum, source) => sum + (weights[source] - defaults[source]) ** 2, 0)
+
+  let weights = project(defaults)
+  let current = objective(weights)
+  let step = 1
+  for (let i = 0; i < iterations && step > 1e-6; i += 1) {
+    const gradient = Object.fromEntries(BLEND_SOURCES.map((source) => [source, 2 * ridge / n * (weights[source] - defaults[source])]))
+    for (const { x, y } of samples) {
+      const { z, den } = blendLogit(x, weights)
+      if (den <= 0) continue
+      const residual = invLogit(z) - y
+      for (const source of BLEND_SOURCES) {
+        if (x[source] != null) gradient[source] += residual * (x[source] - z) / den / n
+      }
+    }
+    while (step > 1e-6) {
+      const next = project(Object.fromEntries(BLEND_SOURCES.map((source) => [source, weights[source] - step * gradient[source]])))
+      const value = objective(next)
+      if (value < current) {
+        const moved = BLEND_SOURCES.some((source) => Math.abs(next[source] - weights[source]) > 1e-8)
+        weights = next
+        current = value
+        if (!moved) step = 0
+        break
+      }
+      step /= 2
+    }
+  }
+
+  // Only the ratios matter to the blend; report weights that sum to 1.
+  const total = BLEND_SOURCES.reduce((sum, source) => sum + weights[source], 0)
+  return Object.fromEntries(BLEND_SOURCES.map((source) => [source, weights[source] / total]))
+}
+
+/**
+ * Fit blend weights for one (tour, marketKey) from settled rows of
+ * `{ sim, dg, mkt, actualOutcome, settledAt }`. The fit is pulled towards
+ * `defaults`. Weights fitted on the earlier rows must beat the static weights'
+ * log loss on the latest `holdoutFraction` of them; the returned losses are
+ * those held-out ones. Returns null with too little history or when the
+ * held-out check fails; accepted weights are refitted on every row.
+ */
+export const fitBlendWeights = (rows, {
+  defaults = staticBlendWeights(),
+  minSamples = DEFAULT_MIN_SAMPLES,
+  ridge = DEFAULT_RIDGE,
+  holdoutFraction = DEFAULT_HOLDOUT_FRACTION
+} = {}) => {
+  const samples = toSamples(rows)
+  if (samples.length < minSamples) return null
+
+  const { training, holdout } = splitByTime(samples, { fraction: holdoutFraction })
+  const trainingWeights = fitWeights(training, defaults, { ridge })
+  const staticLogLoss = blendLogLoss(holdout, defaults)
+  const fittedLogLoss = blendLogLoss(holdout, trainingWeights)
+  if (!(fittedLogLoss < staticLogLoss)) return null
+
+  return {
+    weights: fitWeights(samples, defaults, { ridge }),
+    defaults,
+    ridge,
+    sampleSize: samples.length,
+    holdoutSize: holdout.length,
+    logLoss: fittedLogLoss,
+    staticLogLoss
+  }
+}
@@ -0,0 +1,19 @@
+// Active learned blend weights keyed by `${tour}:${marketKey}`. Loaded from the
+// database at the start of a run; markets without a version use the static
+// weights.
+const activeConfigs = new Map()
+
+const configKey = (tour, marketKey) => `${String(tour || '').toUpperCase()}:${marketKey}`
+
+export const setBlendWeightConfigs = (configs = []) => {
+  activeConfigs.clear()
+  for (const config of configs) {
+    if (!config?.tour || !config?.marketKey || !config?.weightsJson) continue
+    activeConfigs.set(configKey(config.tour, config.marketKey), config)
+  }
+  return activeConfigs.size
+}
+
+export const getBlendWeightConfig = (marketKey, tour) => activeConfigs.get(configKey(tour, marketKey)) || null
+
+export const getBlendWeights = (marketKey, tour, defaults) => getBlendWeightConfig(marketKey, tour)?.weightsJson || defaults
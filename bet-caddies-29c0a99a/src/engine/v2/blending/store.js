@@ -0,0 +1,110 @@
+import { prisma } from '../../../db/client.js'
+import { logger } from '../../../observability/logger.js'
+import { fitBlendWeights, readBlendInputs } from './fit.js'
+import { setBlendWeightConfigs } from './index.js'
+
+export const loadBlendWeightConfigs = async () => {
+  const configs = await prisma.blendWeightConfig.findMany({ where: { active: true } })
+  setBlendWeightConfigs(configs)
+  return configs
+}
+
+/**
+ * Fit a new blend-weight version per (tour, marketKey) from settled outcome
+ * metrics. A version only becomes active when it beats the static weights'
+ * log loss on the most recently settled rows, held out of its trial fit;
+ * earlier versions are kept so they can be rolled back to.
+ */
+export const fitBlendWeightConfigs = async (options = {}) => {
+  const rows = await prisma.selectionOutcomeMetric.findMany({
+    where: {
+      actualOutcome: { not: null },
+      settledAt: { not: null }
+    },
+    select: {
+      tour: true,
+      marketKey: true,
+      predictedProb: true,
+      dgProb: true,
+      confidenceJson: true,
+      actualOutcome: true,
+      settledAt: true
+    }
+  })
+
+  const groups = new Map()
+  for (const row of rows) {
+    const key = `${String(row.tour).toUpperCase()}:${row.marketKey}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(readBlendInputs(row))
+  }
+
+  const created = []
+  for (const [key, groupRows] of groups.entries()) {
+    const [tour, marketKey] = key.split(':')
+    const fit = fitBlendWeights(groupRows, options)
+    if (!fit) {
+      logger.info('Blend weight fit skipped', { tour, marketKey, samples: groupRows.length })
+      continue
+    }
+
+    const latest = await prisma.blendWeightConfig.findFirst({
+      where: { tour, marketKey },
+      orderBy: { version: 'desc' }
+    })
+    const config = await prisma.$transaction(async (tx) => {
+      await tx.blendWeightConfig.updateMany({
+        where: { tour, marketKey, active: true },
+        data: { active: false }
+      })
+      return tx.blendWeightConfig.create({
+        data: {
+          tour,
+          marketKey,
+          version: (latest?.version || 0) + 1,
+          weightsJson: fit.weights,
+          defaultsJson: fit.defaults,
+          ridge: fit.ridge,
+          sampleSize: fit.sampleSize,
+          holdoutSize: fit.holdoutSize,
+          logLoss: fit.logLoss,
+          staticLogLoss: fit.staticLogLoss,
+          active: true
+        }
+      })
+    })
+    logger.info('Blend weights activated', {
+      tour,
+      marketKey,
+      version: config.version,
+      weights: config.weightsJson,
+      samples: config.sampleSize,
+      holdoutSamples: config.holdoutSize,
+      logLoss: config.logLoss,
+      staticLogLoss: config.staticLogLoss
+    })
+    created.push(config)
+  }
+
+  return created
+}
+
+// Deactivates the current version and reactivates the one before it (if any).
+export const rollbackBlendWeights = async ({ tour, marketKey }) => {
+  const normalizedTour = String(tour).toUpperCase()
+  const current = await prisma.blendWeightConfig.findFirst({
+    where: { tour: normalizedTour, marketKey, active: true }
+  })
+  if (!current) return null
+
+  const previous = await prisma.blendWeightConfig.findFirst({
+    where: { tour: normalizedTour, marketKey, version: { lt: current.version } },
+    orderBy: { version: 'desc' }
+  })
+
+  return prisma.$transaction(async (tx) => {
+    await tx.blendWeightConfig.update({ where: { id: current.id }, data: { active: false } })
+    if (!previous) return null
+    return tx.blendWeightConfig.update({ where: { id: previous.id }, data: { active: true } })
+  })
+}
@@ -0,0 +1,137 @@
+import { clampProbability, logit, invLogit } from '../odds/odds-utils.js'
+import { splitByTime } from '../holdout.js'
+
+const DEFAULT_MIN_SAMPLES = Number(process.env.CALIBRATION_MIN_SAMPLES || 50)
+const DEFAULT_ISOTONIC_MIN_SAMPLES = Number(process.env.CALIBRATION_ISOTONIC_MIN_SAMPLES || 300)
+const DEFAULT_HOLDOUT_FRACTION = Number(process.env.CALIBRATION_HOLDOUT_FRACTION || 0.3)
+
+// Maps are applied to the blend before calibration, so they are fitted on the
+// recorded pre-calibration probability (`rawProb`) where there is one.
+const toSamples = (rows = []) => rows
+  .map((row) => ({ p: Number(row.rawProb ?? row.predictedProb), y: Number(row.actualOutcome), settledAt: row.settledAt }))
+  .filter((row) => Number.isFinite(row.p) && Number.isFinite(row.y))
+  .map((row) => ({ p: clampProbability(row.p), y: row.y >= 1 ? 1 : (row.y <= 0 ? 0 : row.y), settledAt: row.settledAt }))
+
+export const logLoss = (samples, map = (p) => p) => {
+  if (samples.length === 0) return NaN
+  const total = samples.reduce((sum, { p, y }) => {
+    const q = clampProbability(map(p))
+    return sum - (y * Math.log(q) + (1 - y) * Math.log(1 - q))
+  }, 0)
+  return total / samples.length
+}
+
+// Pool-adjacent-violators: merge neighbouring blocks until outcome rates are
+// non-decreasing in predicted probability.
+export const fitIsotonic = (samples) => {
+  const sorted = [...samples].sort((a, b) => a.p - b.p)
+  const blocks = []
+  for (const { p, y } of sorted) {
+    blocks.push({ sumP: p, sumY: y, count: 1 })
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1]
+      const prev = blocks[blocks.length - 2]
+      if (prev.sumY / prev.count <= last.sumY / last.count) break
+      blocks.splice(blocks.length - 2, 2, {
+        sumP: prev.sumP + last.sumP,
+        sumY: prev.sumY + last.sumY,
+        count: prev.count + last.count
+      })
+    }
+  }
+  return {
+    points: blocks.map((block) => ({
+      x: block.sumP / block.count,
+      y: clampProbability(block.sumY / block.count)
+    }))
+  }
+}
+
+// Platt scaling in logit space: calibrated = invLogit(a * logit(p) + b),
+// fitted by Newton steps with a light ridge pull towards the identity map.
+export const fitPlatt = (samples, { iterations = 50, ridge = 1 } = {}) => {
+  let a = 1
+  let b = 0
+  for (let i = 0; i < iterations; i += 1) {
+    let gA = ridge * (a - 1)
+    let gB = ridge * b
+    let hAA = ridge
+    let hAB = 0
+    let hBB = ridge
+    for (const { p, y } of samples) {
+      const x = logit(p)
+      const q = invLogit(a * x + b)
+      const w = q * (1 - q)
+      gA += (q - y) * x
+      gB += q - y
+      hAA += w * x * x
+      hAB += w * x
+      hBB += w
+    }
+    const det = hAA * hBB - hAB * hAB
+    if (!Number.isFinite(det) || Math.abs(det) < 1e-12) break
+    const stepA = (hBB * gA - hAB * gB) / det
+    const stepB = (hAA * gB - hAB * gA) / det
+    a -= stepA
+    b -= stepB
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break
+  }
+  return { a, b }
+}
+
+export const applyCalibrationParams = (probability, method, params) => {
+  if (!Number.isFinite(probability) || !params) return probability
+  if (method === 'platt') {
+    return clampProbability(invLogit(params.a * logit(clampProbability(probability)) + params.b))
+  }
+  if (method === 'isotonic') {
+    const points = params.points || []
+    if (points.length === 0) return probability
+    if (probability <= points[0].x) return points[0].y
+    const last = points[points.length - 1]
+    if (probability >= last.x) return last.y
+    for (let i = 1; i < points.length; i += 1) {
+      const right = points[i]
+      if (probability > right.x) continue
+      const left = points[i - 1]
+      const span = right.x - left.x
+      const t = span > 0 ? (probability - left.x) / span : 0
+      return clampProbability(left.y + t * (right.y - left.y))
+    }
+  }
+  return probability
+}
+
+/**
+ * Fit a calibration map for one (tour, marketKey) from settled outcome rows.
+ * Uses isotonic regression when there is enough data, Platt scaling otherwise.
+ * The map is first fitted on the earlier rows and must beat the uncalibrated
+ * log loss on the latest `holdoutFraction` of them (by `settledAt`); the
+ * returned losses are those held-out ones, and null means it did not beat
+ * the baseline. An accepted map is refitted on every row.
+ */
+export const fitCalibration = (rows, {
+  minSamples = DEFAULT_MIN_SAMPLES,
+  isotonicMinSamples = DEFAULT_ISOTONIC_MIN_SAMPLES,
+  holdoutFraction = DEFAULT_HOLDOUT_FRACTION
+} = {}) => {
+  const samples = toSamples(rows)
+  if (samples.length < minSamples) return null
+
+  const method = samples.length >= isotonicMinSamples ? 'isotonic' : 'platt'
+  const fit = (set) => (method === 'isotonic' ? fitIsotonic(set) : fitPlatt(set))
+  const { training, holdout } = splitByTime(samples, { fraction: holdoutFraction })
+  const trainingParams = fit(training)
+  const baselineLogLoss = logLoss(holdout)
+  const fittedLogLoss = logLoss(holdout, (p) => applyCalibrationParams(p, method, trainingParams))
+  if (!(fittedLogLoss < baselineLogLoss)) return null
+
+  return {
+    method,
+    params: fit(samples),
+    sampleSize: samples.length,
+    holdoutSize: holdout.length,
+    logLoss: fittedLogLoss,
+    baselineLogLoss
+  }
+}
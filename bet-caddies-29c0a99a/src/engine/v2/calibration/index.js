@@ -1,3 +1,29 @@
+import { applyCalibrationParams } from './fit.js'
+
+// Active calibration tables keyed by `${tour}:${marketKey}`. Loaded from the
+// database at the start of a run; an empty registry leaves probabilities as-is.
+const activeTables = new Map()
+
+const tableKey = (tour, marketKey) => `${String(tour || '').toUpperCase()}:${marketKey}`
+
+export const setCalibrationTables = (tables = []) => {
+  activeTables.clear()
+  for (const table of tables) {
+    if (!table?.tour || !table?.marketKey) continue
+    activeTables.set(tableKey(table.tour, table.marketKey), table)
+  }
+  return activeTables.size
+}
+
+export const getCalibrationTable = (marketKey, tour) => activeTables.get(tableKey(tour, marketKey)) || null
+
+export const getCalibrationVersion = (marketKey, tour) => {
+  const table = getCalibrationTable(marketKey, tour)
+  return table ? { id: table.id, version: table.version, method: table.method } : null
+}
+
 export const applyCalibration = (probability, marketKey, tour) => {
-  return probability
+  const table = getCalibrationTable(marketKey, tour)
+  if (!table) return probability
+  return applyCalibrationParams(probability, table.method, table.paramsJson)
 }
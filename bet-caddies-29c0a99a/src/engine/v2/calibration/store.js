@@ -0,0 +1,103 @@
+import { prisma } from '../../../db/client.js'
+import { logger } from '../../../observability/logger.js'
+import { fitCalibration } from './fit.js'
+import { setCalibrationTables } from './index.js'
+
+export const loadCalibrationTables = async () => {
+  const tables = await prisma.calibrationTable.findMany({ where: { active: true } })
+  setCalibrationTables(tables)
+  return tables
+}
+
+/**
+ * Fit a new calibration version per (tour, marketKey) from settled outcome
+ * metrics. A new version only becomes active when it beats the uncalibrated
+ * log loss on the most recently settled rows, which its trial fit did not see;
+ * earlier versions are kept so they can be rolled back to.
+ */
+export const fitCalibrationTables = async (options = {}) => {
+  const rows = await prisma.selectionOutcomeMetric.findMany({
+    // The published predictedProb is already calibrated; refitting on it would
+    // stack maps, so only rows with the pre-calibration probability count.
+    where: {
+      rawProb: { not: null },
+      actualOutcome: { not: null },
+      settledAt: { not: null }
+    },
+    select: { tour: true, marketKey: true, rawProb: true, actualOutcome: true, settledAt: true }
+  })
+
+  const groups = new Map()
+  for (const row of rows) {
+    const key = `${String(row.tour).toUpperCase()}:${row.marketKey}`
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  }
+
+  const created = []
+  for (const [key, groupRows] of groups.entries()) {
+    const [tour, marketKey] = key.split(':')
+    const fit = fitCalibration(groupRows, options)
+    if (!fit) {
+      logger.info('Calibration fit skipped', { tour, marketKey, samples: groupRows.length })
+      continue
+    }
+
+    const latest = await prisma.calibrationTable.findFirst({
+      where: { tour, marketKey },
+      orderBy: { version: 'desc' }
+    })
+    const table = await prisma.$transaction(async (tx) => {
+      await tx.calibrationTable.updateMany({
+        where: { tour, marketKey, active: true },
+        data: { active: false }
+      })
+      return tx.calibrationTable.create({
+        data: {
+          tour,
+          marketKey,
+          version: (latest?.version || 0) + 1,
+          method: fit.method,
+          paramsJson: fit.params,
+          sampleSize: fit.sampleSize,
+          logLoss: fit.logLoss,
+          baselineLogLoss: fit.baselineLogLoss,
+          active: true
+        }
+      })
+    })
+    logger.info('Calibration table activated', {
+      tour,
+      marketKey,
+      version: table.version,
+      method: table.method,
+      samples: table.sampleSize,
+      holdoutSamples: fit.holdoutSize,
+      logLoss: table.logLoss,
+      baselineLogLoss: table.baselineLogLoss
+    })
+    created.push(table)
+  }
+
+  return created
+}
+
+// Deactivates the current version and reactivates the one before it (if any).
+export const rollbackCalibration = async ({ tour, marketKey }) => {
+  const normalizedTour = String(tour).toUpperCase()
+  const current = await prisma.calibrationTable.findFirst({
+    where: { tour: normalizedTour, marketKey, active: true }
+  })
+  if (!current) return null
+
+  const previous = await prisma.calibrationTable.findFirst({
+    where: { tour: normalizedTour, marketKey, version: { lt: current.version } },
+    orderBy: { version: 'desc' }
+  })
+
+  return prisma.$transaction(async (tx) => {
+    await tx.calibrationTable.update({ where: { id: current.id }, data: { active: false } })
+    if (!previous) return null
+    return tx.calibrationTable.update({ where: { id: previous.id }, data: { active: true } })
+  })
+}
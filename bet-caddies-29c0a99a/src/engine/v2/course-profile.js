@@ -1,19 +1,118 @@
-export const buildCourseProfile = ({ event, historicalRounds = [] } = {}) => {
+export const SG_CATEGORIES = ['ott', 'app', 'arg', 'putt']
+
+// Share of strokes-gained variance each category explains at a typical tour
+// venue. Course demands are expressed relative to these.
+export const BASELINE_DEMANDS = { ott: 0.25, app: 0.38, arg: 0.15, putt: 0.22 }
+
+// Multipliers applied to the baseline demand for known course traits.
+const TYPE_TAG_DEMANDS = {
+  links: { ott: 0.95, app: 0.95, arg: 1.25, putt: 0.9 },
+  long: { ott: 1.25, app: 1.0, arg: 0.9, putt: 0.95 },
+  tight: { ott: 0.85, app: 1.15, arg: 1.0, putt: 1.0 },
+  'tree-lined': { ott: 0.9, app: 1.1, arg: 1.0, putt: 1.0 },
+  'small-greens': { ott: 0.95, app: 1.15, arg: 1.15, putt: 0.85 },
+  'large-greens': { ott: 1.0, app: 0.95, arg: 0.9, putt: 1.2 },
+  'poa-greens': { ott: 1.0, app: 1.0, arg: 1.0, putt: 1.15 },
+  'bentgrass-greens': { ott: 1.0, app: 1.0, arg: 1.0, putt: 1.05 },
+  'bermuda-greens': { ott: 1.0, app: 1.0, arg: 1.05, putt: 1.1 },
+  'water-heavy': { ott: 1.05, app: 1.1, arg: 0.95, putt: 0.95 },
+  desert: { ott: 1.1, app: 1.05, arg: 0.95, putt: 0.95 }
+}
+
+// Minimum player-round samples before historical SG dispersion is trusted.
+const MIN_HISTORICAL_SG_SAMPLES = 200
+
+const normalizeTag = (tag) => String(tag || '').trim().toLowerCase().replace(/[\s_]+/g, '-')
+
+const readScore = (row) => Number(
+  row.total_score ?? row.score ?? row.total ?? row.statsJson?.score ?? row.statsJson?.round_score
+)
+
+const readSg = (row, category) => {
+  const sources = [row.strokesGainedJson, row.strokes_gained, row.statsJson, row]
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue
+    const value = Number(source[`sg_${category}`] ?? source[category])
+    if (Number.isFinite(value)) return value
+  }
+  return NaN
+}
+
+const variance = (values) => {
+  if (values.length === 0) return NaN
+  const mean = values.reduce((a, b) => a + b, 0) / values.length
+  return values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length
+}
+
+const normalizeDemands = (demands) => {
+  const total = SG_CATEGORIES.reduce((sum, category) => sum + demands[category], 0)
+  return Object.fromEntries(SG_CATEGORIES.map((category) => [category, demands[category] / total]))
+}
+
+// Categories whose strokes gained spread out more at this venue decide more
+// of the leaderboard, so their share of historical SG variance is what the
+// course rewards.
+const buildHistoricalDemands = (historicalRounds) => {
+  const byCategory = Object.fromEntries(SG_CATEGORIES.map((category) => [
+    category,
+    historicalRounds.map((row) => readSg(row, category)).filter(Number.isFinite)
+  ]))
+  const samples = Math.min(...SG_CATEGORIES.map((category) => byCategory[category].length))
+  if (samples < MIN_HISTORICAL_SG_SAMPLES) return { demands: null, samples }
+  const variances = Object.fromEntries(SG_CATEGORIES.map((category) => [category, variance(byCategory[category])]))
+  return { demands: normalizeDemands(variances), samples }
+}
+
+export const buildCourseProfile = ({ event, course = null, historicalRounds = [] } = {}) => {
   const scores = historicalRounds
-    .map((row) => Number(row.total_score || row.score || row.total))
+    .map(readScore)
     .filter(Number.isFinite)
 
   const mean = scores.length > 0
     ? scores.reduce((a, b) => a + b, 0) / scores.length
     : 0
 
-  const variance = scores.length > 0
-    ? scores.reduce((a, b) => a + (b - mean) ** 2, 0) / scores.length
+  const scoreVariance = scores.length > 0
+    ? variance(scores)
     : 4
 
+  let traitDemands = { ...BASELINE_DEMANDS }
+  const tags = (Array.isArray(course?.typeTags) ? course.typeTags : []).map(normalizeTag)
+  for (const tag of tags) {
+    const multipliers = TYPE_TAG_DEMANDS[tag]
+    if (!multipliers) continue
+    for (const category of SG_CATEGORIES) traitDemands[category] *= multipliers[category]
+  }
+  if (Number.isFinite(course?.yardage) && course.yardage > 0) {
+    // Every 200 yards over 7,200 shifts roughly 5% more weight onto driving.
+    const lengthFactor = Math.max(0.85, Math.min(1.25, 1 + ((course.yardage - 7200) / 200) * 0.05))
+    traitDemands.ott *= lengthFactor
+  }
+  if (Number.isFinite(course?.par) && course.par > 0 && course.par < 72) {
+    // Fewer par 5s put more of the scoring on approach play.
+    traitDemands.app *= 1 + (72 - course.par) * 0.05
+  }
+  traitDemands = normalizeDemands(traitDemands)
+
+  const historical = buildHistoricalDemands(historicalRounds)
+  const demands = historical.demands
+    ? normalizeDemands(Object.fromEntries(SG_CATEGORIES.map((category) => [
+        category,
+        (traitDemands[category] + historical.demands[category]) / 2
+      ])))
+    : traitDemands
+
   return {
     eventId: event?.id || null,
     mean,
-    variance
+    variance: scoreVariance,
+    scoreSamples: scores.length,
+    demands,
+    demandSources: {
+      typeTags: tags.filter((tag) => TYPE_TAG_DEMANDS[tag]),
+      yardage: Number.isFinite(course?.yardage) ? course.yardage : null,
+      par: Number.isFinite(course?.par) ? course.par : null,
+      historicalSgSamples: historical.samples
+    }
   }
 }
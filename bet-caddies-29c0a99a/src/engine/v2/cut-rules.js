@@ -0,0 +1,92 @@
+// Cut rule shape used by the simulator:
+// {
+//   cutAfter: round after which the cut is made (0 = no cut),
+//   cutSize: number of places that make the cut,
+//   ties: true when everyone tied for the last place also makes it,
+//   tenShotRule: stroke margin from the lead that also makes the cut (null = off),
+//   secondaryCut: { after, size, ties } trimming the field again (MDF-style) or null
+// }
+
+const NO_CUT = { cutAfter: 0, cutSize: 0, ties: true, tenShotRule: null, secondaryCut: null }
+const TOP_65 = { cutAfter: 2, cutSize: 65, ties: true, tenShotRule: null, secondaryCut: null }
+
+export const TOUR_DEFAULT_CUT_RULES = {
+  PGA: TOP_65,
+  DPWT: TOP_65,
+  KFT: TOP_65,
+  LIV: NO_CUT
+}
+
+// Events whose cut differs from the tour default. Matched on event name,
+// first match wins.
+export const EVENT_CUT_RULES = [
+  { tours: ['DPWT'], match: /\bbmw pga championship\b/i, rule: { cutAfter: 2, cutSize: 65, ties: true } },
+  { tours: ['PGA', 'DPWT'], match: /\bmasters tournament\b|^the masters$/i, rule: { cutAfter: 2, cutSize: 50, ties: true } },
+  { tours: ['PGA', 'DPWT'], match: /\bu\.?s\.? open\b/i, rule: { cutAfter: 2, cutSize: 60, ties: true } },
+  { tours: ['PGA', 'DPWT'], match: /\b(the )?open championship\b/i, rule: { cutAfter: 2, cutSize: 70, ties: true } },
+  { tours: ['PGA', 'DPWT'], match: /\bpga championship\b/i, rule: { cutAfter: 2, cutSize: 70, ties: true } },
+  { tours: ['PGA'], match: /\bthe players\b/i, rule: { cutAfter: 2, cutSize: 65, ties: true } },
+  {
+    tours: ['PGA'],
+    match: /\b(genesis invitational|arnold palmer invitational|memorial tournament)\b/i,
+    rule: { cutAfter: 2, cutSize: 50, ties: true, tenShotRule: 10 }
+  },
+  {
+    tours: ['PGA'],
+    match: /\b(the sentry|at&t pebble beach|rbc heritage|travelers championship|tour championship|bmw championship|fedex st\.? jude|hero world challenge|zozo championship)\b/i,
+    rule: NO_CUT
+  },
+  { tours: ['DPWT'], match: /\b(dp world tour championship|nedbank golf challenge)\b/i, rule: NO_CUT },
+  { tours: ['KFT'], match: /\bkorn ferry tour championship\b/i, rule: NO_CUT }
+]
+
+export const normalizeCutRule = (rule, fallback = TOP_65) => {
+  if (!rule || typeof rule !== 'object') return { ...fallback }
+  const cutAfter = Number.isFinite(Number(rule.cutAfter)) ? Math.max(0, Math.floor(Number(rule.cutAfter))) : fallback.cutAfter
+  const cutSize = Number.isFinite(Number(rule.cutSize)) ? Math.max(0, Math.floor(Number(rule.cutSize))) : fallback.cutSize
+  const tenShotRule = Number.isFinite(Number(rule.tenShotRule)) && Number(rule.tenShotRule) > 0
+    ? Number(rule.tenShotRule)
+    : (rule.tenShotRule === true ? 10 : null)
+  const secondary = rule.secondaryCut
+  const secondaryCut = secondary && Number.isFinite(Number(secondary.after)) && Number.isFinite(Number(secondary.size))
+    && Number(secondary.after) > cutAfter && Number(secondary.size) > 0
+    ? { after: Math.floor(Number(secondary.after)), size: Math.floor(Number(secondary.size)), ties: secondary.ties !== false }
+    : null
+  return {
+    cutAfter: cutSize > 0 ? cutAfter : 0,
+    cutSize: cutAfter > 0 ? cutSize : 0,
+    ties: rule.ties !== false,
+    tenShotRule,
+    secondaryCut
+  }
+}
+
+// Overrides are stored per event; prefer the DataGolf event id over the name.
+export const buildCutRuleEventKey = ({ dgEventId, eventName } = {}) => {
+  if (dgEventId) return `dg:${dgEventId}`
+  const name = String(eventName || '').trim().toLowerCase().replace(/\s+/g, ' ')
+  return name ? `name:${name}` : null
+}
+
+export const resolveCutRule = ({ tour, eventName, override = null } = {}) => {
+  const tourKey = String(tour || 'PGA').toUpperCase()
+  const tourDefault = TOUR_DEFAULT_CUT_RULES[tourKey] || TOUR_DEFAULT_CUT_RULES.PGA
+  if (override) {
+    return { rule: normalizeCutRule(override, tourDefault), source: 'override' }
+  }
+  const entry = EVENT_CUT_RULES.find((candidate) => candidate.tours.includes(tourKey) && candidate.match.test(String(eventName || '')))
+  if (entry) {
+    return { rule: normalizeCutRule(entry.rule, tourDefault), source: 'registry' }
+  }
+  return { rule: normalizeCutRule(tourDefault, tourDefault), source: 'tour_default' }
+}
+
+export const describeCutRule = (rule) => {
+  if (!rule || rule.cutAfter === 0) return 'No cut'
+  const parts = [`Top ${rule.cutSize}${rule.ties ? ' & ties' : ''} after R${rule.cutAfter}`]
+  if (rule.tenShotRule) parts.push(`or within ${rule.tenShotRule} of lead`)
+  if (rule.secondaryCut) {
+    parts.push(`then top ${rule.secondaryCut.size}${rule.secondaryCut.ties ? ' & ties' : ''} after R${rule.secondaryCut.after}`)
+  }
+  return parts.join(', ')
+}
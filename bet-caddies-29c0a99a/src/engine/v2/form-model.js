@@ -0,0 +1,118 @@
+// Round-level strokes-gained form built from the HistoricalRound warehouse.
+// Recent rounds count more (exponential decay by rounds played), and each
+// player's volatility and tail weight come from their own round-to-round
+// spread, shrunk toward the tour norm until enough rounds have been seen.
+
+export const DEFAULT_FORM_HALF_LIFE_ROUNDS = 40
+export const MAX_FORM_ROUNDS = 120
+// Typical round-to-round standard deviation of total strokes gained.
+export const TOUR_ROUND_SG_SD = 2.8
+// Typical excess kurtosis of round strokes gained: slightly fatter than normal.
+export const TOUR_ROUND_SG_KURTOSIS = 0.5
+// Pseudo-rounds of tour-norm spread blended into each player's volatility.
+const VOLATILITY_PRIOR_ROUNDS = 20
+// Fourth moments are noisier than variances, so tails need more rounds.
+const KURTOSIS_PRIOR_ROUNDS = 60
+const MAX_KURTOSIS = 6
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return NaN
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+const readRoundSg = (row) => {
+  const sources = [row.strokesGainedJson, row.statsJson]
+  for (const source of sources) {
+    if (!source || typeof source !== 'object') continue
+    const value = toNumber(source.sg_total ?? source.total ?? source.sgTotal)
+    if (Number.isFinite(value)) return value
+  }
+  return NaN
+}
+
+// Tee times are not always stored; fall back to mid-season of the event year
+// so rounds still sort by recency, with the round number breaking ties.
+const readRoundTime = (row) => {
+  const teeTime = row.teeTimeUtc ? new Date(row.teeTimeUtc).getTime() : NaN
+  if (Number.isFinite(teeTime)) return teeTime
+  const year = toNumber(row.year)
+  return Number.isFinite(year) ? Date.UTC(year, 6, 1) : 0
+}
+
+const summarizePlayerRounds = (rounds, halfLifeRounds) => {
+  let sumW = 0
+  let sumW2 = 0
+  let sumSg = 0
+  rounds.forEach((round, index) => {
+    const weight = 0.5 ** (index / halfLifeRounds)
+    sumW += weight
+    sumW2 += weight * weight
+    sumSg += weight * round.sg
+  })
+  const sgTotal = sumSg / sumW
+  const effectiveRounds = (sumW * sumW) / sumW2
+
+  let weightedSquares = 0
+  let weightedFourths = 0
+  rounds.forEach((round, index) => {
+    const weight = 0.5 ** (index / halfLifeRounds)
+    weightedSquares += weight * (round.sg - sgTotal) ** 2
+    weightedFourths += weight * (round.sg - sgTotal) ** 4
+  })
+  // Unbiased weighted variance needs more than one effective round.
+  const sampleVariance = effectiveRounds > 1
+    ? (weightedSquares / sumW) * (effectiveRounds / (effectiveRounds - 1))
+    : 0
+  const observed = effectiveRounds > 1 ? effectiveRounds : 0
+  const roundSd = Math.sqrt(
+    (observed * sampleVariance + VOLATILITY_PRIOR_ROUNDS * TOUR_ROUND_SG_SD ** 2) /
+    (observed + VOLATILITY_PRIOR_ROUNDS)
+  )
+  // Thin-tailed samples are floored at normal, which the simulator draws by default.
+  const secondMoment = weightedSquares / sumW
+  const sampleKurtosis = observed > 0 && secondMoment > 0
+    ? weightedFourths / sumW / secondMoment ** 2 - 3
+    : TOUR_ROUND_SG_KURTOSIS
+  const kurtosis = Math.max(0, Math.min(MAX_KURTOSIS,
+    (observed * sampleKurtosis + KURTOSIS_PRIOR_ROUNDS * TOUR_ROUND_SG_KURTOSIS) /
+    (observed + KURTOSIS_PRIOR_ROUNDS)
+  ))
+
+  return {
+    sgTotal,
+    roundSd,
+    kurtosis,
+    rounds: rounds.length,
+    effectiveRounds,
+    lastRoundAt: rounds[0].time ? new Date(rounds[0].time).toISOString() : null
+  }
+}
+
+/**
+ * Builds per-player form from HistoricalRound rows, keyed by `playerId`
+ * (DataGolf id, or name for rows stored without one). Rounds without a
+ * total strokes-gained value are skipped.
+ */
+export const buildFormRatings = ({
+  historicalRounds = [],
+  halfLifeRounds = DEFAULT_FORM_HALF_LIFE_ROUNDS,
+  maxRounds = MAX_FORM_ROUNDS
+} = {}) => {
+  const byPlayer = new Map()
+  for (const row of historicalRounds) {
+    if (!row?.playerId) continue
+    const sg = readRoundSg(row)
+    if (!Number.isFinite(sg)) continue
+    const playerId = String(row.playerId)
+    if (!byPlayer.has(playerId)) byPlayer.set(playerId, [])
+    byPlayer.get(playerId).push({ sg, time: readRoundTime(row), round: toNumber(row.round) || 0 })
+  }
+
+  const ratings = new Map()
+  for (const [playerId, rounds] of byPlayer.entries()) {
+    rounds.sort((a, b) => (b.time - a.time) || (b.round - a.round))
+    ratings.set(playerId, summarizePlayerRounds(rounds.slice(0, maxRounds), halfLifeRounds))
+  }
+  return ratings
+}
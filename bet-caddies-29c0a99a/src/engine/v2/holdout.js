@@ -0,0 +1,21 @@
+/**
+ * Splits settled rows by time for out-of-sample checks: the latest `fraction`
+ * of rows (by `getTime`, oldest first) is held out and the rest is for
+ * fitting. Rows without a time sort first and otherwise keep their order.
+ */
+export const splitByTime = (rows, { fraction = 0.3, getTime = (row) => row.settledAt } = {}) => {
+  const timeOf = (row) => {
+    const value = getTime(row)
+    const time = value instanceof Date ? value.getTime() : (value == null ? NaN : new Date(value).getTime())
+    return Number.isFinite(time) ? time : -Infinity
+  }
+  const ordered = rows
+    .map((row, index) => ({ row, index, time: timeOf(row) }))
+    .sort((a, b) => (a.time - b.time) || (a.index - b.index))
+    .map(({ row }) => row)
+  const holdoutSize = Math.min(ordered.length - 1, Math.max(1, Math.ceil(ordered.length * fraction)))
+  return {
+    training: ordered.slice(0, ordered.length - holdoutSize),
+    holdout: ordered.slice(ordered.length - holdoutSize)
+  }
+}
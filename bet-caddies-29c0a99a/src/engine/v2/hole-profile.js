@@ -0,0 +1,77 @@
+const DEFAULT_HOLE_COUNT = 18
+
+// Par layout used when only the course total is known: par 3s and par 5s
+// spread evenly around the card, the remainder par 4s. The two hole lists do
+// not overlap, so the card adds up to the course par from 64 to 80.
+const PAR3_HOLES = [2, 6, 11, 15, 7, 16, 0, 10]
+const PAR5_HOLES = [4, 9, 13, 17, 1, 12, 5, 14]
+
+const buildDefaultPars = (coursePar) => {
+  const total = Number.isFinite(coursePar) && coursePar > 0 ? coursePar : 72
+  const diff = total - DEFAULT_HOLE_COUNT * 4
+  const pars = new Array(DEFAULT_HOLE_COUNT).fill(4)
+  const par3Count = diff < 0 ? Math.min(8, 4 - diff) : Math.max(0, 4 - diff)
+  const par5Count = Math.min(8, Math.max(0, par3Count + diff))
+  for (const index of PAR3_HOLES.slice(0, par3Count)) pars[index] = 3
+  for (const index of PAR5_HOLES.slice(0, par5Count)) pars[index] = 5
+  return pars
+}
+
+const toNumber = (value) => {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+// DataGolf raw hole payloads come either flat (one row per player-hole) or
+// nested (one row per player-round with a holes/scores array).
+const extractHoleRows = (rows = []) => {
+  const holeRows = []
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') continue
+    const nested = Array.isArray(row.holes) ? row.holes : (Array.isArray(row.scores) ? row.scores : null)
+    if (nested) {
+      holeRows.push(...extractHoleRows(nested))
+      continue
+    }
+    const hole = toNumber(row.hole ?? row.hole_num ?? row.hole_number)
+    const par = toNumber(row.par)
+    const score = toNumber(row.score ?? row.strokes)
+    if (!Number.isFinite(hole) || hole < 1) continue
+    holeRows.push({ hole: Math.floor(hole), par, score })
+  }
+  return holeRows
+}
+
+// Always a full 18-hole card: holes without history (a partial payload, or
+// none at all) take their par from the course-par layout and no difficulty.
+export const buildHoleProfile = ({ course, historicalHoles = [] } = {}) => {
+  const holeRows = extractHoleRows(historicalHoles).filter((row) => row.hole <= DEFAULT_HOLE_COUNT)
+  const byHole = new Map()
+  for (const row of holeRows) {
+    if (!byHole.has(row.hole)) byHole.set(row.hole, { pars: [], toPar: [] })
+    const entry = byHole.get(row.hole)
+    if (Number.isFinite(row.par)) entry.pars.push(row.par)
+    if (Number.isFinite(row.par) && Number.isFinite(row.score)) entry.toPar.push(row.score - row.par)
+  }
+
+  const defaultPars = buildDefaultPars(course?.par)
+  const holes = []
+  for (let hole = 1; hole <= DEFAULT_HOLE_COUNT; hole += 1) {
+    const entry = byHole.get(hole)
+    const par = entry?.pars.length > 0
+      ? Math.round(entry.pars.reduce((a, b) => a + b, 0) / entry.pars.length)
+      : defaultPars[hole - 1]
+    // Difficulty is the field scoring average relative to par.
+    const difficulty = entry?.toPar.length > 0
+      ? entry.toPar.reduce((a, b) => a + b, 0) / entry.toPar.length
+      : 0
+    holes.push({ hole, par, difficulty, samples: entry?.toPar.length || 0 })
+  }
+
+  return {
+    courseName: course?.name || null,
+    par: holes.reduce((sum, hole) => sum + hole.par, 0),
+    holes,
+    samples: holeRows.length
+  }
+}
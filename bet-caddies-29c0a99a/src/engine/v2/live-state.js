@@ -0,0 +1,217 @@
+// Builds the simulator's in-play start state from live leaderboard rows. Two
+// shapes are read: leaderboard snapshots / in-play rows (current_score, today,
+// thru, R1-R4 in strokes) and live-tournament-stats rows (total, thru, and
+// `round` holding today's score). Live-stats rows win on the running score.
+
+const HOLES_PER_ROUND = 18
+const DEFAULT_PAR = 72
+
+// Must match cleanPlayerName() in player-normalizer.js
+const normalizeName = (name) => String(name || '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .replace(/[^\w\s-]/g, '')
+  .toLowerCase()
+
+const readToPar = (value) => {
+  if (value === null || value === undefined || value === '') return NaN
+  if (typeof value === 'string' && value.trim().toUpperCase() === 'E') return 0
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+// "F" is a finished round; "10*" (started on the back nine) still counts holes.
+const readThru = (value) => {
+  if (value === null || value === undefined || value === '') return NaN
+  if (typeof value === 'string') {
+    const normalized = value.trim().toUpperCase()
+    if (normalized === 'F' || normalized === 'F*') return HOLES_PER_ROUND
+    const n = parseInt(normalized.replace(/\D/g, ''), 10)
+    return Number.isFinite(n) ? Math.min(HOLES_PER_ROUND, n) : NaN
+  }
+  const n = Number(value)
+  return Number.isFinite(n) ? Math.min(HOLES_PER_ROUND, n) : NaN
+}
+
+const readStatus = (row) => {
+  const raw = row.current_pos ?? row.position ?? row.pos ?? null
+  if (typeof raw !== 'string') return null
+  const normalized = raw.toUpperCase().trim()
+  if (normalized === 'MC' || normalized === 'CUT' || normalized === 'MISSED CUT') return 'MC'
+  if (normalized === 'WD' || normalized === 'W/D' || normalized === 'WITHDRAWN') return 'WD'
+  if (normalized === 'DQ' || normalized === 'DISQUALIFIED') return 'DQ'
+  return null
+}
+
+const readRoundStrokes = (row) => {
+  const strokes = []
+  for (let round = 1; round <= 4; round += 1) {
+    const value = Number(row[`R${round}`] ?? row[`r${round}`] ?? row[`round_${round}`])
+    if (!Number.isFinite(value) || value <= 0) break
+    strokes.push(value)
+  }
+  return strokes
+}
+
+const readLeaderboardRow = (row) => ({
+  status: readStatus(row),
+  total: readToPar(row.current_score ?? row.total_to_par ?? row.total),
+  today: readToPar(row.today ?? row.today_to_par),
+  thru: readThru(row.thru ?? row.through),
+  strokes: readRoundStrokes(row)
+})
+
+const readLiveStatsRow = (row) => ({
+  status: readStatus(row),
+  total: readToPar(row.total ?? row.current_score),
+  today: readToPar(row.today ?? row.round),
+  thru: readThru(row.thru),
+  strokes: []
+})
+
+const rowId = (row) => (row?.dg_id != null ? String(row.dg_id) : null)
+const rowName = (row) => normalizeName(row?.player_name || row?.name)
+
+const indexRows = (rows, read) => {
+  const byId = new Map()
+  const byName = new Map()
+  for (const row of rows || []) {
+    if (!row || typeof row !== 'object') continue
+    const parsed = read(row)
+    if (rowId(row)) byId.set(rowId(row), parsed)
+    if (rowName(row)) byName.set(rowName(row), parsed)
+  }
+  return { byId, byName }
+}
+
+const lookup = (index, player) => (player.dgId != null ? index.byId.get(String(player.dgId)) : null) ||
+  index.byName.get(player.key) ||
+  null
+
+const pick = (preferred, fallback) => (Number.isFinite(preferred) ? preferred : fallback)
+
+const median = (values) => {
+  if (values.length === 0) return NaN
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+// Players mid-round have every finished round in the round columns, so their
+// strokes against their score to par before today give the course par.
+const estimatePar = (sources) => {
+  const estimates = []
+  for (const { board, stats } of sources) {
+    const strokes = board?.strokes || []
+    const total = pick(stats?.total, board?.total ?? NaN)
+    const today = pick(stats?.today, board?.today ?? NaN)
+    const thru = pick(stats?.thru, board?.thru ?? NaN)
+    if (strokes.length === 0 || !Number.isFinite(total) || !Number.isFinite(today)) continue
+    if (!(thru > 0 && thru < HOLES_PER_ROUND)) continue
+    const sum = strokes.reduce((acc, value) => acc + value, 0)
+    estimates.push((sum - (total - today)) / strokes.length)
+  }
+  const estimate = Math.round(median(estimates))
+  return Number.isFinite(estimate) ? estimate : null
+}
+
+// Finished rounds to par plus the round in progress, for one player.
+const buildPlayerProgress = (board, stats, par) => {
+  const status = stats?.status || board?.status || null
+  const total = pick(stats?.total, board?.total ?? NaN)
+  let today = pick(stats?.today, board?.today ?? NaN)
+  let thru = pick(stats?.thru, board?.thru ?? NaN)
+  const rounds = (board?.strokes || []).map((strokes) => strokes - par)
+
+  if (thru >= HOLES_PER_ROUND && Number.isFinite(today)) {
+    // A finished round may not have reached the round columns yet.
+    const recorded = rounds.length > 0 && Number.isFinite(total) &&
+      Math.abs(rounds.reduce((sum, score) => sum + score, 0) - total) < 0.5
+    if (!recorded) rounds.push(today)
+    today = 0
+    thru = 0
+  }
+  if (!Number.isFinite(thru) || !Number.isFinite(today)) {
+    today = 0
+    thru = 0
+  }
+
+  return { status, total, today, thru, rounds }
+}
+
+// Without round columns, the finished rounds' total is spread evenly.
+const fillMissingRounds = (progress, completedRounds) => {
+  if (progress.rounds.length >= completedRounds || !Number.isFinite(progress.total)) return progress.rounds
+  const known = progress.rounds.reduce((sum, score) => sum + score, 0)
+  const missing = completedRounds - progress.rounds.length
+  const share = (progress.total - progress.today - known) / missing
+  return [...progress.rounds, ...Array.from({ length: missing }, () => share)]
+}
+
+/**
+ * Builds `simulateTournament`'s `startState` from live rows. `players` are the
+ * simulated players (`{ key, dgId }`); `par` converts round strokes to par and
+ * is estimated from the rows when unknown. Returns `{ startState, matched,
+ * unmatched }`, with a null state when no player could be found in the feeds.
+ */
+export const buildLiveStartState = ({
+  players = [],
+  leaderboardRows = [],
+  liveStatsRows = [],
+  rounds = 4,
+  par = null
+} = {}) => {
+  const boardIndex = indexRows(leaderboardRows, readLeaderboardRow)
+  const statsIndex = indexRows(liveStatsRows, readLiveStatsRow)
+
+  const sources = new Map()
+  const unmatched = []
+  for (const player of players) {
+    const board = lookup(boardIndex, player)
+    const stats = lookup(statsIndex, player)
+    if (board || stats) sources.set(player.key, { board, stats })
+    else unmatched.push(player.key)
+  }
+  const coursePar = Number.isFinite(par) && par > 0
+    ? par
+    : (estimatePar(sources.values()) ?? DEFAULT_PAR)
+
+  const progressByKey = new Map()
+  for (const [key, { board, stats }] of sources) {
+    progressByKey.set(key, buildPlayerProgress(board, stats, coursePar))
+  }
+  if (progressByKey.size === 0) return { startState: null, matched: 0, unmatched }
+
+  const active = Array.from(progressByKey.values()).filter((progress) => !progress.status)
+  const inProgress = active.filter((progress) => progress.thru > 0)
+  const mostCompleted = Math.max(0, ...active.map((progress) => progress.rounds.length))
+  const round = Math.min(rounds + 1, inProgress.length > 0
+    ? Math.max(...inProgress.map((progress) => progress.rounds.length + 1))
+    : mostCompleted + 1)
+
+  // Scoring average of the round being played, per 18 holes.
+  const holesPlayed = inProgress.reduce((sum, progress) => sum + progress.thru, 0)
+  const lastRound = active.map((progress) => progress.rounds[round - 2]).filter(Number.isFinite)
+  const roundAverageToPar = holesPlayed > 0
+    ? inProgress.reduce((sum, progress) => sum + progress.today, 0) / holesPlayed * HOLES_PER_ROUND
+    : (lastRound.length > 0 ? lastRound.reduce((sum, score) => sum + score, 0) / lastRound.length : 0)
+
+  const cutMade = Array.from(progressByKey.values()).some((progress) => progress.status === 'MC')
+  const statePlayers = new Map()
+  for (const [key, progress] of progressByKey) {
+    const eliminated = Boolean(progress.status)
+    statePlayers.set(key, {
+      rounds: fillMissingRounds(progress, eliminated ? progress.rounds.length : round - 1),
+      today: progress.today,
+      thru: progress.thru,
+      madeCut: progress.status === 'MC' ? false : (cutMade ? true : null),
+      withdrawn: progress.status === 'WD' || progress.status === 'DQ'
+    })
+  }
+
+  return {
+    startState: { round, roundAverageToPar, cutMade, players: statePlayers },
+    matched: progressByKey.size,
+    unmatched
+  }
+}
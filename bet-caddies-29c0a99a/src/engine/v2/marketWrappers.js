@@ -1,26 +1,108 @@
-export const matchupProbability = (playerA, playerB, sims = []) => {
+import { deadHeatFraction } from '../../domain/dead-heat.js'
+
+const isScoreMatrix = (sims) => Boolean(sims && !Array.isArray(sims) && sims.playerIndex && sims.totals)
+
+// Reads per-sim scores from the simulator's typed-array output. `round` selects
+// a single round (1-based); otherwise tournament totals are used.
+const readScores = (scores, players, round) => {
+  const indices = players.map((player) => scores.playerIndex.get(player))
+  if (indices.some((index) => index == null)) return null
+  const playerCount = scores.playerKeys.length
+  const values = []
+  for (let sim = 0; sim < scores.simCount; sim += 1) {
+    values.push(indices.map((index) => (
+      round
+        ? scores.roundScores[(sim * playerCount + index) * scores.rounds + (round - 1)]
+        : scores.totals[sim * playerCount + index]
+    )))
+  }
+  return values
+}
+
+const toSimRows = (sims, players, round) => {
+  if (isScoreMatrix(sims)) return readScores(sims, players, round)
+  return sims.map((sim) => players.map((player) => sim[player]))
+}
+
+// Round-mode scores are continuous, so `strokes` rounds them to whole shots
+// before comparing; otherwise ties would never happen. `ties` is the book's
+// tie rule: 'dead_heat' pays a share of the stake on a tie for the best score,
+// 'void' returns the stake, so the price is the chance of winning given the
+// bet stands.
+const toStrokes = (value, strokes) => (strokes ? Math.round(value) : value)
+
+export const matchupProbability = (playerA, playerB, sims = [], { round = null, ties = 'dead_heat', strokes = false } = {}) => {
+  const rows = toSimRows(sims, [playerA, playerB], round)
+  if (!rows) return null
   let wins = 0
-  for (const sim of sims) {
-    const a = sim[playerA]
-    const b = sim[playerB]
-    if (a == null || b == null) continue
+  let settled = 0
+  for (const row of rows) {
+    if (row.some((value) => value == null || Number.isNaN(value))) continue
+    const [a, b] = row.map((value) => toStrokes(value, strokes))
+    if (a === b && ties === 'void') continue
+    settled += 1
     if (a < b) wins += 1
     if (a === b) wins += 0.5
   }
-  return sims.length > 0 ? wins / sims.length : null
+  return settled > 0 ? wins / settled : null
 }
 
-export const threeBallProbability = (playerA, playerB, playerC, sims = []) => {
+export const threeBallProbability = (playerA, playerB, playerC, sims = [], { round = null, ties = 'dead_heat', strokes = false } = {}) => {
+  const rows = toSimRows(sims, [playerA, playerB, playerC], round)
+  if (!rows) return null
   let wins = 0
-  for (const sim of sims) {
-    const a = sim[playerA]
-    const b = sim[playerB]
-    const c = sim[playerC]
-    if (a == null || b == null || c == null) continue
+  let settled = 0
+  for (const row of rows) {
+    if (row.some((value) => value == null || Number.isNaN(value))) continue
+    const [a, b, c] = row.map((value) => toStrokes(value, strokes))
+    const tiedForBest = (a === b && a <= c) || (a === c && a <= b)
+    if (tiedForBest && ties === 'void') continue
+    settled += 1
     if (a < b && a < c) wins += 1
     if (a === b && a < c) wins += 0.5
     if (a === c && a < b) wins += 0.5
     if (a === b && a === c) wins += 1 / 3
   }
-  return sims.length > 0 ? wins / sims.length : null
+  return settled > 0 ? wins / settled : null
+}
+
+/**
+ * Payout-equivalent chance of finishing inside each place count in `places`,
+ * per player, from tournament totals: ties on whole strokes straddling the
+ * last paying place pay their dead-heat share, as the simulator's top-5/10/20
+ * do, so each-way terms of any place count are priced the same way. Returns
+ * an empty map without a score matrix.
+ */
+export const placeProbabilities = (scores, places = []) => {
+  const counts = [...new Set(places)].filter((count) => Number.isInteger(count) && count >= 1)
+  const result = new Map()
+  if (!isScoreMatrix(scores) || counts.length === 0) return result
+  const playerCount = scores.playerKeys.length
+  const maxPlaces = Math.max(...counts)
+  const tallies = scores.playerKeys.map(() => counts.map(() => 0))
+  const order = scores.playerKeys.map((_, index) => index)
+  const totals = new Float64Array(playerCount)
+
+  for (let sim = 0; sim < scores.simCount; sim += 1) {
+    for (let index = 0; index < playerCount; index += 1) {
+      const total = scores.totals[sim * playerCount + index]
+      totals[index] = Number.isNaN(total) ? Number.MAX_VALUE : Math.round(total)
+    }
+    order.sort((a, b) => totals[a] - totals[b])
+    for (let start = 0; start < playerCount && start < maxPlaces;) {
+      let end = start + 1
+      while (end < playerCount && totals[order[end]] === totals[order[start]]) end += 1
+      counts.forEach((count, slot) => {
+        const fraction = deadHeatFraction({ position: start + 1, tiedCount: end - start, places: count })
+        if (!fraction) return
+        for (let rank = start; rank < end; rank += 1) tallies[order[rank]][slot] += fraction
+      })
+      start = end
+    }
+  }
+
+  scores.playerKeys.forEach((key, index) => {
+    result.set(key, Object.fromEntries(counts.map((count, slot) => [count, tallies[index][slot] / scores.simCount])))
+  })
+  return result
 }
@@ -0,0 +1,112 @@
+// Vig removal for one book's prices in one market. Every method returns fair
+// probabilities that sum to the market's expected total: 1 for a win market or
+// a matchup pairing, N for a top-N market (dead heats keep payouts equivalent
+// to exactly N places) and the cut size for make-cut.
+//
+// - multiplicative: implied probabilities scaled by total / booksum;
+// - additive: the same margin subtracted from every selection;
+// - power: implied probabilities raised to the exponent that hits the total;
+// - shin: Shin's insider-trading model, which loads more of the margin onto
+//   longshots, fitted on the prices as shares of the total.
+import { clampProbability, impliedProbability } from './odds-utils.js'
+
+export const VIG_METHODS = ['multiplicative', 'additive', 'power', 'shin']
+
+// Outright fields default to power (favourite-longshot bias); two- and
+// three-way matchups have too few prices to fit a bias and are scaled.
+export const DEFAULT_VIG_METHODS = { outright: 'power', matchup: 'multiplicative' }
+
+const PLACES = { win: 1, frl: 1, top_5: 5, top_10: 10, top_20: 20 }
+
+/**
+ * Sum of the fair probabilities across a market's selections, or null when it
+ * cannot be known from the prices: make-cut and missed-cut totals need the
+ * cut size and hold only when the book prices the whole field. A top-N total
+ * of N likewise needs the whole field, so a book pricing fewer than
+ * `fieldSize` selections gets null; without a field size it is taken as N.
+ */
+export const expectedMarketTotal = (marketKey, { matchup = false, cutSize = null, fieldSize = null, priced = null } = {}) => {
+  if (matchup) return 1
+  if (PLACES[marketKey] > 1 && fieldSize > 0 && !(priced >= fieldSize)) return null
+  if (PLACES[marketKey]) return PLACES[marketKey]
+  if (marketKey === 'make_cut' || marketKey === 'mc') {
+    if (!(cutSize > 0) || !(fieldSize > cutSize) || !(priced >= fieldSize)) return null
+    return marketKey === 'make_cut' ? cutSize : fieldSize - cutSize
+  }
+  return 1
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+// Bisection for a monotonic f on [low, high]; `increasing` gives the direction.
+const solve = (f, target, low, high, increasing) => {
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2
+    if ((f(mid) < target) === increasing) low = mid
+    else high = mid
+  }
+  return (low + high) / 2
+}
+
+const multiplicative = (implied, total) => {
+  const booksum = sum(implied)
+  return implied.map((p) => (p * total) / booksum)
+}
+
+const additive = (implied, total) => {
+  const margin = (sum(implied) - total) / implied.length
+  return implied.map((p) => p - margin)
+}
+
+// Every implied probability is below 1, so the sum falls as the exponent grows.
+const power = (implied, total) => {
+  const k = solve((exponent) => sum(implied.map((p) => Math.pow(p, exponent))), total, 0.01, 100, false)
+  return implied.map((p) => Math.pow(p, k))
+}
+
+// Shin (1993) solved for the insider share z on the prices as shares of the
+// total; a book with no margin has no insiders to remove.
+const shin = (implied, total) => {
+  const shares = implied.map((p) => p / total)
+  const booksum = sum(shares)
+  if (booksum <= 1) return multiplicative(implied, total)
+  const fairAt = (z) => shares.map((q) => (Math.sqrt(z * z + (4 * (1 - z) * q * q) / booksum) - z) / (2 * (1 - z)))
+  const z = solve((value) => sum(fairAt(value)), 1, 0, 0.999, false)
+  return fairAt(z).map((p) => p * total)
+}
+
+const METHODS = { multiplicative, additive, power, shin }
+
+/**
+ * Fair probabilities for `offers` (`{ oddsDecimal }`) in order, each clamped
+ * into (0, 1). Returns [] when any price is unusable or the book lists no
+ * more selections than the total, which leaves nothing to remove vig from.
+ */
+export const removeVig = (offers, { method = 'multiplicative', total = 1 } = {}) => {
+  const implied = offers.map((offer) => impliedProbability(offer.oddsDecimal))
+  if (implied.length === 0 || implied.some((p) => !Number.isFinite(p))) return []
+  if (!(total > 0) || implied.length <= total) return []
+  const fair = (METHODS[method] || multiplicative)(implied, total)
+  return fair.map(clampProbability)
+}
+
+/**
+ * Per-market method overrides such as "win:shin,top_20:additive,matchup:power".
+ * Keys are market keys, or "outright" / "matchup" for every market of that
+ * kind. Unknown methods are ignored.
+ */
+export const parseVigMethods = (value) => {
+  const overrides = new Map()
+  for (const entry of String(value || '').split(',')) {
+    const [target, method] = entry.split(':').map((part) => part?.trim().toLowerCase())
+    if (!target || !VIG_METHODS.includes(method)) continue
+    overrides.set(target, method)
+  }
+  return overrides
+}
+
+export const resolveVigMethod = ({ marketKey, matchup = false, overrides = new Map() }) => {
+  if (overrides.has(marketKey)) return overrides.get(marketKey)
+  const kind = matchup ? 'matchup' : 'outright'
+  return overrides.get(kind) || DEFAULT_VIG_METHODS[kind]
+}
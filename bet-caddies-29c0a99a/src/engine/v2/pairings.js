@@ -0,0 +1,107 @@
+// Tee-time groupings for a round, from DataGolf's matchups-all-pairings feed
+// or stored TeeTime rows. Pairings tie round matchups and 3-balls to the
+// round actually being played and give the simulator shared tee waves for
+// playing partners.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const readPlayer = (entry, flat, side) => {
+  const nested = entry?.[side]
+  const name = nested && typeof nested === 'object'
+    ? (nested.player_name ?? nested.name)
+    : (flat[`${side}_player_name`] ?? (typeof nested === 'string' ? nested : null))
+  if (!name) return null
+  const dgId = nested && typeof nested === 'object' ? nested.dg_id : flat[`${side}_dg_id`]
+  return { name: String(name), dgId: dgId != null ? String(dgId) : null }
+}
+
+/**
+ * Parses a matchups-all-pairings payload into `{ round, eventName, groups }`.
+ * Each group is `{ round, group, course, startHole, teeTime, players }` with
+ * players as `{ name, dgId }`. Participants may be nested (`p1: { dg_id,
+ * player_name }`) or flat (`p1_player_name`, `p1_dg_id`).
+ */
+export const parseAllPairings = (payload) => {
+  const round = Number(payload?.round ?? payload?.round_num)
+  const rows = Array.isArray(payload?.pairings) ? payload.pairings : (Array.isArray(payload) ? payload : [])
+  const groups = []
+  for (const [index, row] of rows.entries()) {
+    if (!row || typeof row !== 'object') continue
+    const players = ['p1', 'p2', 'p3'].map((side) => readPlayer(row, row, side)).filter(Boolean)
+    if (players.length < 2) continue
+    const groupRound = Number(row.round ?? row.round_num ?? round)
+    groups.push({
+      round: Number.isFinite(groupRound) ? groupRound : null,
+      group: row.group ?? index + 1,
+      course: row.course ?? null,
+      startHole: Number.isFinite(Number(row.start_hole)) ? Number(row.start_hole) : null,
+      teeTime: row.teetime ?? row.tee_time ?? null,
+      players
+    })
+  }
+  return {
+    round: Number.isFinite(round) ? round : null,
+    eventName: payload?.event_name ?? null,
+    groups
+  }
+}
+
+/**
+ * Tee time for `round` of an event starting on `eventStart`. Full timestamps
+ * are used as given; clock times ("7:40am", "13:05") are course-local and are
+ * placed on the round's date as UTC, which keeps the order of the tee sheet
+ * (waves are split relative to the round's median tee time).
+ */
+export const resolveTeeTime = (value, { eventStart, round }) => {
+  if (!value) return null
+  const text = String(value).trim()
+  const clock = text.match(/^(\d{1,2}):(\d{2})\s*([ap]m)?$/i)
+  if (!clock) {
+    const time = new Date(text)
+    return Number.isFinite(time.getTime()) ? time : null
+  }
+  const start = new Date(eventStart)
+  if (!Number.isFinite(start.getTime()) || !Number.isFinite(round)) return null
+  let hours = Number(clock[1]) % 12
+  if (!clock[3]) hours = Number(clock[1])
+  else if (clock[3].toLowerCase() === 'pm') hours += 12
+  const day = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()) + (round - 1) * DAY_MS
+  return new Date(day + (hours * 60 + Number(clock[2])) * 60 * 1000)
+}
+
+export const pairingGroupKey = (keys) => [...keys].sort().join(' vs ')
+
+/**
+ * Indexes groups by round and by their sorted participant keys, the same key
+ * matchup offers are grouped by. `keyFor(player)` maps a `{ name, dgId }`
+ * participant to a simulation key; groups with unknown players are skipped.
+ */
+export const buildPairingIndex = (groups = [], keyFor) => {
+  const byRound = new Map()
+  for (const group of groups) {
+    const keys = group.players.map(keyFor)
+    if (!Number.isFinite(group.round) || keys.some((key) => !key)) continue
+    if (!byRound.has(group.round)) byRound.set(group.round, new Map())
+    const roundGroups = byRound.get(group.round)
+    roundGroups.set(pairingGroupKey(keys), { ...group, keys })
+    // A 3-ball also contains each of its 2-ball matchups.
+    if (keys.length === 3) {
+      for (let skip = 0; skip < 3; skip += 1) {
+        const pair = keys.filter((_, index) => index !== skip)
+        const pairKey = pairingGroupKey(pair)
+        if (!roundGroups.has(pairKey)) roundGroups.set(pairKey, { ...group, keys })
+      }
+    }
+  }
+  return {
+    rounds: Array.from(byRound.keys()).sort((a, b) => a - b),
+    find: (participantKeys, round = null) => {
+      const key = pairingGroupKey(participantKeys)
+      if (round != null) return byRound.get(round)?.get(key) || null
+      for (const roundGroups of byRound.values()) {
+        if (roundGroups.has(key)) return roundGroups.get(key)
+      }
+      return null
+    }
+  }
+}
@@ -1,4 +1,6 @@
 import { clampProbability } from './odds/odds-utils.js'
+import { BASELINE_DEMANDS, SG_CATEGORIES } from './course-profile.js'
+import { TOUR_ROUND_SG_SD, TOUR_ROUND_SG_KURTOSIS } from './form-model.js'
 
 // Must match cleanPlayerName() in player-normalizer.js to ensure consistent keys
 // across simulation outputs and odds lookups
@@ -16,27 +18,139 @@ const tourRatingScale = {
   LIV: 0.92
 }
 
-export const buildPlayerParams = ({ players = [], skillRatings = [], tour = 'PGA' } = {}) => {
+// Course-fit shifts are kept small relative to overall skill.
+const MAX_COURSE_FIT_STROKES = 0.75
+// Typical tour round score variance; course variance scales volatility against it.
+const BASELINE_ROUND_VARIANCE = 7.5
+const MIN_COURSE_SCORE_SAMPLES = 100
+
+// Weight of the skill rating (or a tour-average prior) against recent form,
+// in effective rounds: 12 rounds of form count as much as the prior.
+const FORM_PRIOR_ROUNDS = 12
+// Uncertainty starts at the no-data level and shrinks with effective rounds.
+const MAX_UNCERTAINTY = 0.45
+const MIN_UNCERTAINTY = 0.08
+// Round-score spread relative to the tour norm is kept within these bounds.
+const MIN_DISPERSION = 0.75
+const MAX_DISPERSION = 1.35
+// Cap on a round's deviation, in standard deviations, for normal tails; it
+// widens with the player's kurtosis so fat tails are not truncated away.
+const BASE_TAIL = 6.5
+
+const readSgSplits = (row) => {
+  const splits = {}
+  for (const category of SG_CATEGORIES) {
+    const value = Number(row[`sg_${category}`])
+    if (Number.isFinite(value)) splits[category] = value
+  }
+  return Object.keys(splits).length > 0 ? splits : null
+}
+
+// Re-weights a player's SG splits by how much more (or less) this course
+// rewards each category than a typical venue. Positive strokes = better fit.
+const buildCourseFit = (splits, courseProfile, scale) => {
+  if (!splits || !courseProfile?.demands) return null
+  const components = {}
+  let strokes = 0
+  for (const category of SG_CATEGORIES) {
+    if (!Number.isFinite(splits[category])) continue
+    const emphasis = courseProfile.demands[category] / BASELINE_DEMANDS[category] - 1
+    components[category] = emphasis * splits[category] * scale
+    strokes += components[category]
+  }
+  return {
+    strokes: Math.max(-MAX_COURSE_FIT_STROKES, Math.min(MAX_COURSE_FIT_STROKES, strokes)),
+    components
+  }
+}
+
+const buildVolatilityMultiplier = (courseProfile) => {
+  if (!courseProfile || (courseProfile.scoreSamples || 0) < MIN_COURSE_SCORE_SAMPLES) return 1
+  if (!Number.isFinite(courseProfile.variance) || courseProfile.variance <= 0) return 1
+  return Math.max(0.85, Math.min(1.2, Math.sqrt(courseProfile.variance / BASELINE_ROUND_VARIANCE)))
+}
+
+const clampDispersion = (value) => Math.max(MIN_DISPERSION, Math.min(MAX_DISPERSION, value))
+
+// DataGolf decompositions carry each player's round-score standard deviation
+// alongside the prediction components; rows are keyed by DataGolf id and name.
+const readDecompositions = (decompositions) => {
+  const byKey = new Map()
+  for (const row of decompositions || []) {
+    if (!row || typeof row !== 'object') continue
+    const sd = Number(row.std_deviation ?? row.std_dev ?? row.round_sd ?? row.sd)
+    if (!Number.isFinite(sd) || sd <= 0) continue
+    if (row.dg_id != null) byKey.set(String(row.dg_id), sd)
+    const name = normalizeName(row.player_name || row.name)
+    if (name) byKey.set(name, sd)
+  }
+  return byKey
+}
+
+const findForm = (formRatings, player, key) => {
+  if (!formRatings) return null
+  const form = (player.dgId != null ? formRatings.get(String(player.dgId)) : null) || formRatings.get(key) || null
+  return form && form.effectiveRounds > 0 ? form : null
+}
+
+export const buildPlayerParams = ({
+  players = [],
+  skillRatings = [],
+  tour = 'PGA',
+  courseProfile = null,
+  formRatings = null,
+  decompositions = null
+} = {}) => {
   const ratingsMap = new Map()
+  const splitsMap = new Map()
   for (const row of skillRatings) {
     const name = normalizeName(row.player_name || row.player || row.name)
     if (!name) continue
     const rating = Number(row.rating || row.value || row.skill || row.sg_total)
     if (Number.isFinite(rating)) ratingsMap.set(name, rating)
+    const splits = readSgSplits(row)
+    if (splits) splitsMap.set(name, splits)
   }
+  const volatilityMultiplier = buildVolatilityMultiplier(courseProfile)
+  const decompositionSds = readDecompositions(decompositions)
 
   const scale = tourRatingScale[String(tour || 'PGA').toUpperCase()] ?? 1.0
 
   return players.map((player) => {
     const key = normalizeName(player.name)
-    const rating = ratingsMap.get(key)
+    const skillRating = ratingsMap.get(key)
+    const form = findForm(formRatings, player, key)
+    // Recent form pulls the rating away from the skill rating (or the tour
+    // average when unrated) in proportion to how many rounds back it up.
+    const formWeight = form ? form.effectiveRounds / (form.effectiveRounds + FORM_PRIOR_ROUNDS) : 0
+    const rating = form
+      ? formWeight * form.sgTotal + (1 - formWeight) * (Number.isFinite(skillRating) ? skillRating : 0)
+      : skillRating
     const hasRating = Number.isFinite(rating)
     const scaledRating = hasRating ? rating * scale : null
-    const mean = hasRating ? -scaledRating / 2 : 0
-    const volatility = hasRating ? Math.max(1.3, 2.6 - scaledRating / 10) : 2.4
-    // Uncertainty: higher for new entrants / sparse samples (proxied by missing rating)
-    const uncertainty = hasRating ? 0.15 : 0.45
-    const tail = 6.5
+    const courseFit = buildCourseFit(splitsMap.get(key), courseProfile, scale)
+    const baseMean = hasRating ? -scaledRating / 2 : 0
+    const mean = baseMean - (courseFit?.strokes || 0) / 2
+    // Round-score spread from the player's own history (already shrunk toward
+    // the tour norm). DataGolf's estimate, when present, replaces that norm as
+    // the prior and is weighted against history like the rating above.
+    const decompositionSd = (player.dgId != null ? decompositionSds.get(String(player.dgId)) : null) ??
+      decompositionSds.get(key) ?? null
+    const formDispersion = form ? clampDispersion(form.roundSd / TOUR_ROUND_SG_SD) : null
+    const decompositionDispersion = decompositionSd ? clampDispersion(decompositionSd / TOUR_ROUND_SG_SD) : null
+    let dispersion = formDispersion ?? decompositionDispersion ?? 1
+    if (formDispersion != null && decompositionDispersion != null) {
+      dispersion = formWeight * formDispersion + (1 - formWeight) * decompositionDispersion
+    }
+    const baseVolatility = (hasRating ? Math.max(1.3, 2.6 - scaledRating / 10) : 2.4) * dispersion
+    const volatility = baseVolatility * volatilityMultiplier
+    // Uncertainty: higher for new entrants / sparse samples; with round history
+    // it shrinks as the effective sample grows.
+    const uncertainty = form
+      ? Math.max(MIN_UNCERTAINTY, MAX_UNCERTAINTY * Math.sqrt(FORM_PRIOR_ROUNDS / (FORM_PRIOR_ROUNDS + form.effectiveRounds)))
+      : (hasRating ? 0.15 : 0.45)
+    const kurtosis = form ? form.kurtosis : TOUR_ROUND_SG_KURTOSIS
+    const tail = BASE_TAIL * Math.sqrt(1 + kurtosis / 3)
     const makeCut = clampProbability(0.55 + (hasRating ? scaledRating / 100 : 0))
 
     return {
@@ -46,7 +160,31 @@ export const buildPlayerParams = ({ players = [], skillRatings = [], tour = 'PGA
       volatility,
       uncertainty,
       tail,
-      makeCut
+      kurtosis,
+      makeCut,
+      ...(formRatings
+        ? {
+            form: form
+              ? {
+                  sgTotal: form.sgTotal,
+                  roundSd: form.roundSd,
+                  kurtosis: form.kurtosis,
+                  rounds: form.rounds,
+                  effectiveRounds: form.effectiveRounds,
+                  weight: formWeight
+                }
+              : null
+          }
+        : {}),
+      ...(courseProfile
+        ? {
+            courseFit: {
+              meanAdjustment: mean - baseMean,
+              volatilityMultiplier,
+              components: courseFit?.components || {}
+            }
+          }
+        : {})
     }
   })
 }
@@ -0,0 +1,111 @@
+// Post-blend consistency for a field's fair probabilities. Blending,
+// calibration and fallbacks are applied market by market, so nothing else keeps
+// a player's ladder nested (win <= top5 <= top10 <= top20 <= makeCut) or the
+// field's finishing lines summing to their number of places.
+import { logit, invLogit } from './odds/odds-utils.js'
+
+export const LADDER = ['win', 'top5', 'top10', 'top20', 'makeCut']
+// Dead-heat rules make top-N payout-equivalent probabilities sum to N.
+export const FIELD_SUMS = { win: 1, top5: 5, top10: 10, top20: 20 }
+
+const DEFAULT_SUM_TOLERANCE = Number(process.env.PROBABILITY_SUM_TOLERANCE || 0.05)
+const EPSILON = 1e-9
+
+const clampOpen = (p) => Math.min(1 - 1e-6, Math.max(1e-6, p))
+
+const isPresent = (value) => value != null && Number.isFinite(value)
+
+const ladderBreaks = (set) => {
+  const present = LADDER.filter((market) => isPresent(set[market]))
+  const breaks = []
+  for (let index = 1; index < present.length; index += 1) {
+    const lower = present[index - 1]
+    const upper = present[index]
+    if (set[upper] < set[lower]) breaks.push(`${upper}_below_${lower}`)
+  }
+  return breaks
+}
+
+// Lines with a target and more players than places; smaller fields cannot be
+// held to a top-N sum.
+const summedLines = (table) => Object.entries(FIELD_SUMS)
+  .map(([market, target]) => ({ market, target, keys: Array.from(table.keys()).filter((key) => isPresent(table.get(key)[market])) }))
+  .filter(({ target, keys }) => keys.length > target)
+
+const lineSum = (table, market, keys) => keys.reduce((sum, key) => sum + table.get(key)[market], 0)
+
+/**
+ * Lists ladder breaks per player and field sums outside `tolerance` (relative
+ * to the target) for a table of `key -> { win, top5, top10, top20, makeCut }`.
+ */
+export const findConsistencyViolations = (table, { tolerance = DEFAULT_SUM_TOLERANCE } = {}) => {
+  const ladder = []
+  for (const [key, set] of table.entries()) {
+    const violations = ladderBreaks(set)
+    if (violations.length > 0) ladder.push({ player: key, violations })
+  }
+  const sums = []
+  for (const { market, target, keys } of summedLines(table)) {
+    const sum = lineSum(table, market, keys)
+    if (Math.abs(sum - target) > tolerance * target) sums.push({ market, sum, target })
+  }
+  return { ladder, sums }
+}
+
+// Shifts a line in logit space until it sums to its target; the shift keeps
+// the order of the field and every probability inside (0, 1).
+const fitLineSum = (table, market, target, keys) => {
+  const logits = keys.map((key) => logit(clampOpen(table.get(key)[market])))
+  const sumAt = (shift) => logits.reduce((sum, value) => sum + invLogit(value + shift), 0)
+  let low = -30
+  let high = 30
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2
+    if (sumAt(mid) < target) low = mid
+    else high = mid
+  }
+  const shift = (low + high) / 2
+  keys.forEach((key, index) => {
+    table.get(key)[market] = invLogit(logits[index] + shift)
+  })
+}
+
+// Pool-adjacent-violators over a player's present markets, in ladder order.
+const fitLadder = (set) => {
+  const present = LADDER.filter((market) => isPresent(set[market]))
+  const blocks = []
+  for (const market of present) {
+    blocks.push({ markets: [market], sum: set[market] })
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1]
+      const prev = blocks[blocks.length - 2]
+      if (prev.sum / prev.markets.length <= last.sum / last.markets.length + EPSILON) break
+      blocks.splice(blocks.length - 2, 2, { markets: [...prev.markets, ...last.markets], sum: prev.sum + last.sum })
+    }
+  }
+  for (const block of blocks) {
+    for (const market of block.markets) set[market] = block.sum / block.markets.length
+  }
+}
+
+/**
+ * Returns a consistent copy of `table`: field sums are fitted and ladders
+ * pooled in turn until both hold, with the ladder pass last so every player's
+ * markets always nest. `violations` describes the input; `residuals` are the
+ * remaining distances from each field target.
+ */
+export const enforceProbabilityConsistency = (table, { iterations = 25, tolerance = DEFAULT_SUM_TOLERANCE } = {}) => {
+  const violations = findConsistencyViolations(table, { tolerance })
+  const solved = new Map(Array.from(table.entries()).map(([key, set]) => [key, { ...set }]))
+  const lines = summedLines(solved)
+
+  for (let i = 0; i < iterations; i += 1) {
+    for (const { market, target, keys } of lines) fitLineSum(solved, market, target, keys)
+    for (const set of solved.values()) fitLadder(set)
+    const worst = Math.max(0, ...lines.map(({ market, target, keys }) => Math.abs(lineSum(solved, market, keys) - target) / target))
+    if (worst < 1e-6) break
+  }
+
+  const residuals = Object.fromEntries(lines.map(({ market, target, keys }) => [market, lineSum(solved, market, keys) - target]))
+  return { probabilities: solved, violations, residuals }
+}
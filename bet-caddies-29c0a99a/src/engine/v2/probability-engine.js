@@ -1,6 +1,11 @@
 import { clampProbability, normalizeImpliedOddsToProbability } from './odds/odds-utils.js'
 
-const normalizeName = (name) => String(name || '').trim().toLowerCase()
+// Must match cleanPlayerName() in player-normalizer.js, the pipelines' selection keys.
+const normalizeName = (name) => String(name || '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .replace(/[^\w\s-]/g, '')
+  .toLowerCase()
 
 const buildMapFromPreds = (preds = []) => {
   const map = new Map()
@@ -20,7 +25,8 @@ const buildMapFromPreds = (preds = []) => {
       top5: normalizeImpliedOddsToProbability(impliedTop5Odds, { label: 'dg_pred_top5_odds', context: { player: name } }),
       top10: normalizeImpliedOddsToProbability(impliedTop10Odds, { label: 'dg_pred_top10_odds', context: { player: name } }),
       top20: normalizeImpliedOddsToProbability(impliedTop20Odds, { label: 'dg_pred_top20_odds', context: { player: name } }),
-      makeCut: normalizeImpliedOddsToProbability(impliedMakeCutOdds, { label: 'dg_pred_makecut_odds', context: { player: name } })
+      makeCut: normalizeImpliedOddsToProbability(impliedMakeCutOdds, { label: 'dg_pred_makecut_odds', context: { player: name } }),
+      source: 'datagolf'
     }
     map.set(name, entry)
     const dgId = row.dg_id || row.player_id || row.id
@@ -31,48 +37,118 @@ const buildMapFromPreds = (preds = []) => {
   return { map, idMap }
 }
 
-const buildRatingMap = (ratings = []) => {
+// Skill ratings cover every ranked player, so they are cut down to the event's
+// field (names or DataGolf ids) when one is given; otherwise all rows count.
+const buildRatingMap = (ratings = [], field = null) => {
   const map = new Map()
+  const idMap = new Map()
+  const fieldNames = field ? new Set(field.map((player) => normalizeName(typeof player === 'string' ? player : player?.name)).filter(Boolean)) : null
+  const fieldIds = field ? new Set(field.map((player) => player?.dgId ?? player?.id).filter((id) => id != null).map(String)) : null
   for (const row of ratings) {
     const name = normalizeName(row.player_name || row.player || row.name)
     if (!name) continue
+    const dgId = row.dg_id ?? row.player_id ?? row.id
+    if (field && !fieldNames.has(name) && !(dgId != null && fieldIds.has(String(dgId)))) continue
     const rating = Number(row.rating || row.value || row.skill || row.sg_total)
-    if (Number.isFinite(rating)) map.set(name, rating)
+    if (!Number.isFinite(rating)) continue
+    map.set(name, rating)
+    if (dgId != null) idMap.set(String(dgId), name)
   }
-  return map
+  return { map, idMap }
 }
 
-const sigmoid = (x) => 1 / (1 + Math.exp(-x))
+// Fallback from skill ratings alone: win probabilities are a softmax over the
+// field, so they sum to one whatever its size. One stroke of rating per round
+// is worth about this much win log-odds over four rounds.
+const FALLBACK_WIN_BETA = 1.4
+const FALLBACK_CUT_SIZE = 65
+const FALLBACK_TOP_N = [['top5', 5], ['top10', 10], ['top20', 20]]
+
+// Finds the exponent `a` with sum(1 - (1 - win)^a) = places. Each finishing
+// line uses its own exponent, so markets nest (win <= top5 <= ...) and the
+// field's probabilities sum to the places paid.
+const spreadToPlaces = (wins, places) => {
+  const total = (a) => wins.reduce((sum, win) => sum + 1 - (1 - win) ** a, 0)
+  if (places >= wins.length) return wins.map(() => 1)
+  let low = 1
+  let high = 2
+  while (total(high) < places && high < 1e9) high *= 2
+  for (let step = 0; step < 60; step += 1) {
+    const mid = (low + high) / 2
+    if (total(mid) < places) low = mid
+    else high = mid
+  }
+  return wins.map((win) => 1 - (1 - win) ** high)
+}
 
 const buildFallbackProbabilities = (ratingsMap) => {
   const entries = Array.from(ratingsMap.entries())
   if (entries.length === 0) return new Map()
-  const values = entries.map(([, rating]) => rating)
-  const mean = values.reduce((a, b) => a + b, 0) / values.length
-  const variance = values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length
-  const stdDev = Math.sqrt(variance || 1)
+  const best = Math.max(...entries.map(([, rating]) => rating))
+  const weights = entries.map(([, rating]) => Math.exp(FALLBACK_WIN_BETA * (rating - best)))
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+  const wins = weights.map((weight) => weight / totalWeight)
+  const topN = Object.fromEntries(FALLBACK_TOP_N.map(([key, places]) => [key, spreadToPlaces(wins, places)]))
+  const makeCut = spreadToPlaces(wins, Math.min(FALLBACK_CUT_SIZE, entries.length))
+
   const map = new Map()
-  for (const [name, rating] of entries) {
-    const z = (rating - mean) / (stdDev || 1)
-    const win = clampProbability(sigmoid(z))
+  entries.forEach(([name], index) => {
     map.set(name, {
-      win,
-      top5: clampProbability(win * 4.5),
-      top10: clampProbability(win * 8),
-      top20: clampProbability(win * 15),
-      makeCut: clampProbability(sigmoid(z / 2) + 0.35)
+      win: clampProbability(wins[index]),
+      top5: clampProbability(topN.top5[index]),
+      top10: clampProbability(topN.top10[index]),
+      top20: clampProbability(topN.top20[index]),
+      makeCut: clampProbability(makeCut[index]),
+      source: 'fallback'
     })
-  }
+  })
   return map
 }
 
+const NESTED_MARKETS = ['win', 'top5', 'top10', 'top20', 'makeCut']
+
+/**
+ * Checks one player's probability set: every value present must be a
+ * probability, and finishing lines must nest (win <= top5 <= top10 <= top20 <=
+ * makeCut). Missing markets are skipped. Returns `{ valid, violations }`.
+ */
+export const validateProbabilitySet = (set) => {
+  if (!set) return { valid: false, violations: ['missing'] }
+  const violations = []
+  const present = NESTED_MARKETS.filter((market) => set[market] != null && !Number.isNaN(set[market]))
+  for (const market of present) {
+    if (!Number.isFinite(set[market]) || set[market] < 0 || set[market] > 1) violations.push(`${market}_out_of_range`)
+  }
+  for (let index = 1; index < present.length; index += 1) {
+    const lower = present[index - 1]
+    const upper = present[index]
+    if (set[upper] < set[lower]) violations.push(`${upper}_below_${lower}`)
+  }
+  return { valid: violations.length === 0, violations }
+}
+
 export class ProbabilityEngineV2 {
-  build({ preTournamentPreds = [], skillRatings = [] } = {}) {
+  build({ preTournamentPreds = [], skillRatings = [], field = null } = {}) {
     const { map: dgMap, idMap: dgIdMap } = buildMapFromPreds(preTournamentPreds)
-    const ratingMap = buildRatingMap(skillRatings)
+    const { map: ratingMap, idMap: ratingIdMap } = buildRatingMap(skillRatings, field?.length ? field : null)
     const fallback = buildFallbackProbabilities(ratingMap)
 
+    // Inconsistent sets are dropped here so they never reach a blend.
+    const rejected = []
+    const rejectInconsistent = (map, source) => {
+      for (const [key, set] of map.entries()) {
+        const { valid, violations } = validateProbabilitySet(set)
+        if (valid) continue
+        map.delete(key)
+        if (source !== 'datagolf_id') rejected.push({ player: key, source, violations })
+      }
+    }
+    rejectInconsistent(dgMap, 'datagolf')
+    rejectInconsistent(dgIdMap, 'datagolf_id')
+    rejectInconsistent(fallback, 'fallback')
+
     return {
+      rejected,
       getPlayerProbs: (player) => {
         const nameKey = typeof player === 'string' ? normalizeName(player) : normalizeName(player?.name)
         const idKey = typeof player === 'object' && player?.id != null ? String(player.id) : null
@@ -80,7 +156,8 @@ export class ProbabilityEngineV2 {
         if (dg) return dg
         const fromName = nameKey ? dgMap.get(nameKey) : null
         if (fromName) return fromName
-        return nameKey ? fallback.get(nameKey) || null : null
+        const fallbackName = (idKey && ratingIdMap.get(idKey)) || nameKey
+        return fallbackName ? fallback.get(fallbackName) || null : null
       }
     }
   }
@@ -0,0 +1,183 @@
+// What-if scenarios on a completed run. The pipeline stores each event's
+// simulation options and priced candidates as a `scenario/inputs` artifact;
+// admins edit the field, player parameters or wave weather, and the event is
+// re-simulated and re-selected in memory, then compared with what was published.
+import { buildWaveCondition } from './weather-waves.js'
+
+export const SCENARIO_ARTIFACT = 'scenario/inputs'
+
+const WAVES = ['AM', 'PM']
+
+// Simulation options hold Maps (wave assignments, live start state); artifacts
+// are JSON, so Maps travel as entry lists.
+export const serializeScenarioInputs = ({ event, simOptions, candidates }) => ({
+  tourEventId: event.id,
+  eventName: event.eventName,
+  tour: event.tour,
+  simOptions: {
+    ...simOptions,
+    waves: simOptions.waves
+      ? { ...simOptions.waves, playerWaves: Array.from(simOptions.waves.playerWaves?.entries() || []) }
+      : null,
+    startState: simOptions.startState
+      ? { ...simOptions.startState, players: Array.from(simOptions.startState.players?.entries() || []) }
+      : null
+  },
+  // The tour event is reloaded when the scenario runs.
+  candidates: candidates.map((candidate) => {
+    const stored = { ...candidate }
+    delete stored.tourEvent
+    return stored
+  })
+})
+
+export const deserializeScenarioInputs = (payload) => {
+  const { simOptions = {} } = payload || {}
+  return {
+    ...payload,
+    simOptions: {
+      ...simOptions,
+      waves: simOptions.waves
+        ? { ...simOptions.waves, playerWaves: new Map(simOptions.waves.playerWaves || []) }
+        : null,
+      startState: simOptions.startState
+        ? { ...simOptions.startState, players: new Map(simOptions.startState.players || []) }
+        : null
+    },
+    candidates: payload?.candidates || []
+  }
+}
+
+// Matchup selections name every participant ("a vs b"); a withdrawal voids them all.
+const candidatePlayers = (candidate) => String(candidate.selectionKey || '').split(' vs ').map((key) => key.trim())
+
+/**
+ * Applies `edits` to deserialized inputs without mutating them:
+ * - `withdraw`: player keys removed from the field, with every candidate on them;
+ * - `players`: `{ key, meanShift, volatilityScale }`, where `meanShift` is in
+ *   strokes per round (positive is worse) and `volatilityScale` multiplies the
+ *   round-score spread;
+ * - `weather`: `{ round, wave, windMph, rainMm }` replacing a wave's forecast
+ *   (`wave` of AM, PM or ALL). Needs the run's tee sheet.
+ * Returns `{ simOptions, candidates, applied, warnings }`.
+ */
+export const applyScenarioEdits = (inputs, edits = {}) => {
+  const applied = []
+  const warnings = []
+  const known = new Set(inputs.simOptions.players.map((player) => player.key))
+
+  const withdrawn = new Set()
+  for (const key of edits.withdraw || []) {
+    if (!known.has(key)) warnings.push(`Unknown player ${key}; withdrawal ignored`)
+    else withdrawn.add(key)
+  }
+  if (withdrawn.size > 0) applied.push({ type: 'withdraw', players: Array.from(withdrawn) })
+
+  const playerEdits = new Map()
+  for (const edit of edits.players || []) {
+    if (!known.has(edit.key)) {
+      warnings.push(`Unknown player ${edit.key}; parameter edit ignored`)
+      continue
+    }
+    playerEdits.set(edit.key, edit)
+    applied.push({ type: 'player', key: edit.key, meanShift: edit.meanShift ?? 0, volatilityScale: edit.volatilityScale ?? 1 })
+  }
+
+  const players = inputs.simOptions.players
+    .filter((player) => !withdrawn.has(player.key))
+    .map((player) => {
+      const edit = playerEdits.get(player.key)
+      if (!edit) return player
+      return {
+        ...player,
+        mean: player.mean + (Number(edit.meanShift) || 0),
+        volatility: player.volatility * (Number.isFinite(Number(edit.volatilityScale)) && edit.volatilityScale > 0 ? Number(edit.volatilityScale) : 1)
+      }
+    })
+
+  let waves = inputs.simOptions.waves
+  for (const edit of edits.weather || []) {
+    const round = String(edit.round)
+    if (!waves?.conditions?.[round]) {
+      warnings.push(`No tee sheet for round ${edit.round}; weather edit ignored`)
+      continue
+    }
+    const targets = edit.wave === 'ALL' ? WAVES : [edit.wave]
+    const conditions = { ...waves.conditions, [round]: { ...waves.conditions[round] } }
+    for (const wave of targets) {
+      const current = conditions[round][wave]
+      if (!current) continue
+      // Whatever the edit leaves out keeps its forecast value.
+      conditions[round][wave] = buildWaveCondition({
+        windMph: edit.windMph != null ? Number(edit.windMph) : current.windMph,
+        rainMm: edit.rainMm != null ? Number(edit.rainMm) : current.rainMm
+      })
+    }
+    waves = { ...waves, conditions }
+    applied.push({ type: 'weather', round: Number(edit.round), wave: edit.wave, windMph: edit.windMph ?? null, rainMm: edit.rainMm ?? null })
+  }
+
+  let startState = inputs.simOptions.startState
+  if (startState && withdrawn.size > 0) {
+    startState = {
+      ...startState,
+      players: new Map(Array.from(startState.players.entries()).filter(([key]) => !withdrawn.has(key)))
+    }
+  }
+
+  return {
+    simOptions: { ...inputs.simOptions, players, waves, startState },
+    candidates: inputs.candidates.filter((candidate) => !candidatePlayers(candidate).some((key) => withdrawn.has(key))),
+    applied,
+    warnings
+  }
+}
+
+const recommendationKey = (rec) => `${rec.marketKey}|${rec.selection}`
+
+const summarize = (rec) => ({
+  marketKey: rec.marketKey,
+  selection: rec.selection,
+  tier: rec.tier,
+  bestBookmaker: rec.bestBookmaker,
+  bestOdds: rec.bestOdds,
+  fairProb: rec.fairProb ?? null,
+  ev: rec.ev ?? null,
+  stakeUnits: rec.stakeUnits ?? null
+})
+
+// A re-run draws fresh simulations, so small moves are noise, not the edit.
+const EV_TOLERANCE = 0.01
+const STAKE_TOLERANCE = 0.05
+
+/**
+ * Compares scenario picks with the published ones by market and selection.
+ * Kept picks are listed as `changed` when their tier changed or their EV or
+ * stake moved by more than simulation noise.
+ */
+export const diffRecommendations = (published = [], scenario = []) => {
+  const before = new Map(published.map((rec) => [recommendationKey(rec), rec]))
+  const after = new Map(scenario.map((rec) => [recommendationKey(rec), rec]))
+  const moved = (a, b, tolerance) => Number.isFinite(a) && Number.isFinite(b) ? Math.abs(a - b) > tolerance : (a ?? null) !== (b ?? null)
+
+  const added = []
+  const changed = []
+  let unchanged = 0
+  for (const [key, rec] of after.entries()) {
+    const previous = before.get(key)
+    if (!previous) {
+      added.push(summarize(rec))
+      continue
+    }
+    if (previous.tier !== rec.tier || moved(previous.ev, rec.ev, EV_TOLERANCE) || moved(previous.stakeUnits, rec.stakeUnits, STAKE_TOLERANCE)) {
+      changed.push({ before: summarize(previous), after: summarize(rec) })
+    } else {
+      unchanged += 1
+    }
+  }
+  const removed = Array.from(before.entries())
+    .filter(([key]) => !after.has(key))
+    .map(([, rec]) => summarize(rec))
+
+  return { added, removed, changed, unchanged }
+}
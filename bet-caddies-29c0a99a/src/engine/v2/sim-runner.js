@@ -0,0 +1,222 @@
+import os from 'node:os'
+import path from 'node:path'
+import { setImmediate } from 'node:timers'
+import { fileURLToPath } from 'node:url'
+import { Worker } from 'node:worker_threads'
+import { simulateTournament, buildSimulationResult, scoreSimLimit } from './tournamentSim.js'
+
+const WORKER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sim-worker.js')
+
+// Leave one core for the event loop; a single-core host runs chunks inline.
+export const DEFAULT_SIM_WORKERS = Math.max(0, Math.min(4, (os.cpus()?.length || 1) - 1))
+export const DEFAULT_SIM_CHUNK_SIZE = 1000
+export const DEFAULT_SIM_MIN_SIMS = 2000
+
+// Chunk seeds depend only on the base seed and chunk index, never on which
+// worker ran the chunk, so a seeded run is reproducible at any worker count.
+export const deriveChunkSeed = (seed, chunkIndex) => {
+  let h = (Math.floor(seed) ^ Math.imul(chunkIndex + 1, 0x9E3779B1)) >>> 0
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B) >>> 0
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35) >>> 0
+  return (h ^ (h >>> 16)) >>> 0
+}
+
+const addTallies = (target, source) => {
+  for (const [key, row] of source.entries()) {
+    const current = target.get(key)
+    if (!current) {
+      target.set(key, { ...row, topNHits: { ...row.topNHits } })
+      continue
+    }
+    for (const [field, value] of Object.entries(row)) {
+      if (typeof value === 'number') current[field] += value
+    }
+    for (const [places, hits] of Object.entries(row.topNHits)) current.topNHits[places] += hits
+  }
+}
+
+const createAccumulator = (scoreLimit) => ({
+  stats: new Map(),
+  simCount: 0,
+  fieldHoleInOne: 0,
+  holeMode: false,
+  scoreChunks: [],
+  scoreSims: 0,
+  scoreLimit,
+  scoreMeta: null
+})
+
+const accumulate = (acc, result) => {
+  addTallies(acc.stats, result.tallies.stats)
+  acc.simCount += result.simCount
+  acc.fieldHoleInOne += result.tallies.fieldHoleInOne
+  acc.holeMode = result.mode === 'holes'
+  if (result.scores && acc.scoreSims < acc.scoreLimit) {
+    const { simCount, rounds, playerKeys, playerIndex } = result.scores
+    const take = Math.min(simCount, acc.scoreLimit - acc.scoreSims)
+    acc.scoreChunks.push({ result: result.scores, take })
+    acc.scoreSims += take
+    acc.scoreMeta = { rounds, playerKeys, playerIndex }
+  }
+}
+
+const concatScores = (acc) => {
+  if (!acc.scoreMeta || acc.scoreSims === 0) return null
+  const { rounds, playerKeys, playerIndex } = acc.scoreMeta
+  const playerCount = playerKeys.length
+  const roundScores = new Float32Array(acc.scoreSims * playerCount * rounds)
+  const totals = new Float32Array(acc.scoreSims * playerCount)
+  let offset = 0
+  for (const { result, take } of acc.scoreChunks) {
+    roundScores.set(result.roundScores.subarray(0, take * playerCount * rounds), offset * playerCount * rounds)
+    totals.set(result.totals.subarray(0, take * playerCount), offset * playerCount)
+    offset += take
+  }
+  return { simCount: acc.scoreSims, rounds, playerKeys, playerIndex, roundScores, totals }
+}
+
+// Largest standard error of any player's win probability so far.
+const maxWinStandardError = (acc) => {
+  let max = 0
+  for (const row of acc.stats.values()) {
+    const p = row.win / acc.simCount
+    max = Math.max(max, Math.sqrt((p * (1 - p)) / acc.simCount))
+  }
+  return max
+}
+
+const runChunksInline = async (chunkCount, buildChunk, onChunk) => {
+  for (let index = 0; index < chunkCount; index += 1) {
+    if (onChunk(index, simulateTournament(buildChunk(index)))) return
+    // Yield between chunks so the event loop keeps serving requests.
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+}
+
+const runChunksInWorkers = (workerCount, chunkCount, buildChunk, onChunk) => new Promise((resolve, reject) => {
+  const pool = []
+  // Chunk each worker is running, so a worker that dies mid-chunk fails the run.
+  const running = new Map()
+  let next = 0
+  let active = 0
+  let stopped = false
+
+  const finish = (error) => {
+    if (stopped) return
+    stopped = true
+    Promise.all(pool.map((worker) => worker.terminate()))
+      .catch(() => {})
+      .then(() => (error ? reject(error) : resolve()))
+  }
+
+  const dispatch = (worker) => {
+    if (stopped) return
+    if (next >= chunkCount) {
+      if (active === 0) finish()
+      return
+    }
+    const index = next
+    next += 1
+    active += 1
+    running.set(worker, index)
+    worker.postMessage({ index, options: buildChunk(index) })
+  }
+
+  for (let i = 0; i < workerCount; i += 1) {
+    const worker = new Worker(WORKER_PATH)
+    worker.on('message', ({ index, result, error }) => {
+      if (stopped) return
+      active -= 1
+      running.delete(worker)
+      if (error) return finish(new Error(`Simulation chunk ${index} failed: ${error}`))
+      if (onChunk(index, result)) return finish()
+      dispatch(worker)
+    })
+    worker.on('error', finish)
+    // A worker killed without posting its chunk (out of memory, process.exit)
+    // would otherwise leave the run waiting forever.
+    worker.on('exit', (code) => {
+      if (stopped) return
+      if (code !== 0 || running.has(worker)) {
+        const chunk = running.has(worker) ? ` during chunk ${running.get(worker)}` : ''
+        finish(new Error(`Simulation worker exited with code ${code}${chunk}`))
+      }
+    })
+    pool.push(worker)
+  }
+  for (const worker of pool) dispatch(worker)
+})
+
+/**
+ * Runs `simulateTournament` in fixed-size chunks, across worker threads when
+ * available, and merges the chunk tallies in chunk order. With
+ * `convergenceSe` > 0 the run stops once every player's win-probability
+ * standard error is at or below it (after at least `minSims` simulations).
+ */
+export const runSimulation = async (options = {}, {
+  workers = DEFAULT_SIM_WORKERS,
+  chunkSize = DEFAULT_SIM_CHUNK_SIZE,
+  convergenceSe = 0,
+  minSims = DEFAULT_SIM_MIN_SIMS
+} = {}) => {
+  const simCount = Number.isFinite(options.simCount) && options.simCount > 0 ? Math.floor(options.simCount) : 1
+  const size = Number.isFinite(chunkSize) && chunkSize > 0 ? Math.floor(chunkSize) : DEFAULT_SIM_CHUNK_SIZE
+  const baseSeed = Number.isFinite(options.seed) ? options.seed : Math.floor(Math.random() * 2 ** 32)
+  const chunkCount = Math.ceil(simCount / size)
+  const workerCount = Math.min(Number.isFinite(workers) ? Math.max(0, Math.floor(workers)) : 0, chunkCount)
+
+  const scoreLimit = scoreSimLimit(options.emitScores)
+  // Scores come from the first chunks only, so later chunks skip the matrices.
+  const buildChunk = (index) => ({
+    ...options,
+    simCount: Math.min(size, simCount - index * size),
+    seed: deriveChunkSeed(baseSeed, index),
+    emitScores: index * size < scoreLimit ? options.emitScores : false
+  })
+
+  const acc = createAccumulator(scoreLimit)
+  const pending = new Map()
+  let merged = 0
+  let converged = false
+  let standardError = null
+
+  const onChunk = (index, result) => {
+    pending.set(index, result)
+    while (pending.has(merged)) {
+      accumulate(acc, pending.get(merged))
+      pending.delete(merged)
+      merged += 1
+      standardError = maxWinStandardError(acc)
+      if (convergenceSe > 0 && acc.simCount >= minSims && merged < chunkCount && standardError <= convergenceSe) {
+        converged = true
+        return true
+      }
+    }
+    return merged >= chunkCount
+  }
+
+  if (workerCount > 0) {
+    await runChunksInWorkers(workerCount, chunkCount, buildChunk, onChunk)
+  } else {
+    await runChunksInline(chunkCount, buildChunk, onChunk)
+  }
+
+  return {
+    ...buildSimulationResult({
+      stats: acc.stats,
+      simCount: acc.simCount,
+      holeMode: acc.holeMode,
+      fieldHoleInOne: acc.fieldHoleInOne,
+      scores: concatScores(acc)
+    }),
+    run: {
+      requestedSimCount: simCount,
+      chunks: merged,
+      chunkSize: size,
+      workers: workerCount,
+      seed: baseSeed,
+      winStandardError: standardError,
+      stoppedEarly: converged
+    }
+  }
+}
@@ -0,0 +1,12 @@
+import { parentPort } from 'node:worker_threads'
+import { simulateTournament } from './tournamentSim.js'
+
+parentPort.on('message', ({ index, options }) => {
+  try {
+    const result = simulateTournament(options)
+    const transfer = result.scores ? [result.scores.roundScores.buffer, result.scores.totals.buffer] : []
+    parentPort.postMessage({ index, result }, transfer)
+  } catch (error) {
+    parentPort.postMessage({ index, error: error?.message || String(error) })
+  }
+})
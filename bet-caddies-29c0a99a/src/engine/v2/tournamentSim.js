@@ -1,4 +1,6 @@
 import { clampProbability } from './odds/odds-utils.js'
+import { TOUR_DEFAULT_CUT_RULES, normalizeCutRule } from './cut-rules.js'
+import { deadHeatFraction } from '../../domain/dead-heat.js'
 
 const mulberry32 = (seed) => {
   let t = seed >>> 0
@@ -18,11 +20,221 @@ const normal = (rng) => {
   return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v)
 }
 
-const defaultCutRules = {
-  PGA: { cutAfter: 2, cutSize: 65 },
-  DPWT: { cutAfter: 2, cutSize: 65 },
-  KFT: { cutAfter: 2, cutSize: 65 },
-  LIV: { cutAfter: 0, cutSize: 0 }
+const defaultCutRules = TOUR_DEFAULT_CUT_RULES
+
+// Fat-tailed players draw round noise from a two-component normal scale
+// mixture: a share of rounds come from a wider component, sized so the
+// variance stays at one and the excess kurtosis matches the player's.
+const TAIL_MIX_SHARE = 0.1
+const MAX_TAIL_KURTOSIS = 6
+
+export const buildTailMixture = (kurtosis) => {
+  if (!Number.isFinite(kurtosis) || kurtosis <= 0) return null
+  const target = 1 + Math.min(MAX_TAIL_KURTOSIS, kurtosis) / 3
+  const p = TAIL_MIX_SHARE
+  const q = 1 - p
+  // Solves 3(q + p r^2) / (q + p r)^2 = 3 * target for the variance ratio r.
+  const a = p - target * p * p
+  const b = -2 * target * p * q
+  const c = q - target * q * q
+  const ratio = (-b + Math.sqrt(Math.max(0, b * b - 4 * a * c))) / (2 * a)
+  const narrowVariance = 1 / (q + p * ratio)
+  return { narrowSd: Math.sqrt(narrowVariance), wideSd: Math.sqrt(narrowVariance * ratio) }
+}
+
+const tailNoise = (rng, mixture) => {
+  if (!mixture) return normal(rng)
+  return normal(rng) * (rng() < TAIL_MIX_SHARE ? mixture.wideSd : mixture.narrowSd)
+}
+
+// Per-sim score matrices are capped so memory stays bounded for large runs
+// (10k sims x 156 players x 4 rounds of Float32 is ~25MB).
+export const MAX_SCORE_SIMS = 10000
+
+// `emitScores` is true for up to MAX_SCORE_SIMS score sims or a smaller count.
+export const scoreSimLimit = (emitScores) => {
+  if (emitScores === true) return MAX_SCORE_SIMS
+  return Number.isFinite(emitScores) && emitScores > 0 ? Math.min(Math.floor(emitScores), MAX_SCORE_SIMS) : 0
+}
+
+// Missed-cut totals are pushed above every made-cut total (one offset per
+// unplayed round) while preserving the ordering between players cut together.
+export const MISSED_CUT_OFFSET = 1000
+
+// Roughly one ace per 3,000 tour-level par-3 attempts.
+const DEFAULT_HOLE_IN_ONE_RATE = 1 / 3000
+const TOP_N_PLACES = [5, 10, 20]
+const HOLES_PER_ROUND = 18
+
+const normalizeHoles = (holes) => {
+  if (!Array.isArray(holes) || holes.length === 0) return null
+  return holes
+    .map((hole, index) => ({
+      hole: Number.isFinite(hole?.hole) ? hole.hole : index + 1,
+      par: Number.isFinite(hole?.par) ? hole.par : 4,
+      difficulty: Number.isFinite(hole?.difficulty) ? hole.difficulty : 0
+    }))
+    .sort((a, b) => a.hole - b.hole)
+}
+
+// Plays one round hole by hole. The player's expected round score is spread
+// evenly across the holes on top of each hole's field scoring average; hole
+// noise is sized so the round-level spread stays close to player volatility.
+// In-play rounds resume at `fromHole` and return only the holes still to play.
+const simulateHoleRound = (rng, holes, expected, volatility, holeInOneRate, fromHole = 0) => {
+  const holeSigma = volatility * Math.sqrt(0.75 / holes.length)
+  const perHole = expected / holes.length
+  let score = 0
+  let front9 = 0
+  let birdies = 0
+  let aces = 0
+  for (let index = fromHole; index < holes.length; index += 1) {
+    const hole = holes[index]
+    let toPar
+    if (hole.par === 3 && rng() < holeInOneRate) {
+      toPar = -2
+      aces += 1
+    } else {
+      const raw = Math.round(hole.difficulty + perHole + normal(rng) * holeSigma)
+      toPar = Math.max(hole.par === 3 ? -1 : -2, Math.min(4, raw))
+    }
+    if (toPar < 0) birdies += 1
+    score += toPar
+    if (index < 9) front9 += toPar
+  }
+  return { score, front9, birdies, aces }
+}
+
+// Each tee wave shares one draw per round. Wave impacts are centred on the
+// round average so only the gap between waves moves relative standings.
+const drawWaveShocks = (rng, roundConditions) => {
+  if (!roundConditions) return null
+  const waves = Object.entries(roundConditions)
+  if (waves.length === 0) return null
+  const averageImpact = waves.reduce((sum, [, condition]) => sum + condition.impact, 0) / waves.length
+  const shocks = {}
+  for (const [wave, condition] of waves) {
+    shocks[wave] = condition.impact - averageImpact + normal(rng) * condition.sd
+  }
+  return shocks
+}
+
+// Returns the keys that survive a cut among `eligible` players. Totals are
+// ranked in whole strokes, as the leaderboard is, so round-mode totals tie
+// too. With ties everyone level with the last qualifying place goes through;
+// without ties the boundary group is trimmed at random. The ten-shot rule lets
+// anyone within that margin of the lead through regardless of position.
+const selectCutSurvivors = (rng, totals, eligible, { cutSize, ties, tenShotRule }) => {
+  const ranked = eligible
+    .map((key) => [key, Math.round(totals.get(key))])
+    .sort((a, b) => a[1] - b[1])
+  if (ranked.length === 0) return new Set()
+  const cutIndex = Math.min(cutSize - 1, ranked.length - 1)
+  const cutScore = ranked[cutIndex]?.[1] ?? Number.POSITIVE_INFINITY
+  const survivors = new Set()
+  if (ties) {
+    for (const [key, total] of ranked) {
+      if (total <= cutScore) survivors.add(key)
+    }
+  } else {
+    const better = ranked.filter(([, total]) => total < cutScore)
+    const boundary = ranked.filter(([, total]) => total === cutScore)
+    for (const [key] of better) survivors.add(key)
+    for (let i = boundary.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(rng() * (i + 1))
+      ;[boundary[i], boundary[j]] = [boundary[j], boundary[i]]
+    }
+    for (const [key] of boundary.slice(0, Math.max(0, cutIndex + 1 - better.length))) survivors.add(key)
+  }
+  if (Number.isFinite(tenShotRule) && tenShotRule > 0) {
+    const leader = ranked[0][1]
+    for (const [key, total] of ranked) {
+      if (total <= leader + tenShotRule) survivors.add(key)
+    }
+  }
+  return survivors
+}
+
+// Live leaderboard state the simulation resumes from. Scores are to par;
+// players missing from the state are simulated from the first tee.
+const normalizeStartState = (startState) => {
+  if (!startState || !Number.isFinite(startState.round) || startState.round < 1) return null
+  const entries = startState.players instanceof Map
+    ? Array.from(startState.players.entries())
+    : Object.entries(startState.players || {})
+  const players = new Map()
+  for (const [key, state] of entries) {
+    const rounds = Array.isArray(state?.rounds) ? state.rounds.filter(Number.isFinite) : []
+    const thru = Number.isFinite(state?.thru) ? Math.max(0, Math.min(HOLES_PER_ROUND, state.thru)) : 0
+    const today = Number.isFinite(state?.today) ? state.today : 0
+    const eliminated = state?.withdrawn === true || state?.madeCut === false
+    players.set(key, { rounds, thru, today, eliminatedAfter: eliminated ? rounds.length : null })
+  }
+  return {
+    round: Math.floor(startState.round),
+    roundAverageToPar: Number.isFinite(startState.roundAverageToPar) ? startState.roundAverageToPar : 0,
+    cutMade: startState.cutMade === true,
+    players
+  }
+}
+
+// The part of `round` a player has already played: the whole round once it is
+// in the books, the holes so far while it is in progress, otherwise nothing.
+const playedPortion = (live, round, roundHoles) => {
+  if (!live) return null
+  if (round <= live.rounds.length) return { score: live.rounds[round - 1], holes: roundHoles }
+  if (round === live.rounds.length + 1 && live.thru > 0) {
+    return { score: live.today, holes: Math.min(roundHoles, live.thru * roundHoles / HOLES_PER_ROUND) }
+  }
+  return null
+}
+
+const addTieShare = (entries, field, stats) => {
+  if (entries.length === 0) return
+  const best = Math.min(...entries.map(([, value]) => value))
+  const leaders = entries.filter(([, value]) => value === best)
+  const share = 1 / leaders.length
+  for (const [key] of leaders) stats.get(key)[field] += share
+}
+
+/**
+ * Turns raw per-player tallies into the simulator's result shape. Tallies are
+ * returned alongside the probabilities so chunked runs can be merged exactly.
+ */
+export const buildSimulationResult = ({ stats, simCount, holeMode = false, fieldHoleInOne = 0, scores = null }) => {
+  const probabilities = new Map()
+  for (const [key, row] of stats.entries()) {
+    probabilities.set(key, {
+      win: clampProbability(row.win / simCount),
+      top5: clampProbability(row.top5 / simCount),
+      top10: clampProbability(row.top10 / simCount),
+      top20: clampProbability(row.top20 / simCount),
+      makeCut: clampProbability(row.makeCut / simCount),
+      frl: clampProbability(row.frl / simCount),
+      // Average share of the stake paid when finishing inside the places.
+      deadHeat: Object.fromEntries(TOP_N_PLACES.map((places) => [
+        `top${places}`,
+        row.topNHits[places] > 0 ? row[`top${places}`] / row.topNHits[places] : 1
+      ])),
+      ...(holeMode
+        ? {
+            holeInOne: clampProbability(row.holeInOne / simCount),
+            mostBirdies: clampProbability(row.mostBirdies / simCount),
+            leaderAfter9: clampProbability(row.leaderAfter9 / simCount),
+            expectedBirdies: row.birdies / simCount
+          }
+        : {})
+    })
+  }
+
+  return {
+    probabilities,
+    simCount,
+    mode: holeMode ? 'holes' : 'rounds',
+    tallies: { stats, fieldHoleInOne },
+    ...(holeMode ? { fieldProps: { holeInOne: fieldHoleInOne / simCount } } : {}),
+    ...(scores ? { scores } : {})
+  }
 }
 
 export const simulateTournament = ({
@@ -31,7 +243,13 @@ export const simulateTournament = ({
   rounds = 4,
   simCount = 10000,
   seed = null,
-  cutRules = defaultCutRules
+  cutRules = defaultCutRules,
+  cutRule: cutRuleOverride = null,
+  holes = null,
+  holeInOneRate = DEFAULT_HOLE_IN_ONE_RATE,
+  emitScores = false,
+  waves = null,
+  startState = null
 } = {}) => {
   const normalizedSimCount = Number.isFinite(simCount) && simCount > 0 ? Math.floor(simCount) : 1
   const normalizedPlayers = players.map((player, index) => {
@@ -52,15 +270,34 @@ export const simulateTournament = ({
       volatility,
       tail,
       uncertainty,
-      makeCut
+      makeCut,
+      tailMixture: buildTailMixture(player?.kurtosis)
     }
   })
 
   const rng = mulberry32(seed ?? Date.now())
-  const cutRule = cutRules[tour] || defaultCutRules.PGA
+  const cutRule = normalizeCutRule(cutRuleOverride || cutRules[tour] || defaultCutRules.PGA)
   const cutAfter = cutRule.cutAfter
-  const cutSize = cutRule.cutSize
-  const noCut = cutAfter === 0 || tour === 'LIV'
+  const secondaryCut = cutRule.secondaryCut
+  const noCut = cutAfter === 0 || (tour === 'LIV' && !cutRuleOverride)
+  const holeProfile = normalizeHoles(holes)
+  const holeMode = Boolean(holeProfile)
+  const roundHoles = holeMode ? holeProfile.length : HOLES_PER_ROUND
+  let fieldHoleInOne = 0
+
+  // In play, finished holes are fixed and only the rest of the event is drawn.
+  // Round-mode scores are relative to the field average, so played scores are
+  // shifted by the current round's scoring average to share that scale.
+  const live = normalizeStartState(startState)
+  const liveOffset = live && !holeMode ? live.roundAverageToPar / HOLES_PER_ROUND : 0
+  const cutSettled = Boolean(live?.cutMade)
+  const secondaryCutSettled = cutSettled && Boolean(secondaryCut) && secondaryCut.after < live.round
+
+  const playerCount = normalizedPlayers.length
+  const scoreSims = Math.min(normalizedSimCount, scoreSimLimit(emitScores))
+  const playerIndex = new Map(normalizedPlayers.map((player, index) => [player.key, index]))
+  const roundScoreMatrix = scoreSims > 0 ? new Float32Array(scoreSims * playerCount * rounds).fill(NaN) : null
+  const totalScoreMatrix = scoreSims > 0 ? new Float32Array(scoreSims * playerCount) : null
 
   const stats = new Map()
   for (const player of normalizedPlayers) {
@@ -71,7 +308,12 @@ export const simulateTournament = ({
       top10: 0,
       top20: 0,
       makeCut: 0,
-      frl: 0
+      frl: 0,
+      topNHits: { 5: 0, 10: 0, 20: 0 },
+      holeInOne: 0,
+      birdies: 0,
+      mostBirdies: 0,
+      leaderAfter9: 0
     })
   }
 
@@ -79,7 +321,22 @@ export const simulateTournament = ({
     const roundScores = new Map()
     const totals = new Map()
     const r1Scores = new Map()
+    const front9Scores = new Map()
     const playerShocks = new Map()
+    const birdieCounts = new Map()
+    const aceSims = new Set()
+    const missedCut = new Set()
+    const cutRounds = new Map()
+    // Missed cuts, withdrawals and disqualifications leave the ranking for good.
+    const eliminate = (key, round) => {
+      missedCut.add(key)
+      cutRounds.set(key, round)
+    }
+    if (live) {
+      for (const [key, state] of live.players) {
+        if (state.eliminatedAfter === 0 && playerIndex.has(key)) eliminate(key, 0)
+      }
+    }
 
     // Tournament-level uncertainty shock per player.
     // This propagates uncertainty without changing selection logic.
@@ -91,35 +348,103 @@ export const simulateTournament = ({
 
     for (let round = 1; round <= rounds; round += 1) {
       const roundShock = normal(rng) * 0.6
+      const waveShocks = waves ? drawWaveShocks(rng, waves.conditions?.[round]) : null
       for (const player of normalizedPlayers) {
+        const wave = waveShocks ? waves.playerWaves?.get(player.key)?.[round] : null
+        // Players without a tee time keep the field-wide round shock only.
+        const sharedShock = roundShock + (wave && Number.isFinite(waveShocks[wave]) ? waveShocks[wave] : 0)
         const playerShock = playerShocks.get(player.key) || 0
-        const rawScore = player.mean + playerShock + roundShock + normal(rng) * player.volatility
         // Tail-risk control: cap extreme per-round outcomes using player tail parameter.
         const tailCap = Math.max(3, (player.tail || 6) * player.volatility)
-        const score = Math.max(player.mean - tailCap, Math.min(player.mean + tailCap, rawScore))
         const key = player.key
+        const played = live ? playedPortion(live.players.get(key), round, roundHoles) : null
+        const playedScore = played ? played.score - liveOffset * played.holes : 0
+        let score
+        if (played && played.holes >= roundHoles) {
+          score = playedScore
+          // Hole-level splits of finished rounds are not in the live feeds.
+          if (holeMode && round === 1) front9Scores.set(key, playedScore / 2)
+        } else if (holeMode) {
+          const dayForm = tailNoise(rng, player.tailMixture) * player.volatility * 0.5
+          const expected = Math.max(player.mean - tailCap, Math.min(player.mean + tailCap, player.mean + playerShock + sharedShock + dayForm))
+          const fromHole = played ? Math.floor(played.holes) : 0
+          const holeRound = simulateHoleRound(rng, holeProfile, expected, player.volatility, holeInOneRate, fromHole)
+          score = playedScore + holeRound.score
+          if (!missedCut.has(key)) {
+            birdieCounts.set(key, (birdieCounts.get(key) || 0) + holeRound.birdies)
+            if (holeRound.aces > 0) aceSims.add(key)
+          }
+          if (round === 1) {
+            const playedFront9 = fromHole > 0 ? playedScore * Math.min(9, fromHole) / fromHole : 0
+            front9Scores.set(key, playedFront9 + holeRound.front9)
+          }
+        } else {
+          const remaining = played ? 1 - played.holes / roundHoles : 1
+          const rawScore = remaining * (player.mean + playerShock + sharedShock) + tailNoise(rng, player.tailMixture) * player.volatility * Math.sqrt(remaining)
+          score = playedScore + Math.max(remaining * (player.mean - tailCap), Math.min(remaining * (player.mean + tailCap), rawScore))
+        }
         const prev = totals.get(key) || 0
         totals.set(key, prev + score)
+        if (sim < scoreSims && !missedCut.has(key)) {
+          roundScoreMatrix[(sim * playerCount + playerIndex.get(key)) * rounds + (round - 1)] = score
+        }
         if (!roundScores.has(key)) roundScores.set(key, [])
         roundScores.get(key).push(score)
-        if (round === 1) r1Scores.set(key, score)
+        if (round === 1 && !missedCut.has(key)) r1Scores.set(key, score)
+      }
+
+      if (live) {
+        for (const [key, state] of live.players) {
+          if (state.eliminatedAfter === round && playerIndex.has(key)) eliminate(key, round)
+        }
       }
 
       if (!noCut && round === cutAfter) {
-        const ranked = Array.from(totals.entries()).sort((a, b) => a[1] - b[1])
-        const cutIndex = Math.min(cutSize - 1, ranked.length - 1)
-        const cutScore = ranked[cutIndex]?.[1] ?? Number.POSITIVE_INFINITY
-        for (const [key, total] of ranked) {
-          if (total <= cutScore) {
+        // Once the real cut is in, the leaderboard's missed cuts were eliminated above.
+        const eligible = Array.from(totals.keys()).filter((key) => !missedCut.has(key))
+        const survivors = cutSettled ? new Set(eligible) : selectCutSurvivors(rng, totals, eligible, cutRule)
+        for (const key of eligible) {
+          if (survivors.has(key)) {
             stats.get(key).makeCut += 1
           } else {
-            totals.set(key, total + 20)
+            eliminate(key, round)
+          }
+        }
+      }
+
+      if (!noCut && secondaryCut && !secondaryCutSettled && round === secondaryCut.after) {
+        const eligible = Array.from(totals.keys()).filter((key) => !missedCut.has(key))
+        const survivors = selectCutSurvivors(rng, totals, eligible, {
+          cutSize: secondaryCut.size,
+          ties: secondaryCut.ties,
+          tenShotRule: null
+        })
+        for (const key of eligible) {
+          if (!survivors.has(key)) eliminate(key, round)
+        }
+      }
+    }
+
+    if (sim < scoreSims) {
+      const base = sim * playerCount
+      for (const player of normalizedPlayers) {
+        const index = playerIndex.get(player.key)
+        if (missedCut.has(player.key)) {
+          const cutRound = cutRounds.get(player.key)
+          let cutTotal = 0
+          for (let round = 0; round < cutRound; round += 1) {
+            cutTotal += roundScoreMatrix[(base + index) * rounds + round]
           }
+          totalScoreMatrix[base + index] = cutTotal + MISSED_CUT_OFFSET * (rounds - cutRound)
+        } else {
+          totalScoreMatrix[base + index] = totals.get(player.key)
         }
       }
     }
 
-    const rankedFinal = Array.from(totals.entries()).sort((a, b) => a[1] - b[1])
+    const rankedFinal = Array.from(totals.entries())
+      .filter(([key]) => !missedCut.has(key))
+      .sort((a, b) => a[1] - b[1])
     if (rankedFinal.length === 0) continue
 
     const winningScore = rankedFinal[0][1]
@@ -129,21 +454,29 @@ export const simulateTournament = ({
       stats.get(key).win += winShare
     }
 
-    const assignTopN = (n, field) => {
-      const threshold = field[Math.min(n - 1, field.length - 1)][1]
-      return field.filter(([, score]) => score <= threshold)
+    // Ties straddling the last paying place settle under dead-heat rules, so
+    // top-N probabilities are payout-equivalent and sum to N across the field.
+    // Players tie on whole strokes, as they would on the leaderboard.
+    for (let start = 0; start < rankedFinal.length && start < TOP_N_PLACES[TOP_N_PLACES.length - 1];) {
+      const score = Math.round(rankedFinal[start][1])
+      let end = start + 1
+      while (end < rankedFinal.length && Math.round(rankedFinal[end][1]) === score) end += 1
+      for (const places of TOP_N_PLACES) {
+        const fraction = deadHeatFraction({ position: start + 1, tiedCount: end - start, places })
+        if (!fraction) continue
+        for (let index = start; index < end; index += 1) {
+          const row = stats.get(rankedFinal[index][0])
+          row[`top${places}`] += fraction
+          row.topNHits[places] += 1
+        }
+      }
+      start = end
     }
 
-    const top5 = assignTopN(5, rankedFinal)
-    const top10 = assignTopN(10, rankedFinal)
-    const top20 = assignTopN(20, rankedFinal)
-
-    for (const [key] of top5) stats.get(key).top5 += 1
-    for (const [key] of top10) stats.get(key).top10 += 1
-    for (const [key] of top20) stats.get(key).top20 += 1
-
-    const frlScore = Math.min(...Array.from(r1Scores.values()))
-    const frlWinners = Array.from(r1Scores.entries()).filter(([, score]) => score === frlScore)
+    // First-round leaders tie on whole strokes too, and share the dead heat.
+    const r1Strokes = Array.from(r1Scores.entries()).map(([key, score]) => [key, Math.round(score)])
+    const frlScore = Math.min(...r1Strokes.map(([, score]) => score))
+    const frlWinners = r1Strokes.filter(([, score]) => score === frlScore)
     const frlShare = 1 / frlWinners.length
     for (const [key] of frlWinners) {
       stats.get(key).frl += frlShare
@@ -154,19 +487,30 @@ export const simulateTournament = ({
         stats.get(player.key).makeCut += 1
       }
     }
-  }
 
-  const probabilities = new Map()
-  for (const [key, row] of stats.entries()) {
-    probabilities.set(key, {
-      win: clampProbability(row.win / normalizedSimCount),
-      top5: clampProbability(row.top5 / normalizedSimCount),
-      top10: clampProbability(row.top10 / normalizedSimCount),
-      top20: clampProbability(row.top20 / normalizedSimCount),
-      makeCut: clampProbability(row.makeCut / normalizedSimCount),
-      frl: clampProbability(row.frl / normalizedSimCount)
-    })
+    if (holeMode) {
+      for (const [key, count] of birdieCounts.entries()) stats.get(key).birdies += count
+      for (const key of aceSims) stats.get(key).holeInOne += 1
+      if (aceSims.size > 0) fieldHoleInOne += 1
+      addTieShare(Array.from(birdieCounts.entries()).map(([key, count]) => [key, -count]), 'mostBirdies', stats)
+      addTieShare(Array.from(front9Scores.entries()), 'leaderAfter9', stats)
+    }
   }
 
-  return { probabilities, simCount: normalizedSimCount }
+  return buildSimulationResult({
+    stats,
+    simCount: normalizedSimCount,
+    holeMode,
+    fieldHoleInOne,
+    scores: scoreSims > 0
+      ? {
+          simCount: scoreSims,
+          rounds,
+          playerKeys: normalizedPlayers.map((player) => player.key),
+          playerIndex,
+          roundScores: roundScoreMatrix,
+          totals: totalScoreMatrix
+        }
+      : null
+  })
 }
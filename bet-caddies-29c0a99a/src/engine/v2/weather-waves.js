@@ -0,0 +1,122 @@
+const HOUR_MS = 60 * 60 * 1000
+// Assume a round takes about five hours from the first tee time in a wave.
+const WAVE_WINDOW_HOURS = 5
+
+// Stroke impact of conditions on a wave, relative to calm and dry.
+const WIND_FREE_MPH = 8
+const STROKES_PER_MPH = 0.1
+const STROKES_PER_RAIN_MM = 0.25
+const BASE_WAVE_SD = 0.4
+const SD_PER_MPH = 0.03
+const SD_PER_RAIN_MM = 0.2
+
+const toNumber = (value) => {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+const toTime = (value) => {
+  if (!value) return NaN
+  const time = new Date(value).getTime()
+  return Number.isFinite(time) ? time : NaN
+}
+
+const readWindMph = (row) => {
+  const mph = toNumber(row.windMph ?? row.wind_mph ?? row.windSpeedMph)
+  if (Number.isFinite(mph)) return mph
+  const kph = toNumber(row.windKph ?? row.wind_kph ?? row.wind_speed_10m ?? row.windspeed_10m ?? row.windSpeed)
+  return Number.isFinite(kph) ? kph * 0.621371 : NaN
+}
+
+const readRainMm = (row) => toNumber(row.rainMm ?? row.rain_mm ?? row.precip_mm ?? row.precipitation ?? row.rain)
+
+// Forecasts are stored either as hourly rows or as Open-Meteo style column arrays.
+export const extractHourlyForecast = (forecastJson) => {
+  if (!forecastJson) return []
+  const hourly = Array.isArray(forecastJson) ? forecastJson : (forecastJson.hourly ?? forecastJson.hours ?? null)
+  if (!hourly) return []
+
+  let rows = hourly
+  if (!Array.isArray(hourly) && Array.isArray(hourly.time)) {
+    rows = hourly.time.map((time, index) => {
+      const row = { time }
+      for (const [key, values] of Object.entries(hourly)) {
+        if (key !== 'time' && Array.isArray(values)) row[key] = values[index]
+      }
+      return row
+    })
+  }
+  if (!Array.isArray(rows)) return []
+
+  return rows
+    .map((row) => ({
+      time: toTime(row.time ?? row.timestamp ?? row.dt ?? row.datetime),
+      windMph: readWindMph(row),
+      rainMm: readRainMm(row)
+    }))
+    .filter((row) => Number.isFinite(row.time))
+}
+
+const average = (values) => {
+  const finite = values.filter(Number.isFinite)
+  return finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : NaN
+}
+
+const summarizeWindow = (hourly, start, end) => {
+  const inWindow = hourly.filter((row) => row.time >= start && row.time <= end)
+  return {
+    windMph: average(inWindow.map((row) => row.windMph)),
+    rainMm: average(inWindow.map((row) => row.rainMm))
+  }
+}
+
+export const buildWaveCondition = (weather) => {
+  const windMph = Number.isFinite(weather.windMph) ? weather.windMph : 0
+  const rainMm = Number.isFinite(weather.rainMm) ? weather.rainMm : 0
+  return {
+    windMph: Number.isFinite(weather.windMph) ? weather.windMph : null,
+    rainMm: Number.isFinite(weather.rainMm) ? weather.rainMm : null,
+    impact: Math.max(0, windMph - WIND_FREE_MPH) * STROKES_PER_MPH + rainMm * STROKES_PER_RAIN_MM,
+    sd: BASE_WAVE_SD + windMph * SD_PER_MPH + rainMm * SD_PER_RAIN_MM
+  }
+}
+
+// Splits each round's tee sheet into AM/PM waves around the median tee time
+// (timezone-agnostic) and attaches forecast-driven stroke impact per wave.
+export const buildWaveConditions = ({ teeTimes = [], forecastJson = null } = {}) => {
+  const byRound = new Map()
+  for (const row of teeTimes) {
+    const round = toNumber(row.round)
+    const time = toTime(row.teeTimeUtc)
+    if (!row.playerKey || !Number.isFinite(round) || !Number.isFinite(time)) continue
+    if (!byRound.has(round)) byRound.set(round, [])
+    byRound.get(round).push({ playerKey: row.playerKey, time })
+  }
+  if (byRound.size === 0) return null
+
+  const hourly = extractHourlyForecast(forecastJson)
+  const playerWaves = new Map()
+  const conditions = {}
+
+  for (const [round, rows] of byRound.entries()) {
+    const times = rows.map((row) => row.time).sort((a, b) => a - b)
+    const median = times[Math.floor((times.length - 1) / 2)]
+    const waves = { AM: [], PM: [] }
+    for (const row of rows) {
+      const wave = row.time <= median ? 'AM' : 'PM'
+      waves[wave].push(row.time)
+      if (!playerWaves.has(row.playerKey)) playerWaves.set(row.playerKey, {})
+      playerWaves.get(row.playerKey)[round] = wave
+    }
+
+    conditions[round] = {}
+    for (const [wave, waveTimes] of Object.entries(waves)) {
+      if (waveTimes.length === 0) continue
+      const start = Math.min(...waveTimes)
+      const end = Math.max(...waveTimes) + WAVE_WINDOW_HOURS * HOUR_MS
+      conditions[round][wave] = buildWaveCondition(summarizeWindow(hourly, start, end))
+    }
+  }
+
+  return { playerWaves, conditions, hasForecast: hourly.length > 0 }
+}
@@ -1,12 +1,28 @@
 import { DataGolfClient, normalizeDataGolfArray } from '../sources/datagolf/client.js'
 import { parseOutrightsOffers } from '../sources/datagolf/parsers.js'
 import { getAllowedBooksSet } from '../sources/odds/allowed-books.js'
+import { normalizeBookKey } from '../sources/odds/book-utils.js'
+import { getExchangeCommission, isExchangeBook, netOfferOdds } from '../sources/odds/exchange.js'
 import { DataIssueTracker } from '../observability/data-issue-tracker.js'
 import { logger } from '../observability/logger.js'
 import { prisma } from '../db/client.js'
+import { countTiedPositions, deadHeatFraction } from '../domain/dead-heat.js'
+import { EACH_WAY_MARKET, oddsMarketKey } from '../domain/each-way.js'
+import { buildPlayerParams } from '../engine/v2/player-params.js'
+import { buildLiveStartState } from '../engine/v2/live-state.js'
+import { runSimulation } from '../engine/v2/sim-runner.js'
+import { estimateCashout, cashoutBucketStart, DEFAULT_CASHOUT_MARGIN, DEFAULT_CASHOUT_MARKET_WEIGHT } from '../domain/cashout.js'
+import { createOddsHistoryService } from '../services/odds-history-service.js'
 
 const DEFAULT_TTL_MS = Number(process.env.LIVE_TRACKING_CACHE_TTL_MS || 300000)
 const DEFAULT_CONCURRENCY = Number(process.env.LIVE_TRACKING_MAX_CONCURRENCY || 3)
+const DEFAULT_SIM_COUNT = Number(process.env.LIVE_TRACKING_SIM_COUNT || 2000)
+const DEFAULT_CASHOUT_OPTIONS = {
+  margin: Number(process.env.CASHOUT_BOOK_MARGIN || DEFAULT_CASHOUT_MARGIN),
+  marketWeight: Number(process.env.CASHOUT_MARKET_WEIGHT || DEFAULT_CASHOUT_MARKET_WEIGHT),
+  bucketMinutes: Number(process.env.CASHOUT_SNAPSHOT_BUCKET_MINUTES || 15),
+  exchangeCommission: getExchangeCommission()
+}
 
 const DEFAULT_TOURS = ['PGA', 'DPWT', 'KFT', 'LIV']
 
@@ -139,11 +155,42 @@ const extractScoringFields = (row) => {
   }
 }
 
+const toFiniteNumber = (value) => {
+  if (value === null || value === undefined || value === '') return NaN
+  const n = Number(value)
+  return Number.isFinite(n) ? n : NaN
+}
+
+/**
+ * Field-wide context needed for dead-heat settlement: how many players share
+ * each position, and the first-round lead score and how many share it.
+ */
+export const buildFieldTieContext = (scoringList = []) => {
+  const valid = scoringList.filter(Boolean)
+  const positionCounts = countTiedPositions(valid.map((scoring) => scoring.position))
+  const r1Scores = valid.map((scoring) => toFiniteNumber(scoring.r1)).filter(Number.isFinite)
+  const r1LeadScore = r1Scores.length > 0 ? Math.min(...r1Scores) : null
+  const r1LeadCount = r1LeadScore == null ? 0 : r1Scores.filter((score) => score === r1LeadScore).length
+  return { positionCounts, r1LeadScore, r1LeadCount }
+}
+
+export const withFieldTies = (scoring, context) => {
+  if (!scoring || !context) return scoring
+  return {
+    ...scoring,
+    tiedCount: typeof scoring.position === 'number' ? (context.positionCounts.get(scoring.position) || 1) : null,
+    r1LeadScore: context.r1LeadScore,
+    r1LeadCount: context.r1LeadCount
+  }
+}
+
 /**
  * Determine the outcome of a bet based on market type and scoring data.
- * Returns: 'won', 'lost', 'pending', or null (insufficient data)
+ * Each-way bets need the pick's `ewPlaces`; they are won only for a winner and
+ * 'placed' when just the place part pays.
+ * Returns: 'won', 'placed', 'lost', 'pending', or null (insufficient data)
  */
-export const determineBetOutcome = (market, scoring, eventStatus) => {
+export const determineBetOutcome = (market, scoring, eventStatus, { ewPlaces = null } = {}) => {
   if (!market) return null
   
   const marketKey = market.toLowerCase()
@@ -210,16 +257,65 @@ export const determineBetOutcome = (market, scoring, eventStatus) => {
     return 'pending'
   }
   
+  // Each-way: the place part pays inside the book's places (the win part only for a winner)
+  if (marketKey === EACH_WAY_MARKET) {
+    if (!(ewPlaces >= 1)) return null
+    if (status === 'MC' || status === 'WD' || status === 'DQ') return 'lost'
+    if (eventStatus === 'completed' && typeof position === 'number') {
+      if (position === 1) return 'won'
+      return position <= ewPlaces ? 'placed' : 'lost'
+    }
+    return 'pending'
+  }
+
   // For FRL (first round leader)
   if (marketKey === 'frl') {
-    // Would need R1 leaderboard data - mark as pending for now
-    return 'pending'
+    const r1 = toFiniteNumber(scoring?.r1)
+    const roundOneComplete = eventStatus === 'completed' || scoring?.r2 != null || toFiniteNumber(scoring?.currentRound) > 1
+    if (!roundOneComplete) return 'pending'
+    if (!Number.isFinite(r1)) {
+      return status === 'WD' || status === 'DQ' ? 'lost' : 'pending'
+    }
+    if (!Number.isFinite(scoring?.r1LeadScore)) return 'pending'
+    return r1 <= scoring.r1LeadScore ? 'won' : 'lost'
   }
   
   // Unknown market type
   return null
 }
 
+/**
+ * Share of the stake paid at full odds for a winning bet. Ties for the last
+ * top-N place(s) and shared first-round leads settle under dead-heat rules;
+ * for each-way bets this is the place part's share.
+ * Returns null for bets that have not won or placed.
+ */
+export const determineDeadHeatFraction = (market, scoring, outcome, { ewPlaces = null } = {}) => {
+  if ((outcome !== 'won' && outcome !== 'placed') || !market) return null
+  const marketKey = market.toLowerCase()
+
+  if (marketKey === EACH_WAY_MARKET) {
+    const fraction = deadHeatFraction({ position: scoring?.position, tiedCount: scoring?.tiedCount ?? 1, places: ewPlaces })
+    return fraction ?? 1
+  }
+
+  const topNMatch = marketKey.match(/^top_?(\d+)$/)
+  if (topNMatch) {
+    const fraction = deadHeatFraction({
+      position: scoring?.position,
+      tiedCount: scoring?.tiedCount ?? 1,
+      places: parseInt(topNMatch[1], 10)
+    })
+    return fraction ?? 1
+  }
+
+  if (marketKey === 'frl') {
+    return scoring?.r1LeadCount > 1 ? 1 / scoring.r1LeadCount : 1
+  }
+
+  return 1
+}
+
 export const computeOddsMovement = (baseline, current) => {
   if (!Number.isFinite(baseline) || !Number.isFinite(current)) return null
   const deltaDecimal = current - baseline
@@ -234,11 +330,30 @@ export const computeOddsMovement = (baseline, current) => {
   }
 }
 
-const selectBestOffer = (offers = []) => {
+const SIM_PROBABILITY_FIELDS = {
+  win: 'win',
+  top_5: 'top5',
+  top_10: 'top10',
+  top_20: 'top20',
+  make_cut: 'makeCut',
+  frl: 'frl'
+}
+
+export const liveFairProbability = (marketKey, probabilities) => {
+  if (!probabilities) return null
+  if (marketKey === 'mc') {
+    return Number.isFinite(probabilities.makeCut) ? 1 - probabilities.makeCut : null
+  }
+  const field = SIM_PROBABILITY_FIELDS[marketKey]
+  return field && Number.isFinite(probabilities[field]) ? probabilities[field] : null
+}
+
+// Best by what a winning bet returns: exchange prices net of commission.
+const selectBestOffer = (offers = [], commission = getExchangeCommission()) => {
   if (!offers.length) return null
   return offers.reduce((best, offer) => {
     if (!best) return offer
-    return offer.oddsDecimal > best.oddsDecimal ? offer : best
+    return netOfferOdds(offer, { commission }) > netOfferOdds(best, { commission }) ? offer : best
   }, null)
 }
 
@@ -248,9 +363,12 @@ export const createLiveTrackingService = ({
   prisma,
   dataGolfClient = DataGolfClient,
   ttlMs = DEFAULT_TTL_MS,
-  maxConcurrency = DEFAULT_CONCURRENCY
+  maxConcurrency = DEFAULT_CONCURRENCY,
+  simCount = DEFAULT_SIM_COUNT,
+  cashoutOptions = DEFAULT_CASHOUT_OPTIONS
 } = {}) => {
   if (!prisma) throw new Error('Live tracking service requires prisma')
+  const oddsHistory = createOddsHistoryService(prisma)
 
   const ensureRun = async () => {
     const now = new Date()
@@ -474,17 +592,106 @@ export const createLiveTrackingService = ({
 
     return {
       scoringRows,
+      inPlayRows,
+      statsRows,
       inPlayPayload,
       statsPayload
     }
   }
 
+  const loadLatestLeaderboard = async (tourEventId) => {
+    try {
+      const snapshot = await prisma.leaderboardSnapshot.findFirst({
+        where: { tourEventId },
+        orderBy: { fetchedAt: 'desc' }
+      })
+      return Array.isArray(snapshot?.leaderboardJson) ? snapshot.leaderboardJson : []
+    } catch (error) {
+      logger.warn('Live tracking: failed to load leaderboard snapshot', { tourEventId, error: error?.message })
+      return []
+    }
+  }
+
+  // Fair probabilities from our own simulation, resumed from the live
+  // leaderboard. Returns null when the field cannot be placed on it.
+  const buildLiveModel = async ({ tour, tourEventId, inPlayRows, statsRows }) => {
+    const leaderboardRows = inPlayRows.length ? inPlayRows : await loadLatestLeaderboard(tourEventId)
+    const players = []
+    const seen = new Set()
+    for (const row of [...leaderboardRows, ...statsRows]) {
+      const dgId = resolvePlayerId(row)
+      if (!dgId || seen.has(dgId)) continue
+      seen.add(dgId)
+      players.push({ name: resolvePlayerName(row) || dgId, dgId })
+    }
+    if (players.length === 0) return null
+
+    let skillRatings = []
+    try {
+      skillRatings = normalizeDataGolfArray(await dataGolfClient.getSkillRatings('value'))
+    } catch (error) {
+      logger.warn('Live tracking: failed to fetch skill ratings', { tour, error: error?.message })
+    }
+
+    const rounds = tour === 'LIV' ? 3 : 4
+    const params = buildPlayerParams({ players, skillRatings, tour })
+    const { startState } = buildLiveStartState({
+      players: params.map((player, index) => ({ key: player.key, dgId: players[index].dgId })),
+      leaderboardRows,
+      liveStatsRows: statsRows,
+      rounds
+    })
+    if (!startState) return null
+
+    try {
+      const result = await runSimulation({ players: params, tour, rounds, simCount, startState })
+      return {
+        probabilities: result.probabilities,
+        keyByDgId: new Map(players.map((player, index) => [player.dgId, params[index].key]))
+      }
+    } catch (error) {
+      logger.warn('Live tracking: live simulation failed', { tour, error: error?.message })
+      return null
+    }
+  }
+
   const fetchLiveOddsByMarket = async (tourCode, marketKey) => {
     const payload = await dataGolfClient.getOutrightsOdds(tourCode, marketKey)
     const parsed = parseOutrightsOffers(payload, { market: marketKey })
     return { payload, offers: parsed?.offers || [] }
   }
 
+  // One snapshot per bet per time bucket; replays within a bucket keep the first.
+  const recordCashoutSnapshot = async ({ pick, capturedAt, cashout, currentOdds, currentBook, fairProbability, evidence, dataIssues }) => {
+    const bucketStart = cashoutBucketStart(capturedAt, cashoutOptions.bucketMinutes)
+    try {
+      await prisma.cashoutSnapshot.upsert({
+        where: { betRecommendationId_bucketStart: { betRecommendationId: pick.id, bucketStart } },
+        update: {},
+        create: {
+          betRecommendationId: pick.id,
+          bucketStart,
+          capturedAt,
+          placedOddsDecimal: pick.bestOdds,
+          liveOddsDecimal: Number.isFinite(currentOdds) ? currentOdds : null,
+          liveOddsBook: currentBook,
+          pLive: fairProbability,
+          pLiveSource: fairProbability != null ? 'INTERNAL' : 'NONE',
+          fairCashout: cashout.fairExit,
+          marginApplied: cashout.marginApplied,
+          exitValue: cashout.exitValue,
+          holdValue: cashout.holdEv,
+          recommendation: cashout.recommendation,
+          confidence: cashout.confidence,
+          evidenceJson: evidence,
+          dataIssues
+        }
+      })
+    } catch (error) {
+      logger.warn('Live tracking: failed to record cash-out snapshot', { betRecommendationId: pick.id, error: error?.message })
+    }
+  }
+
   const getEventTracking = async ({ dgEventId, tour }) => {
     const cacheKey = getCacheKey('event', tour, dgEventId)
     const cached = getCached(cacheKey)
@@ -526,9 +733,12 @@ export const createLiveTrackingService = ({
     // For upcoming events, return picks without live data
     if (isUpcoming) {
       const rows = picks.map((pick) => ({
+        betId: pick.id,
         dgPlayerId: pick.dgPlayerId || null,
         playerName: pick.selection,
         market: pick.marketKey,
+        ewPlaces: pick.ewPlaces ?? null,
+        ewFraction: pick.ewFraction ?? null,
         position: null,
         totalToPar: null,
         todayToPar: null,
@@ -568,7 +778,7 @@ export const createLiveTrackingService = ({
       await logIssue(tour, 'warning', 'TOUR_NOT_SUPPORTED', 'Tour not supported for live tracking odds', { tour })
     }
 
-    const uniqueMarkets = Array.from(new Set(picks.map((pick) => pick.marketKey).filter(Boolean)))
+    const uniqueMarkets = Array.from(new Set(picks.map((pick) => oddsMarketKey(pick.marketKey)).filter(Boolean)))
 
     const oddsResults = await withConcurrencyLimit(uniqueMarkets, maxConcurrency, async (marketKey) => {
       if (!tourCode) return { marketKey, payload: null, offers: [] }
@@ -579,6 +789,7 @@ export const createLiveTrackingService = ({
             marketKey
           })
         }
+        await oddsHistory.recordOffers(result.offers, { event: tourEvent, marketKey, source: 'live', capturedAt: now })
         const rows = normalizeDataGolfArray(result.payload)
         if (rows.length && result.offers.length === 0) {
           await logIssue(tour, 'warning', 'ODDS_BOOK_NOT_ALLOWED', 'Odds feed returned data but no allowed books remained after filtering', {
@@ -603,7 +814,8 @@ export const createLiveTrackingService = ({
 
     const allowedBooks = getAllowedBooks()
 
-    const { scoringRows, inPlayPayload, statsPayload } = await fetchLiveScoring(tourCode)
+    const { scoringRows, inPlayRows, statsRows, inPlayPayload, statsPayload } = await fetchLiveScoring(tourCode)
+    const liveModel = isCompleted ? null : await buildLiveModel({ tour, tourEventId: tourEvent.id, inPlayRows, statsRows })
 
     const scoringIndex = new Map()
     for (const row of scoringRows) {
@@ -611,6 +823,7 @@ export const createLiveTrackingService = ({
       if (!id) continue
       scoringIndex.set(String(id), row)
     }
+    const fieldTies = buildFieldTieContext(scoringRows.map(extractScoringFields))
 
     if (!scoringRows.length) {
       await logIssue(tour, 'warning', 'STATS_MISSING', 'Live scoring feeds returned no rows', {
@@ -632,7 +845,7 @@ export const createLiveTrackingService = ({
       }
 
       const scoringRow = dgPlayerId ? scoringIndex.get(dgPlayerId) : null
-      const scoring = scoringRow ? extractScoringFields(scoringRow) : null
+      const scoring = scoringRow ? withFieldTies(extractScoringFields(scoringRow), fieldTies) : null
 
       if (dgPlayerId && !scoringRow) {
         await logIssue(tour, 'info', 'PLAYER_NOT_FOUND_IN_LIVE_FEED', 'Player missing from live feed', {
@@ -648,7 +861,7 @@ export const createLiveTrackingService = ({
         })
       }
 
-      const oddsResult = oddsByMarket.get(pick.marketKey)
+      const oddsResult = oddsByMarket.get(oddsMarketKey(pick.marketKey))
       const offers = Array.isArray(oddsResult?.offers) ? oddsResult.offers : []
       let playerOffers = offers.filter((offer) => offer.selectionId && String(offer.selectionId) === dgPlayerId)
 
@@ -665,7 +878,7 @@ export const createLiveTrackingService = ({
         }
       }
 
-      const bestOffer = selectBestOffer(playerOffers)
+      const bestOffer = selectBestOffer(playerOffers, cashoutOptions.exchangeCommission)
       if (!bestOffer) {
         await logIssue(tour, 'warning', 'ODDS_MISSING', 'No live odds for player/market from allowed books', {
           dgPlayerId,
@@ -732,12 +945,65 @@ export const createLiveTrackingService = ({
       // Determine if we have enough info to determine the event status for outcome calculation
       // We'll calculate this properly after all rows are processed
       const preliminaryEventStatus = isCompleted ? 'completed' : 'live'
-      const betOutcome = determineBetOutcome(pick.marketKey, scoring, preliminaryEventStatus)
+      const eachWayTerms = { ewPlaces: pick.ewPlaces ?? null }
+      const betOutcome = determineBetOutcome(pick.marketKey, scoring, preliminaryEventStatus, eachWayTerms)
+      const betDeadHeatFraction = determineDeadHeatFraction(pick.marketKey, scoring, betOutcome, eachWayTerms)
+      const simKey = dgPlayerId ? liveModel?.keyByDgId.get(dgPlayerId) : null
+      const fairProbability = simKey ? liveFairProbability(pick.marketKey, liveModel.probabilities.get(simKey)) : null
+
+      // Exit value is judged against the price we recommended, per unit staked.
+      // A pick published at an exchange is closed there at its lay price.
+      const placedOnExchange = isExchangeBook(resolvedBaselineBook)
+      const exchangeOffer = placedOnExchange
+        ? playerOffers.find((offer) => offer.book === normalizeBookKey(resolvedBaselineBook)) || null
+        : null
+      // Cash-out is modelled for single bets; an each-way bet's place part has no live price.
+      const cashout = betOutcome === 'pending' && !isCompleted && pick.marketKey !== EACH_WAY_MARKET
+        ? estimateCashout({
+          placedOdds: resolvedBaselineOdds,
+          liveOdds: currentOdds,
+          pLive: fairProbability,
+          mapped: Boolean(dgPlayerId),
+          margin: cashoutOptions.margin,
+          marketWeight: cashoutOptions.marketWeight,
+          commission: placedOnExchange ? cashoutOptions.exchangeCommission ?? getExchangeCommission() : 0,
+          layOdds: exchangeOffer?.layOdds ?? null
+        })
+        : null
+      if (cashout) {
+        const cashoutIssues = []
+        if (!Number.isFinite(currentOdds)) cashoutIssues.push('ODDS_MISSING')
+        if (fairProbability == null) cashoutIssues.push('P_LIVE_MISSING')
+        if (!dgPlayerId) cashoutIssues.push('MAPPING_LOW_CONFIDENCE')
+        await recordCashoutSnapshot({
+          pick: { ...pick, bestOdds: resolvedBaselineOdds },
+          capturedAt: now,
+          cashout,
+          currentOdds,
+          currentBook,
+          fairProbability,
+          evidence: {
+            marketKey: pick.marketKey,
+            position: scoring?.position ?? null,
+            totalToPar: scoring?.totalToPar ?? null,
+            thru: scoring?.thru ?? null,
+            fairMarket: cashout.fairMarket,
+            fairModel: cashout.fairModel,
+            exitEv: cashout.exitEv,
+            buffer: cashout.buffer,
+            layOdds: exchangeOffer?.layOdds ?? null
+          },
+          dataIssues: cashoutIssues
+        })
+      }
 
       rows.push({
+        betId: pick.id,
         dgPlayerId: dgPlayerId || null,
         playerName: pick.selection,
         market: pick.marketKey,
+        ewPlaces: pick.ewPlaces ?? null,
+        ewFraction: pick.ewFraction ?? null,
         position: scoring?.position ?? null,
         playerStatus: scoring?.status ?? null,
         totalToPar: scoring?.totalToPar ?? null,
@@ -767,7 +1033,20 @@ export const createLiveTrackingService = ({
         edge: pick.edge,
         ev: pick.ev,
         confidence: pick.confidence1To5,
+        fairProbability,
+        fairOddsDecimal: fairProbability > 0 ? 1 / fairProbability : null,
+        cashout: cashout
+          ? {
+            fairValue: cashout.fairExit,
+            exitValue: cashout.exitValue,
+            exitEv: cashout.exitEv,
+            holdEv: cashout.holdEv,
+            recommendation: cashout.recommendation,
+            confidence: cashout.confidence
+          }
+          : null,
         betOutcome,
+        deadHeatFraction: betDeadHeatFraction,
         dataIssues: []
       })
     }
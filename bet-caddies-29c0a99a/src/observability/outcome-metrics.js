@@ -2,8 +2,10 @@ import { logger } from './logger.js'
 
 /**
  * Outcome metrics are OBSERVABILITY ONLY.
- * They MUST NOT auto-adjust model behavior (no RL, no auto-calibration).
- * They exist to compare predictions vs actual outcomes over time.
+ * They MUST NOT auto-adjust model behavior inside a run (no RL, no online calibration).
+ * They exist to compare predictions vs actual outcomes over time. Calibration
+ * tables are fitted from them only by the explicit, versioned refresh job
+ * (src/pipeline/calibration-refresh.js).
  */
 
 export const initializeOutcomeTracking = ({ runKey, runId }) => {
@@ -53,6 +55,7 @@ export const buildOutcomeMetric = ({
   predictedProb,
   actualOutcome,
   confidenceJson,
+  rawProb = confidenceJson?.context?.preCalibrationProb ?? null,
   dgProb,
   settledAt
 }) => {
@@ -68,6 +71,7 @@ export const buildOutcomeMetric = ({
     marketKey,
     selection,
     predictedProb,
+    rawProb,
     actualOutcome,
     confidenceOverall: confidenceJson?.overall ?? null,
     confidenceJson,
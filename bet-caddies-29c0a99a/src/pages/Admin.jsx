@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { api } from '@/api/client';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { motion } from 'framer-motion';
@@ -114,6 +115,30 @@ export default function Admin() {
     queryFn: () => api.entities.ResearchRun.list('-created_date', 20)
   });
 
+  const { data: shadowRuns = [] } = useQuery({
+    queryKey: ['engineShadowRuns'],
+    enabled: !!user,
+    queryFn: () => api.entities.EngineShadowRun.list()
+  });
+
+  const { data: cashoutAudit } = useQuery({
+    queryKey: ['cashoutSnapshots'],
+    enabled: !!user,
+    queryFn: () => api.entities.CashoutSnapshot.list()
+  });
+
+  const { data: clvReport } = useQuery({
+    queryKey: ['closingLines'],
+    enabled: !!user,
+    queryFn: () => api.entities.ClosingLine.report()
+  });
+
+  const { data: blendWeights = [] } = useQuery({
+    queryKey: ['blendWeights'],
+    enabled: !!user,
+    queryFn: () => api.entities.BlendWeightConfig.list()
+  });
+
   const { data: bets = [], isLoading: betsLoading } = useQuery({
     queryKey: ['allBets'],
     enabled: !!user,
@@ -516,6 +541,24 @@ export default function Admin() {
     }
   })
 
+  const captureClosingLinesMutation = useMutation({
+    mutationFn: () => api.entities.ClosingLine.capture(),
+    onSuccess: (result) => {
+      queryClient.invalidateQueries({ queryKey: ['closingLines'] });
+      toast({
+        title: 'Closing lines captured',
+        description: `${result?.updated ?? 0} picks updated across ${result?.events ?? 0} events`
+      });
+    },
+    onError: (error) => {
+      toast({
+        title: 'Closing line capture failed',
+        description: error?.message || 'Failed to capture closing lines',
+        variant: 'destructive'
+      });
+    }
+  });
+
   const checkDbHealthMutation = useMutation({
     mutationFn: async () => {
       const response = await api.entities.Health.db()
@@ -677,6 +720,14 @@ export default function Admin() {
     }
   });
 
+  const updateCutRuleMutation = useMutation({
+    mutationFn: ({ id, data }) => api.entities.TourEvent.updateCutRule(id, data),
+    onSuccess: (cutRule) => {
+      queryClient.invalidateQueries({ queryKey: ['tourEvents'] });
+      setEditingTourEvent((current) => (current ? { ...current, cut_rule: cutRule } : current));
+    }
+  });
+
   const deleteTourEventMutation = useMutation({
     mutationFn: (id) => api.entities.TourEvent.delete(id),
     onSuccess: () => queryClient.invalidateQueries({ queryKey: ['tourEvents'] })
@@ -948,6 +999,90 @@ export default function Admin() {
                 ))}
               </div>
             )}
+
+            {shadowRuns.length > 0 && (
+              <div className="space-y-3 pt-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">Engine Shadow Comparison</h3>
+                  <p className="text-sm text-slate-400">
+                    Live picks vs the optimal engine on the same candidates. Returns are per unit staked and settle once the event ends.
+                  </p>
+                </div>
+                {shadowRuns.map(entry => (
+                  <EngineShadowRunCard key={entry.id} entry={entry} />
+                ))}
+              </div>
+            )}
+
+            {cashoutAudit?.data?.length > 0 && (
+              <div className="space-y-3 pt-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">Cash-out Advice</h3>
+                  <p className="text-sm text-slate-400">
+                    Estimated exit values from live tracking, graded against the settled return. Values are per unit staked.
+                  </p>
+                </div>
+                <CashoutAuditPanel audit={cashoutAudit} />
+              </div>
+            )}
+
+            {clvReport?.summary && (
+              <div className="space-y-3 pt-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <h3 className="text-lg font-semibold text-white">Closing Line Value</h3>
+                    <p className="text-sm text-slate-400">
+                      Published odds against the last prices before tee-off, at the published book and against the vig-free closing probability.
+                    </p>
+                  </div>
+                  <Button
+                    variant="outline"
+                    className="border-slate-600 text-slate-300 flex-shrink-0"
+                    onClick={() => captureClosingLinesMutation.mutate()}
+                    disabled={captureClosingLinesMutation.isPending}
+                  >
+                    {captureClosingLinesMutation.isPending ? 'Capturing…' : 'Capture Now'}
+                  </Button>
+                </div>
+                <ClosingLinePanel report={clvReport} />
+              </div>
+            )}
+
+            {blendWeights.length > 0 && (
+              <div className="space-y-3 pt-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">Blend Weights</h3>
+                  <p className="text-sm text-slate-400">
+                    Sim / DataGolf / market weights fitted on settled selections. Log loss is measured on the most recently settled selections, held out of the fit, for both the learned and static weights. Lower is better.
+                  </p>
+                </div>
+                <BlendWeightsPanel configs={blendWeights} />
+              </div>
+            )}
+
+            {runs.some(run => run.status === 'completed') && (
+              <div className="space-y-3 pt-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">What-if Scenarios</h3>
+                  <p className="text-sm text-slate-400">
+                    Re-simulate an event from a completed run with withdrawals, player or weather edits, and compare the picks with what was published. Nothing is saved.
+                  </p>
+                </div>
+                <ScenarioPanel runs={runs.filter(run => run.status === 'completed')} />
+              </div>
+            )}
+
+            {runs.some(run => run.status === 'completed') && (
+              <div className="space-y-3 pt-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-white">Vig Removal</h3>
+                  <p className="text-sm text-slate-400">
+                    Market probabilities from the stored odds of a run under each vig-removal method, de-vigged to the total the market should sum to. Set the method per market with VIG_METHODS.
+                  </p>
+                </div>
+                <VigComparisonPanel runs={runs.filter(run => run.status === 'completed')} />
+              </div>
+            )}
           </div>
         </TabsContent>
 
@@ -1395,6 +1530,14 @@ export default function Admin() {
                         <div className="text-sm text-slate-400">
                           {ev.location || '—'}{ev.course_name ? ` • ${ev.course_name}` : ''}
                         </div>
+                        {ev.cut_rule && (
+                          <div className="text-xs text-slate-500 mt-1">
+                            Cut: {ev.cut_rule.description}
+                            <span className={ev.cut_rule.source === 'override' ? 'text-amber-400' : 'text-slate-600'}>
+                              {' '}({ev.cut_rule.source === 'override' ? 'override' : ev.cut_rule.source === 'registry' ? 'event registry' : 'tour default'})
+                            </span>
+                          </div>
+                        )}
                       </div>
                       <div className="flex items-center gap-2">
                         <Button
@@ -2175,6 +2318,15 @@ export default function Admin() {
               isSaving={updateTourEventMutation.isPending}
             />
           )}
+          {editingTourEvent?.cut_rule && (
+            <CutRuleEditForm
+              key={`${editingTourEvent.id}:${editingTourEvent.cut_rule.source}:${editingTourEvent.cut_rule.updated_at || ''}`}
+              cutRule={editingTourEvent.cut_rule}
+              onSave={(data) => updateCutRuleMutation.mutate({ id: editingTourEvent.id, data })}
+              onClear={() => updateCutRuleMutation.mutate({ id: editingTourEvent.id, data: { clear: true } })}
+              isSaving={updateCutRuleMutation.isPending}
+            />
+          )}
         </DialogContent>
       </Dialog>
 
@@ -2350,6 +2502,704 @@ function TourEventEditForm({ event, onSave, onCancel, isSaving }) {
   );
 }
 
+function CutRuleEditForm({ cutRule, onSave, onClear, isSaving }) {
+  const [form, setForm] = useState({
+    cut_after: cutRule.cutAfter ?? 2,
+    cut_size: cutRule.cutSize ?? 65,
+    ties: cutRule.ties !== false,
+    ten_shot_rule: cutRule.tenShotRule ?? '',
+    secondary_cut_after: cutRule.secondaryCut?.after ?? '',
+    secondary_cut_size: cutRule.secondaryCut?.size ?? ''
+  })
+
+  const parseIntOr = (value, fallback) => {
+    if (value === '' || value === undefined || value === null) return fallback
+    const n = Number.parseInt(value, 10)
+    return Number.isFinite(n) ? n : fallback
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSave({
+      cut_after: parseIntOr(form.cut_after, 0),
+      cut_size: parseIntOr(form.cut_size, 0),
+      ties: form.ties,
+      ten_shot_rule: form.ten_shot_rule === '' ? null : Number(form.ten_shot_rule),
+      secondary_cut_after: parseIntOr(form.secondary_cut_after, null),
+      secondary_cut_size: parseIntOr(form.secondary_cut_size, null)
+    })
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 border-t border-slate-700 pt-4 mt-4">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <div className="font-semibold text-white">Cut Rule</div>
+          <div className="text-xs text-slate-400">
+            {cutRule.description} • {cutRule.source === 'override'
+              ? `override${cutRule.updated_by ? ` by ${cutRule.updated_by}` : ''}`
+              : cutRule.source === 'registry' ? 'event registry' : 'tour default'}
+          </div>
+        </div>
+        {cutRule.source === 'override' && (
+          <Button type="button" variant="ghost" onClick={onClear} disabled={isSaving} className="text-slate-300 hover:text-white">
+            Reset to default
+          </Button>
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Cut after round (0 = no cut)</label>
+          <Input
+            type="number"
+            value={String(form.cut_after)}
+            onChange={(e) => setForm({ ...form, cut_after: e.target.value })}
+            className="bg-slate-800/50 border-slate-700 text-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Cut size</label>
+          <Input
+            type="number"
+            value={String(form.cut_size)}
+            onChange={(e) => setForm({ ...form, cut_size: e.target.value })}
+            className="bg-slate-800/50 border-slate-700 text-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Shots-of-lead rule</label>
+          <Input
+            type="number"
+            value={String(form.ten_shot_rule)}
+            onChange={(e) => setForm({ ...form, ten_shot_rule: e.target.value })}
+            className="bg-slate-800/50 border-slate-700 text-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Secondary cut after round</label>
+          <Input
+            type="number"
+            value={String(form.secondary_cut_after)}
+            onChange={(e) => setForm({ ...form, secondary_cut_after: e.target.value })}
+            className="bg-slate-800/50 border-slate-700 text-white"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-slate-300 mb-1">Secondary cut size</label>
+          <Input
+            type="number"
+            value={String(form.secondary_cut_size)}
+            onChange={(e) => setForm({ ...form, secondary_cut_size: e.target.value })}
+            className="bg-slate-800/50 border-slate-700 text-white"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-300 mt-6">
+          <input
+            type="checkbox"
+            checked={form.ties}
+            onChange={(e) => setForm({ ...form, ties: e.target.checked })}
+          />
+          Ties make the cut
+        </label>
+      </div>
+      <div className="flex items-center justify-end gap-2">
+        <Button type="submit" disabled={isSaving} className="bg-emerald-500 hover:bg-emerald-600">
+          {isSaving ? 'Saving...' : 'Save Cut Rule'}
+        </Button>
+      </div>
+    </form>
+  )
+}
+
+CutRuleEditForm.propTypes = {
+  cutRule: PropTypes.object.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  isSaving: PropTypes.bool,
+};
+
+function EngineShadowRunCard({ entry }) {
+  const [expanded, setExpanded] = useState(false)
+  const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '—')
+  const formatUnits = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}u` : '—')
+  const optimalKeys = new Set(entry.optimal.bets.map(bet => bet.key))
+  const legacyKeys = new Set(entry.legacy.bets.map(bet => bet.key))
+
+  const engines = [
+    { label: 'Live', summary: entry.legacy, otherKeys: optimalKeys },
+    { label: 'Optimal (shadow)', summary: entry.optimal, otherKeys: legacyKeys }
+  ]
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <div className="font-semibold text-white">{entry.event_name || '—'}</div>
+          <div className="text-sm text-slate-400">
+            {entry.tour} • {entry.run_id} • {entry.overlap} shared picks ({entry.same_tier} same tier)
+          </div>
+        </div>
+        <div className="flex items-center gap-3">
+          <Badge className={entry.event_finished ? 'bg-emerald-500/20 text-emerald-400' : 'bg-slate-500/20 text-slate-400'}>
+            {entry.event_finished ? 'settled' : 'pending'}
+          </Badge>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => setExpanded(!expanded)}
+            className="text-slate-300"
+          >
+            <ChevronDown className={`w-4 h-4 transition-transform ${expanded ? 'rotate-180' : ''}`} />
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3">
+        {engines.map(({ label, summary }) => (
+          <div key={label} className="rounded-lg border border-slate-700/60 bg-slate-800/30 px-3 py-2 text-sm">
+            <div className="text-slate-300 font-medium">{label}</div>
+            <div className="text-slate-400">
+              {summary.picks} picks • EV {formatNumber(summary.total_ev)}
+              {summary.settled > 0 && ` • ${summary.wins}/${summary.settled} won • ${formatUnits(summary.units_profit)}`}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {expanded && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mt-3">
+          {engines.map(({ label, summary, otherKeys }) => (
+            <div key={label} className="space-y-1">
+              <div className="text-xs text-slate-500">{label}</div>
+              {summary.bets.map(bet => (
+                <div key={bet.key} className="flex items-center justify-between text-sm">
+                  <div className={`truncate pr-3 ${otherKeys.has(bet.key) ? 'text-slate-300' : 'text-amber-300'}`}>
+                    {bet.selection} • {bet.market_key} • {bet.tier}
+                  </div>
+                  <div className="text-slate-400 flex-shrink-0">
+                    {formatNumber(bet.odds)} • EV {formatNumber(bet.ev)} • {bet.outcome}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+EngineShadowRunCard.propTypes = {
+  entry: PropTypes.object.isRequired,
+};
+
+function CashoutAuditPanel({ audit }) {
+  const formatNumber = (value, digits = 2) => (Number.isFinite(value) ? value.toFixed(digits) : '—')
+  const formatUnits = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}u` : '—')
+  const recommendationStyles = {
+    CASH_OUT: 'bg-amber-500/20 text-amber-400',
+    HOLD: 'bg-emerald-500/20 text-emerald-400',
+    WAIT: 'bg-slate-500/20 text-slate-400'
+  }
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {audit.summary.map(row => (
+          <div key={row.recommendation} className="rounded-lg border border-slate-700/60 bg-slate-800/30 px-3 py-2 text-sm">
+            <div className="text-slate-300 font-medium">{row.recommendation.replace('_', ' ')}</div>
+            <div className="text-slate-400">
+              {row.snapshots} snapshots
+              {row.graded > 0 && ` • ${row.correct}/${row.graded} right • ${formatUnits(row.units_gained)}`}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="space-y-1">
+        {audit.data.slice(0, 25).map(row => (
+          <div key={row.id} className="flex items-center justify-between text-sm">
+            <div className="truncate pr-3 text-slate-300">
+              {row.selection} • {row.market_key} • {row.event_name}
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0 text-slate-400">
+              <span>
+                {formatNumber(row.placed_odds)} → {formatNumber(row.live_odds)} • exit {formatNumber(row.exit_value)} • hold {formatNumber(row.hold_value)}
+              </span>
+              {row.recommendation && (
+                <Badge className={recommendationStyles[row.recommendation]}>{row.recommendation.replace('_', ' ')}</Badge>
+              )}
+              <span className={row.advice_correct == null ? '' : (row.advice_correct ? 'text-emerald-400' : 'text-red-400')}>
+                {row.outcome}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+CashoutAuditPanel.propTypes = {
+  audit: PropTypes.shape({
+    summary: PropTypes.arrayOf(PropTypes.object),
+    data: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+};
+
+function ClosingLinePanel({ report }) {
+  const formatPct = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%` : '—')
+  const formatOdds = (value) => (Number.isFinite(value) ? value.toFixed(2) : '—')
+  const clvClass = (value) => (!Number.isFinite(value) ? 'text-slate-500' : (value > 0 ? 'text-emerald-400' : 'text-red-400'))
+  const groups = [
+    { title: 'By tier', rows: report.summary.by_tier },
+    { title: 'By market', rows: report.summary.by_market },
+    { title: 'By tour', rows: report.summary.by_tour }
+  ]
+  const overall = report.summary.overall
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4 space-y-3">
+      <div className="text-sm text-slate-300">
+        {overall.picks} picks with a final close • odds CLV <span className={clvClass(overall.avg_clv_odds)}>{formatPct(overall.avg_clv_odds)}</span>
+        {' '}• EV at close <span className={clvClass(overall.avg_clv_ev)}>{formatPct(overall.avg_clv_ev)}</span>
+        {' '}• beat the close {overall.beat_close_rate == null ? '—' : `${(overall.beat_close_rate * 100).toFixed(0)}%`}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {groups.map(group => (
+          <div key={group.title} className="rounded-lg border border-slate-700/60 bg-slate-800/30 px-3 py-2 text-sm">
+            <div className="text-slate-300 font-medium mb-1">{group.title}</div>
+            {group.rows.length === 0 && <div className="text-slate-500">No closing lines yet</div>}
+            {group.rows.map(row => (
+              <div key={row.key} className="flex items-center justify-between text-slate-400">
+                <span className="truncate pr-2">{row.key} ({row.picks})</span>
+                <span>
+                  <span className={clvClass(row.avg_clv_odds)}>{formatPct(row.avg_clv_odds)}</span>
+                  {' '}/ <span className={clvClass(row.avg_clv_ev)}>{formatPct(row.avg_clv_ev)}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="space-y-1">
+        {report.data.slice(0, 25).map(row => (
+          <div key={row.bet_recommendation_id} className="flex items-center justify-between text-sm">
+            <div className="truncate pr-3 text-slate-300">
+              {row.tier} • {row.selection} • {row.market_key} • {row.event_name}
+            </div>
+            <div className="flex-shrink-0 text-slate-400">
+              {formatOdds(row.published_odds)} → {formatOdds(row.closing_odds)} ({row.bookmaker})
+              {' '}• best {formatOdds(row.closing_best_odds)}
+              {' '}• fair {Number.isFinite(row.closing_fair_prob) ? `${(row.closing_fair_prob * 100).toFixed(1)}%` : '—'}
+              {' '}• <span className={clvClass(row.clv_odds)}>{formatPct(row.clv_odds)}</span>
+              {' '}• EV <span className={clvClass(row.clv_ev)}>{formatPct(row.clv_ev)}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+ClosingLinePanel.propTypes = {
+  report: PropTypes.shape({
+    summary: PropTypes.object,
+    data: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+};
+
+function BlendWeightsPanel({ configs }) {
+  const formatWeights = (weights) => (weights
+    ? ['sim', 'dg', 'mkt'].map(source => `${source} ${Number(weights[source] ?? 0).toFixed(2)}`).join(' / ')
+    : '—')
+  const formatLoss = (value) => (Number.isFinite(value) ? value.toFixed(4) : '—')
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4 space-y-1">
+      {configs.slice(0, 40).map(config => (
+        <div key={config.id} className="flex items-center justify-between text-sm">
+          <div className="truncate pr-3 text-slate-300">
+            {config.tour} • {config.market_key} • v{config.version}
+            {config.active && <Badge className="ml-2 bg-emerald-500/20 text-emerald-400">Active</Badge>}
+          </div>
+          <div className="flex-shrink-0 text-right text-slate-400">
+            <div>learned {formatWeights(config.weights)} • log loss {formatLoss(config.log_loss)}</div>
+            <div className="text-xs text-slate-500">
+              static {formatWeights(config.static_weights)} • log loss {formatLoss(config.static_log_loss)} • {config.holdout_size
+                ? `${config.holdout_size} held out of ${config.sample_size} samples`
+                : `${config.sample_size} samples, in sample`}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+BlendWeightsPanel.propTypes = {
+  configs: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+function VigComparisonPanel({ runs }) {
+  const [runId, setRunId] = useState('')
+  const [tourEventId, setTourEventId] = useState('')
+  const [marketKey, setMarketKey] = useState('')
+
+  const { data: events = [] } = useQuery({
+    queryKey: ['vigComparisonMarkets', runId],
+    enabled: !!runId,
+    queryFn: () => api.entities.VigComparison.listMarkets(runId)
+  })
+  const event = events.find(entry => entry.tourEventId === tourEventId) || null
+
+  const { data: comparison, isFetching } = useQuery({
+    queryKey: ['vigComparison', runId, tourEventId, marketKey],
+    enabled: !!runId && !!tourEventId && !!marketKey,
+    queryFn: () => api.entities.VigComparison.compare({ runId, tourEventId, marketKey })
+  })
+
+  const formatProb = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : '—')
+  const methods = comparison?.methods || []
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <Select value={runId} onValueChange={(value) => { setRunId(value); setTourEventId(''); setMarketKey('') }}>
+          <SelectTrigger className="bg-slate-800 border-slate-700">
+            <SelectValue placeholder="Completed run" />
+          </SelectTrigger>
+          <SelectContent>
+            {runs.map(run => (
+              <SelectItem key={run.id} value={run.id}>{run.run_id}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={tourEventId} onValueChange={(value) => { setTourEventId(value); setMarketKey('') }} disabled={events.length === 0}>
+          <SelectTrigger className="bg-slate-800 border-slate-700">
+            <SelectValue placeholder={runId && events.length === 0 ? 'No stored odds' : 'Event'} />
+          </SelectTrigger>
+          <SelectContent>
+            {events.map(entry => (
+              <SelectItem key={entry.tourEventId} value={entry.tourEventId}>{entry.tour} • {entry.eventName}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={marketKey} onValueChange={setMarketKey} disabled={!event}>
+          <SelectTrigger className="bg-slate-800 border-slate-700">
+            <SelectValue placeholder="Market" />
+          </SelectTrigger>
+          <SelectContent>
+            {(event?.markets || []).map(market => (
+              <SelectItem key={market.marketKey} value={market.marketKey}>{market.marketKey} ({market.offers} prices)</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {isFetching && <p className="text-sm text-slate-400">Pricing market…</p>}
+
+      {comparison && !isFetching && (
+        <div className="space-y-3">
+          <div className="text-sm text-slate-300">
+            {comparison.books} books • expected total {comparison.expectedTotal ?? 'unknown'} • configured method{' '}
+            <span className="text-emerald-400">{comparison.configuredMethod}</span>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-slate-700/50 text-slate-400">
+                  <th className="text-left px-2 py-2 font-medium">Selection</th>
+                  <th className="text-right px-2 py-2 font-medium">Best</th>
+                  <th className="text-right px-2 py-2 font-medium">Implied</th>
+                  {methods.map(entry => (
+                    <th
+                      key={entry.method}
+                      className={`text-right px-2 py-2 font-medium capitalize ${entry.method === comparison.configuredMethod ? 'text-emerald-400' : ''}`}
+                    >
+                      {entry.method}
+                    </th>
+                  ))}
+                </tr>
+                <tr className="border-b border-slate-700/50 text-xs text-slate-500">
+                  <td className="px-2 py-1" colSpan={3}>Sum of consensus probabilities</td>
+                  {methods.map(entry => (
+                    <td key={entry.method} className="text-right px-2 py-1">
+                      {entry.priced > 0 ? entry.sum.toFixed(3) : '—'}
+                    </td>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.selections.map(row => (
+                  <tr key={row.selection} className="border-b border-slate-700/30 text-slate-300">
+                    <td className="px-2 py-1.5 text-white">{row.selection}</td>
+                    <td className="px-2 py-1.5 text-right">{row.bestOdds.toFixed(2)} <span className="text-slate-500">({row.bestBook})</span></td>
+                    <td className="px-2 py-1.5 text-right">{formatProb(row.impliedProb)}</td>
+                    {methods.map(entry => (
+                      <td
+                        key={entry.method}
+                        className={`px-2 py-1.5 text-right ${entry.method === comparison.configuredMethod ? 'text-emerald-300' : ''}`}
+                      >
+                        {formatProb(row.fair[entry.method])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+VigComparisonPanel.propTypes = {
+  runs: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
+function ScenarioPanel({ runs }) {
+  const [runId, setRunId] = useState('')
+  const [tourEventId, setTourEventId] = useState('')
+  const [withdraw, setWithdraw] = useState([])
+  const [playerEdits, setPlayerEdits] = useState([])
+  const [weatherEdits, setWeatherEdits] = useState([])
+  const [playerDraft, setPlayerDraft] = useState({ key: '', mean_shift: '', volatility_scale: '' })
+  const [weatherDraft, setWeatherDraft] = useState({ round: '1', wave: 'PM', wind_mph: '', rain_mm: '' })
+
+  const { data: events = [] } = useQuery({
+    queryKey: ['scenarioEvents', runId],
+    enabled: !!runId,
+    queryFn: () => api.entities.Scenario.listEvents(runId)
+  })
+  const event = events.find(entry => entry.tourEventId === tourEventId) || null
+
+  const scenarioMutation = useMutation({
+    mutationFn: (data) => api.entities.Scenario.run(data),
+    onError: (error) => {
+      toast({
+        title: 'Scenario Failed',
+        description: error.message || 'Failed to run scenario',
+        variant: 'destructive'
+      })
+    }
+  })
+  const result = scenarioMutation.data
+
+  const resetEdits = () => {
+    setWithdraw([])
+    setPlayerEdits([])
+    setWeatherEdits([])
+    scenarioMutation.reset()
+  }
+  const toNumber = (value) => (value === '' ? undefined : Number(value))
+  const playerName = (key) => event?.players.find(player => player.key === key)?.name || key
+  const formatPick = (pick) => `${pick.tier} • ${pick.selection} • ${pick.marketKey} @ ${Number(pick.bestOdds).toFixed(2)}`
+  const formatEv = (value) => (Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—')
+
+  const runScenario = () => {
+    scenarioMutation.mutate({
+      run_id: runId,
+      tour_event_id: tourEventId,
+      withdraw,
+      players: playerEdits,
+      weather: weatherEdits
+    })
+  }
+
+  return (
+    <div className="bg-slate-800/30 rounded-xl border border-slate-700/50 p-4 space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Select value={runId} onValueChange={(value) => { setRunId(value); setTourEventId(''); resetEdits() }}>
+          <SelectTrigger className="bg-slate-800 border-slate-700">
+            <SelectValue placeholder="Completed run" />
+          </SelectTrigger>
+          <SelectContent>
+            {runs.map(run => (
+              <SelectItem key={run.id} value={run.id}>{run.run_id}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Select value={tourEventId} onValueChange={(value) => { setTourEventId(value); resetEdits() }} disabled={events.length === 0}>
+          <SelectTrigger className="bg-slate-800 border-slate-700">
+            <SelectValue placeholder={runId && events.length === 0 ? 'No stored scenario inputs' : 'Event'} />
+          </SelectTrigger>
+          <SelectContent>
+            {events.map(entry => (
+              <SelectItem key={entry.tourEventId} value={entry.tourEventId}>{entry.tour} • {entry.eventName}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {event && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <p className="text-xs text-slate-400">Withdraw</p>
+              <Select value="" onValueChange={(key) => setWithdraw(withdraw.includes(key) ? withdraw : [...withdraw, key])}>
+                <SelectTrigger className="bg-slate-800 border-slate-700">
+                  <SelectValue placeholder="Player" />
+                </SelectTrigger>
+                <SelectContent>
+                  {event.players.map(player => (
+                    <SelectItem key={player.key} value={player.key}>{player.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-slate-400">Player edit (strokes per round, + is worse; volatility ×)</p>
+              <div className="flex gap-2">
+                <Select value={playerDraft.key} onValueChange={(key) => setPlayerDraft({ ...playerDraft, key })}>
+                  <SelectTrigger className="bg-slate-800 border-slate-700">
+                    <SelectValue placeholder="Player" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {event.players.map(player => (
+                      <SelectItem key={player.key} value={player.key}>{player.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  value={playerDraft.mean_shift}
+                  onChange={(e) => setPlayerDraft({ ...playerDraft, mean_shift: e.target.value })}
+                  placeholder="+0.5"
+                  className="bg-slate-800 border-slate-700 w-24"
+                />
+                <Input
+                  value={playerDraft.volatility_scale}
+                  onChange={(e) => setPlayerDraft({ ...playerDraft, volatility_scale: e.target.value })}
+                  placeholder="1.0"
+                  className="bg-slate-800 border-slate-700 w-20"
+                />
+                <Button
+                  variant="outline"
+                  className="border-slate-700"
+                  disabled={!playerDraft.key}
+                  onClick={() => {
+                    setPlayerEdits([...playerEdits.filter(edit => edit.key !== playerDraft.key), {
+                      key: playerDraft.key,
+                      mean_shift: toNumber(playerDraft.mean_shift),
+                      volatility_scale: toNumber(playerDraft.volatility_scale)
+                    }])
+                    setPlayerDraft({ key: '', mean_shift: '', volatility_scale: '' })
+                  }}
+                >
+                  Add
+                </Button>
+              </div>
+            </div>
+          </div>
+
+          {event.weatherRounds.length > 0 ? (
+            <div className="space-y-1">
+              <p className="text-xs text-slate-400">Weather (round, wave, wind mph, rain mm)</p>
+              <div className="flex gap-2">
+                <Select value={weatherDraft.round} onValueChange={(round) => setWeatherDraft({ ...weatherDraft, round })}>
+                  <SelectTrigger className="bg-slate-800 border-slate-700 w-24">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {event.weatherRounds.map(round => (
+                      <SelectItem key={round} value={String(round)}>R{round}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={weatherDraft.wave} onValueChange={(wave) => setWeatherDraft({ ...weatherDraft, wave })}>
+                  <SelectTrigger className="bg-slate-800 border-slate-700 w-24">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="AM">AM</SelectItem>
+                    <SelectItem value="PM">PM</SelectItem>
+                    <SelectItem value="ALL">ALL</SelectItem>
+                  </SelectContent>
+                </Select>
+                <Input
+                  value={weatherDraft.wind_mph}
+                  onChange={(e) => setWeatherDraft({ ...weatherDraft, wind_mph: e.target.value })}
+                  placeholder="25"
+                  className="bg-slate-800 border-slate-700 w-20"
+                />
+                <Input
+                  value={weatherDraft.rain_mm}
+                  onChange={(e) => setWeatherDraft({ ...weatherDraft, rain_mm: e.target.value })}
+                  placeholder="0"
+                  className="bg-slate-800 border-slate-700 w-20"
+                />
+                <Button
+                  variant="outline"
+                  className="border-slate-700"
+                  onClick={() => setWeatherEdits([...weatherEdits, {
+                    round: Number(weatherDraft.round),
+                    wave: weatherDraft.wave,
+                    wind_mph: toNumber(weatherDraft.wind_mph),
+                    rain_mm: toNumber(weatherDraft.rain_mm)
+                  }])}
+                >
+                  Add
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-xs text-slate-500">No tee sheet was stored for this event, so weather cannot be edited.</p>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            {withdraw.map(key => (
+              <Badge key={`wd-${key}`} className="bg-red-500/20 text-red-400 cursor-pointer" onClick={() => setWithdraw(withdraw.filter(entry => entry !== key))}>
+                WD {playerName(key)} ×
+              </Badge>
+            ))}
+            {playerEdits.map(edit => (
+              <Badge key={`p-${edit.key}`} className="bg-blue-500/20 text-blue-400 cursor-pointer" onClick={() => setPlayerEdits(playerEdits.filter(entry => entry.key !== edit.key))}>
+                {playerName(edit.key)} {edit.mean_shift != null ? `${edit.mean_shift >= 0 ? '+' : ''}${edit.mean_shift}` : ''} {edit.volatility_scale != null ? `×${edit.volatility_scale}` : ''} ×
+              </Badge>
+            ))}
+            {weatherEdits.map((edit, index) => (
+              <Badge key={`w-${index}`} className="bg-amber-500/20 text-amber-400 cursor-pointer" onClick={() => setWeatherEdits(weatherEdits.filter((_, i) => i !== index))}>
+                R{edit.round} {edit.wave} {edit.wind_mph ?? '—'} mph {edit.rain_mm ?? '—'} mm ×
+              </Badge>
+            ))}
+          </div>
+
+          <Button onClick={runScenario} disabled={scenarioMutation.isPending} className="bg-emerald-500 hover:bg-emerald-600">
+            {scenarioMutation.isPending ? 'Simulating...' : 'Run scenario'}
+          </Button>
+        </div>
+      )}
+
+      {result?.diff && (
+        <div className="space-y-2 text-sm">
+          <div className="text-slate-400">
+            {result.simCount} sims • {result.diff.added.length} added • {result.diff.removed.length} removed • {result.diff.changed.length} changed • {result.diff.unchanged} unchanged
+          </div>
+          {result.warnings.map(warning => (
+            <div key={warning} className="text-amber-400">{warning}</div>
+          ))}
+          {result.diff.added.map(pick => (
+            <div key={`added-${pick.marketKey}-${pick.selection}`} className="text-emerald-400">+ {formatPick(pick)} • EV {formatEv(pick.ev)}</div>
+          ))}
+          {result.diff.removed.map(pick => (
+            <div key={`removed-${pick.marketKey}-${pick.selection}`} className="text-red-400">− {formatPick(pick)} • EV {formatEv(pick.ev)}</div>
+          ))}
+          {result.diff.changed.map(({ before, after }) => (
+            <div key={`changed-${after.marketKey}-${after.selection}`} className="text-slate-300">
+              ~ {formatPick(after)} • EV {formatEv(before.ev)} → {formatEv(after.ev)}
+              {before.tier !== after.tier && ` • was ${before.tier}`}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+ScenarioPanel.propTypes = {
+  runs: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
+
 function OddsOfferEditForm({ offer, onSave, onCancel, isSaving }) {
   const [form, setForm] = useState({
     odds_decimal: offer.odds_decimal ?? '',
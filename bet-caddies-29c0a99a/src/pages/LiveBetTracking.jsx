@@ -1,9 +1,13 @@
 import React, { useMemo, useState } from 'react'
+import PropTypes from 'prop-types'
 import { useQuery } from '@tanstack/react-query'
 import { api } from '@/api/client'
 import { Badge } from '@/components/ui/badge'
 import { Button } from '@/components/ui/button'
 import LoadingSpinner from '@/components/ui/LoadingSpinner'
+import LineMovementChart from '@/components/ui/LineMovementChart'
+import { formatDeadHeatFraction } from '@/domain/dead-heat'
+import { describeEachWayTerms } from '@/domain/each-way'
 import { ArrowDown, ArrowUp, Minus, Calendar, Clock, Trophy, TrendingUp } from 'lucide-react'
 
 const TOUR_LABELS = {
@@ -20,6 +24,12 @@ const STATUS_LABELS = {
   completed: { label: 'COMPLETED', color: 'bg-slate-500/20 text-slate-400 border-slate-500/50' }
 }
 
+const CASHOUT_ADVICE_STYLES = {
+  CASH_OUT: 'text-amber-400',
+  HOLD: 'text-emerald-400',
+  WAIT: 'text-slate-400'
+}
+
 const formatPct = (value) => {
   if (!Number.isFinite(value)) return null
   return `${(value * 100).toFixed(1)}%`
@@ -116,11 +126,39 @@ const TierBadge = ({ tier }) => {
   )
 }
 
-const BetOutcomeBadge = ({ outcome, playerStatus }) => {
+// Each-way picks show the book's places and fraction under the market
+const MarketLabel = ({ row }) => {
+  const terms = describeEachWayTerms({ places: row.ewPlaces, fraction: row.ewFraction })
+  return (
+    <>
+      {row.market}
+      {terms && <div className="normal-case text-slate-500">{terms}</div>}
+    </>
+  )
+}
+
+MarketLabel.propTypes = {
+  row: PropTypes.shape({
+    market: PropTypes.string,
+    ewPlaces: PropTypes.number,
+    ewFraction: PropTypes.number
+  }).isRequired
+}
+
+const BetOutcomeBadge = ({ outcome, playerStatus, deadHeatFraction }) => {
   if (outcome === 'won') {
+    const deadHeat = formatDeadHeatFraction(deadHeatFraction)
     return (
       <Badge className="bg-emerald-500/30 text-emerald-300 border border-emerald-500/50 font-semibold animate-pulse">
-        🏆 WON
+        🏆 WON{deadHeat ? ` (dead heat ${deadHeat})` : ''}
+      </Badge>
+    )
+  }
+  if (outcome === 'placed') {
+    const deadHeat = formatDeadHeatFraction(deadHeatFraction)
+    return (
+      <Badge className="bg-amber-500/20 text-amber-300 border border-amber-500/50">
+        Placed{deadHeat ? ` (dead heat ${deadHeat})` : ''}
       </Badge>
     )
   }
@@ -158,6 +196,12 @@ const BetOutcomeBadge = ({ outcome, playerStatus }) => {
   )
 }
 
+BetOutcomeBadge.propTypes = {
+  outcome: PropTypes.string,
+  playerStatus: PropTypes.string,
+  deadHeatFraction: PropTypes.number
+}
+
 const UpcomingEventCard = ({ event, rows }) => {
   return (
     <div className="space-y-4">
@@ -193,7 +237,7 @@ const UpcomingEventCard = ({ event, rows }) => {
             {rows.map((row, idx) => (
               <tr key={`${row.dgPlayerId || row.playerName}-${row.market}-${idx}`} className="border-b border-slate-800 hover:bg-slate-800/50">
                 <td className="py-3 font-medium text-white">{row.playerName}</td>
-                <td className="uppercase text-xs text-slate-300">{row.market}</td>
+                <td className="uppercase text-xs text-slate-300"><MarketLabel row={row} /></td>
                 <td><TierBadge tier={row.tier} /></td>
                 <td>
                   {row.baselineOddsDecimal ? (
@@ -221,6 +265,7 @@ const RoundScore = ({ score }) => {
 }
 
 const LiveEventTable = ({ rows, status }) => {
+  const [chartBetId, setChartBetId] = useState(null)
   // Separate active bets from definitively lost bets
   // A bet is definitively lost if the player missed the cut (or WD/DQ) and the bet requires placement
   const isDefinitelyLost = (row) => {
@@ -234,7 +279,7 @@ const LiveEventTable = ({ rows, status }) => {
     
     // Check if the market requires the player to place/finish (not miss cut market)
     const market = (row.market || '').toLowerCase()
-    const placementMarkets = ['win', 'top_5', 'top_10', 'top_20', 'top5', 'top10', 'top20', 'make_cut', 'frl']
+    const placementMarkets = ['win', 'top_5', 'top_10', 'top_20', 'top5', 'top10', 'top20', 'make_cut', 'frl', 'each_way']
     return placementMarkets.some(m => market.includes(m))
   }
   
@@ -243,19 +288,27 @@ const LiveEventTable = ({ rows, status }) => {
   
   // Calculate results summary from active bets only
   const wins = rows.filter(r => r.betOutcome === 'won')
+  // Each-way bets that only placed are not wins: the return can be below the stake.
+  const placed = rows.filter(r => r.betOutcome === 'placed')
   const losses = eliminatedBets
   const pending = activeBets.filter(r => r.betOutcome === 'pending' || !r.betOutcome)
   
   return (
     <div className="overflow-x-auto">
       {/* Results Summary */}
-      {(wins.length > 0 || losses.length > 0) && (
+      {(wins.length > 0 || placed.length > 0 || losses.length > 0) && (
         <div className="mb-4 p-4 bg-gradient-to-r from-emerald-900/30 to-slate-800/50 rounded-lg border border-emerald-500/30">
           <div className="flex items-center gap-6 flex-wrap">
             <div className="flex items-center gap-2">
               <span className="text-emerald-400 text-2xl font-bold">{wins.length}</span>
               <span className="text-emerald-300 font-medium">🏆 Wins</span>
             </div>
+            {placed.length > 0 && (
+              <div className="flex items-center gap-2">
+                <span className="text-amber-400 text-2xl font-bold">{placed.length}</span>
+                <span className="text-amber-300 font-medium">Placed</span>
+              </div>
+            )}
             <div className="flex items-center gap-2">
               <span className="text-red-400 text-2xl font-bold">{losses.length}</span>
               <span className="text-red-300 font-medium">Losses</span>
@@ -284,7 +337,8 @@ const LiveEventTable = ({ rows, status }) => {
         <span className="font-semibold text-white">Quick Guide:</span>{' '}
         <span className="text-emerald-400">↓ Green = Good</span> (odds dropped, your pick is doing well) •{' '}
         <span className="text-rose-400">↑ Red = Drifting</span> (odds rising, player losing ground) •{' '}
-        <span className="text-emerald-300">🏆 WON = Bet Settled</span>
+        <span className="text-emerald-300">🏆 WON = Bet Settled</span> •{' '}
+        Tap a movement to chart the line
       </div>
       
       {activeBets.length === 0 && eliminatedBets.length > 0 ? (
@@ -306,6 +360,8 @@ const LiveEventTable = ({ rows, status }) => {
             <th>Tier</th>
             <th>Our Pick</th>
             <th>Now</th>
+            <th>Fair</th>
+            <th>Cash-out</th>
             <th>Movement</th>
             <th>Result</th>
             <th>Edge</th>
@@ -324,6 +380,8 @@ const LiveEventTable = ({ rows, status }) => {
             <th></th>
             <th className="text-slate-500 font-normal">When we picked</th>
             <th className="text-slate-500 font-normal">Current</th>
+            <th className="text-slate-500 font-normal">Our model</th>
+            <th className="text-slate-500 font-normal">Per unit</th>
             <th></th>
             <th></th>
             <th></th>
@@ -335,8 +393,10 @@ const LiveEventTable = ({ rows, status }) => {
             const rowClass = isWin 
               ? 'border-b border-emerald-500/50 bg-emerald-500/10' 
               : 'border-b border-slate-800 hover:bg-slate-800/50'
+            const showChart = Boolean(row.betId) && chartBetId === row.betId
             return (
-            <tr key={`${row.dgPlayerId || row.playerName}-${row.market}-${idx}`} className={rowClass}>
+            <React.Fragment key={`${row.dgPlayerId || row.playerName}-${row.market}-${idx}`}>
+            <tr className={rowClass}>
               <td className={`py-3 font-medium sticky left-0 ${isWin ? 'text-emerald-300 bg-emerald-500/10' : 'text-white bg-slate-900'}`}>
                 {isWin && '🏆 '}{row.playerName}
               </td>
@@ -358,7 +418,7 @@ const LiveEventTable = ({ rows, status }) => {
               <td className="text-slate-400"><RoundScore score={row.r4} /></td>
               <td>{row.todayToPar ?? '—'}</td>
               <td className="text-slate-400">{row.thru ?? '—'}</td>
-              <td className="uppercase text-xs text-slate-300">{row.market}</td>
+              <td className="uppercase text-xs text-slate-300"><MarketLabel row={row} /></td>
               <td><TierBadge tier={row.tier} /></td>
               <td>
                 {row.baselineOddsDecimal ? (
@@ -377,17 +437,51 @@ const LiveEventTable = ({ rows, status }) => {
                 ) : '—'}
               </td>
               <td>
-                <MovementIndicator 
-                  movement={row.oddsMovement} 
-                  baseline={row.baselineOddsDecimal}
-                  current={row.currentOddsDecimal}
-                />
+                {row.fairOddsDecimal ? (
+                  <div className="flex flex-col">
+                    <span className="font-mono">{row.fairOddsDecimal.toFixed(2)}</span>
+                    <span className="text-xs text-slate-500">{(row.fairProbability * 100).toFixed(1)}%</span>
+                  </div>
+                ) : '—'}
+              </td>
+              <td>
+                {row.cashout?.exitValue != null ? (
+                  <div className="flex flex-col">
+                    <span className="font-mono">{row.cashout.exitValue.toFixed(2)}</span>
+                    <span className={`text-xs ${CASHOUT_ADVICE_STYLES[row.cashout.recommendation] || 'text-slate-500'}`}>
+                      {row.cashout.recommendation ? row.cashout.recommendation.replace('_', ' ') : '—'}
+                    </span>
+                  </div>
+                ) : '—'}
               </td>
               <td>
-                <BetOutcomeBadge outcome={row.betOutcome} playerStatus={row.playerStatus} />
+                <button
+                  type="button"
+                  className="text-left disabled:cursor-default"
+                  disabled={!row.betId}
+                  title={row.betId ? 'Show line movement' : undefined}
+                  onClick={() => setChartBetId(showChart ? null : row.betId)}
+                >
+                  <MovementIndicator 
+                    movement={row.oddsMovement} 
+                    baseline={row.baselineOddsDecimal}
+                    current={row.currentOddsDecimal}
+                  />
+                </button>
+              </td>
+              <td>
+                <BetOutcomeBadge outcome={row.betOutcome} playerStatus={row.playerStatus} deadHeatFraction={row.deadHeatFraction} />
               </td>
               <td className="text-emerald-400">{formatEdge(row.edge) || '—'}</td>
             </tr>
+            {showChart && (
+              <tr className="border-b border-slate-800">
+                <td colSpan={18} className="py-3">
+                  <LineMovementChart betId={row.betId} className="h-48 w-full max-w-3xl" />
+                </td>
+              </tr>
+            )}
+            </React.Fragment>
           )})}
         </tbody>
       </table>
@@ -425,6 +519,11 @@ const LiveEventTable = ({ rows, status }) => {
   )
 }
 
+LiveEventTable.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.object).isRequired,
+  status: PropTypes.string
+}
+
 export default function LiveBetTracking() {
   const [selectedEvent, setSelectedEvent] = useState(null)
 
@@ -566,7 +665,7 @@ export default function LiveBetTracking() {
               <div>
                 <strong>How it works:</strong> Bet recommendations are generated on Tuesday mornings. 
                 Live scoring and odds movement tracking begins when tournaments start (typically Thursday). 
-                Odds are pulled from allowed books (bet365, williamhill, skybet, unibet, betfair).
+                Odds are pulled from allowed books (bet365, williamhill, skybet, unibet, betfair); Betfair exchange prices are compared net of commission.
               </div>
             </div>
           </div>
@@ -35,6 +35,7 @@ import {
 } from "@/components/ui/select";
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import EmptyState from '@/components/ui/EmptyState';
+import { settledReturn, formatDeadHeatFraction } from '@/domain/dead-heat';
 
 const statusConfig = {
   added: { label: 'Added', color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', icon: Clock },
@@ -116,22 +117,43 @@ export default function MyBets() {
       status: bet.status,
       stake: bet.stake || '',
       odds_taken: bet.odds_taken || '',
-      notes: bet.notes || ''
+      notes: bet.notes || '',
+      dead_heat_tied: bet.dead_heat_tied || '',
+      dead_heat_places: bet.dead_heat_places || ''
     });
   };
 
+  // Tied for the last paying place(s): the stake is split by the number of
+  // players tied and multiplied by the places they share.
+  const getDeadHeatFraction = (form) => {
+    const tied = parseInt(form.dead_heat_tied, 10);
+    const places = parseInt(form.dead_heat_places, 10);
+    if (!Number.isFinite(tied) || !Number.isFinite(places) || tied < 1 || places < 1) return 1;
+    return Math.min(1, places / tied);
+  };
+
   const handleSaveEdit = () => {
-    const potentialReturn = editForm.stake && editForm.odds_taken 
-      ? editForm.stake * editForm.odds_taken 
+    const stake = editForm.stake ? parseFloat(editForm.stake) : null;
+    const oddsTaken = editForm.odds_taken ? parseFloat(editForm.odds_taken) : null;
+    const deadHeatFraction = editForm.status === 'won' ? getDeadHeatFraction(editForm) : null;
+    const potentialReturn = stake && oddsTaken 
+      ? stake * oddsTaken 
       : null;
 
     updateBetMutation.mutate({
       id: editingBet.id,
       data: {
         ...editForm,
-        stake: editForm.stake ? parseFloat(editForm.stake) : null,
-        odds_taken: editForm.odds_taken ? parseFloat(editForm.odds_taken) : null,
+        stake,
+        odds_taken: oddsTaken,
         potential_return: potentialReturn,
+        dead_heat_fraction: deadHeatFraction,
+        actual_return: settledReturn({
+          outcome: editForm.status,
+          stake,
+          oddsDecimal: oddsTaken,
+          deadHeatFraction: deadHeatFraction ?? 1
+        }),
         placed_at: editForm.status === 'placed' ? new Date().toISOString() : editingBet.placed_at
       }
     });
@@ -269,7 +291,14 @@ export default function MyBets() {
                             Odds: {bet.odds_taken}
                           </div>
                         )}
-                        {bet.potential_return && (
+                        {bet.actual_return != null ? (
+                          <div className={bet.actual_return >= (bet.stake || 0) ? 'text-emerald-400' : 'text-red-400'}>
+                            Returned: ${bet.actual_return.toFixed(2)}
+                            {formatDeadHeatFraction(bet.dead_heat_fraction) && (
+                              <span className="text-amber-400"> (dead heat {formatDeadHeatFraction(bet.dead_heat_fraction)})</span>
+                            )}
+                          </div>
+                        ) : bet.potential_return && (
                           <div className="text-emerald-400">
                             Return: ${bet.potential_return.toFixed(2)}
                           </div>
@@ -353,6 +382,32 @@ export default function MyBets() {
                 placeholder="e.g., 4.50"
               />
             </div>
+            {editForm.status === 'won' && (
+              <div>
+                <label className="text-sm text-slate-400 mb-2 block">Dead heat (leave blank if not tied)</label>
+                <div className="grid grid-cols-2 gap-3">
+                  <Input
+                    type="number"
+                    value={editForm.dead_heat_tied}
+                    onChange={(e) => setEditForm({...editForm, dead_heat_tied: e.target.value})}
+                    className="bg-slate-800 border-slate-700"
+                    placeholder="Players tied"
+                  />
+                  <Input
+                    type="number"
+                    value={editForm.dead_heat_places}
+                    onChange={(e) => setEditForm({...editForm, dead_heat_places: e.target.value})}
+                    className="bg-slate-800 border-slate-700"
+                    placeholder="Places they share"
+                  />
+                </div>
+                {getDeadHeatFraction(editForm) < 1 && (
+                  <p className="text-xs text-amber-400 mt-2">
+                    Pays {formatDeadHeatFraction(getDeadHeatFraction(editForm))} of the stake at full odds
+                  </p>
+                )}
+              </div>
+            )}
             <div>
               <label className="text-sm text-slate-400 mb-2 block">Notes</label>
               <Input
@@ -138,6 +138,8 @@ export default function ParBets() {
                 bet={bet}
                 providers={providers}
                 isAdded={userBetIds.has(bet.id)}
+                bankroll={user?.bankroll}
+                kellyFraction={user?.kelly_fraction}
                 onAddBet={(b) => addBetMutation.mutate(b)}
               />
             </motion.div>
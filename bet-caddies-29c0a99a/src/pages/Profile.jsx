@@ -13,9 +13,11 @@ import {
   Check,
   ChevronRight,
   Target,
-  TrendingUp
+  TrendingUp,
+  Wallet
 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
 import { Switch } from '@/components/ui/switch';
 import { Badge } from '@/components/ui/badge';
 import {
@@ -27,6 +29,13 @@ import {
 } from "@/components/ui/select";
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 
+const kellyFractions = [
+  { value: '0.1', label: 'Tenth Kelly (most cautious)' },
+  { value: '0.25', label: 'Quarter Kelly (recommended)' },
+  { value: '0.5', label: 'Half Kelly' },
+  { value: '1', label: 'Full Kelly (most aggressive)' }
+];
+
 const tours = [
   { id: 'PGA', name: 'PGA Tour' },
   { id: 'DPWT', name: 'DP World Tour' },
@@ -36,8 +45,13 @@ const tours = [
 export default function Profile() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [bankrollInput, setBankrollInput] = useState('');
   const queryClient = useQueryClient();
 
+  useEffect(() => {
+    setBankrollInput(user?.bankroll != null ? String(user.bankroll) : '');
+  }, [user?.bankroll]);
+
   useEffect(() => {
     const loadUser = async () => {
       try {
@@ -71,6 +85,16 @@ export default function Profile() {
     updateMutation.mutate({ favorite_tours: newTours });
   };
 
+  const handleBankrollSave = () => {
+    const value = bankrollInput.trim() === '' ? null : Number(bankrollInput);
+    if (value !== null && (!Number.isFinite(value) || value <= 0)) {
+      setBankrollInput(user.bankroll != null ? String(user.bankroll) : '');
+      return;
+    }
+    if (value === (user.bankroll ?? null)) return;
+    updateMutation.mutate({ bankroll: value });
+  };
+
   const handleLogout = () => {
     localStorage.removeItem('betcaddies_auth');
     api.auth.logout();
@@ -178,6 +202,53 @@ export default function Profile() {
           </Select>
         </motion.div>
 
+        {/* Staking */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.18 }}
+          className="bg-slate-800/30 rounded-2xl border border-slate-700/50 p-5"
+        >
+          <div className="flex items-center gap-2 mb-4">
+            <Wallet className="w-5 h-5 text-emerald-400" />
+            <h2 className="text-lg font-semibold text-white">Staking</h2>
+          </div>
+          <p className="text-sm text-slate-400 mb-4">
+            Suggested stakes are shown in units (1u = 1% of bankroll at quarter Kelly). Set your bankroll to see them as amounts.
+          </p>
+          <div className="space-y-4">
+            <div>
+              <div className="text-white mb-2">Bankroll</div>
+              <Input
+                type="number"
+                min="0"
+                step="any"
+                value={bankrollInput}
+                onChange={(e) => setBankrollInput(e.target.value)}
+                onBlur={handleBankrollSave}
+                placeholder="e.g. 500"
+                className="bg-slate-800 border-slate-700 text-white"
+              />
+            </div>
+            <div>
+              <div className="text-white mb-2">Kelly fraction</div>
+              <Select
+                value={String(user.kelly_fraction ?? 0.25)}
+                onValueChange={(v) => updateMutation.mutate({ kelly_fraction: Number(v) })}
+              >
+                <SelectTrigger className="bg-slate-800 border-slate-700 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {kellyFractions.map(option => (
+                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </motion.div>
+
         {/* Notifications */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
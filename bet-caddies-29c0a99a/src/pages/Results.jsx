@@ -26,6 +26,8 @@ import {
 } from "@/components/ui/select";
 import LoadingSpinner from '@/components/ui/LoadingSpinner';
 import EmptyState from '@/components/ui/EmptyState';
+import { formatDeadHeatFraction } from '@/domain/dead-heat';
+import { describeEachWayTerms } from '@/domain/each-way';
 
 const categoryIcons = {
   par: Target,
@@ -48,7 +50,15 @@ const categoryBgColors = {
   longshots: 'bg-rose-500/20 border-rose-500/30'
 };
 
-const OutcomeBadge = ({ outcome }) => {
+const marketLabel = (bet) => {
+  const terms = describeEachWayTerms({ places: bet.ew_places, fraction: bet.ew_fraction });
+  return terms ? `EACH-WAY (${terms})` : bet.market_key?.toUpperCase();
+};
+
+const formatClv = (value) => (Number.isFinite(value) ? `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%` : '—');
+const clvClass = (value) => (!Number.isFinite(value) ? 'text-slate-500' : value > 0 ? 'text-emerald-400' : 'text-red-400');
+
+const OutcomeBadge =({ outcome }) => {
   if (outcome === 'won') {
     return (
       <Badge className="bg-emerald-500/30 text-emerald-300 border border-emerald-500/50 font-bold px-3 py-1">
@@ -57,6 +67,13 @@ const OutcomeBadge = ({ outcome }) => {
       </Badge>
     );
   }
+  if (outcome === 'placed') {
+    return (
+      <Badge className="bg-amber-500/20 text-amber-400 border border-amber-500/50 px-2 py-0.5 text-xs">
+        Placed
+      </Badge>
+    );
+  }
   if (outcome === 'lost') {
     return (
       <Badge className="bg-red-500/20 text-red-400 border border-red-500/50 px-2 py-0.5 text-xs">
@@ -88,11 +105,13 @@ export default function Results() {
   const categoryStats = resultsData?.categoryStats || [];
   const tourStats = resultsData?.tourStats || [];
   const availableWeeks = resultsData?.availableWeeks || [];
+  const clvStats = resultsData?.clvStats || null;
 
-  // Separate and sort picks - wins first (by odds), then losses (by odds)
+  // Separate and sort picks - wins first (by odds), then losses (by odds).
+  // Each-way picks that only placed are listed with the losses, not as winners.
   const { winningPicks, losingPicks, pendingPicks } = useMemo(() => {
     const wins = picks.filter(p => p.outcome === 'won').sort((a, b) => (b.odds_decimal_best || 0) - (a.odds_decimal_best || 0));
-    const losses = picks.filter(p => p.outcome === 'lost').sort((a, b) => (b.odds_decimal_best || 0) - (a.odds_decimal_best || 0));
+    const losses = picks.filter(p => p.outcome === 'lost' || p.outcome === 'placed').sort((a, b) => (b.odds_decimal_best || 0) - (a.odds_decimal_best || 0));
     const pending = picks.filter(p => !p.outcome || p.outcome === 'pending');
     return { winningPicks: wins, losingPicks: losses, pendingPicks: pending };
   }, [picks]);
@@ -156,7 +175,7 @@ export default function Results() {
             animate={{ opacity: 1, scale: 1 }}
             className="mb-8 p-6 bg-gradient-to-r from-emerald-900/40 via-slate-800/50 to-rose-900/20 rounded-2xl border border-emerald-500/30"
           >
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
               <div className="text-center">
                 <div className="text-5xl font-bold text-emerald-400">{stats.wins || 0}</div>
                 <div className="text-emerald-300 font-medium mt-1 flex items-center justify-center gap-1">
@@ -174,6 +193,11 @@ export default function Results() {
               <div className="text-center">
                 <div className="text-5xl font-bold text-white">{stats.total || 0}</div>
                 <div className="text-slate-400 font-medium mt-1">Total Picks</div>
+                {stats.placed > 0 && (
+                  <div className="text-xs text-slate-500 mt-1">
+                    incl. {stats.placed} each-way placed
+                  </div>
+                )}
               </div>
               <div className="text-center">
                 <div className="text-5xl font-bold text-amber-400">
@@ -184,6 +208,19 @@ export default function Results() {
                   Win Rate
                 </div>
               </div>
+              <div className="text-center">
+                <div className={`text-5xl font-bold ${(stats.unitsProfit || 0) >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                  {(stats.unitsProfit || 0) >= 0 ? '+' : ''}{Number(stats.unitsProfit || 0).toFixed(2)}
+                </div>
+                <div className="text-slate-400 font-medium mt-1">
+                  P/L (units)
+                </div>
+                {stats.deadHeats > 0 && (
+                  <div className="text-xs text-slate-500 mt-1">
+                    incl. {stats.deadHeats} dead heat{stats.deadHeats === 1 ? '' : 's'}
+                  </div>
+                )}
+              </div>
             </div>
           </motion.div>
 
@@ -248,6 +285,48 @@ export default function Results() {
             </div>
           )}
 
+          {/* Closing Line Value */}
+          {clvStats?.overall?.picks > 0 && (
+            <div className="mb-10">
+              <h2 className="text-xl font-bold text-white mb-1">Closing Line Value</h2>
+              <p className="text-sm text-slate-400 mb-4">
+                Our published price against the last price before tee-off. Across {clvStats.overall.picks} picks we averaged{' '}
+                <span className={clvClass(clvStats.overall.avgClvOdds)}>{formatClv(clvStats.overall.avgClvOdds)}</span> on the close
+                {clvStats.overall.beatCloseRate != null && <> and beat it {(clvStats.overall.beatCloseRate * 100).toFixed(0)}% of the time</>}.
+              </p>
+              <div className="grid md:grid-cols-3 gap-4">
+                {[
+                  { title: 'By Category', rows: clvStats.byTier },
+                  { title: 'By Market', rows: clvStats.byMarket },
+                  { title: 'By Tour', rows: clvStats.byTour }
+                ].map((group) => (
+                  <div key={group.title} className="bg-slate-800/30 rounded-xl border border-slate-700/50 overflow-hidden">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="border-b border-slate-700/50">
+                          <th className="text-left px-4 py-3 text-sm font-medium text-slate-400">{group.title.replace('By ', '')}</th>
+                          <th className="text-center px-4 py-3 text-sm font-medium text-slate-400">Picks</th>
+                          <th className="text-center px-4 py-3 text-sm font-medium text-slate-400">CLV</th>
+                          <th className="text-center px-4 py-3 text-sm font-medium text-slate-400">EV at close</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {group.rows.map((row, idx) => (
+                          <tr key={row.key} className={idx !== group.rows.length - 1 ? 'border-b border-slate-700/30' : ''}>
+                            <td className="px-4 py-3 font-medium text-white capitalize">{row.key}</td>
+                            <td className="px-4 py-3 text-center text-slate-300">{row.picks}</td>
+                            <td className={`px-4 py-3 text-center font-semibold ${clvClass(row.avgClvOdds)}`}>{formatClv(row.avgClvOdds)}</td>
+                            <td className={`px-4 py-3 text-center font-semibold ${clvClass(row.avgClvEv)}`}>{formatClv(row.avgClvEv)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* WINNING PICKS - Prominent Display */}
           {winningPicks.length > 0 && (
             <div className="mb-10">
@@ -272,9 +351,12 @@ export default function Results() {
                         <div>
                           <div className="font-bold text-white text-xl">{bet.selection_name}</div>
                           <div className="text-sm text-emerald-300 font-medium">
-                            {bet.market_key?.toUpperCase() || bet.bet_title}
+                            {marketLabel(bet) || bet.bet_title}
                             {bet.final_position && <span className="ml-2">• Finished #{bet.final_position}</span>}
                             {bet.player_status && <span className="ml-2">• {bet.player_status}</span>}
+                            {formatDeadHeatFraction(bet.dead_heat_fraction) && (
+                              <span className="ml-2 text-amber-300">• Dead heat {formatDeadHeatFraction(bet.dead_heat_fraction)} paid</span>
+                            )}
                           </div>
                           <div className="text-xs text-slate-400 mt-1">
                             {bet.tournament_name}
@@ -304,7 +386,9 @@ export default function Results() {
             <div className="mb-10">
               <div className="flex items-center gap-2 mb-3">
                 <TrendingDown className="w-5 h-5 text-slate-500" />
-                <h2 className="text-lg font-medium text-slate-500">Losses ({losingPicks.length})</h2>
+                <h2 className="text-lg font-medium text-slate-500">
+                  {stats.placed > 0 ? 'Placed & Losses' : 'Losses'} ({losingPicks.length})
+                </h2>
               </div>
               
               <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-2">
@@ -319,12 +403,12 @@ export default function Results() {
                     <div className="flex-1 min-w-0">
                       <div className="font-medium text-slate-400 text-sm truncate">{bet.selection_name}</div>
                       <div className="text-xs text-slate-500 truncate">
-                        {bet.market_key?.toUpperCase()} • {bet.tournament_name?.split(' ').slice(0, 2).join(' ')}
+                        {marketLabel(bet)} • {bet.tournament_name?.split(' ').slice(0, 2).join(' ')}
                       </div>
                     </div>
                     <div className="flex items-center gap-2 ml-2">
                       <span className="text-slate-500 text-sm">@ {bet.odds_display_best}</span>
-                      <OutcomeBadge outcome="lost" />
+                      <OutcomeBadge outcome={bet.outcome} />
                     </div>
                   </motion.div>
                 ))}
@@ -352,7 +436,7 @@ export default function Results() {
                   >
                     <div className="font-medium text-slate-400 text-sm truncate">{bet.selection_name}</div>
                     <div className="text-xs text-slate-500">
-                      {bet.market_key?.toUpperCase()} @ {bet.odds_display_best}
+                      {marketLabel(bet)} @ {bet.odds_display_best}
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import 'dotenv/config'
+import { prisma } from '../db/client.js'
+import { logger } from '../observability/logger.js'
+import { fitBlendWeightConfigs, rollbackBlendWeights } from '../engine/v2/blending/store.js'
+
+// Usage:
+//   node src/pipeline/blend-refresh.js                 fit new versions
+//   node src/pipeline/blend-refresh.js rollback PGA win restore previous version
+async function main() {
+  const [command, tour, marketKey] = process.argv.slice(2)
+
+  if (command === 'rollback') {
+    if (!tour || !marketKey) throw new Error('rollback requires <tour> <marketKey>')
+    const restored = await rollbackBlendWeights({ tour, marketKey })
+    logger.info('Blend weights rolled back', {
+      tour,
+      marketKey,
+      activeVersion: restored?.version ?? null
+    })
+    return
+  }
+
+  logger.info('Starting blend weight refresh job')
+  const configs = await fitBlendWeightConfigs()
+  logger.info(`Blend weight refresh complete (${configs.length} versions activated)`)
+}
+
+main()
+  .catch((error) => {
+    logger.error('Blend weight refresh failed', { error: error?.message })
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+import 'dotenv/config'
+import { prisma } from '../db/client.js'
+import { logger } from '../observability/logger.js'
+import { fitCalibrationTables, rollbackCalibration } from '../engine/v2/calibration/store.js'
+
+// Usage:
+//   node src/pipeline/calibration-refresh.js                 fit new versions
+//   node src/pipeline/calibration-refresh.js rollback PGA win restore previous version
+async function main() {
+  const [command, tour, marketKey] = process.argv.slice(2)
+
+  if (command === 'rollback') {
+    if (!tour || !marketKey) throw new Error('rollback requires <tour> <marketKey>')
+    const restored = await rollbackCalibration({ tour, marketKey })
+    logger.info('Calibration rolled back', {
+      tour,
+      marketKey,
+      activeVersion: restored?.version ?? null
+    })
+    return
+  }
+
+  logger.info('Starting calibration refresh job')
+  const tables = await fitCalibrationTables()
+  logger.info(`Calibration refresh complete (${tables.length} tables activated)`)
+}
+
+main()
+  .catch((error) => {
+    logger.error('Calibration refresh failed', { error: error?.message })
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
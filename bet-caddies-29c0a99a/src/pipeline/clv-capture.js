@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+import 'dotenv/config'
+import { prisma } from '../db/client.js'
+import { logger } from '../observability/logger.js'
+import { createClvService } from '../services/clv-service.js'
+import { WeeklyPipeline } from './weekly-pipeline.js'
+
+// One closing-price capture pass, for schedulers outside the server.
+async function main() {
+  const clvService = createClvService(prisma, () => new WeeklyPipeline())
+  logger.info('Starting closing line capture')
+  const result = await clvService.captureClosingLines()
+  logger.info(`Closing line capture complete (${result.updated} picks updated across ${result.events} events)`)
+}
+
+main()
+  .catch((error) => {
+    logger.error('Closing line capture failed', { error: error?.message })
+    process.exitCode = 1
+  })
+  .finally(() => prisma.$disconnect())
@@ -29,8 +29,10 @@ import { parseOutrightsOffers } from '../sources/datagolf/parsers.js'
 import { getAllowedBooks } from '../sources/odds/allowed-books.js'
 import { ProbabilityEngineV2 } from '../engine/v2/probability-engine.js'
 import { buildPlayerParams } from '../engine/v2/player-params.js'
-import { simulateTournament } from '../engine/v2/tournamentSim.js'
-import { applyCalibration } from '../engine/v2/calibration/index.js'
+import { runSimulation, DEFAULT_SIM_WORKERS } from '../engine/v2/sim-runner.js'
+import { resolveCutRule } from '../engine/v2/cut-rules.js'
+import { applyCalibration, getCalibrationVersion } from '../engine/v2/calibration/index.js'
+import { loadCalibrationTables } from '../engine/v2/calibration/store.js'
 import { impliedProbability, validateProbability } from '../engine/v2/odds/odds-utils.js'
 
 const TIME_ZONE = process.env.TIMEZONE || 'Europe/London'
@@ -249,6 +251,13 @@ export async function runSelectionPipeline(options = {}) {
     // STEP 5: Generate Recommendations (inside transaction)
     // ============================================================
     logStep('selection', 'Generating recommendations...')
+
+    try {
+      const calibrationTables = await loadCalibrationTables()
+      logStep('selection', `Loaded ${calibrationTables.length} active calibration tables`)
+    } catch (error) {
+      logger.warn('Calibration tables unavailable; using uncalibrated probabilities', { error: error?.message })
+    }
     
     const {
       recommendations,
@@ -289,7 +298,9 @@ export async function runSelectionPipeline(options = {}) {
               engineAltOffers: rec.altOffers,
               oddsSnapshotRef: oddsSnapshotRecord?.id,
               analysisParagraph: rec.analysisParagraph,
-              analysisBullets: rec.analysisBullets
+              analysisBullets: rec.analysisBullets,
+              calibrationTableId: rec.calibration?.id || null,
+              calibrationVersion: rec.calibration?.version ?? null
             }
           })
         }
@@ -546,6 +557,12 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
   const probabilityEngine = new ProbabilityEngineV2()
   const simCount = Number(process.env.SIM_COUNT || 10000)
   const simSeed = process.env.SIM_SEED ? Number(process.env.SIM_SEED) : null
+  const simRunnerOptions = {
+    workers: process.env.SIM_WORKERS ? Number(process.env.SIM_WORKERS) : DEFAULT_SIM_WORKERS,
+    chunkSize: Number(process.env.SIM_CHUNK_SIZE || 1000),
+    convergenceSe: Number(process.env.SIM_CONVERGENCE_SE || 0),
+    minSims: Number(process.env.SIM_MIN_SIMS || 2000)
+  }
 
   const minEvThreshold = Number(process.env.MIN_EV_THRESHOLD || 0)
   const maxPicksPerTier = Number(process.env.MAX_PICKS_PER_TIER || 5)
@@ -600,13 +617,14 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
     // Internal simulation is the authoritative probability source.
     // DataGolf predictions are OPTIONAL priors/calibration inputs only.
     const playerParams = buildPlayerParams({ players: fieldPlayers, skillRatings: [], tour: event.tour })
-    const simResults = simulateTournament({
+    const simResults = await runSimulation({
       players: playerParams,
       tour: event.tour,
       rounds: event.tour === 'LIV' ? 3 : 4,
       simCount,
-      seed: simSeed
-    })
+      seed: simSeed,
+      cutRule: resolveCutRule({ tour: event.tour, eventName: event.eventName }).rule
+    }, simRunnerOptions)
     const simProbabilities = simResults?.probabilities
     const modelAvailable = simProbabilities && simProbabilities.size > 0
 
@@ -635,6 +653,13 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
       preTournamentPreds: dgPredsRaw,
       skillRatings: []
     })
+    if (probabilityModel.rejected?.length > 0) {
+      await issueTracker.logIssue(event.tour, 'warning', 'selection', 'PROBABILITY_SET_INCONSISTENT', {
+        eventName: event.eventName,
+        count: probabilityModel.rejected.length,
+        sample: probabilityModel.rejected.slice(0, 5)
+      })
+    }
 
     // Process each market
     for (const [marketKey, offers] of Object.entries(eventOdds.markets)) {
@@ -716,6 +741,7 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
         const edge = fairProb - marketProb
         const ev = (fairProb * bestOffer.oddsDecimal) - 1
 
+        const calibration = getCalibrationVersion(marketKey, event.tour)
         const booksUsedCount = new Set(selectionOffers.map((offer) => offer.bookmaker)).size
         const modelConfidenceJson = buildModelConfidence({
           dataSufficiency: {
@@ -738,7 +764,9 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
           context: {
             eventName: event.eventName,
             marketKey,
-            selectionKey
+            selectionKey,
+            calibrationVersion: calibration?.version ?? null,
+            preCalibrationProb: simProb
           }
         })
         confidenceSamples.push(modelConfidenceJson)
@@ -750,6 +778,7 @@ async function generateRecommendations(events, oddsSnapshot, issueTracker) {
           selection: bestOffer.selectionName || selectionKey,
           dgPlayerId: bestOffer.selectionId,
           modelConfidenceJson,
+          calibration,
           fairProb,
           marketProb,
           edge,
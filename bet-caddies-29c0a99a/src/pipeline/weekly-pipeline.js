@@ -12,24 +12,62 @@ import { DataGolfClient, normalizeDataGolfArray, safeLogDataGolfError } from '..
 import { parseOddsPayload, parseOutrightsOffers } from '../sources/datagolf/parsers.js'
 import { getAllowedBooks, getAllowedBooksSet, isAllowedBook } from '../sources/odds/allowed-books.js'
 import { normalizeBookKey } from '../sources/odds/book-utils.js'
+import {
+  getExchangeBooksSet,
+  getExchangeCommission,
+  isExchangeBook,
+  netOfferOdds,
+  hasBackLiquidity,
+  parseExchangePrice
+} from '../sources/odds/exchange.js'
 import { ProbabilityEngineV2 } from '../engine/v2/probability-engine.js'
 import { buildPlayerParams } from '../engine/v2/player-params.js'
-import { simulateTournament } from '../engine/v2/tournamentSim.js'
-import { applyCalibration } from '../engine/v2/calibration/index.js'
+import { buildCourseProfile } from '../engine/v2/course-profile.js'
+import { buildFormRatings } from '../engine/v2/form-model.js'
+import { resolveCutRule, buildCutRuleEventKey, describeCutRule } from '../engine/v2/cut-rules.js'
+import { runSimulation, DEFAULT_SIM_WORKERS } from '../engine/v2/sim-runner.js'
+import { buildHoleProfile } from '../engine/v2/hole-profile.js'
+import { buildWaveConditions } from '../engine/v2/weather-waves.js'
+import { buildLiveStartState } from '../engine/v2/live-state.js'
+import { matchupProbability, threeBallProbability, placeProbabilities } from '../engine/v2/marketWrappers.js'
+import { parseAllPairings, resolveTeeTime, buildPairingIndex } from '../engine/v2/pairings.js'
+import { applyCalibration, getCalibrationVersion } from '../engine/v2/calibration/index.js'
+import { loadCalibrationTables } from '../engine/v2/calibration/store.js'
+import { staticBlendWeights, blendWithWeights } from '../engine/v2/blending/fit.js'
+import { getBlendWeightConfig, getBlendWeights } from '../engine/v2/blending/index.js'
+import { loadBlendWeightConfigs } from '../engine/v2/blending/store.js'
+import { enforceProbabilityConsistency } from '../engine/v2/probability-consistency.js'
+import { SCENARIO_ARTIFACT, serializeScenarioInputs } from '../engine/v2/scenario.js'
+import { runEngine } from '../engine/runEngine.js'
+import { optimiseTierPortfolio } from '../engine/portfolioOptimizer/optimizer.js'
+import { createCorrelationEstimator } from '../engine/portfolioOptimizer/joint-outcomes.js'
+import { sizeStakes } from '../domain/staking.js'
+import { parseMatchupTieRules, resolveMatchupTieRule } from '../domain/dead-heat.js'
+import {
+  DEFAULT_EACH_WAY_TERMS,
+  EACH_WAY_MARKET,
+  eachWayEv,
+  eachWayPayoutOdds,
+  eachWayOutcomes,
+  describeEachWayTerms,
+  parseEachWayTerms,
+  resolveEachWayTerms
+} from '../domain/each-way.js'
+import { createOddsHistoryService } from '../services/odds-history-service.js'
 import {
   clampProbability,
   impliedProbability,
-  removeVigNormalize,
-  removeVigPower,
   weightedMedian,
   normalizeImpliedOddsToProbability,
-  validateProbability,
-  logit,
-  invLogit
+  validateProbability
 } from '../engine/v2/odds/odds-utils.js'
+import { removeVig, expectedMarketTotal, parseVigMethods, resolveVigMethod } from '../engine/v2/odds/vig-removal.js'
 
 const TIME_ZONE = process.env.TIMEZONE || 'Europe/London'
+// Outright markets whose fair probabilities form a player's nested ladder.
+const LADDER_MARKETS = { win: 'win', top_5: 'top5', top_10: 'top10', top_20: 'top20', make_cut: 'makeCut' }
 const ARTIFACT_DIR = path.join(process.cwd(), 'logs', 'artifacts')
+const TIER_ORDER = ['PAR', 'BIRDIE', 'EAGLE', 'LONG_SHOTS']
 
 export class WeeklyPipeline {
   constructor() {
@@ -39,17 +77,30 @@ export class WeeklyPipeline {
     this.lookaheadDays = Number(process.env.TOUR_LOOKAHEAD_DAYS || 0)
     this.maxPicksPerPlayer = Number(process.env.MAX_PICKS_PER_PLAYER || 2)
     this.maxPicksPerMarket = Number(process.env.MAX_PICKS_PER_MARKET || 5)
-    this.powerMethodK = Number(process.env.VIG_POWER_K || 1.25)
+    this.kellyFraction = Number(process.env.KELLY_FRACTION || 0.25)
+    this.maxStakeUnitsPerPick = Number(process.env.MAX_STAKE_UNITS_PER_PICK || 2)
+    this.maxStakeUnitsPerEvent = Number(process.env.MAX_STAKE_UNITS_PER_EVENT || 10)
+    this.portfolioMaxSdUnits = Number(process.env.PORTFOLIO_MAX_SD_UNITS || 10)
+    this.portfolioJointSims = Number(process.env.PORTFOLIO_JOINT_SIMS || 2000)
+    this.vigMethods = parseVigMethods(process.env.VIG_METHODS || '')
+    this.matchupTieRules = parseMatchupTieRules(process.env.MATCHUP_TIE_RULES || '')
     this.artifactMaxBytes = Number(process.env.RUN_ARTIFACT_MAX_BYTES || 200000)
     this.minEvThreshold = Number(process.env.MIN_EV_THRESHOLD || 0)
     this.dryRun = String(process.env.PIPELINE_DRY_RUN || '').toLowerCase() === 'true'
     this.playerNormalizer = new PlayerNormalizer()
     this.probabilityEngine = new ProbabilityEngineV2()
+    this.oddsHistory = createOddsHistoryService(prisma)
     this.tours = ['PGA', 'DPWT', 'KFT', 'LIV']
-    const maxDgInfluence = Number(process.env.DG_MAX_INFLUENCE || 0.35)
-    this.marketWeights = { sim: 1 - maxDgInfluence, dg: maxDgInfluence, mkt: 0 }
+    this.marketWeights = staticBlendWeights(Number(process.env.DG_MAX_INFLUENCE || 0.35))
     this.simCount = Number(process.env.SIM_COUNT || 10000)
     this.simSeed = process.env.SIM_SEED ? Number(process.env.SIM_SEED) : null
+    this.simWorkers = process.env.SIM_WORKERS ? Number(process.env.SIM_WORKERS) : DEFAULT_SIM_WORKERS
+    this.simChunkSize = Number(process.env.SIM_CHUNK_SIZE || 1000)
+    this.simConvergenceSe = Number(process.env.SIM_CONVERGENCE_SE || 0)
+    this.simMinSims = Number(process.env.SIM_MIN_SIMS || 2000)
+    this.simHoleMode = String(process.env.SIM_HOLE_MODE || '').toLowerCase() === 'true'
+    this.holeHistoryYears = Number(process.env.SIM_HOLE_HISTORY_YEARS || 2)
+    this.formHalfLifeRounds = Number(process.env.FORM_HALF_LIFE_ROUNDS || 40)
     this.runMode = process.env.RUN_MODE || 'CURRENT_WEEK'
     this.allowFallback = String(process.env.ALLOW_FALLBACK || '').toLowerCase() === 'true'
     this.excludeInPlay = String(process.env.EXCLUDE_IN_PLAY || 'true').toLowerCase() !== 'false'
@@ -58,16 +109,14 @@ export class WeeklyPipeline {
     this.oddsMatchConfidenceThreshold = Number(process.env.ODDS_MATCH_CONFIDENCE_THRESHOLD || 0.8)
     this.allowedBooks = getAllowedBooks()
     this.allowedBooksSet = getAllowedBooksSet()
+    this.exchangeBooksSet = getExchangeBooksSet()
+    this.exchangeCommission = getExchangeCommission()
+    this.exchangeMinLiquidity = Number(process.env.EXCHANGE_MIN_LIQUIDITY || 0)
+    this.eachWayTerms = parseEachWayTerms(process.env.EACH_WAY_TERMS || DEFAULT_EACH_WAY_TERMS)
     this.minBooksPerSelection = Number(process.env.MIN_BOOKS_PER_SELECTION || 2)
     this.loggedAllowedBooks = false
     this.overrideTour = null
     this.overrideEventId = null
-    this.cutRules = {
-      PGA: { cutAfter: 2, cutSize: 65 },
-      DPWT: { cutAfter: 2, cutSize: 65 },
-      KFT: { cutAfter: 2, cutSize: 65 },
-      LIV: { cutAfter: 0, cutSize: 0 }
-    }
     this.outrightMarketMap = {
       win: 'win',
       top_5: 'top_5',
@@ -807,6 +856,7 @@ export class WeeklyPipeline {
               sample: dropped.sample
             })
           }
+          if (marketKey === 'win') this.attachEachWayTerms(mappedOffers, event.tour)
           const bookCount = this.countBooksFromOffers(mappedOffers)
           const attachInfo = this.resolveOddsAttachment(event, parsed.meta)
           if (parsed.meta.eventId && parsed.meta.eventId !== oddsEvent.externalEventId) {
@@ -844,6 +894,7 @@ export class WeeklyPipeline {
               raw: {
                 source: 'datagolf',
                 market: marketCode,
+                round: Number.isFinite(Number(payload?.round_num)) ? Number(payload.round_num) : null,
                 payloadEventId: parsed.meta.eventId,
                 payloadEventName: parsed.meta.eventName,
                 attachMethod: attachInfo.method
@@ -862,10 +913,23 @@ export class WeeklyPipeline {
                 oddsDecimal: offer.oddsDecimal,
                 oddsDisplay: Number.isFinite(offer.oddsDecimal) ? offer.oddsDecimal.toFixed(2) : String(offer.oddsDecimal),
                 deepLink: offer.deepLink ?? null,
+                layOdds: offer.layOdds ?? null,
+                backLiquidity: offer.backLiquidity ?? null,
+                layLiquidity: offer.layLiquidity ?? null,
+                ewPlaces: offer.ewPlaces ?? null,
+                ewFraction: offer.ewFraction ?? null,
                 fetchedAt: offer.fetchedAt || new Date()
               }
             })
           }
+          // The run's OddsOffer rows are replaced on the next fetch; the history keeps every price.
+          await this.oddsHistory.recordOffers(mappedOffers, {
+            event,
+            marketKey,
+            source: 'pipeline',
+            runId: run.id,
+            capturedAt: market.fetchedAt
+          })
 
           markets.push({
             marketKey,
@@ -896,6 +960,10 @@ export class WeeklyPipeline {
         })
       }
 
+      if (event.tour !== 'KFT') {
+        await this.syncRoundPairings(run, event, tourCode, issueTracker)
+      }
+
       for (const [marketKey, marketCode] of Object.entries(this.matchupMarketMap)) {
         try {
           if (event.tour === 'KFT') continue
@@ -1008,6 +1076,7 @@ export class WeeklyPipeline {
               raw: {
                 source: 'datagolf',
                 market: marketCode,
+                round: Number.isFinite(Number(payload?.round_num)) ? Number(payload.round_num) : null,
                 payloadEventId: parsed.meta.eventId,
                 payloadEventName: parsed.meta.eventName,
                 attachMethod: attachInfo.method
@@ -1026,10 +1095,20 @@ export class WeeklyPipeline {
                 oddsDecimal: offer.oddsDecimal,
                 oddsDisplay: offer.oddsDisplay,
                 deepLink: offer.deepLink ?? null,
+                layOdds: offer.layOdds ?? null,
+                backLiquidity: offer.backLiquidity ?? null,
+                layLiquidity: offer.layLiquidity ?? null,
                 fetchedAt: offer.fetchedAt || new Date()
               }
             })
           }
+          await this.oddsHistory.recordOffers(mappedOffers, {
+            event,
+            marketKey,
+            source: 'pipeline',
+            runId: run.id,
+            capturedAt: market.fetchedAt
+          })
 
           markets.push({
             marketKey,
@@ -1057,11 +1136,6 @@ export class WeeklyPipeline {
       // Only log matchup warning if we actually attempted to fetch them
       // (matchup markets are only fetched on Monday for pre-tournament mode)
 
-      // 3-balls are not currently implemented, so don't log this as a warning
-      // await issueTracker.logIssue(event.tour, 'info', 'odds', '3-balls not available', {
-      //   eventName: event.eventName
-      // })
-
       if (markets.length === 0) {
         await issueTracker.logIssue(event.tour, 'warning', 'odds', 'No odds markets available for event', {
           eventName: event.eventName
@@ -1095,6 +1169,20 @@ export class WeeklyPipeline {
       if (entry.player?.dgId) set.dgIds.add(String(entry.player.dgId))
     }
 
+    try {
+      const tables = await loadCalibrationTables()
+      logStep('selection', `Loaded ${tables.length} active calibration tables`)
+    } catch (error) {
+      logger.warn('Calibration tables unavailable; using uncalibrated probabilities', { error: error?.message })
+    }
+
+    try {
+      const configs = await loadBlendWeightConfigs()
+      logStep('selection', `Loaded ${configs.length} active blend weight versions`)
+    } catch (error) {
+      logger.warn('Blend weights unavailable; using static weights', { error: error?.message })
+    }
+
     const recommendations = []
 
     for (const event of tourEvents) {
@@ -1112,6 +1200,7 @@ export class WeeklyPipeline {
         tourEventId: event.id,
         markets: storedMarkets.map((market) => ({
           marketKey: market.marketKey,
+          round: market.raw?.round ?? null,
           oddsOffers: market.oddsOffers || []
         }))
       }
@@ -1126,6 +1215,7 @@ export class WeeklyPipeline {
       const tourCode = DataGolfClient.resolveTourCode(event.tour, 'preds')
       let preTournament = []
       let skillRatings = []
+      let decompositions = []
       let usedMarketFallback = false
       const useInPlayPreds = event.inPlay && !this.excludeInPlay
 
@@ -1151,15 +1241,23 @@ export class WeeklyPipeline {
         } catch (error) {
           safeLogDataGolfError('skill-ratings', error)
         }
+
+        // Decompositions give each player's round-score spread, a prior for volatility.
+        try {
+          const payload = await DataGolfClient.getPlayerDecompositions(tourCode)
+          decompositions = normalizeDataGolfArray(payload)
+          if (payload) {
+            await this.storeArtifact(run.id, event.tour, 'preds/player-decompositions', { tourCode }, payload)
+          }
+        } catch (error) {
+          safeLogDataGolfError('player-decompositions', error, { tour: event.tour })
+        }
       }
 
-      // DataGolf predictions (raw ingestion) — OPTIONAL priors/calibration/confidence only.
-      // FORBIDDEN: using DataGolf predictions to define fair prices or replace simulation outputs.
-      const probabilityModel = this.probabilityEngine.build({ preTournamentPreds: preTournament, skillRatings })
       const predsIndex = this.buildPredsIndex(preTournament)
       let eventPlayers = fieldEntries
         .filter((entry) => entry.tourEventId === event.id && entry.status === 'active')
-        .map((entry) => ({ name: entry.player?.canonicalName || entry.playerId }))
+        .map((entry) => ({ name: entry.player?.canonicalName || entry.playerId, dgId: entry.player?.dgId || null }))
       const playerByDgId = new Map()
       for (const entry of fieldEntries) {
         if (entry.tourEventId !== event.id) continue
@@ -1179,15 +1277,75 @@ export class WeeklyPipeline {
         }
       }
 
-      const playerParams = buildPlayerParams({ players: eventPlayers, skillRatings, tour: event.tour })
-      const simResults = simulateTournament({
+      // DataGolf predictions (raw ingestion) — OPTIONAL priors/calibration/confidence only.
+      // FORBIDDEN: using DataGolf predictions to define fair prices or replace simulation outputs.
+      const probabilityModel = this.probabilityEngine.build({
+        preTournamentPreds: preTournament,
+        skillRatings,
+        field: eventPlayers
+      })
+      if (probabilityModel.rejected?.length > 0) {
+        await issueTracker.logIssue(event.tour, 'warning', 'selection', 'PROBABILITY_SET_INCONSISTENT', {
+          eventName: event.eventName,
+          count: probabilityModel.rejected.length,
+          sample: probabilityModel.rejected.slice(0, 5)
+        })
+      }
+
+      const course = await this.loadCourse(event)
+      const courseProfile = buildCourseProfile({
+        event,
+        course,
+        historicalRounds: await this.loadHistoricalRounds(event)
+      })
+      const formRatings = await this.loadPlayerForm(event, eventPlayers)
+      const playerParams = buildPlayerParams({
+        players: eventPlayers,
+        skillRatings,
+        tour: event.tour,
+        courseProfile,
+        formRatings,
+        decompositions
+      })
+      this.logPlayerShapes(event, playerParams)
+      const courseFitByPlayer = this.logCourseFit(event, courseProfile, playerParams)
+      const formByPlayer = new Map(playerParams.filter((params) => params.form).map((params) => [params.key, params.form]))
+      const rounds = event.tour === 'LIV' ? 3 : 4
+      const holeProfile = this.simHoleMode
+        ? await this.loadHoleProfile(run, event, course, rounds, issueTracker)
+        : null
+      const waves = await this.loadWaveConditions(run, event)
+      const cutRule = await this.loadCutRule(event)
+      // In play, the simulation resumes from the live leaderboard instead of the first tee.
+      const startState = useInPlayPreds
+        ? await this.loadLiveStartState(run, event, {
+          players: playerParams.map((params, index) => ({ key: params.key, dgId: eventPlayers[index]?.dgId ?? null })),
+          inPlayRows: preTournament,
+          rounds,
+          par: course?.par ?? null
+        }, issueTracker)
+        : null
+      const simOptions = {
         players: playerParams,
         tour: event.tour,
-        rounds: event.tour === 'LIV' ? 3 : 4,
+        rounds,
         simCount: this.simCount,
         seed: this.simSeed,
-        cutRules: this.cutRules
-      })
+        cutRule: cutRule.rule,
+        holes: holeProfile?.holes || null,
+        emitScores: this.needsSimScores(eventOdds.markets),
+        waves,
+        startState
+      }
+      const simResults = await this.runEventSimulation(event, simOptions)
+      if (simResults.mode === 'holes') {
+        logStep('simulation', `Hole-by-hole simulation ${event.tour}/${event.eventName}`, {
+          holes: holeProfile.holes.length,
+          par: holeProfile.par,
+          historicalHoleSamples: holeProfile.samples,
+          fieldHoleInOneProb: simResults.fieldProps?.holeInOne ?? null
+        })
+      }
       const simProbabilities = simResults.probabilities
       const modelAvailable = simProbabilities && simProbabilities.size > 0
       const recommendationMode = event.inPlay && !this.excludeInPlay ? 'IN_PLAY' : 'PRE_TOURNAMENT'
@@ -1212,31 +1370,38 @@ export class WeeklyPipeline {
       }
       const candidates = []
       const marketStats = []
-
-      for (const market of eventOdds.markets) {
-        const offers = (market.oddsOffers || []).filter((offer) => {
-          const fetchedAt = offer.fetchedAt ? new Date(offer.fetchedAt).getTime() : NaN
-          return Number.isFinite(fetchedAt) ? (now - fetchedAt) <= maxAgeMs : false
+      // Round matchups and 3-balls are priced on the round their pairing plays.
+      const pairings = await this.loadRoundPairings(event)
+      const defaultMatchupRound = startState ? Math.min(startState.round, rounds) : 1
+
+      // Every market is priced before any EV: the fair-probability ladder needs
+      // each outright market's consensus to blend and reconcile the field.
+      const pricedMarkets = eventOdds.markets
+        .map((market) => this.priceMarketOffers(market, { event, fieldIndex, playerByDgId, now, maxAgeMs, cutRule: cutRule.rule }))
+        .filter(Boolean)
+      const pricedByKey = new Map(pricedMarkets.map((priced) => [priced.market.marketKey, priced]))
+      const fairLadder = modelAvailable
+        ? await this.buildFairLadder({
+          event,
+          simProbabilities,
+          issueTracker,
+          blendInputs: (key, marketKey) => {
+            const priced = pricedByKey.get(marketKey)
+            return {
+              dg: probabilityModel.getPlayerProbs({ name: key, id: null })?.source === 'datagolf'
+                ? this.getPredProbability(predsIndex, key, null, marketKey)
+                : null,
+              mkt: priced ? (priced.marketFairProbs.get(key) ?? priced.normalizedImplied.get(key)) : null
+            }
+          }
         })
+        : null
+      // Each-way picks pay on the exact places each book offers, priced from the sim's scores.
+      const eachWayPlaceProbs = modelAvailable && simResults?.scores
+        ? placeProbabilities(simResults.scores, this.getEachWayPlaces(pricedByKey.get('win')?.offers))
+        : new Map()
 
-        if (offers.length === 0) continue
-
-        const rawSelections = new Set()
-        for (const offer of offers) {
-          const selectionId = offer.selectionId ? String(offer.selectionId) : null
-          const mappedName = selectionId && playerByDgId.has(selectionId)
-            ? playerByDgId.get(selectionId)
-            : null
-          const key = mappedName
-            ? this.playerNormalizer.cleanPlayerName(mappedName)
-            : (offer.selectionKey || this.playerNormalizer.cleanPlayerName(offer.selectionName || offer.selection))
-          if (key) rawSelections.add(key)
-        }
-
-        const offersBySelection = this.groupOffersBySelection(offers, event, fieldIndex, playerByDgId)
-        const offersByBook = this.groupOffersByBook(offers)
-        const marketFairProbs = this.computeMarketProbabilities(offersBySelection, offersByBook, market.marketKey)
-        const normalizedImplied = this.computeNormalizedImplied(offersBySelection)
+      for (const { market, offers, rawSelections, offersBySelection, marketFairProbs, normalizedImplied } of pricedMarkets) {
         const selectionKeys = Object.keys(offersBySelection)
         const averageBooksPerPlayer = selectionKeys.length === 0
           ? 0
@@ -1268,9 +1433,11 @@ export class WeeklyPipeline {
         }
 
         for (const [selectionKey, selectionOffers] of Object.entries(offersBySelection)) {
-          const bestOffer = selectionOffers.reduce((best, current) => {
-            return (current.oddsDecimal || 0) > (best?.oddsDecimal || 0) ? current : best
-          }, null)
+          // Best by what a winning bet returns: exchange prices net of commission.
+          const netOdds = (offer) => this.getNetOdds(offer) || 0
+          const bestOffer = selectionOffers
+            .filter((offer) => hasBackLiquidity(offer, this.exchangeMinLiquidity))
+            .reduce((best, current) => (netOdds(current) > (best ? netOdds(best) : 0) ? current : best), null)
           if (!bestOffer) continue
 
           if (!Number.isFinite(bestOffer.oddsDecimal) || bestOffer.oddsDecimal <= 1) {
@@ -1364,18 +1531,24 @@ export class WeeklyPipeline {
             name: selectionKey,
             id: bestOffer.selectionId || null
           })
-          const dgProb = this.getPredProbability(predsIndex, selectionKey, bestOffer.selectionId, market.marketKey)
-          const dgDisagreement = Number.isFinite(dgProb)
-            ? Math.abs(simProb - dgProb)
+          // Players whose DataGolf set failed validation get no DataGolf prior.
+          const dgProb = modelProbs?.source === 'datagolf'
+            ? this.getPredProbability(predsIndex, selectionKey, bestOffer.selectionId, market.marketKey)
             : null
           // Internal simulation is authoritative. DataGolf probabilities are optional priors/calibration inputs
           // and must never replace missing simulation outputs.
-          let simProb = simProbabilities.get(selectionKey)?.[this.mapMarketKeyToSim(market.marketKey)]
-          if (market.marketKey === 'mc' && Number.isFinite(simProb)) {
-            simProb = clampProbability(1 - simProb)
-          }
-
-          simProb = validateProbability(simProb, {
+          const isMatchup = this.isMatchupMarket(market.marketKey)
+          const pairing = isMatchup ? pairings.find(this.getMatchupParticipants(selectionKey), market.round ?? null) : null
+          const matchupRound = isMatchup ? this.getMatchupRound(market, pairing, defaultMatchupRound) : null
+          const tieRule = isMatchup
+            ? resolveMatchupTieRule({ marketKey: market.marketKey, bookmaker: bestOffer.bookmaker, overrides: this.matchupTieRules })
+            : null
+          const simProb = validateProbability(this.getSimProbability(simResults, {
+            marketKey: market.marketKey,
+            selectionKey,
+            round: matchupRound,
+            tieRule
+          }), {
             label: 'sim_probability',
             context: { selectionKey, marketKey: market.marketKey, event: event.eventName }
           })
@@ -1384,14 +1557,24 @@ export class WeeklyPipeline {
             stat.invalid.missingFair += 1
             continue
           }
+          const dgDisagreement = Number.isFinite(dgProb)
+            ? Math.abs(simProb - dgProb)
+            : null
 
-          // Fair prices derive from INTERNAL simulation only.
-          // DataGolf predictions may only influence priors/calibration/confidence, not fair price itself.
-          const blended = this.blendProbabilities({ sim: simProb, dg: null, mkt: null })
+          // Fair prices derive from INTERNAL simulation only, unless a learned blend version is
+          // active for this tour/market: those weights were fitted on settled outcomes and beat the
+          // sim-only price, so DataGolf and the market may then move the fair price by that much.
+          const blendConfig = getBlendWeightConfig(market.marketKey, event.tour)
+          const blendSources = { sim: simProb, dg: blendConfig ? dgProb : null, mkt: blendConfig ? marketProb : null }
+          const blended = this.blendProbabilities(blendSources, { marketKey: market.marketKey, tour: event.tour })
+          const uncalibrated = this.blendUncalibrated(blendSources, { marketKey: market.marketKey, tour: event.tour })
+          const calibration = getCalibrationVersion(market.marketKey, event.tour)
+          // Outright markets take the player's reconciled ladder value.
+          const ladderProb = isMatchup ? null : this.getLadderProbability(fairLadder, selectionKey, market.marketKey)
           const fairProb = validateProbability(
-            Number.isFinite(blended)
-              ? applyCalibration(blended, market.marketKey, event.tour)
-              : applyCalibration(simProb, market.marketKey, event.tour),
+            Number.isFinite(ladderProb)
+              ? ladderProb
+              : (Number.isFinite(blended) ? blended : applyCalibration(simProb, market.marketKey, event.tour)),
             {
               label: 'fair_probability',
               context: { selectionKey, marketKey: market.marketKey, event: event.eventName },
@@ -1419,7 +1602,7 @@ export class WeeklyPipeline {
           }
 
           const edge = fairProb - marketProb
-          const ev = this.computeEv(fairProb, bestOffer.oddsDecimal)
+          const ev = this.computeEv(fairProb, this.getNetOdds(bestOffer))
           if (Number.isFinite(ev)) stat.validEv += 1
           if (ev > 0 && edge > 0) stat.positive += 1
 
@@ -1429,9 +1612,10 @@ export class WeeklyPipeline {
               simPlayers: simProbabilities.size
             },
             simulationStability: {
-              simCount: this.simCount,
+              simCount: simResults.simCount,
               seed: this.simSeed,
-              simPlayers: simProbabilities.size
+              simPlayers: simProbabilities.size,
+              winStandardError: simResults.run?.winStandardError ?? null
             },
             marketDepth: {
               booksUsed: booksUsed.length
@@ -1444,7 +1628,16 @@ export class WeeklyPipeline {
             context: {
               eventName: event.eventName,
               marketKey: market.marketKey,
-              selectionKey
+              selectionKey,
+              calibrationVersion: calibration?.version ?? null,
+              // Settled outcomes refit calibration against this, not the published fairProb.
+              preCalibrationProb: Number.isFinite(uncalibrated) ? uncalibrated : simProb,
+              blendVersion: blendConfig?.version ?? null,
+              consistencyAdjustment: Number.isFinite(ladderProb) && Number.isFinite(blended) ? ladderProb - blended : null,
+              marketProb: Number.isFinite(marketProb) ? marketProb : null,
+              courseFit: courseFitByPlayer.get(selectionKey) || null,
+              deadHeatFactor: simProbabilities.get(selectionKey)?.deadHeat?.[this.mapMarketKeyToSim(market.marketKey)] ?? null,
+              ...(isMatchup ? { matchupRound, tieRule, pairingGroup: pairing?.group ?? null } : {})
             }
           })
 
@@ -1478,8 +1671,17 @@ export class WeeklyPipeline {
             fallbackReason: null,
             fallbackType: null,
             mode: recommendationMode,
-            booksUsed
+            booksUsed,
+            calibration,
+            courseFit: courseFitByPlayer.get(selectionKey) || null,
+            form: formByPlayer.get(selectionKey) || null,
+            round: matchupRound,
+            tieRule
           })
+          if (market.marketKey === 'win') {
+            const eachWay = this.buildEachWayCandidate(candidates[candidates.length - 1], selectionOffers, eachWayPlaceProbs)
+            if (eachWay) candidates.push(eachWay)
+          }
         }
 
         marketStats.push(stat)
@@ -1549,8 +1751,14 @@ export class WeeklyPipeline {
         fairProbCount
       })
 
-      const tiered = await this.selectTieredPortfolio(candidates, issueTracker, event, marketStats)
-      for (const entry of tiered) {
+      if (modelAvailable && candidates.length > 0) {
+        // What-if scenarios re-run this event from its simulation inputs and priced candidates.
+        await this.storeArtifact(run.id, event.tour, SCENARIO_ARTIFACT, { tourEventId: event.id }, serializeScenarioInputs({ event, simOptions, candidates }))
+      }
+
+      const tiered = await this.selectTieredPortfolio(candidates, issueTracker, event, marketStats, simResults?.scores || null)
+      await this.runShadowEngine(run, event, candidates, tiered)
+      for (const entry of this.applyStakeSizing(tiered)) {
         const formatted = this.formatRecommendation(entry)
         if (this.dryRun) {
           recommendations.push({ runId: run.id, ...formatted })
@@ -1583,12 +1791,13 @@ export class WeeklyPipeline {
       const mappedName = selectionId && playerByDgId.has(selectionId)
         ? playerByDgId.get(selectionId)
         : null
-      const selectionKey = mappedName
+      const isMatchup = String(offer.selectionName || offer.selection || '').includes(' vs ')
+      // Matchup selections name every participant, so the backed player's id alone is not a key.
+      const selectionKey = mappedName && !isMatchup
         ? this.playerNormalizer.cleanPlayerName(mappedName)
         : (offer.selectionKey || this.playerNormalizer.cleanPlayerName(offer.selectionName || offer.selection))
       if (!selectionKey) continue
       const fieldSet = fieldIndex.get(event.id)
-      const isMatchup = selectionKey.includes(' vs ')
       if (!isMatchup && fieldSet && !fieldSet.names.has(selectionKey) && (!selectionId || !fieldSet.dgIds.has(selectionId))) continue
       if (!map[selectionKey]) map[selectionKey] = []
       map[selectionKey].push({ ...offer, selectionKey })
@@ -1606,20 +1815,38 @@ export class WeeklyPipeline {
     return map
   }
 
-  computeMarketProbabilities(offersBySelection, offersByBook, marketKey) {
+  /**
+   * Consensus fair probability per selection: each book's prices are de-vigged
+   * to the market's expected total with the market's method (VIG_METHODS), and
+   * books are combined by median. `cutSize` and `fieldSize` set make-cut totals;
+   * books pricing less than `fieldSize` are left out of make-cut and top-N markets.
+   */
+  computeMarketProbabilities(offersBySelection, offersByBook, marketKey, { method = null, cutSize = null, fieldSize = null } = {}) {
     const results = new Map()
     const selectionKeys = Object.keys(offersBySelection)
     if (selectionKeys.length === 0) return results
 
+    // Matchup books price each pairing as its own market, so vig is removed per pairing.
+    const selectionGroups = new Map()
+    for (const key of selectionKeys) {
+      const groupKey = this.isMatchupMarket(marketKey) ? this.getMatchupGroupKey(key) : 'field'
+      if (!selectionGroups.has(groupKey)) selectionGroups.set(groupKey, [])
+      selectionGroups.get(groupKey).push(key)
+    }
+
     const perBook = []
-    for (const [book, bookOffers] of offersByBook.entries()) {
-      const offers = selectionKeys
-        .map((key) => ({ selection: key, oddsDecimal: this.findBestOdds(offersBySelection[key], book) }))
-        .filter((entry) => Number.isFinite(entry.oddsDecimal) && entry.oddsDecimal > 1)
+    for (const [book] of offersByBook.entries()) {
+      for (const groupKeys of selectionGroups.values()) {
+        const offers = groupKeys
+          .map((key) => ({ selection: key, oddsDecimal: this.findBestOdds(offersBySelection[key], book) }))
+          .filter((entry) => Number.isFinite(entry.oddsDecimal) && entry.oddsDecimal > 1)
 
-      if (offers.length === 0) continue
-      const fairProbs = this.removeVig(offers, marketKey)
-      perBook.push({ book, offers, fairProbs })
+        if (offers.length === 0) continue
+        if (this.isMatchupMarket(marketKey) && offers.length < groupKeys.length) continue
+        const fairProbs = this.removeVig(offers, marketKey, { method, cutSize, fieldSize })
+        if (fairProbs.length === 0) continue
+        perBook.push({ book, offers, fairProbs })
+      }
     }
 
     for (const selection of selectionKeys) {
@@ -1661,17 +1888,71 @@ export class WeeklyPipeline {
     return normalized
   }
 
-  removeVig(offers, marketKey) {
-    if (marketKey === 'tournament_matchups' || marketKey === 'round_matchups' || marketKey === '3_balls') {
-      return removeVigNormalize(offers)
+  removeVig(offers, marketKey, { method = null, cutSize = null, fieldSize = null } = {}) {
+    const matchup = this.isMatchupMarket(marketKey)
+    const total = expectedMarketTotal(marketKey, { matchup, cutSize, fieldSize, priced: offers.length })
+    if (total === null) return []
+    return removeVig(offers, { method: method || this.getVigMethod(marketKey), total })
+  }
+
+  getVigMethod(marketKey) {
+    return resolveVigMethod({ marketKey, matchup: this.isMatchupMarket(marketKey), overrides: this.vigMethods })
+  }
+
+  isMatchupMarket(marketKey) {
+    return Object.prototype.hasOwnProperty.call(this.matchupMarketMap, marketKey)
+  }
+
+  getMatchupParticipants(selectionKey) {
+    return String(selectionKey).split(' vs ').map((name) => name.trim())
+  }
+
+  getMatchupGroupKey(selectionKey) {
+    return this.getMatchupParticipants(selectionKey).sort().join(' vs ')
+  }
+
+  // Selection keys list the backed player first ("a vs b" or "a vs b vs c").
+  // Scores are compared in whole strokes so ties settle under the book's rule.
+  getSimProbability(simResults, { marketKey, selectionKey, round = null, tieRule = null }) {
+    if (this.isMatchupMarket(marketKey)) {
+      return this.getMatchupSimProbability(simResults.scores, selectionKey, { round, tieRule: tieRule || 'dead_heat' })
     }
-    return removeVigPower(offers, this.powerMethodK)
+    const probability = simResults.probabilities?.get(selectionKey)?.[this.mapMarketKeyToSim(marketKey)]
+    // Missed-cut is priced from the make-cut simulation.
+    if (marketKey === 'mc' && Number.isFinite(probability)) return clampProbability(1 - probability)
+    return probability
   }
 
+  getMatchupSimProbability(scores, selectionKey, { round = null, tieRule = 'dead_heat' } = {}) {
+    if (!scores) return NaN
+    const participants = this.getMatchupParticipants(selectionKey)
+    const options = { round, ties: tieRule, strokes: true }
+    let probability = null
+    if (participants.length === 2) {
+      probability = matchupProbability(participants[0], participants[1], scores, options)
+    } else if (participants.length === 3) {
+      probability = threeBallProbability(participants[0], participants[1], participants[2], scores, options)
+    }
+    return Number.isFinite(probability) ? clampProbability(probability) : NaN
+  }
+
+  // Round matchups and 3-balls settle on a single round; tournament matchups on totals.
+  // Without a round in the odds payload, the pairing's round (or the round in play) is used.
+  getMatchupRound(market, pairing = null, defaultRound = 1) {
+    if (!this.isMatchupMarket(market.marketKey) || market.marketKey === 'tournament_matchups') return null
+    if (Number.isFinite(market.round)) return market.round
+    return Number.isFinite(pairing?.round) ? pairing.round : defaultRound
+  }
+
+  // A book's best price for a selection; exchange prices are net of commission.
   findBestOdds(offers, bookmaker) {
-    const bookOffers = offers.filter((offer) => offer.bookmaker === bookmaker)
+    const bookOffers = offers.filter((offer) => offer.bookmaker === bookmaker && hasBackLiquidity(offer, this.exchangeMinLiquidity))
     if (bookOffers.length === 0) return NaN
-    return bookOffers.reduce((best, offer) => (offer.oddsDecimal > best ? offer.oddsDecimal : best), -Infinity)
+    return bookOffers.reduce((best, offer) => Math.max(best, this.getNetOdds(offer)), -Infinity)
+  }
+
+  getNetOdds(offer) {
+    return netOfferOdds(offer, { commission: this.exchangeCommission, exchangeSet: this.exchangeBooksSet })
   }
 
   mapMarketKeyToModel(marketKey) {
@@ -1712,6 +1993,363 @@ export class WeeklyPipeline {
     }
   }
 
+  async loadCourse(event) {
+    if (!event.courseName) return null
+    try {
+      return await prisma.course.findUnique({ where: { name: event.courseName } })
+    } catch (error) {
+      logger.warn('Course lookup failed', { courseName: event.courseName, error: error?.message })
+      return null
+    }
+  }
+
+  async loadPlayerForm(event, players) {
+    const playerIds = Array.from(new Set(players.flatMap((player) => [
+      player.dgId ? String(player.dgId) : null,
+      player.name || null
+    ]).filter(Boolean)))
+    if (playerIds.length === 0) return null
+    let rows = []
+    try {
+      rows = await prisma.historicalRound.findMany({
+        where: { playerId: { in: playerIds } },
+        select: {
+          playerId: true,
+          year: true,
+          round: true,
+          teeTimeUtc: true,
+          statsJson: true,
+          strokesGainedJson: true
+        }
+      })
+    } catch (error) {
+      logger.warn('Historical form lookup failed', { eventName: event.eventName, error: error?.message })
+      return null
+    }
+    const formRatings = buildFormRatings({ historicalRounds: rows, halfLifeRounds: this.formHalfLifeRounds })
+    logStep('simulation', `Form model ${event.tour}/${event.eventName}: ${formRatings.size}/${players.length} players with round history`, {
+      rounds: rows.length,
+      halfLifeRounds: this.formHalfLifeRounds
+    })
+    return formRatings.size > 0 ? formRatings : null
+  }
+
+  async loadHistoricalRounds(event) {
+    const eventId = event.dgEventId || this.getEventMeta(event)?.eventId
+    if (!eventId) return []
+    try {
+      return await prisma.historicalRound.findMany({
+        where: { tour: event.tour, eventId: String(eventId) },
+        select: { statsJson: true, strokesGainedJson: true }
+      })
+    } catch (error) {
+      logger.warn('Historical rounds lookup failed', { eventId, error: error?.message })
+      return []
+    }
+  }
+
+  // The most and least volatile players, to sanity-check per-player round shapes.
+  logPlayerShapes(event, playerParams) {
+    if (playerParams.length === 0) return
+    const ranked = [...playerParams].sort((a, b) => b.volatility - a.volatility)
+    const summarize = (player) => ({
+      player: player.key,
+      volatility: Number(player.volatility.toFixed(3)),
+      kurtosis: Number(player.kurtosis.toFixed(3)),
+      tail: Number(player.tail.toFixed(2))
+    })
+    logStep('simulation', `Player shapes ${event.tour}/${event.eventName}`, {
+      mostVolatile: ranked.slice(0, 5).map(summarize),
+      leastVolatile: ranked.slice(-5).reverse().map(summarize)
+    })
+  }
+
+  logCourseFit(event, courseProfile, playerParams) {
+    const courseFitByPlayer = new Map()
+    for (const player of playerParams) {
+      if (player.courseFit) courseFitByPlayer.set(player.key, player.courseFit)
+    }
+    const ranked = playerParams
+      .filter((player) => player.courseFit)
+      .sort((a, b) => a.courseFit.meanAdjustment - b.courseFit.meanAdjustment)
+    const summarize = (player) => ({
+      player: player.key,
+      meanAdjustment: Number(player.courseFit.meanAdjustment.toFixed(3)),
+      components: Object.fromEntries(
+        Object.entries(player.courseFit.components).map(([category, value]) => [category, Number(value.toFixed(3))])
+      )
+    })
+    logStep('course-fit', `Course fit ${event.tour}/${event.eventName}`, {
+      courseName: event.courseName,
+      demands: courseProfile.demands,
+      demandSources: courseProfile.demandSources,
+      volatilityMultiplier: ranked[0]?.courseFit.volatilityMultiplier ?? 1,
+      bestFits: ranked.slice(0, 5).map(summarize),
+      worstFits: ranked.slice(-5).reverse().map(summarize)
+    })
+    return courseFitByPlayer
+  }
+
+  async loadHoleProfile(run, event, course, rounds, issueTracker) {
+    const rawTour = DataGolfClient.resolveTourCode(event.tour, 'raw')
+    const eventId = this.getEventMeta(event)?.eventId
+    const historicalHoles = []
+
+    if (rawTour && eventId) {
+      const season = toZonedTime(new Date(), TIME_ZONE).getFullYear()
+      for (let offset = 1; offset <= this.holeHistoryYears; offset += 1) {
+        const year = season - offset
+        for (let round = 1; round <= rounds; round += 1) {
+          try {
+            const payload = await DataGolfClient.getHistoricalRawHoles(rawTour, eventId, year, round)
+            await this.storeArtifact(run.id, event.tour, 'historical-raw-data/holes', { tour: rawTour, eventId, year, round }, payload)
+            historicalHoles.push(...normalizeDataGolfArray(payload))
+          } catch (error) {
+            safeLogDataGolfError('historical-raw-holes', error, { tour: event.tour, year, round })
+          }
+        }
+      }
+    }
+
+    if (!course && historicalHoles.length === 0) {
+      await issueTracker.logIssue(event.tour, 'warning', 'simulation', 'Hole data unavailable; using round-level simulation', {
+        eventName: event.eventName,
+        courseName: event.courseName
+      })
+      return null
+    }
+
+    return buildHoleProfile({ course, historicalHoles })
+  }
+
+  // Per-sim scores price matchups, 3-balls and each-way places, and give the
+  // portfolio optimizer its correlations. They are kept only when one of those
+  // needs them; the optimizer subsamples its own PORTFOLIO_JOINT_SIMS from them.
+  needsSimScores(markets = []) {
+    const marketKeys = markets.map((market) => market.marketKey)
+    const matchups = marketKeys.some((marketKey) => this.isMatchupMarket(marketKey))
+    const eachWay = marketKeys.includes('win')
+    const portfolio = this.maxPicksPerTier > 1
+    return matchups || eachWay || portfolio
+  }
+
+  async runEventSimulation(event, options) {
+    const runnerOptions = {
+      workers: this.simWorkers,
+      chunkSize: this.simChunkSize,
+      convergenceSe: this.simConvergenceSe,
+      minSims: this.simMinSims
+    }
+    let simResults
+    try {
+      simResults = await runSimulation(options, runnerOptions)
+    } catch (error) {
+      if (runnerOptions.workers === 0) throw error
+      logger.warn('Simulation workers failed; running inline', { eventName: event.eventName, error: error?.message })
+      simResults = await runSimulation(options, { ...runnerOptions, workers: 0 })
+    }
+    logStep('simulation', `Simulated ${event.tour}/${event.eventName}: ${simResults.simCount}/${simResults.run.requestedSimCount} sims`, simResults.run)
+    return simResults
+  }
+
+  async loadCutRule(event) {
+    const eventKey = buildCutRuleEventKey({ dgEventId: event.dgEventId, eventName: event.eventName })
+    let override = null
+    if (eventKey) {
+      try {
+        override = await prisma.eventCutRule.findUnique({
+          where: { tour_eventKey: { tour: event.tour, eventKey } }
+        })
+      } catch (error) {
+        logger.warn('Cut rule override lookup failed', { eventName: event.eventName, error: error?.message })
+      }
+    }
+    const resolved = resolveCutRule({ tour: event.tour, eventName: event.eventName, override: override?.ruleJson || null })
+    logStep('simulation', `Cut rule ${event.tour}/${event.eventName}: ${describeCutRule(resolved.rule)} (${resolved.source})`)
+    return resolved
+  }
+
+  async loadWaveConditions(run, event) {
+    const teeTimes = await prisma.teeTime.findMany({
+      where: { tourEventId: event.id },
+      include: { player: true }
+    })
+    if (teeTimes.length === 0) return null
+
+    const forecast = await prisma.weatherForecast.findFirst({
+      where: { runId: run.id, tourEventId: event.id },
+      orderBy: { fetchedAt: 'desc' }
+    })
+    const waves = buildWaveConditions({
+      teeTimes: teeTimes.map((row) => ({
+        round: row.round,
+        teeTimeUtc: row.teeTimeUtc,
+        playerKey: row.player?.canonicalName ? this.playerNormalizer.cleanPlayerName(row.player.canonicalName) : null
+      })),
+      forecastJson: forecast?.forecastJson || null
+    })
+    if (waves) {
+      logStep('simulation', `Tee-wave conditions ${event.tour}/${event.eventName}`, {
+        playersWithWaves: waves.playerWaves.size,
+        hasForecast: waves.hasForecast,
+        conditions: waves.conditions
+      })
+    }
+    return waves
+  }
+
+  // Stores the next round's groupings from DataGolf as TeeTime rows, so round
+  // matchups and 3-balls are priced for the actual pairings and playing
+  // partners share tee waves in the simulation.
+  async syncRoundPairings(run, event, tourCode, issueTracker) {
+    let payload = null
+    try {
+      payload = await DataGolfClient.getMatchupsAllPairings(tourCode)
+    } catch (error) {
+      safeLogDataGolfError('matchups-all-pairings', error, {
+        internalTour: event.tour,
+        dgTour: tourCode,
+        endpoint: 'betting-tools/matchups-all-pairings'
+      })
+      await issueTracker.logIssue(event.tour, 'warning', 'odds', 'PAIRINGS_UNAVAILABLE', {
+        eventName: event.eventName,
+        message: error?.message
+      })
+      return 0
+    }
+    if (!payload) return 0
+    await this.storeArtifact(run.id, event.tour, 'betting-tools/matchups-all-pairings', { tourCode }, payload)
+
+    const pairings = parseAllPairings(payload)
+    const match = this.evaluateOddsEventMatch(event, { eventName: pairings.eventName }, run)
+    if (match.confidence < this.oddsMatchConfidenceThreshold) {
+      await issueTracker.logIssue(event.tour, 'warning', 'odds', 'PAIRINGS_EVENT_MISMATCH', {
+        eventName: event.eventName,
+        pairingsEventName: pairings.eventName,
+        method: match.method
+      })
+      return 0
+    }
+    if (pairings.groups.length === 0 || !Number.isFinite(pairings.round)) {
+      await issueTracker.logIssue(event.tour, 'info', 'odds', 'PAIRINGS_EMPTY', {
+        eventName: event.eventName,
+        round: pairings.round
+      })
+      return 0
+    }
+
+    const dgIds = pairings.groups.flatMap((group) => group.players.map((player) => player.dgId)).filter(Boolean)
+    let stored = 0
+    try {
+      const players = await prisma.player.findMany({ where: { dgId: { in: dgIds } } })
+      const playerIdByDgId = new Map(players.map((player) => [player.dgId, player.id]))
+      await prisma.teeTime.deleteMany({ where: { tourEventId: event.id, round: pairings.round } })
+      for (const group of pairings.groups) {
+        const teeTimeUtc = resolveTeeTime(group.teeTime, { eventStart: event.startDate, round: group.round ?? pairings.round })
+        if (!teeTimeUtc) continue
+        for (const player of group.players) {
+          await prisma.teeTime.create({
+            data: {
+              tourEventId: event.id,
+              round: group.round ?? pairings.round,
+              playerId: playerIdByDgId.get(player.dgId) || null,
+              teeTimeUtc,
+              tee: group.startHole != null ? String(group.startHole) : '1',
+              groupMeta: {
+                source: 'datagolf',
+                group: group.group,
+                course: group.course,
+                teeTime: group.teeTime,
+                players: group.players
+              }
+            }
+          })
+          stored += 1
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to store round pairings', { eventName: event.eventName, error: error?.message })
+      return stored
+    }
+    logStep('odds', `Round ${pairings.round} pairings ${event.tour}/${event.eventName}: groups=${pairings.groups.length} teeTimes=${stored}`)
+    return stored
+  }
+
+  // Tee-time groups stored for the event, indexed by round and participants.
+  async loadRoundPairings(event) {
+    let rows = []
+    try {
+      rows = await prisma.teeTime.findMany({
+        where: { tourEventId: event.id },
+        include: { player: true }
+      })
+    } catch (error) {
+      logger.warn('Failed to load round pairings', { eventName: event.eventName, error: error?.message })
+    }
+    // Every row of a group carries the whole group, including unmapped players.
+    const groups = new Map()
+    for (const row of rows) {
+      const group = row.groupMeta?.group
+      const players = row.groupMeta?.players
+      if (group == null || !Array.isArray(players)) continue
+      const id = `${row.round}:${group}`
+      if (!groups.has(id)) groups.set(id, { round: row.round, group, teeTime: row.teeTimeUtc, players })
+    }
+    return buildPairingIndex(Array.from(groups.values()), (player) => this.playerNormalizer.cleanPlayerName(player.name))
+  }
+
+  async loadLiveStartState(run, event, { players, inPlayRows = [], rounds, par }, issueTracker) {
+    // The in-play feed is the freshest leaderboard; the last stored snapshot covers gaps in it.
+    let leaderboardRows = inPlayRows
+    if (leaderboardRows.length === 0) {
+      try {
+        const snapshot = await prisma.leaderboardSnapshot.findFirst({
+          where: { tourEventId: event.id },
+          orderBy: { fetchedAt: 'desc' }
+        })
+        if (Array.isArray(snapshot?.leaderboardJson)) leaderboardRows = snapshot.leaderboardJson
+      } catch (error) {
+        logger.warn('Failed to load leaderboard snapshot', { eventName: event.eventName, error: error?.message })
+      }
+    }
+
+    let liveStatsRows = []
+    const tourCode = DataGolfClient.resolveTourCode(event.tour, 'preds')
+    if (tourCode) {
+      try {
+        const payload = await DataGolfClient.getLiveTournamentStats(tourCode)
+        liveStatsRows = normalizeDataGolfArray(payload)
+        await this.storeArtifact(run.id, event.tour, 'preds/live-tournament-stats', { tourCode }, payload)
+      } catch (error) {
+        safeLogDataGolfError('live-tournament-stats', error, { tour: event.tour })
+      }
+    }
+
+    const { startState, matched, unmatched } = buildLiveStartState({ players, leaderboardRows, liveStatsRows, rounds, par })
+    if (!startState) {
+      await issueTracker.logIssue(event.tour, 'warning', 'simulation', 'LIVE_STATE_MISSING', {
+        eventName: event.eventName,
+        reason: 'No live leaderboard rows matched the field; simulating from the first tee.'
+      })
+      return null
+    }
+    if (unmatched.length > 0) {
+      await issueTracker.logIssue(event.tour, 'warning', 'simulation', 'LIVE_STATE_PARTIAL', {
+        eventName: event.eventName,
+        unmatched: unmatched.length,
+        sample: unmatched.slice(0, 10)
+      })
+    }
+    logStep('simulation', `In-play start state ${event.tour}/${event.eventName}`, {
+      round: startState.round,
+      roundAverageToPar: startState.roundAverageToPar,
+      cutMade: startState.cutMade,
+      matched,
+      unmatched: unmatched.length
+    })
+    return startState
+  }
+
   deriveModelProbability(marketKey, modelProbs) {
     if (!modelProbs) return null
     if (marketKey === 'mc') {
@@ -1723,26 +2361,223 @@ export class WeeklyPipeline {
     return key ? modelProbs[key] ?? null : null
   }
 
-  blendProbabilities({ sim, dg, mkt }) {
-    const parts = []
-    if (Number.isFinite(sim)) parts.push({ w: this.marketWeights.sim, p: clampProbability(sim) })
-    if (Number.isFinite(dg)) parts.push({ w: this.marketWeights.dg, p: clampProbability(dg) })
-    if (Number.isFinite(mkt)) parts.push({ w: this.marketWeights.mkt, p: clampProbability(mkt) })
-    if (parts.length === 0) return NaN
+  priceMarketOffers(market, { event, fieldIndex, playerByDgId, now, maxAgeMs, cutRule = null }) {
+    const offers = (market.oddsOffers || []).filter((offer) => {
+      const fetchedAt = offer.fetchedAt ? new Date(offer.fetchedAt).getTime() : NaN
+      return Number.isFinite(fetchedAt) ? (now - fetchedAt) <= maxAgeMs : false
+    })
+
+    if (offers.length === 0) return null
+
+    const rawSelections = new Set()
+    for (const offer of offers) {
+      const selectionId = offer.selectionId ? String(offer.selectionId) : null
+      const mappedName = selectionId && playerByDgId.has(selectionId)
+        ? playerByDgId.get(selectionId)
+        : null
+      const key = mappedName
+        ? this.playerNormalizer.cleanPlayerName(mappedName)
+        : (offer.selectionKey || this.playerNormalizer.cleanPlayerName(offer.selectionName || offer.selection))
+      if (key) rawSelections.add(key)
+    }
 
-    const totalW = parts.reduce((sum, part) => sum + part.w, 0)
-    const blended = parts.reduce((sum, part) => sum + part.w * logit(part.p), 0) / totalW
-    return clampProbability(invLogit(blended))
+    const offersBySelection = this.groupOffersBySelection(offers, event, fieldIndex, playerByDgId)
+    const offersByBook = this.groupOffersByBook(offers)
+    return {
+      market,
+      offers,
+      rawSelections,
+      offersBySelection,
+      offersByBook,
+      marketFairProbs: this.computeMarketProbabilities(offersBySelection, offersByBook, market.marketKey, {
+        cutSize: cutRule?.cutSize ?? null,
+        fieldSize: fieldIndex.get(event.id)?.names?.size ?? null
+      }),
+      normalizedImplied: this.computeNormalizedImplied(offersBySelection)
+    }
   }
 
-  async selectTieredPortfolio(candidates, issueTracker, event, marketStats = []) {
-    const tierOrder = ['PAR', 'BIRDIE', 'EAGLE', 'LONG_SHOTS']
+  /**
+   * Blends every simulated player's outright ladder the way the market loop
+   * would, then reconciles the field (see probability-consistency.js). Ladder
+   * breaks and field sums off target are logged before any EV is computed.
+   * `blendInputs(key, marketKey)` returns the player's `{ dg, mkt }`, used only
+   * under a learned blend version. Returns `key -> { win, top5, top10, top20, makeCut }`.
+   */
+  async buildFairLadder({ event, simProbabilities, blendInputs, issueTracker = null }) {
+    const table = new Map()
+    for (const [key, probs] of simProbabilities.entries()) {
+      const set = {}
+      for (const [marketKey, rung] of Object.entries(LADDER_MARKETS)) {
+        const { dg = null, mkt = null } = getBlendWeightConfig(marketKey, event.tour) ? blendInputs(key, marketKey) : {}
+        set[rung] = this.blendProbabilities({ sim: probs[rung], dg, mkt }, { marketKey, tour: event.tour })
+      }
+      table.set(key, set)
+    }
+
+    const { probabilities, violations, residuals } = enforceProbabilityConsistency(table)
+    if (violations.ladder.length > 0) {
+      await issueTracker?.logIssue?.(event.tour, 'warning', 'selection', 'PROBABILITY_LADDER_VIOLATION', {
+        eventName: event.eventName,
+        count: violations.ladder.length,
+        sample: violations.ladder.slice(0, 5)
+      })
+    }
+    if (violations.sums.length > 0) {
+      await issueTracker?.logIssue?.(event.tour, 'warning', 'selection', 'PROBABILITY_SUM_VIOLATION', {
+        eventName: event.eventName,
+        sums: violations.sums,
+        residuals
+      })
+    }
+    return probabilities
+  }
+
+  /**
+   * Re-prices candidates stored by a run against a new simulation, as the
+   * market loop in generateRecommendations does; offers and market
+   * probabilities are kept. Used by what-if scenarios.
+   */
+  async repriceCandidates(event, simResults, candidates) {
+    const byMarket = new Map(candidates.map((candidate) => [`${candidate.marketKey}|${candidate.selectionKey}`, candidate]))
+    const dgProbOf = (candidate) => candidate?.modelConfidenceJson?.externalAgreement?.dgProb ?? null
+    const fairLadder = await this.buildFairLadder({
+      event,
+      simProbabilities: simResults.probabilities,
+      blendInputs: (key, marketKey) => {
+        const candidate = byMarket.get(`${marketKey}|${key}`)
+        return { dg: dgProbOf(candidate), mkt: candidate?.marketProb ?? null }
+      }
+    })
+
+    const repriced = candidates.map((candidate) => {
+      if (candidate.tierStatus === 'NO_MODEL' || candidate.marketKey === EACH_WAY_MARKET) return candidate
+      const isMatchup = this.isMatchupMarket(candidate.marketKey)
+      const simProb = this.getSimProbability(simResults, candidate)
+      const blendConfig = getBlendWeightConfig(candidate.marketKey, event.tour)
+      const blended = this.blendProbabilities(
+        { sim: simProb, dg: blendConfig ? dgProbOf(candidate) : null, mkt: blendConfig ? candidate.marketProb : null },
+        { marketKey: candidate.marketKey, tour: event.tour }
+      )
+      const ladderProb = isMatchup ? null : this.getLadderProbability(fairLadder, candidate.selectionKey, candidate.marketKey)
+      const fairProb = Number.isFinite(ladderProb) ? ladderProb : blended
+      if (!(fairProb > 0 && fairProb < 1)) return { ...candidate, fairProb: null, edge: null, ev: null }
+      return {
+        ...candidate,
+        fairProb,
+        edge: fairProb - candidate.marketProb,
+        ev: this.computeEv(fairProb, this.getNetOdds(candidate.bestOffer))
+      }
+    })
+
+    // Each-way picks follow their player's re-priced win probability.
+    const winBySelection = new Map(repriced.filter((candidate) => candidate.marketKey === 'win').map((candidate) => [candidate.selectionKey, candidate]))
+    const placeProbs = placeProbabilities(simResults.scores, this.getEachWayPlaces(candidates.map((candidate) => candidate.bestOffer)))
+    return repriced.map((candidate) => {
+      if (candidate.marketKey !== EACH_WAY_MARKET || candidate.tierStatus === 'NO_MODEL') return candidate
+      const win = winBySelection.get(candidate.selectionKey)
+      return (win && this.priceEachWay(win, candidate.bestOffer, placeProbs)) || { ...candidate, fairProb: null, edge: null, ev: null }
+    })
+  }
+
+  // Win offers from books that sell the market each-way carry the book's terms.
+  // Exchanges settle win and place as separate markets, so never carry terms.
+  attachEachWayTerms(offers, tour) {
+    for (const offer of offers) {
+      if (isExchangeBook(offer.book || offer.bookmaker, this.exchangeBooksSet)) continue
+      const terms = resolveEachWayTerms({ offer, tour, overrides: this.eachWayTerms })
+      if (!terms) continue
+      offer.ewPlaces = terms.places
+      offer.ewFraction = terms.fraction
+    }
+    return offers
+  }
+
+  getEachWayPlaces(offers = []) {
+    return [...new Set(offers.map((offer) => Number(offer?.ewPlaces)).filter((places) => Number.isInteger(places) && places >= 1))]
+  }
+
+  /**
+   * The best each-way bet on a priced win candidate: every offer with terms is
+   * priced from the win probability and the simulated chance of finishing
+   * inside that book's places. Null when no offer carries terms.
+   */
+  buildEachWayCandidate(winCandidate, selectionOffers, placeProbs) {
+    if (!winCandidate || winCandidate.marketKey !== 'win' || winCandidate.tierStatus === 'NO_MODEL') return null
+    return selectionOffers
+      .map((offer) => this.priceEachWay(winCandidate, offer, placeProbs))
+      .filter(Boolean)
+      .reduce((best, candidate) => (!best || candidate.ev > best.ev ? candidate : best), null)
+  }
+
+  // An each-way candidate reads as a single bet: fairProb is the chance of any
+  // return, and the market side is the chance that breaks even at these terms,
+  // so edge and EV agree in sign. payoutOdds is the average return given one.
+  priceEachWay(winCandidate, offer, placeProbs) {
+    const places = Number(offer?.ewPlaces)
+    const fraction = Number(offer?.ewFraction)
+    const winProb = winCandidate.fairProb
+    const placeProb = placeProbs.get(winCandidate.selectionKey)?.[places]
+    if (!(places >= 1) || !(fraction > 0) || !(winProb > 0) || !(placeProb > 0 && placeProb < 1)) return null
+    const pricing = { winProb, placeProb, oddsDecimal: offer.oddsDecimal, fraction }
+    const ev = eachWayEv(pricing)
+    const payoutOdds = eachWayPayoutOdds(pricing)
+    if (!Number.isFinite(ev) || !(payoutOdds > 1)) return null
+    const marketProb = 1 / payoutOdds
+    return {
+      ...winCandidate,
+      marketKey: EACH_WAY_MARKET,
+      bestOffer: offer,
+      altOffers: [],
+      impliedProb: marketProb,
+      fairProb: placeProb,
+      marketProb,
+      marketProbSource: 'each_way_break_even',
+      edge: placeProb - marketProb,
+      ev,
+      payoutOdds,
+      eachWay: { places, fraction, winProb, placeProb }
+    }
+  }
+
+  getLadderProbability(ladder, selectionKey, marketKey) {
+    const set = ladder?.get(selectionKey)
+    if (!set) return null
+    if (marketKey === 'mc') return Number.isFinite(set.makeCut) ? 1 - set.makeCut : null
+    const rung = LADDER_MARKETS[marketKey]
+    return rung ? set[rung] ?? null : null
+  }
+
+  // The blend before calibration, which is what calibration maps are fitted on.
+  blendUncalibrated({ sim, dg, mkt }, { marketKey = null, tour = null } = {}) {
+    // Learned weights for the tour/market when a version is active, the static ones otherwise.
+    const weights = marketKey ? getBlendWeights(marketKey, tour, this.marketWeights) : this.marketWeights
+    return blendWithWeights({ sim, dg, mkt }, weights)
+  }
+
+  blendProbabilities({ sim, dg, mkt }, { marketKey = null, tour = null } = {}) {
+    const blended = this.blendUncalibrated({ sim, dg, mkt }, { marketKey, tour })
+    if (!Number.isFinite(blended)) return NaN
+    // Calibration is applied to the blended probability when the market is known.
+    return marketKey ? applyCalibration(blended, marketKey, tour) : blended
+  }
+
+  async selectTieredPortfolio(candidates, issueTracker, event, marketStats = [], simScores = null) {
     const selected = []
+    const correlation = createCorrelationEstimator(simScores, { maxSims: this.portfolioJointSims })
 
-    for (const tier of tierOrder) {
+    for (const tier of TIER_ORDER) {
       const tierCandidates = candidates.filter((candidate) => this.getTierForOdds(candidate.bestOffer.oddsDecimal) === tier)
-      const result = this.selectTierCandidates(tierCandidates, tier)
+      const result = this.selectTierCandidates(tierCandidates, tier, { correlation, prior: selected })
       const picks = result.recommended.concat(result.fallback)
+      if (result.portfolio) {
+        logStep('selection', `Tier ${tier} portfolio ${event.tour}/${event.eventName}`, {
+          picks: result.recommended.length,
+          expectedLogGrowth: result.portfolio.growth,
+          sdUnits: result.portfolio.sdUnits,
+          jointOutcomes: Boolean(simScores)
+        })
+      }
 
       if (picks.length < this.minPicksPerTier) {
         await issueTracker?.logIssue?.(event.tour, 'warning', 'selection', `Tier ${tier} below minimum picks`, {
@@ -1780,10 +2615,50 @@ export class WeeklyPipeline {
     return selected
   }
 
-  selectTierCandidates(candidates, tier) {
-    const allowFrl = tier === 'EAGLE' || tier === 'LONG_SHOTS'
+  // The optimal engine sees the same candidates as the live selection and is
+  // capped to the same total, but its picks are only recorded for comparison.
+  async runShadowEngine(run, event, candidates, selected) {
+    try {
+      const result = await runEngine({
+        candidates,
+        selected,
+        limits: {
+          maxPerPlayer: this.maxPicksPerPlayer,
+          maxTotal: this.maxPicksPerTier * TIER_ORDER.length
+        }
+      })
+      if (!result.shadow) return null
+      const { comparison } = result
+      logStep('shadow-engine', `Shadow engine ${event.tour}/${event.eventName}: ${comparison.overlap.length} shared picks`, {
+        legacy: comparison.legacy,
+        optimal: comparison.optimal,
+        onlyLegacy: comparison.onlyLegacy.length,
+        onlyOptimal: comparison.onlyOptimal.length
+      })
+      if (this.dryRun) return result
+      const data = {
+        tour: event.tour,
+        legacyJson: result.active.bets,
+        optimalJson: result.shadow.bets,
+        comparisonJson: comparison
+      }
+      await prisma.engineShadowRun.upsert({
+        where: { runId_tourEventId: { runId: run.id, tourEventId: event.id } },
+        create: { runId: run.id, tourEventId: event.id, ...data },
+        update: data
+      })
+      return result
+    } catch (error) {
+      logger.warn('Shadow engine comparison failed', { eventName: event.eventName, error: error?.message })
+      return null
+    }
+  }
+
+  selectTierCandidates(candidates, tier, { correlation, prior = [] } = {}) {
+    // First-round leader and each-way bets are long-odds plays.
+    const longOdds = tier === 'EAGLE' || tier === 'LONG_SHOTS'
     const valid = candidates
-      .filter((candidate) => allowFrl || candidate.marketKey !== 'frl')
+      .filter((candidate) => longOdds || (candidate.marketKey !== 'frl' && candidate.marketKey !== EACH_WAY_MARKET))
       .filter((candidate) => candidate.tierStatus === 'NO_MODEL'
         ? Number.isFinite(candidate.marketProb)
         : (Number.isFinite(candidate.fairProb) && Number.isFinite(candidate.marketProb)))
@@ -1793,11 +2668,20 @@ export class WeeklyPipeline {
     const sortScore = (candidate) => (Number.isFinite(candidate.ev)
       ? candidate.ev
       : (Number.isFinite(candidate.marketProb) ? candidate.marketProb : -Infinity))
-    const sortedPositive = this.applyExposureCaps(
-      positive.sort((a, b) => sortScore(b) - sortScore(a) || (b.edge || 0) - (a.edge || 0) || b.bestOffer.oddsDecimal - a.bestOffer.oddsDecimal)
-    )
+    const byScore = (a, b) => sortScore(b) - sortScore(a) || (b.edge || 0) - (a.edge || 0) || b.bestOffer.oddsDecimal - a.bestOffer.oddsDecimal
+    const portfolio = optimiseTierPortfolio(positive.sort(byScore), {
+      minPicks: this.minPicksPerTier,
+      maxPicks: this.maxPicksPerTier,
+      maxSdUnits: this.portfolioMaxSdUnits,
+      kellyFraction: this.kellyFraction,
+      maxUnitsPerPick: this.maxStakeUnitsPerPick,
+      maxPerPlayer: this.maxPicksPerPlayer,
+      maxPerMarket: this.maxPicksPerMarket,
+      correlation,
+      prior
+    })
 
-    const recommended = sortedPositive.slice(0, this.maxPicksPerTier).map((candidate) => ({
+    const recommended = portfolio.picks.sort(byScore).map((candidate) => ({
       ...candidate,
       isFallback: candidate.isFallback === true,
       fallbackReason: candidate.isFallback ? (candidate.fallbackReason || 'Fair prob fallback to market (DG missing)') : null
@@ -1808,7 +2692,8 @@ export class WeeklyPipeline {
         recommended,
         fallback: [],
         availablePositive: positive.length,
-        fallbackReason: null
+        fallbackReason: null,
+        portfolio
       }
     }
 
@@ -1831,7 +2716,8 @@ export class WeeklyPipeline {
       fallback,
       availablePositive: positive.length,
       availableEligible: valid.length,
-      fallbackReason: 'Insufficient +EV bets to meet minimum tier count'
+      fallbackReason: 'Insufficient +EV bets to meet minimum tier count',
+      portfolio
     }
   }
 
@@ -1855,6 +2741,28 @@ export class WeeklyPipeline {
     return selected
   }
 
+  // Stakes are capped with the limits of applyExposureCaps: a player or market
+  // can carry at most maxPicksPerPlayer / maxPicksPerMarket full-size picks.
+  // The event cap bounds the whole portfolio, which the pick counts do not.
+  applyStakeSizing(picks) {
+    // Fallback picks are not +EV, so they carry no stake.
+    return sizeStakes(picks, {
+      fraction: this.kellyFraction,
+      maxUnitsPerPick: this.maxStakeUnitsPerPick,
+      maxUnitsPerPlayer: this.maxPicksPerPlayer * this.maxStakeUnitsPerPick,
+      maxUnitsPerMarket: this.maxPicksPerMarket * this.maxStakeUnitsPerPick,
+      maxUnitsPerEvent: this.maxStakeUnitsPerEvent,
+      playerKey: (pick) => pick.selectionKey || pick.selection,
+      marketKey: (pick) => pick.marketKey,
+      probability: (pick) => (pick.isFallback ? null : pick.fairProb),
+      oddsDecimal: (pick) => pick.payoutOdds ?? this.getNetOdds(pick.bestOffer),
+      // Each-way picks are sized on their win and place-only returns.
+      outcomes: (pick) => (pick.eachWay && !pick.isFallback
+        ? eachWayOutcomes({ ...pick.eachWay, oddsDecimal: pick.bestOffer.oddsDecimal })
+        : null)
+    })
+  }
+
   formatRecommendation(candidate) {
     const analysisParagraph = this.generateAnalysisParagraph(candidate)
     const analysisBullets = this.generateAnalysisBullets(candidate)
@@ -1890,7 +2798,13 @@ export class WeeklyPipeline {
       fallbackType: candidate.fallbackType || (isFallback ? 'tier_min_fill' : null),
       tierStatus,
       mode: candidate.mode || 'PRE_TOURNAMENT',
-      booksUsed: candidate.booksUsed || null
+      booksUsed: candidate.booksUsed || null,
+      calibrationTableId: candidate.calibration?.id || null,
+      calibrationVersion: candidate.calibration?.version ?? null,
+      stakeUnits: Number.isFinite(candidate.stakeUnits) ? candidate.stakeUnits : null,
+      kellyFraction: Number.isFinite(candidate.kellyFraction) ? candidate.kellyFraction : null,
+      ewPlaces: candidate.eachWay?.places ?? null,
+      ewFraction: candidate.eachWay?.fraction ?? null
     }
   }
 
@@ -1936,7 +2850,8 @@ export class WeeklyPipeline {
         score: stabilityScore,
         simCount: simulationStability.simCount,
         seed: simulationStability.seed,
-        simPlayers: simulationStability.simPlayers
+        simPlayers: simulationStability.simPlayers,
+        winStandardError: simulationStability.winStandardError ?? null
       },
       marketDepth: {
         score: depthScore,
@@ -2028,7 +2943,11 @@ export class WeeklyPipeline {
     parts.push(`${playerName} presents a ${edge}% edge opportunity at ${odds} decimal odds (${bookmaker}).`)
     
     // Probability comparison
-    parts.push(`Our model assigns a ${fairProb}% win probability versus ${marketProb}% market implied across ${bookCount} books.`)
+    if (candidate.eachWay) {
+      parts.push(`Backed each-way, our model gives a ${fairProb}% chance of a return (top ${candidate.eachWay.places}) against the ${marketProb}% needed to break even at these terms.`)
+    } else {
+      parts.push(`Our model assigns a ${fairProb}% win probability versus ${marketProb}% market implied across ${bookCount} books.`)
+    }
     
     // Tournament context
     if (candidate.tourEvent?.tour) {
@@ -2057,6 +2976,14 @@ export class WeeklyPipeline {
     
     // Odds info
     bullets.push(`Best odds: ${candidate.bestOffer.oddsDecimal.toFixed(2)} (${candidate.bestOffer.bookmaker})`)
+    if (isExchangeBook(candidate.bestOffer.bookmaker, this.exchangeBooksSet)) {
+      bullets.push(`Exchange price: ${this.getNetOdds(candidate.bestOffer).toFixed(2)} after ${(this.exchangeCommission * 100).toFixed(1)}% commission`)
+    }
+    if (candidate.eachWay) {
+      const { places, fraction, winProb, placeProb } = candidate.eachWay
+      bullets.push(`Each-way terms: ${describeEachWayTerms({ places, fraction })} odds`)
+      bullets.push(`Win ${(winProb * 100).toFixed(1)}%, top-${places} ${(placeProb * 100).toFixed(1)}% (dead heats included)`)
+    }
     bullets.push(`Books analyzed: ${bookCount}`)
     
     // Market info
@@ -2064,6 +2991,20 @@ export class WeeklyPipeline {
       bullets.push(`Market: ${candidate.marketKey}`)
     }
     
+    // Course fit (mean adjustment is in strokes per round; negative = better fit)
+    const courseFitStrokes = candidate.courseFit?.meanAdjustment
+    if (Number.isFinite(courseFitStrokes) && Math.abs(courseFitStrokes) >= 0.05) {
+      const strongest = Object.entries(candidate.courseFit.components || {})
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))[0]
+      const driver = strongest ? ` (driven by ${strongest[0].toUpperCase()})` : ''
+      bullets.push(`Course fit: ${courseFitStrokes < 0 ? '+' : '-'}${Math.abs(courseFitStrokes).toFixed(2)} strokes/round${driver}`)
+    }
+
+    if (candidate.form && candidate.form.rounds >= 8) {
+      const sg = candidate.form.sgTotal
+      bullets.push(`Recent form: ${sg >= 0 ? '+' : ''}${sg.toFixed(2)} SG/round (${candidate.form.rounds} rounds, decayed)`)
+    }
+
     // Tier info
     bullets.push(`Tier: ${candidate.tier}`)
     
@@ -2103,6 +3044,10 @@ export class WeeklyPipeline {
   parseMatchupOffers(rows = []) {
     const offers = []
     for (const row of rows) {
+      if (row?.p1_player_name && row?.odds && typeof row.odds === 'object') {
+        offers.push(...this.parseMatchupSides(row))
+        continue
+      }
       const players = row.players || row.matchup || row.selection
       const selection = Array.isArray(players) ? players.join(' vs ') : players
       if (!selection) continue
@@ -2129,6 +3074,27 @@ export class WeeklyPipeline {
     return offers.filter((offer) => Number.isFinite(offer.oddsDecimal) && offer.oddsDecimal > 1)
   }
 
+  // DataGolf match_list rows carry p1/p2(/p3) participants with per-book odds
+  // for each side; emit one offer per side with the backed player listed first.
+  parseMatchupSides(row) {
+    const sides = ['p1', 'p2', 'p3'].filter((side) => row[`${side}_player_name`])
+    const offers = []
+    for (const side of sides) {
+      const others = sides.filter((other) => other !== side).map((other) => row[`${other}_player_name`])
+      const selection = [row[`${side}_player_name`], ...others].join(' vs ')
+      const selectionId = row[`${side}_dg_id`] ?? null
+      for (const [book, bookOdds] of Object.entries(row.odds)) {
+        const odds = bookOdds?.[side]
+        if (odds == null) continue
+        offers.push({
+          ...this.buildOffer(selection, book, odds),
+          selectionId: selectionId != null ? String(selectionId) : null
+        })
+      }
+    }
+    return offers
+  }
+
   countBooksFromOffers(offers = []) {
     const books = new Set()
     for (const offer of offers) {
@@ -2273,13 +3239,23 @@ export class WeeklyPipeline {
   }
 
   buildOffer(selection, bookmaker, odds) {
-    const oddsDecimal = this.normalizeOddsValue(odds)
+    // Exchange quotes carry a lay price and sizes beside the back price.
+    const exchangePrice = isExchangeBook(bookmaker, this.exchangeBooksSet) ? parseExchangePrice(odds) : null
+    const oddsDecimal = this.normalizeOddsValue(exchangePrice ? exchangePrice.back : odds)
+    const layOdds = exchangePrice ? this.normalizeOddsValue(exchangePrice.lay) : NaN
     return {
       selectionName: String(selection),
       selectionKey: this.playerNormalizer.cleanPlayerName(String(selection)),
       bookmaker: String(bookmaker || 'unknown'),
       oddsDecimal,
       oddsDisplay: Number.isFinite(oddsDecimal) ? oddsDecimal.toFixed(2) : String(odds),
+      ...(exchangePrice
+        ? {
+          layOdds: layOdds > 1 ? layOdds : null,
+          backLiquidity: exchangePrice.backLiquidity,
+          layLiquidity: exchangePrice.layLiquidity
+        }
+        : {}),
       fetchedAt: new Date()
     }
   }
@@ -2361,6 +3337,8 @@ export class WeeklyPipeline {
     }
   }
 
+  // Top-N fair probabilities from the simulator are already dead-heat
+  // adjusted (payout-equivalent), so EV at full odds needs no further haircut.
   computeEv(fairProb, oddsDecimal) {
     if (!Number.isFinite(fairProb) || !Number.isFinite(oddsDecimal)) return NaN
     return fairProb * oddsDecimal - 1
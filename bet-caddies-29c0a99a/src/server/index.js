@@ -15,11 +15,27 @@ import { getSignedUrl } from '@aws-sdk/s3-request-presigner'
 import multer from 'multer'
 import { prisma } from '../db/client.js'
 import { logger } from '../observability/logger.js'
-import { liveTrackingService, determineBetOutcome } from '../live-tracking/live-tracking-service.js'
+import {
+  liveTrackingService,
+  determineBetOutcome,
+  determineDeadHeatFraction,
+  buildFieldTieContext,
+  withFieldTies
+} from '../live-tracking/live-tracking-service.js'
+import { settledReturn } from '../domain/dead-heat.js'
+import { EACH_WAY_MARKET, describeEachWayTerms, settleEachWay } from '../domain/each-way.js'
+import { gradeCashoutAdvice } from '../domain/cashout.js'
 import { createPlayerStatsService } from '../services/player-stats.js'
+import { createScenarioService } from '../services/scenario-service.js'
+import { createVigComparisonService } from '../services/vig-comparison-service.js'
+import { createOddsHistoryService } from '../services/odds-history-service.js'
+import { createClvService, toClvPick } from '../services/clv-service.js'
+import { buildClvReport } from '../domain/clv.js'
+import { buildCutRuleEventKey, describeCutRule, normalizeCutRule, resolveCutRule } from '../engine/v2/cut-rules.js'
 
 // Initialize player stats service for real form/course fit data
 const playerStatsService = createPlayerStatsService(prisma)
+const oddsHistoryService = createOddsHistoryService(prisma)
 
 console.log('==== Starting BetCaddies server ====');
 
@@ -49,6 +65,11 @@ try {
   if (logger && logger.error) logger.error('Failed to load WeeklyPipeline', { error });
 }
 
+// What-if scenarios price and select with the pipeline, so they need it loaded.
+const scenarioService = createScenarioService(prisma, () => new WeeklyPipeline())
+const vigComparisonService = createVigComparisonService(prisma, () => new WeeklyPipeline())
+const clvService = createClvService(prisma, () => new WeeklyPipeline())
+
 const app = express()
 const PORT = process.env.PORT || 3000
 
@@ -554,6 +575,16 @@ if (cronEnabled) {
       logger.error('Scheduled pipeline run failed (Tuesday)', { error: error.message })
     }
   }, { timezone: 'Europe/London' })
+
+  // Every 15 minutes - closing prices for picks whose event tees off soon
+  cron.schedule('*/15 * * * *', async () => {
+    if (!WeeklyPipeline) return
+    try {
+      await clvService.captureClosingLines()
+    } catch (error) {
+      logger.error('Scheduled closing line capture failed', { error: error.message })
+    }
+  }, { timezone: 'Europe/London' })
 }
 
 // Railway cron endpoint - can be called by Railway Cron or external scheduler
@@ -657,6 +688,12 @@ const seedCmsPages = async () => {
   }
 }
 
+// Each-way picks name their terms, e.g. "Rory McIlroy each-way (5 places at 1/4)".
+const defaultBetTitle = (bet) => {
+  const terms = bet.marketKey === EACH_WAY_MARKET ? describeEachWayTerms({ places: bet.ewPlaces, fraction: bet.ewFraction }) : null
+  return terms ? `${bet.selection} each-way (${terms})` : `${bet.selection} ${bet.marketKey || 'market'}`
+}
+
 /**
  * Format a bet recommendation with real player stats from DataGolf
  * This replaces hardcoded form/course fit with actual data
@@ -708,11 +745,15 @@ async function formatBetWithRealStats(bet, playerStats) {
     bestOdds: bet.bestOdds,
     edge: bet.edge ?? null,
     ev: bet.ev ?? null,
+    stake_units: bet.stakeUnits ?? null,
+    kelly_fraction: bet.kellyFraction ?? null,
+    ew_places: bet.ewPlaces ?? null,
+    ew_fraction: bet.ewFraction ?? null,
     fair_prob: bet.fairProb ?? null,
     market_prob: bet.marketProb ?? null,
     prob_source: bet.probSource ?? null,
     market_prob_source: bet.marketProbSource ?? null,
-    bet_title: bet.override?.betTitle || `${bet.selection} ${bet.marketKey || 'market'}`,
+    bet_title: bet.override?.betTitle || defaultBetTitle(bet),
     tour: bet.tourEvent?.tour || null,
     tournament_name: bet.tourEvent?.eventName || null,
     analysis_paragraph: bet.override?.aiAnalysisParagraph ?? bet.analysisParagraph,
@@ -971,6 +1012,144 @@ app.get('/api/bets/tier/:tier', async (req, res) => {
   }
 })
 
+// Final (round 4) and cut (round 2) leaderboards per event, latest snapshot first
+const loadSettlementLeaderboards = async (tourEventIds) => {
+  // Fetch final leaderboard snapshots for all relevant tournaments
+  const leaderboards = await prisma.leaderboardSnapshot.findMany({
+    where: {
+      tourEventId: { in: tourEventIds },
+      round: 4 // Final round
+    },
+    orderBy: { fetchedAt: 'desc' }
+  })
+  
+  // Also try to get round 2 data (for cut status) if no round 4
+  const cutLeaderboards = await prisma.leaderboardSnapshot.findMany({
+    where: {
+      tourEventId: { in: tourEventIds },
+      round: 2
+    },
+    orderBy: { fetchedAt: 'desc' }
+  })
+  
+  // Create lookup maps
+  const finalLeaderboardMap = new Map()
+  for (const lb of leaderboards) {
+    if (!finalLeaderboardMap.has(lb.tourEventId)) {
+      finalLeaderboardMap.set(lb.tourEventId, lb.leaderboardJson)
+    }
+  }
+  
+  const cutLeaderboardMap = new Map()
+  for (const lb of cutLeaderboards) {
+    if (!cutLeaderboardMap.has(lb.tourEventId)) {
+      cutLeaderboardMap.set(lb.tourEventId, lb.leaderboardJson)
+    }
+  }
+
+  return { finalLeaderboardMap, cutLeaderboardMap }
+}
+
+// Helper to find player in leaderboard JSON
+const findPlayerInLeaderboard = (leaderboardJson, dgPlayerId, playerName) => {
+  if (!leaderboardJson || !Array.isArray(leaderboardJson)) return null
+  
+  // Try to find by dg_id first
+  if (dgPlayerId) {
+    const byId = leaderboardJson.find(p => 
+      String(p.dg_id) === String(dgPlayerId) || 
+      String(p.player_id) === String(dgPlayerId)
+    )
+    if (byId) return byId
+  }
+  
+  // Fallback to name matching
+  if (playerName) {
+    const nameLower = playerName.toLowerCase()
+    const byName = leaderboardJson.find(p => 
+      (p.player_name || p.name || '').toLowerCase() === nameLower
+    )
+    if (byName) return byName
+  }
+  
+  return null
+}
+
+// Helper to parse position/status from leaderboard entry
+const parsePlayerScoring = (entry) => {
+  if (!entry) return null
+  
+  const rawPosition = entry.position ?? entry.pos ?? entry.current_pos ?? null
+  let position = rawPosition
+  let status = null
+  
+  if (typeof rawPosition === 'string') {
+    const normalized = rawPosition.toUpperCase().trim()
+    if (normalized === 'MC' || normalized === 'CUT' || normalized === 'MISSED CUT') {
+      status = 'MC'
+      position = null
+    } else if (normalized === 'WD' || normalized === 'W/D' || normalized === 'WITHDRAWN') {
+      status = 'WD'
+      position = null
+    } else if (normalized === 'DQ' || normalized === 'DISQUALIFIED') {
+      status = 'DQ'
+      position = null
+    } else if (/^T?\d+$/.test(normalized)) {
+      position = parseInt(normalized.replace('T', ''), 10)
+    } else {
+      const parsed = parseInt(rawPosition, 10)
+      if (!isNaN(parsed)) position = parsed
+    }
+  }
+  
+  return {
+    position,
+    status,
+    r1: entry.R1 ?? entry.r1 ?? entry.round_1 ?? null,
+    r2: entry.R2 ?? entry.r2 ?? entry.round_2 ?? null,
+    r3: entry.R3 ?? entry.r3 ?? entry.round_3 ?? null,
+    r4: entry.R4 ?? entry.r4 ?? entry.round_4 ?? null
+  }
+}
+
+// Settles picks against the stored leaderboards for their events. Returns are
+// per one unit staked, so picks from different engines compare directly.
+const createPickSettler = async (tourEventIds) => {
+  const { finalLeaderboardMap, cutLeaderboardMap } = await loadSettlementLeaderboards(tourEventIds)
+
+  // Tie counts per leaderboard, for dead-heat settlement
+  const tieContextCache = new Map()
+  const getTieContext = (leaderboardJson) => {
+    if (!Array.isArray(leaderboardJson)) return null
+    if (!tieContextCache.has(leaderboardJson)) {
+      tieContextCache.set(leaderboardJson, buildFieldTieContext(leaderboardJson.map(parsePlayerScoring)))
+    }
+    return tieContextCache.get(leaderboardJson)
+  }
+
+  return ({ tourEventId, dgPlayerId, selection, marketKey, oddsDecimal, ewPlaces = null, ewFraction = null }) => {
+    const finalLb = finalLeaderboardMap.get(tourEventId)
+    const cutLb = cutLeaderboardMap.get(tourEventId)
+
+    // Try final leaderboard first, then cut leaderboard
+    let playerEntry = findPlayerInLeaderboard(finalLb, dgPlayerId, selection)
+    let playerLb = finalLb
+    if (!playerEntry) {
+      playerEntry = findPlayerInLeaderboard(cutLb, dgPlayerId, selection)
+      playerLb = cutLb
+    }
+
+    const scoring = withFieldTies(parsePlayerScoring(playerEntry), getTieContext(playerLb))
+    const outcome = determineBetOutcome(marketKey, scoring, 'completed', { ewPlaces })
+    const deadHeatFraction = determineDeadHeatFraction(marketKey, scoring, outcome, { ewPlaces })
+    // Each-way returns add the win part to the place part, each on half the stake.
+    const unitReturn = marketKey === EACH_WAY_MARKET && (outcome === 'won' || outcome === 'placed')
+      ? settleEachWay({ position: scoring.position, tiedCount: scoring.tiedCount ?? 1, places: ewPlaces, fraction: ewFraction, oddsDecimal }).totalReturn
+      : settledReturn({ outcome, stake: 1, oddsDecimal, deadHeatFraction: deadHeatFraction ?? 1 })
+    return { scoring, outcome, deadHeatFraction, unitReturn }
+  }
+}
+
 // Get historical bet picks (for Results/Our Picks page)
 // Shows all picks from completed tournaments with win/loss outcomes
 app.get('/api/results', async (req, res) => {
@@ -1007,105 +1186,13 @@ app.get('/api/results', async (req, res) => {
           }
         },
         tourEvent: true,
-        override: true
+        override: true,
+        closingLine: true
       }
     })
 
     // Get unique tourEventIds for leaderboard lookup
-    const tourEventIds = [...new Set(bets.map(b => b.tourEventId))]
-    
-    // Fetch final leaderboard snapshots for all relevant tournaments
-    const leaderboards = await prisma.leaderboardSnapshot.findMany({
-      where: {
-        tourEventId: { in: tourEventIds },
-        round: 4 // Final round
-      },
-      orderBy: { fetchedAt: 'desc' }
-    })
-    
-    // Also try to get round 2 data (for cut status) if no round 4
-    const cutLeaderboards = await prisma.leaderboardSnapshot.findMany({
-      where: {
-        tourEventId: { in: tourEventIds },
-        round: 2
-      },
-      orderBy: { fetchedAt: 'desc' }
-    })
-    
-    // Create lookup maps
-    const finalLeaderboardMap = new Map()
-    for (const lb of leaderboards) {
-      if (!finalLeaderboardMap.has(lb.tourEventId)) {
-        finalLeaderboardMap.set(lb.tourEventId, lb.leaderboardJson)
-      }
-    }
-    
-    const cutLeaderboardMap = new Map()
-    for (const lb of cutLeaderboards) {
-      if (!cutLeaderboardMap.has(lb.tourEventId)) {
-        cutLeaderboardMap.set(lb.tourEventId, lb.leaderboardJson)
-      }
-    }
-    
-    // Helper to find player in leaderboard JSON
-    const findPlayerInLeaderboard = (leaderboardJson, dgPlayerId, playerName) => {
-      if (!leaderboardJson || !Array.isArray(leaderboardJson)) return null
-      
-      // Try to find by dg_id first
-      if (dgPlayerId) {
-        const byId = leaderboardJson.find(p => 
-          String(p.dg_id) === String(dgPlayerId) || 
-          String(p.player_id) === String(dgPlayerId)
-        )
-        if (byId) return byId
-      }
-      
-      // Fallback to name matching
-      if (playerName) {
-        const nameLower = playerName.toLowerCase()
-        const byName = leaderboardJson.find(p => 
-          (p.player_name || p.name || '').toLowerCase() === nameLower
-        )
-        if (byName) return byName
-      }
-      
-      return null
-    }
-    
-    // Helper to parse position/status from leaderboard entry
-    const parsePlayerScoring = (entry) => {
-      if (!entry) return null
-      
-      const rawPosition = entry.position ?? entry.pos ?? entry.current_pos ?? null
-      let position = rawPosition
-      let status = null
-      
-      if (typeof rawPosition === 'string') {
-        const normalized = rawPosition.toUpperCase().trim()
-        if (normalized === 'MC' || normalized === 'CUT' || normalized === 'MISSED CUT') {
-          status = 'MC'
-          position = null
-        } else if (normalized === 'WD' || normalized === 'W/D' || normalized === 'WITHDRAWN') {
-          status = 'WD'
-          position = null
-        } else if (normalized === 'DQ' || normalized === 'DISQUALIFIED') {
-          status = 'DQ'
-          position = null
-        } else if (/^T?\d+$/.test(normalized)) {
-          position = parseInt(normalized.replace('T', ''), 10)
-        } else {
-          const parsed = parseInt(rawPosition, 10)
-          if (!isNaN(parsed)) position = parsed
-        }
-      }
-      
-      return {
-        position,
-        status,
-        r3: entry.R3 ?? entry.r3 ?? entry.round_3 ?? null,
-        r4: entry.R4 ?? entry.r4 ?? entry.round_4 ?? null
-      }
-    }
+    const settlePick = await createPickSettler([...new Set(bets.map(b => b.tourEventId))])
 
     // Filter by week/run if specified
     let filtered = bets
@@ -1119,30 +1206,28 @@ app.get('/api/results', async (req, res) => {
     // Transform to frontend format with outcome calculation
     const formattedBets = filtered.map(bet => {
       const displayTier = bet.override?.tierOverride || bet.tier
-      
-      // Look up player in leaderboard
-      const finalLb = finalLeaderboardMap.get(bet.tourEventId)
-      const cutLb = cutLeaderboardMap.get(bet.tourEventId)
-      
-      // Try final leaderboard first, then cut leaderboard
-      let playerEntry = findPlayerInLeaderboard(finalLb, bet.dgPlayerId, bet.selection)
-      if (!playerEntry) {
-        playerEntry = findPlayerInLeaderboard(cutLb, bet.dgPlayerId, bet.selection)
-      }
-      
-      const scoring = parsePlayerScoring(playerEntry)
-      const outcome = determineBetOutcome(bet.marketKey, scoring, 'completed')
+      const { scoring, outcome, deadHeatFraction, unitReturn } = settlePick({
+        tourEventId: bet.tourEventId,
+        dgPlayerId: bet.dgPlayerId,
+        selection: bet.selection,
+        marketKey: bet.marketKey,
+        oddsDecimal: bet.bestOdds,
+        ewPlaces: bet.ewPlaces,
+        ewFraction: bet.ewFraction
+      })
       
       return {
         id: bet.id,
         selection_name: bet.override?.selectionName || bet.selection,
-        bet_title: bet.override?.betTitle || `${bet.selection} ${bet.marketKey || 'market'}`,
+        bet_title: bet.override?.betTitle || defaultBetTitle(bet),
         category: displayTier?.toLowerCase().replace(/_/g, ''),
         tier: displayTier,
         tour: bet.tourEvent?.tour || null,
         tournament_name: bet.tourEvent?.eventName || null,
         tournament_end_date: bet.tourEvent?.endDate || null,
         market_key: bet.marketKey,
+        ew_places: bet.ewPlaces ?? null,
+        ew_fraction: bet.ewFraction ?? null,
         odds_display_best: bet.bestOdds?.toString() || '',
         odds_decimal_best: bet.bestOdds,
         confidence_rating: bet.override?.confidenceRating ?? bet.confidence1To5,
@@ -1156,22 +1241,38 @@ app.get('/api/results', async (req, res) => {
         // Outcome fields
         outcome: outcome,
         final_position: scoring?.position ?? null,
-        player_status: scoring?.status ?? null
+        player_status: scoring?.status ?? null,
+        dead_heat_fraction: deadHeatFraction,
+        unit_return: unitReturn,
+        unit_profit: unitReturn == null ? null : unitReturn - 1,
+        // Closing line value, once the pre-tee-off closing price is final
+        closing_odds: bet.closingLine?.final ? bet.closingLine.closingOdds : null,
+        clv_odds: bet.closingLine?.final ? bet.closingLine.clvOdds : null,
+        clv_ev: bet.closingLine?.final ? bet.closingLine.clvEv : null
       }
     })
 
-    // Calculate summary statistics
+    // Calculate summary statistics. Each-way bets that only placed are settled
+    // but not wins: their return can be below the stake.
     const wins = formattedBets.filter(b => b.outcome === 'won')
+    const placed = formattedBets.filter(b => b.outcome === 'placed')
     const losses = formattedBets.filter(b => b.outcome === 'lost')
     const pending = formattedBets.filter(b => !b.outcome || b.outcome === 'pending')
+    const decided = wins.length + placed.length + losses.length
     
     const stats = {
       total: formattedBets.length,
       totalPicks: formattedBets.length,
       wins: wins.length,
+      placed: placed.length,
       losses: losses.length,
       pending: pending.length,
-      winRate: formattedBets.length > 0 ? (wins.length / (wins.length + losses.length) * 100).toFixed(1) : 0
+      winRate: decided > 0 ? (wins.length / decided * 100).toFixed(1) : 0,
+      deadHeats: [...wins, ...placed].filter(b => b.dead_heat_fraction != null && b.dead_heat_fraction < 1).length,
+      unitsProfit: Number(formattedBets
+        .filter(b => b.unit_profit != null)
+        .reduce((sum, b) => sum + b.unit_profit, 0)
+        .toFixed(2))
     }
 
     // Category breakdown with outcomes
@@ -1183,6 +1284,7 @@ app.get('/api/results', async (req, res) => {
         category: cat,
         total: catBets.length,
         wins: catWins.length,
+        placed: catBets.filter(b => b.outcome === 'placed').length,
         losses: catBets.filter(b => b.outcome === 'lost').length
       }
     })
@@ -1195,15 +1297,21 @@ app.get('/api/results', async (req, res) => {
         tour,
         total: tourBets.length,
         wins: tourBets.filter(b => b.outcome === 'won').length,
+        placed: tourBets.filter(b => b.outcome === 'placed').length,
         losses: tourBets.filter(b => b.outcome === 'lost').length
       }
     }).filter(t => t.total > 0)
 
+    const clvStats = buildClvReport(filtered
+      .filter((bet) => bet.closingLine?.final)
+      .map((bet) => toClvPick({ ...bet.closingLine, betRecommendation: bet })))
+
     res.json({
       data: formattedBets,
       stats,
       categoryStats,
       tourStats,
+      clvStats,
       availableWeeks: uniqueRuns,
       count: formattedBets.length
     })
@@ -1307,6 +1415,8 @@ app.get('/api/auth/me', (req, res) => {
           role: user.role || 'user',
           favorite_tours: user.favoriteTours,
           risk_appetite: user.riskAppetite,
+          bankroll: user.bankroll,
+          kelly_fraction: user.kellyFraction,
           notifications_enabled: user.notificationsEnabled,
           email_notifications: user.emailNotifications,
           onboarding_completed: user.onboardingCompleted,
@@ -1418,6 +1528,42 @@ app.get('/api/live-tracking/event/:dgEventId', async (req, res) => {
   }
 })
 
+// Line movement: price series for a selection across pipeline runs and live polls
+app.get('/api/odds-history', async (req, res) => {
+  try {
+    const tourEventId = String(req.query?.tour_event_id || '')
+    const marketKey = String(req.query?.market_key || '')
+    const selection = req.query?.selection ? String(req.query.selection) : null
+    const dgPlayerId = req.query?.dg_player_id ? String(req.query.dg_player_id) : null
+    if (!tourEventId || !marketKey || (!selection && !dgPlayerId)) {
+      return res.status(400).json({ error: 'tour_event_id, market_key and selection or dg_player_id are required' })
+    }
+    const since = req.query?.since ? new Date(String(req.query.since)) : null
+    if (since && !Number.isFinite(since.getTime())) {
+      return res.status(400).json({ error: 'Invalid since timestamp' })
+    }
+
+    const series = await oddsHistoryService.getSelectionSeries({ tourEventId, marketKey, selection, dgPlayerId, since })
+    if (!series) return res.status(404).json({ error: 'Event not found' })
+    res.json({ data: series })
+  } catch (error) {
+    logger.error('Error fetching odds history', { error: error.message })
+    res.status(500).json({ error: 'Failed to load odds history' })
+  }
+})
+
+// Line movement for a published recommendation
+app.get('/api/bets/:id/odds-history', async (req, res) => {
+  try {
+    const series = await oddsHistoryService.getBetSeries(req.params.id)
+    if (!series) return res.status(404).json({ error: 'Bet not found' })
+    res.json({ data: series })
+  } catch (error) {
+    logger.error('Error fetching bet odds history', { error: error.message })
+    res.status(500).json({ error: 'Failed to load odds history' })
+  }
+})
+
 // Admin: clear live tracking cache
 app.post('/api/admin/live-tracking/refresh', authRequired, adminOnly, async (req, res) => {
   try {
@@ -1619,6 +1765,8 @@ app.put(
     full_name: z.string().optional().nullable(),
     favorite_tours: z.array(z.string()).optional().nullable(),
     risk_appetite: z.string().optional().nullable(),
+    bankroll: z.number().positive().optional().nullable(),
+    kelly_fraction: z.number().min(0.05).max(1).optional().nullable(),
     notifications_enabled: z.boolean().optional(),
     email_notifications: z.boolean().optional(),
     onboarding_completed: z.boolean().optional()
@@ -1636,6 +1784,8 @@ app.put(
         full_name,
         favorite_tours,
         risk_appetite,
+        bankroll,
+        kelly_fraction,
         notifications_enabled,
         email_notifications,
         onboarding_completed
@@ -1647,6 +1797,8 @@ app.put(
           fullName: full_name === null ? null : (full_name ?? undefined),
           favoriteTours: favorite_tours === null ? null : (favorite_tours ?? undefined),
           riskAppetite: risk_appetite === null ? null : (risk_appetite ?? undefined),
+          bankroll: bankroll === null ? null : (bankroll ?? undefined),
+          kellyFraction: kelly_fraction === null ? null : (kelly_fraction ?? undefined),
           notificationsEnabled: typeof notifications_enabled === 'boolean' ? notifications_enabled : undefined,
           emailNotifications: typeof email_notifications === 'boolean' ? email_notifications : undefined,
           onboardingCompleted: typeof onboarding_completed === 'boolean' ? onboarding_completed : undefined
@@ -1662,6 +1814,8 @@ app.put(
           fullName: before.fullName,
           favoriteTours: before.favoriteTours,
           riskAppetite: before.riskAppetite,
+          bankroll: before.bankroll,
+          kellyFraction: before.kellyFraction,
           notificationsEnabled: before.notificationsEnabled,
           emailNotifications: before.emailNotifications,
           onboardingCompleted: before.onboardingCompleted
@@ -1670,6 +1824,8 @@ app.put(
           fullName: updated.fullName,
           favoriteTours: updated.favoriteTours,
           riskAppetite: updated.riskAppetite,
+          bankroll: updated.bankroll,
+          kellyFraction: updated.kellyFraction,
           notificationsEnabled: updated.notificationsEnabled,
           emailNotifications: updated.emailNotifications,
           onboardingCompleted: updated.onboardingCompleted
@@ -1684,6 +1840,8 @@ app.put(
           role: updated.role || 'user',
           favorite_tours: updated.favoriteTours,
           risk_appetite: updated.riskAppetite,
+          bankroll: updated.bankroll,
+          kelly_fraction: updated.kellyFraction,
           notifications_enabled: updated.notificationsEnabled,
           email_notifications: updated.emailNotifications,
           onboarding_completed: updated.onboardingCompleted,
@@ -1843,6 +2001,362 @@ app.get('/api/entities/research-runs', authRequired, adminOnly, async (req, res)
   }
 })
 
+// Admin: live picks vs the shadow optimal engine, settled once events finish
+app.get('/api/entities/engine-shadow-runs', authRequired, adminOnly, async (req, res) => {
+  try {
+    const shadowRuns = await prisma.engineShadowRun.findMany({
+      orderBy: { createdAt: 'desc' },
+      take: 20,
+      include: {
+        run: { select: { runKey: true, status: true } },
+        tourEvent: { select: { eventName: true, endDate: true } }
+      }
+    })
+
+    const now = new Date()
+    const finishedEventIds = shadowRuns
+      .filter((entry) => entry.tourEvent?.endDate && new Date(entry.tourEvent.endDate) < now)
+      .map((entry) => entry.tourEventId)
+    const settlePick = await createPickSettler([...new Set(finishedEventIds)])
+
+    const formatPicks = (picks, tourEventId, finished) => (Array.isArray(picks) ? picks : []).map((pick) => {
+      const settled = finished
+        ? settlePick({
+          tourEventId,
+          dgPlayerId: pick.dgPlayerId,
+          selection: pick.selection,
+          marketKey: pick.market,
+          oddsDecimal: pick.odds,
+          ewPlaces: pick.ewPlaces ?? null,
+          ewFraction: pick.ewFraction ?? null
+        })
+        : null
+      return {
+        key: pick.key,
+        selection: pick.selection,
+        market_key: pick.market,
+        tier: pick.tier,
+        odds: pick.odds,
+        bookmaker: pick.bookmaker,
+        edge: pick.edge,
+        ev: pick.ev,
+        is_fallback: pick.isFallback === true,
+        outcome: settled?.outcome || 'pending',
+        unit_return: settled?.unitReturn ?? null
+      }
+    })
+
+    const summarizePicks = (picks) => {
+      const settled = picks.filter((pick) => pick.unit_return != null)
+      return {
+        picks: picks.length,
+        total_ev: picks.reduce((sum, pick) => sum + (pick.ev ?? 0), 0),
+        settled: settled.length,
+        wins: settled.filter((pick) => pick.outcome === 'won').length,
+        units_profit: settled.reduce((sum, pick) => sum + pick.unit_return - 1, 0)
+      }
+    }
+
+    const formatted = shadowRuns.map((entry) => {
+      const finished = finishedEventIds.includes(entry.tourEventId)
+      const legacy = formatPicks(entry.legacyJson, entry.tourEventId, finished)
+      const optimal = formatPicks(entry.optimalJson, entry.tourEventId, finished)
+      const comparison = entry.comparisonJson || {}
+      return {
+        id: entry.id,
+        run_id: entry.run?.runKey || null,
+        run_status: entry.run?.status || null,
+        tour: entry.tour,
+        event_name: entry.tourEvent?.eventName || null,
+        event_finished: finished,
+        created_at: entry.createdAt,
+        overlap: Array.isArray(comparison.overlap) ? comparison.overlap.length : 0,
+        same_tier: comparison.sameTier ?? 0,
+        legacy: { ...summarizePicks(legacy), bets: legacy },
+        optimal: { ...summarizePicks(optimal), bets: optimal }
+      }
+    })
+
+    res.json({ data: formatted })
+  } catch (error) {
+    logger.error('Error fetching engine shadow runs:', error)
+    res.status(500).json({ error: 'Failed to fetch engine shadow runs' })
+  }
+})
+
+// Cash-out advice from live tracking, graded against the settled result once
+// the event ends. Values are per unit staked at the recommended price.
+app.get('/api/entities/cashout-snapshots', authRequired, adminOnly, async (req, res) => {
+  try {
+    const snapshots = await prisma.cashoutSnapshot.findMany({
+      orderBy: { capturedAt: 'desc' },
+      take: 500,
+      include: {
+        betRecommendation: {
+          select: {
+            selection: true,
+            marketKey: true,
+            tourEventId: true,
+            dgPlayerId: true,
+            ewPlaces: true,
+            ewFraction: true,
+            tourEvent: { select: { eventName: true, endDate: true } }
+          }
+        }
+      }
+    })
+
+    const now = new Date()
+    const isFinished = (snapshot) => {
+      const endDate = snapshot.betRecommendation?.tourEvent?.endDate
+      return Boolean(endDate && new Date(endDate) < now)
+    }
+    const settlePick = await createPickSettler([...new Set(snapshots.filter(isFinished).map((snapshot) => snapshot.betRecommendation.tourEventId))])
+
+    const formatted = snapshots.map((snapshot) => {
+      const bet = snapshot.betRecommendation
+      const settled = isFinished(snapshot)
+        ? settlePick({
+          tourEventId: bet.tourEventId,
+          dgPlayerId: bet.dgPlayerId,
+          selection: bet.selection,
+          marketKey: bet.marketKey,
+          oddsDecimal: snapshot.placedOddsDecimal,
+          ewPlaces: bet.ewPlaces,
+          ewFraction: bet.ewFraction
+        })
+        : null
+      const grade = settled?.unitReturn != null
+        ? gradeCashoutAdvice({ recommendation: snapshot.recommendation, exitValue: snapshot.exitValue, settledReturn: settled.unitReturn })
+        : null
+      return {
+        id: snapshot.id,
+        captured_at: snapshot.capturedAt,
+        event_name: bet?.tourEvent?.eventName || null,
+        selection: bet?.selection || null,
+        market_key: bet?.marketKey || null,
+        placed_odds: snapshot.placedOddsDecimal,
+        live_odds: snapshot.liveOddsDecimal,
+        live_book: snapshot.liveOddsBook,
+        p_live: snapshot.pLive,
+        fair_value: snapshot.fairCashout,
+        exit_value: snapshot.exitValue,
+        hold_value: snapshot.holdValue,
+        recommendation: snapshot.recommendation,
+        confidence: snapshot.confidence,
+        data_issues: Array.isArray(snapshot.dataIssues) ? snapshot.dataIssues : [],
+        outcome: settled?.outcome || 'pending',
+        unit_return: settled?.unitReturn ?? null,
+        advice_correct: grade ? grade.correct : null,
+        advice_gain: grade ? grade.gain : null
+      }
+    })
+
+    const summary = ['CASH_OUT', 'HOLD', 'WAIT'].map((recommendation) => {
+      const rows = formatted.filter((row) => row.recommendation === recommendation)
+      const graded = rows.filter((row) => row.advice_correct != null)
+      return {
+        recommendation,
+        snapshots: rows.length,
+        graded: graded.length,
+        correct: graded.filter((row) => row.advice_correct).length,
+        units_gained: graded.reduce((sum, row) => sum + row.advice_gain, 0)
+      }
+    })
+
+    res.json({ data: formatted.slice(0, 100), summary })
+  } catch (error) {
+    logger.error('Error fetching cash-out snapshots:', error)
+    res.status(500).json({ error: 'Failed to fetch cash-out snapshots' })
+  }
+})
+
+// Closing line value of published picks by tier, market and tour (final
+// closing lines only), with the latest picks' closing prices.
+app.get('/api/entities/closing-lines', authRequired, adminOnly, async (req, res) => {
+  try {
+    const since = req.query?.since ? new Date(String(req.query.since)) : null
+    if (since && !Number.isFinite(since.getTime())) {
+      return res.status(400).json({ error: 'Invalid since timestamp' })
+    }
+    const report = await clvService.getClvReport({ since })
+    const formatSummary = (row) => ({
+      key: row.key,
+      picks: row.picks,
+      with_close: row.withClose,
+      avg_clv_odds: row.avgClvOdds,
+      avg_clv_best_odds: row.avgClvBestOdds,
+      avg_clv_ev: row.avgClvEv,
+      beat_close_rate: row.beatCloseRate
+    })
+
+    res.json({
+      summary: {
+        overall: formatSummary(report.overall),
+        by_tier: report.byTier.map(formatSummary),
+        by_market: report.byMarket.map(formatSummary),
+        by_tour: report.byTour.map(formatSummary)
+      },
+      data: report.recent.map((pick) => ({
+        bet_recommendation_id: pick.betRecommendationId,
+        selection: pick.selection,
+        tier: pick.tier,
+        market_key: pick.marketKey,
+        tour: pick.tour,
+        event_name: pick.eventName,
+        tee_off_at: pick.teeOffAt,
+        bookmaker: pick.bookmaker,
+        published_odds: pick.publishedOdds,
+        closing_odds: pick.closingOdds,
+        closing_best_odds: pick.closingBestOdds,
+        closing_best_book: pick.closingBestBook,
+        closing_fair_prob: pick.closingFairProb,
+        clv_odds: pick.clvOdds,
+        clv_best_odds: pick.clvBestOdds,
+        clv_ev: pick.clvEv
+      }))
+    })
+  } catch (error) {
+    logger.error('Error fetching closing lines', { error: error.message })
+    res.status(500).json({ error: 'Failed to fetch closing lines' })
+  }
+})
+
+// Admin: run a closing line capture pass now
+app.post('/api/admin/closing-lines/capture', authRequired, adminOnly, async (req, res) => {
+  if (!WeeklyPipeline) {
+    return res.status(503).json({ error: WeeklyPipelineLoadError || 'Pipeline module not loaded' })
+  }
+  try {
+    const result = await clvService.captureClosingLines()
+    res.json({ data: result })
+  } catch (error) {
+    logger.error('Closing line capture failed', { error: error.message })
+    res.status(500).json({ error: 'Failed to capture closing lines' })
+  }
+})
+
+// Learned sim / DataGolf / market blend weights per tour and market, newest
+// version first, with the log loss of the static weights on the same held-out
+// rows (older versions have no held-out count; theirs were in sample).
+app.get('/api/entities/blend-weights', authRequired, adminOnly, async (req, res) => {
+  try {
+    const configs = await prisma.blendWeightConfig.findMany({
+      orderBy: [{ tour: 'asc' }, { marketKey: 'asc' }, { version: 'desc' }],
+      take: 200
+    })
+
+    res.json({
+      data: configs.map((config) => ({
+        id: config.id,
+        tour: config.tour,
+        market_key: config.marketKey,
+        version: config.version,
+        active: config.active,
+        weights: config.weightsJson,
+        static_weights: config.defaultsJson,
+        ridge: config.ridge,
+        sample_size: config.sampleSize,
+        holdout_size: config.holdoutSize,
+        log_loss: config.logLoss,
+        static_log_loss: config.staticLogLoss,
+        created_date: config.createdAt
+      }))
+    })
+  } catch (error) {
+    logger.error('Error fetching blend weights:', error)
+    res.status(500).json({ error: 'Failed to fetch blend weights' })
+  }
+})
+
+// What-if scenarios on a completed run: the events that can be replayed, and
+// an in-memory re-run with edits diffed against the published picks.
+app.get('/api/admin/scenarios/:runId/events', authRequired, adminOnly, async (req, res) => {
+  try {
+    const events = await scenarioService.listScenarioEvents(req.params.runId)
+    res.json({ data: events })
+  } catch (error) {
+    logger.error('Error listing scenario events:', error)
+    res.status(500).json({ error: 'Failed to list scenario events' })
+  }
+})
+
+app.post(
+  '/api/admin/scenarios',
+  authRequired,
+  adminOnly,
+  validateBody(z.object({
+    run_id: z.string().min(1),
+    tour_event_id: z.string().min(1),
+    withdraw: z.array(z.string().min(1)).optional(),
+    players: z.array(z.object({
+      key: z.string().min(1),
+      mean_shift: z.coerce.number().min(-5).max(5).optional(),
+      volatility_scale: z.coerce.number().min(0.5).max(2).optional()
+    })).optional(),
+    weather: z.array(z.object({
+      round: z.coerce.number().int().min(1).max(4),
+      wave: z.enum(['AM', 'PM', 'ALL']),
+      wind_mph: z.coerce.number().min(0).max(60).optional(),
+      rain_mm: z.coerce.number().min(0).max(30).optional()
+    })).optional()
+  })),
+  async (req, res) => {
+    if (!WeeklyPipeline) {
+      return res.status(503).json({ error: WeeklyPipelineLoadError || 'Pipeline module not loaded' })
+    }
+    try {
+      const { run_id, tour_event_id, withdraw, players, weather } = req.body
+      const result = await scenarioService.runScenario({
+        runId: run_id,
+        tourEventId: tour_event_id,
+        edits: {
+          withdraw: withdraw || [],
+          players: (players || []).map((edit) => ({ key: edit.key, meanShift: edit.mean_shift, volatilityScale: edit.volatility_scale })),
+          weather: (weather || []).map((edit) => ({ round: edit.round, wave: edit.wave, windMph: edit.wind_mph, rainMm: edit.rain_mm }))
+        }
+      })
+      if (!result) return res.status(404).json({ error: 'No stored scenario inputs for this run and event' })
+      res.json({ data: result })
+    } catch (error) {
+      logger.error('Error running scenario:', error)
+      res.status(500).json({ error: 'Failed to run scenario' })
+    }
+  }
+)
+
+// Vig removal comparison on a run's stored odds: the markets per event, and
+// one market priced under every method.
+app.get('/api/admin/vig-comparison/:runId/markets', authRequired, adminOnly, async (req, res) => {
+  try {
+    const events = await vigComparisonService.listMarkets(req.params.runId)
+    res.json({ data: events })
+  } catch (error) {
+    logger.error('Error listing vig comparison markets:', error)
+    res.status(500).json({ error: 'Failed to list odds markets' })
+  }
+})
+
+app.get('/api/admin/vig-comparison', authRequired, adminOnly, async (req, res) => {
+  if (!WeeklyPipeline) {
+    return res.status(503).json({ error: WeeklyPipelineLoadError || 'Pipeline module not loaded' })
+  }
+  try {
+    const runId = String(req.query?.run_id || '')
+    const tourEventId = String(req.query?.tour_event_id || '')
+    const marketKey = String(req.query?.market_key || '')
+    if (!runId || !tourEventId || !marketKey) {
+      return res.status(400).json({ error: 'run_id, tour_event_id and market_key are required' })
+    }
+    const comparison = await vigComparisonService.compareMethods({ runId, tourEventId, marketKey })
+    if (!comparison) return res.status(404).json({ error: 'No stored odds for this run, event and market' })
+    res.json({ data: comparison })
+  } catch (error) {
+    logger.error('Error comparing vig methods:', error)
+    res.status(500).json({ error: 'Failed to compare vig methods' })
+  }
+})
+
 app.get('/api/entities/golf-bets', authRequired, adminOnly, async (req, res) => {
   try {
     const bets = await prisma.betRecommendation.findMany({
@@ -1857,7 +2371,7 @@ app.get('/api/entities/golf-bets', authRequired, adminOnly, async (req, res) =>
     const formatted = bets.map(bet => ({
       id: bet.id,
       selection_name: bet.override?.selectionName || bet.selection,
-      bet_title: bet.override?.betTitle || `${bet.selection} ${bet.marketKey || 'market'}`,
+      bet_title: bet.override?.betTitle || defaultBetTitle(bet),
       confidence_rating: bet.override?.confidenceRating ?? bet.confidence1To5,
       ai_analysis_paragraph: bet.override?.aiAnalysisParagraph ?? bet.analysisParagraph,
       affiliate_link_override: bet.override?.affiliateLinkOverride || '',
@@ -2050,20 +2564,37 @@ app.get('/api/entities/tour-events', authRequired, adminOnly, async (req, res) =
       }
     })
 
-    const formatted = events.map(ev => ({
-      id: ev.id,
-      run_id: ev.run?.runKey || null,
-      tour: ev.tour,
-      event_name: ev.eventName,
-      start_date: ev.startDate?.toISOString?.() || ev.startDate,
-      end_date: ev.endDate?.toISOString?.() || ev.endDate,
-      location: ev.location,
-      course_name: ev.courseName,
-      course_lat: ev.courseLat,
-      course_lng: ev.courseLng,
-      source_urls: ev.sourceUrls,
-      created_date: ev.createdAt?.toISOString?.() || ev.createdAt
-    }))
+    const cutRuleKeys = events.map(ev => buildCutRuleEventKey({ dgEventId: ev.dgEventId, eventName: ev.eventName }))
+    const cutRuleOverrides = await prisma.eventCutRule.findMany({
+      where: { eventKey: { in: cutRuleKeys.filter(Boolean) } }
+    })
+    const overrideMap = new Map(cutRuleOverrides.map(row => [`${row.tour}:${row.eventKey}`, row]))
+
+    const formatted = events.map((ev, index) => {
+      const override = overrideMap.get(`${ev.tour}:${cutRuleKeys[index]}`) || null
+      const cutRule = resolveCutRule({ tour: ev.tour, eventName: ev.eventName, override: override?.ruleJson || null })
+      return {
+        id: ev.id,
+        run_id: ev.run?.runKey || null,
+        tour: ev.tour,
+        event_name: ev.eventName,
+        start_date: ev.startDate?.toISOString?.() || ev.startDate,
+        end_date: ev.endDate?.toISOString?.() || ev.endDate,
+        location: ev.location,
+        course_name: ev.courseName,
+        course_lat: ev.courseLat,
+        course_lng: ev.courseLng,
+        source_urls: ev.sourceUrls,
+        cut_rule: {
+          ...cutRule.rule,
+          source: cutRule.source,
+          description: describeCutRule(cutRule.rule),
+          updated_by: override?.updatedBy || null,
+          updated_at: override?.updatedAt?.toISOString?.() || null
+        },
+        created_date: ev.createdAt?.toISOString?.() || ev.createdAt
+      }
+    })
 
     res.json({ data: formatted })
   } catch (error) {
@@ -2130,6 +2661,105 @@ app.put(
   }
 )
 
+app.put(
+  '/api/entities/tour-events/:id/cut-rule',
+  authRequired,
+  adminOnly,
+  validateBody(z.object({
+    clear: z.boolean().optional(),
+    cut_after: z.coerce.number().int().min(0).max(4).optional(),
+    cut_size: z.coerce.number().int().min(0).optional(),
+    ties: z.boolean().optional(),
+    ten_shot_rule: z.coerce.number().positive().optional().nullable(),
+    secondary_cut_after: z.coerce.number().int().min(1).max(4).optional().nullable(),
+    secondary_cut_size: z.coerce.number().int().positive().optional().nullable(),
+    secondary_cut_ties: z.boolean().optional()
+  })),
+  async (req, res) => {
+    try {
+      const { id } = req.params
+      const event = await prisma.tourEvent.findUnique({ where: { id } })
+      if (!event) return res.status(404).json({ error: 'Tour event not found' })
+
+      const eventKey = buildCutRuleEventKey({ dgEventId: event.dgEventId, eventName: event.eventName })
+      const where = { tour_eventKey: { tour: event.tour, eventKey } }
+      const existing = await prisma.eventCutRule.findUnique({ where })
+
+      if (req.body?.clear) {
+        if (existing) await prisma.eventCutRule.delete({ where })
+        await writeAuditLog({
+          req,
+          action: 'tour_event.cut_rule.clear',
+          entityType: 'TourEvent',
+          entityId: id,
+          beforeJson: existing?.ruleJson ?? null,
+          afterJson: null
+        })
+        const resolved = resolveCutRule({ tour: event.tour, eventName: event.eventName })
+        return res.json({ data: { ...resolved.rule, source: resolved.source, description: describeCutRule(resolved.rule) } })
+      }
+
+      const {
+        cut_after,
+        cut_size,
+        ties,
+        ten_shot_rule,
+        secondary_cut_after,
+        secondary_cut_size,
+        secondary_cut_ties
+      } = req.body || {}
+      const base = resolveCutRule({ tour: event.tour, eventName: event.eventName, override: existing?.ruleJson || null }).rule
+      const rule = normalizeCutRule({
+        cutAfter: cut_after ?? base.cutAfter,
+        cutSize: cut_size ?? base.cutSize,
+        ties: ties ?? base.ties,
+        tenShotRule: ten_shot_rule === undefined ? base.tenShotRule : ten_shot_rule,
+        secondaryCut: secondary_cut_after && secondary_cut_size
+          ? { after: secondary_cut_after, size: secondary_cut_size, ties: secondary_cut_ties ?? true }
+          : (secondary_cut_after === undefined && secondary_cut_size === undefined ? base.secondaryCut : null)
+      }, base)
+
+      const saved = await prisma.eventCutRule.upsert({
+        where,
+        create: {
+          tour: event.tour,
+          eventKey,
+          eventName: event.eventName,
+          ruleJson: rule,
+          updatedBy: req.user?.email || req.user?.sub || null
+        },
+        update: {
+          eventName: event.eventName,
+          ruleJson: rule,
+          updatedBy: req.user?.email || req.user?.sub || null
+        }
+      })
+
+      await writeAuditLog({
+        req,
+        action: 'tour_event.cut_rule.update',
+        entityType: 'TourEvent',
+        entityId: id,
+        beforeJson: existing?.ruleJson ?? null,
+        afterJson: rule
+      })
+
+      res.json({
+        data: {
+          ...rule,
+          source: 'override',
+          description: describeCutRule(rule),
+          updated_by: saved.updatedBy,
+          updated_at: saved.updatedAt?.toISOString?.() || null
+        }
+      })
+    } catch (error) {
+      logger.error('Error updating cut rule:', error)
+      res.status(500).json({ error: 'Failed to update cut rule' })
+    }
+  }
+)
+
 app.delete('/api/entities/tour-events/:id', authRequired, adminOnly, async (req, res) => {
   try {
     const { id } = req.params
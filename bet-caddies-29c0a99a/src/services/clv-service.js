@@ -0,0 +1,247 @@
+/**
+ * CLV Service
+ *
+ * Captures closing prices for published picks and reports closing line
+ * value. A scheduled capture fetches fresh prices for every market with a
+ * pick in the run-up to tee-off, appends them to the odds history, and
+ * recomputes each pick's closing line from the latest history before
+ * tee-off. Once tee-off has passed the closing line is marked final.
+ */
+
+import { logger } from '../observability/logger.js'
+import { DataGolfClient } from '../sources/datagolf/client.js'
+import { parseOddsPayload, parseOutrightsOffers } from '../sources/datagolf/parsers.js'
+import { oddsHistoryEventKey } from '../domain/odds-history.js'
+import { oddsMarketKey } from '../domain/each-way.js'
+import { latestPricesBefore, closingFairProbabilities, computeClv, buildClvReport } from '../domain/clv.js'
+import { expectedMarketTotal } from '../engine/v2/odds/vig-removal.js'
+import { createOddsHistoryService } from './odds-history-service.js'
+
+const HOUR_MS = 60 * 60 * 1000
+// Prices are fetched from this long before tee-off until tee-off.
+const CAPTURE_LEAD_MINUTES = Number(process.env.CLV_CAPTURE_LEAD_MINUTES || 90)
+// Events that teed off this recently are still finalised from stored history.
+const BACKFILL_HOURS = Number(process.env.CLV_BACKFILL_HOURS || 24)
+// Prices older than this before the cutoff are too stale to count as closing.
+const CLOSING_WINDOW_HOURS = Number(process.env.CLV_CLOSING_WINDOW_HOURS || 24)
+
+/**
+ * Creates the CLV service
+ * @param {PrismaClient} prisma - Prisma client instance
+ * @param {() => WeeklyPipeline} createPipeline - builds a pipeline for offer parsing and book filtering
+ */
+export function createClvService(prisma, createPipeline, { dataGolfClient = DataGolfClient } = {}) {
+  const oddsHistory = createOddsHistoryService(prisma)
+
+  // First round-1 tee time from any run's tee sheet for the event, else its start date.
+  async function resolveTeeOff(tourEvent) {
+    const first = await prisma.teeTime.findFirst({
+      where: {
+        round: 1,
+        tourEvent: tourEvent.dgEventId
+          ? { tour: tourEvent.tour, dgEventId: tourEvent.dgEventId }
+          : { id: tourEvent.id }
+      },
+      orderBy: { teeTimeUtc: 'asc' }
+    })
+    return first
+      ? { teeOffAt: first.teeTimeUtc, teeOffSource: 'tee_times' }
+      : { teeOffAt: tourEvent.startDate, teeOffSource: 'start_date' }
+  }
+
+  async function fetchClosingOffers(pipeline, tourEvent, marketKey) {
+    const tourCode = dataGolfClient.resolveTourCode(tourEvent.tour, 'odds')
+    if (!tourCode) return 0
+    const matchup = pipeline.isMatchupMarket(marketKey)
+    try {
+      const payload = matchup
+        ? await dataGolfClient.getMatchupsOdds(tourCode, marketKey)
+        : await dataGolfClient.getOutrightsOdds(tourCode, marketKey)
+      if (!payload) return 0
+      const parsed = matchup
+        ? parseOddsPayload('betting-tools/matchups', payload, { debugKey: null })
+        : parseOutrightsOffers(payload, { market: marketKey })
+      // The odds feeds serve the tour's current event; never file another event's prices here.
+      if (tourEvent.dgEventId && parsed.meta?.eventId && parsed.meta.eventId !== String(tourEvent.dgEventId)) {
+        logger.warn('CLV capture: odds feed is for another event', {
+          tour: tourEvent.tour,
+          marketKey,
+          dgEventId: tourEvent.dgEventId,
+          feedEventId: parsed.meta.eventId
+        })
+        return 0
+      }
+      const offers = pipeline.filterOffersByAllowedBooks(matchup ? pipeline.parseMatchupOffers(parsed.rows) : parsed.offers)
+      return oddsHistory.recordOffers(offers, { event: tourEvent, marketKey, source: 'closing', capturedAt: new Date() })
+    } catch (error) {
+      logger.warn('CLV capture: failed to fetch closing odds', { tour: tourEvent.tour, marketKey, error: error?.message })
+      return 0
+    }
+  }
+
+  async function updateClosingLines(pipeline, { eventKey, marketKey, picks, teeOffAt, teeOffSource, cutoff }) {
+    const rows = await prisma.oddsHistory.findMany({
+      where: {
+        eventKey,
+        marketKey,
+        capturedAt: { gte: new Date(cutoff.getTime() - CLOSING_WINDOW_HOURS * HOUR_MS), lte: cutoff }
+      },
+      select: { selectionName: true, bookmaker: true, oddsDecimal: true, capturedAt: true }
+    })
+    const latest = latestPricesBefore(rows, cutoff)
+    const matchup = pipeline.isMatchupMarket(marketKey)
+    const fairProbs = closingFairProbabilities(latest, {
+      matchup,
+      method: pipeline.getVigMethod(marketKey),
+      total: expectedMarketTotal(marketKey, { matchup })
+    })
+    const final = cutoff.getTime() >= new Date(teeOffAt).getTime()
+
+    let updated = 0
+    for (const pick of picks) {
+      const prices = latest.get(pick.selection)
+      if (!prices) continue
+      const atBook = prices.get(pick.bestBookmaker) || null
+      const best = Array.from(prices.entries()).reduce((top, [book, price]) => (!top || price.odds > top.odds ? { book, ...price } : top), null)
+      // The win market's fair price says nothing about an each-way pick's
+      // place part, so each-way picks report price CLV only.
+      const closingFairProb = pick.marketKey === marketKey ? fairProbs.get(pick.selection) ?? null : null
+      const clv = computeClv({
+        publishedOdds: pick.bestOdds,
+        closingOdds: atBook?.odds ?? null,
+        closingBestOdds: best?.odds ?? null,
+        closingFairProb
+      })
+      const data = {
+        teeOffAt,
+        teeOffSource,
+        capturedAt: (atBook || best).capturedAt,
+        final,
+        publishedOdds: pick.bestOdds,
+        bookmaker: pick.bestBookmaker,
+        closingOdds: atBook?.odds ?? null,
+        closingBestOdds: best?.odds ?? null,
+        closingBestBook: best?.book ?? null,
+        closingFairProb,
+        ...clv,
+        booksJson: Object.fromEntries(Array.from(prices.entries()).map(([book, price]) => [book, price.odds]))
+      }
+      await prisma.closingLine.upsert({
+        where: { betRecommendationId: pick.id },
+        update: data,
+        create: { betRecommendationId: pick.id, ...data }
+      })
+      updated += 1
+    }
+    return updated
+  }
+
+  /**
+   * One capture pass: every published pick whose event tees off within the
+   * lead window gets fresh prices and an updated closing line; picks whose
+   * event teed off within the backfill window are finalised from history.
+   */
+  async function captureClosingLines({ now = new Date() } = {}) {
+    // Start dates are calendar days while tee-off is an instant, and the first
+    // UTC tee time can fall the day before the UTC start date, so the date
+    // filter allows a day either side; resolveTeeOff sets the exact window.
+    const picks = await prisma.betRecommendation.findMany({
+      where: {
+        run: { status: 'completed' },
+        tourEvent: {
+          startDate: {
+            gte: new Date(now.getTime() - (BACKFILL_HOURS + 24) * HOUR_MS),
+            lte: new Date(now.getTime() + CAPTURE_LEAD_MINUTES * 60 * 1000 + 24 * HOUR_MS)
+          }
+        },
+        OR: [{ closingLine: null }, { closingLine: { final: false } }]
+      },
+      include: { tourEvent: true }
+    })
+    if (picks.length === 0) return { events: 0, fetched: 0, updated: 0 }
+
+    const pipeline = createPipeline()
+    const groups = new Map()
+    for (const pick of picks) {
+      const eventKey = oddsHistoryEventKey(pick.tourEvent)
+      if (!eventKey) continue
+      const marketKey = oddsMarketKey(pick.marketKey)
+      const key = `${eventKey}|${marketKey}`
+      if (!groups.has(key)) groups.set(key, { eventKey, marketKey, tourEvent: pick.tourEvent, picks: [] })
+      groups.get(key).picks.push(pick)
+    }
+
+    const teeOffs = new Map()
+    const events = new Set()
+    let fetched = 0
+    let updated = 0
+    for (const group of groups.values()) {
+      if (!teeOffs.has(group.eventKey)) teeOffs.set(group.eventKey, await resolveTeeOff(group.tourEvent))
+      const { teeOffAt, teeOffSource } = teeOffs.get(group.eventKey)
+      const teeOffTime = new Date(teeOffAt).getTime()
+      if (teeOffTime - CAPTURE_LEAD_MINUTES * 60 * 1000 > now.getTime()) continue
+      if (teeOffTime < now.getTime() - BACKFILL_HOURS * HOUR_MS) continue
+
+      events.add(group.eventKey)
+      if (teeOffTime > now.getTime()) {
+        fetched += await fetchClosingOffers(pipeline, group.tourEvent, group.marketKey)
+      }
+      const cutoff = new Date(Math.min(now.getTime(), teeOffTime))
+      updated += await updateClosingLines(pipeline, { ...group, teeOffAt, teeOffSource, cutoff })
+    }
+
+    logger.info('CLV capture complete', { events: events.size, fetched, updated })
+    return { events: events.size, fetched, updated }
+  }
+
+  /**
+   * CLV by tier, market and tour over final closing lines, with the most
+   * recent picks for inspection.
+   */
+  async function getClvReport({ since = null, limit = 50 } = {}) {
+    const lines = await prisma.closingLine.findMany({
+      where: {
+        final: true,
+        ...(since ? { teeOffAt: { gte: since } } : {})
+      },
+      orderBy: { teeOffAt: 'desc' },
+      include: { betRecommendation: { include: { tourEvent: true, override: true } } }
+    })
+    const picks = lines.map(toClvPick)
+    return {
+      ...buildClvReport(picks),
+      recent: picks.slice(0, limit)
+    }
+  }
+
+  return {
+    captureClosingLines,
+    getClvReport
+  }
+}
+
+/**
+ * Flattens a closing line and its recommendation (with tour event and
+ * override) for CLV reporting; the tier shown to users wins.
+ */
+export const toClvPick = (line) => {
+  const bet = line.betRecommendation || {}
+  return {
+    betRecommendationId: line.betRecommendationId,
+    selection: bet.override?.selectionName || bet.selection,
+    tier: bet.override?.tierOverride || bet.tier,
+    marketKey: bet.marketKey,
+    tour: bet.tourEvent?.tour || null,
+    eventName: bet.tourEvent?.eventName || null,
+    teeOffAt: line.teeOffAt,
+    bookmaker: line.bookmaker,
+    publishedOdds: line.publishedOdds,
+    closingOdds: line.closingOdds,
+    closingBestOdds: line.closingBestOdds,
+    closingBestBook: line.closingBestBook,
+    closingFairProb: line.closingFairProb,
+    clvOdds: line.clvOdds,
+    clvBestOdds: line.clvBestOdds,
+    clvEv: line.clvEv
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Odds History Service
+ *
+ * Appends every fetched price to the odds history table (pipeline runs,
+ * live-tracking polls and closing captures) and reads a selection's prices
+ * back as line-movement series. Rows are never updated or deleted by a later
+ * fetch.
+ */
+
+import { logger } from '../observability/logger.js'
+import { oddsHistoryEventKey, toOddsHistoryRows, buildPriceSeries } from '../domain/odds-history.js'
+import { oddsMarketKey } from '../domain/each-way.js'
+
+const MAX_HISTORY_ROWS = 5000
+
+/**
+ * Creates the odds history service
+ * @param {PrismaClient} prisma - Prisma client instance
+ */
+export function createOddsHistoryService(prisma) {
+  /**
+   * Records one fetch of a market's offers. Failures are logged and never
+   * stop the fetch that produced the prices.
+   */
+  async function recordOffers(offers, { event, marketKey, source, runId = null, capturedAt = new Date() }) {
+    const rows = toOddsHistoryRows(offers, { event, marketKey, source, runId, capturedAt })
+    if (rows.length === 0) return 0
+    try {
+      const result = await prisma.oddsHistory.createMany({ data: rows })
+      return result.count
+    } catch (error) {
+      logger.warn('Failed to record odds history', { eventKey: rows[0].eventKey, marketKey, source, error: error?.message })
+      return 0
+    }
+  }
+
+  /**
+   * Price series for a selection at the event `tourEventId` belongs to, across
+   * every run that priced it. Selections match by name (the name
+   * recommendations and matchup offers carry) or else by DataGolf id.
+   */
+  async function getSelectionSeries({ tourEventId, marketKey, selection = null, dgPlayerId = null, since = null }) {
+    const event = await prisma.tourEvent.findUnique({ where: { id: tourEventId } })
+    const eventKey = event ? oddsHistoryEventKey(event) : null
+    if (!eventKey) return null
+    const rows = await prisma.oddsHistory.findMany({
+      where: {
+        eventKey,
+        marketKey,
+        ...(selection ? { selectionName: selection } : { dgPlayerId: String(dgPlayerId) }),
+        ...(since ? { capturedAt: { gte: since } } : {})
+      },
+      orderBy: { capturedAt: 'desc' },
+      take: MAX_HISTORY_ROWS,
+      select: { bookmaker: true, oddsDecimal: true, capturedAt: true }
+    })
+    return {
+      tourEventId,
+      eventKey,
+      marketKey,
+      selection,
+      dgPlayerId,
+      ...buildPriceSeries(rows)
+    }
+  }
+
+  /**
+   * Price series for a recommendation, with the price and book it was
+   * published at.
+   */
+  async function getBetSeries(betRecommendationId) {
+    const bet = await prisma.betRecommendation.findUnique({ where: { id: betRecommendationId } })
+    if (!bet) return null
+    const series = await getSelectionSeries({
+      tourEventId: bet.tourEventId,
+      marketKey: oddsMarketKey(bet.marketKey),
+      selection: bet.selection
+    })
+    if (!series) return null
+    return {
+      ...series,
+      betRecommendationId: bet.id,
+      dgPlayerId: bet.dgPlayerId ?? null,
+      placedOdds: bet.bestOdds,
+      placedBook: bet.bestBookmaker,
+      placedAt: bet.createdAt
+    }
+  }
+
+  return {
+    recordOffers,
+    getSelectionSeries,
+    getBetSeries
+  }
+}
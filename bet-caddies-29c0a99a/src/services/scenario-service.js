@@ -0,0 +1,119 @@
+/**
+ * Scenario Service
+ *
+ * Admin what-if runs: loads an event's stored simulation inputs and priced
+ * candidates from a completed run, applies edits to the field, player
+ * parameters or wave weather, re-simulates and re-selects in memory, and
+ * diffs the result against the published recommendations. Nothing is written.
+ */
+
+import fs from 'node:fs'
+import zlib from 'node:zlib'
+import { logger } from '../observability/logger.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+import {
+  SCENARIO_ARTIFACT,
+  applyScenarioEdits,
+  deserializeScenarioInputs,
+  diffRecommendations
+} from '../engine/v2/scenario.js'
+import { loadCalibrationTables } from '../engine/v2/calibration/store.js'
+import { loadBlendWeightConfigs } from '../engine/v2/blending/store.js'
+
+const SCENARIO_SIM_COUNT = Number(process.env.SCENARIO_SIM_COUNT || 5000)
+
+/**
+ * Creates the scenario service
+ * @param {PrismaClient} prisma - Prisma client instance
+ * @param {() => WeeklyPipeline} createPipeline - builds a pipeline for pricing and selection
+ */
+export function createScenarioService(prisma, createPipeline) {
+  // Large artifacts are written to disk gzipped instead of stored inline.
+  async function readArtifactPayload(artifact) {
+    if (artifact.payloadJson) return artifact.payloadJson
+    if (!artifact.artifactRef) return null
+    const gzipped = await fs.promises.readFile(artifact.artifactRef)
+    return JSON.parse(zlib.gunzipSync(gzipped).toString('utf8'))
+  }
+
+  async function findScenarioArtifacts(runId) {
+    const artifacts = await prisma.runArtifact.findMany({
+      where: { runId, endpoint: SCENARIO_ARTIFACT },
+      orderBy: { fetchedAt: 'desc' }
+    })
+    // A run may have stored an event more than once; the latest wins.
+    const byEvent = new Map()
+    for (const artifact of artifacts) {
+      const tourEventId = artifact.paramsJson?.tourEventId
+      if (tourEventId && !byEvent.has(tourEventId)) byEvent.set(tourEventId, artifact)
+    }
+    return byEvent
+  }
+
+  /**
+   * Events of a run that can be replayed, with their players and the rounds
+   * that have wave weather to edit.
+   */
+  async function listScenarioEvents(runId) {
+    const artifacts = await findScenarioArtifacts(runId)
+    const events = []
+    for (const artifact of artifacts.values()) {
+      const payload = await readArtifactPayload(artifact)
+      if (!payload) continue
+      const inputs = deserializeScenarioInputs(payload)
+      events.push({
+        tourEventId: inputs.tourEventId,
+        eventName: inputs.eventName,
+        tour: inputs.tour,
+        rounds: inputs.simOptions.rounds,
+        weatherRounds: Object.keys(inputs.simOptions.waves?.conditions || {}).map(Number),
+        candidates: inputs.candidates.length,
+        players: inputs.simOptions.players.map((player) => ({ key: player.key, name: player.name }))
+      })
+    }
+    return events
+  }
+
+  async function runScenario({ runId, tourEventId, edits = {} }) {
+    const artifact = (await findScenarioArtifacts(runId)).get(tourEventId)
+    const payload = artifact ? await readArtifactPayload(artifact) : null
+    if (!payload) return null
+
+    const event = await prisma.tourEvent.findUnique({ where: { id: tourEventId } })
+    if (!event) return null
+
+    // Pricing uses the calibration and blend versions active now, not at run time.
+    try {
+      await loadCalibrationTables()
+      await loadBlendWeightConfigs()
+    } catch (error) {
+      logger.warn('Scenario pricing without calibration or blend versions', { error: error?.message })
+    }
+
+    const inputs = deserializeScenarioInputs(payload)
+    const { simOptions, candidates, applied, warnings } = applyScenarioEdits(inputs, edits)
+    const simCount = Math.min(SCENARIO_SIM_COUNT, simOptions.simCount || SCENARIO_SIM_COUNT)
+    const simResults = simulateTournament({ ...simOptions, simCount, emitScores: true })
+
+    const pipeline = createPipeline()
+    const repriced = await pipeline.repriceCandidates(event, simResults, candidates.map((candidate) => ({ ...candidate, tourEvent: event })))
+    const tiered = await pipeline.selectTieredPortfolio(repriced, null, event, [], simResults.scores)
+    const recommendations = pipeline.applyStakeSizing(tiered).map((entry) => pipeline.formatRecommendation(entry))
+
+    const published = await prisma.betRecommendation.findMany({ where: { runId, tourEventId } })
+
+    return {
+      tourEventId,
+      eventName: event.eventName,
+      simCount,
+      applied,
+      warnings,
+      diff: diffRecommendations(published, recommendations)
+    }
+  }
+
+  return {
+    listScenarioEvents,
+    runScenario
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Vig Comparison Service
+ *
+ * Admin view of a run's stored odds: prices one event market under every
+ * vig-removal method, the way the pipeline builds its market consensus, so
+ * the configured method can be checked against the alternatives. Nothing is
+ * written.
+ */
+
+import { impliedProbability } from '../engine/v2/odds/odds-utils.js'
+import { VIG_METHODS, expectedMarketTotal } from '../engine/v2/odds/vig-removal.js'
+
+/**
+ * Creates the vig comparison service
+ * @param {PrismaClient} prisma - Prisma client instance
+ * @param {() => WeeklyPipeline} createPipeline - builds a pipeline for market pricing
+ */
+export function createVigComparisonService(prisma, createPipeline) {
+  /**
+   * Events of a run with the odds markets stored for each.
+   */
+  async function listMarkets(runId) {
+    const oddsEvents = await prisma.oddsEvent.findMany({
+      where: { runId },
+      include: {
+        tourEvent: true,
+        oddsMarkets: { select: { marketKey: true, _count: { select: { oddsOffers: true } } } }
+      }
+    })
+    return oddsEvents.map((oddsEvent) => ({
+      tourEventId: oddsEvent.tourEventId,
+      tour: oddsEvent.tourEvent.tour,
+      eventName: oddsEvent.tourEvent.eventName,
+      markets: oddsEvent.oddsMarkets
+        .filter((market) => market._count.oddsOffers > 0)
+        .map((market) => ({ marketKey: market.marketKey, offers: market._count.oddsOffers }))
+    }))
+  }
+
+  /**
+   * Consensus fair probability per selection under each method, with the
+   * best price and the sum of each method's probabilities against the total
+   * the market should add up to.
+   */
+  async function compareMethods({ runId, tourEventId, marketKey }) {
+    const market = await prisma.oddsMarket.findFirst({
+      where: { marketKey, oddsEvent: { runId, tourEventId } },
+      orderBy: { fetchedAt: 'desc' },
+      include: { oddsOffers: true, oddsEvent: { include: { tourEvent: true } } }
+    })
+    if (!market || market.oddsOffers.length === 0) return null
+
+    const pipeline = createPipeline()
+    const tourEvent = market.oddsEvent.tourEvent
+    const matchup = pipeline.isMatchupMarket(marketKey)
+    const { rule: cutRule } = await pipeline.loadCutRule(tourEvent)
+    const fieldSize = await prisma.fieldEntry.count({ where: { tourEventId } })
+
+    const offersBySelection = {}
+    for (const offer of market.oddsOffers) {
+      if (!offersBySelection[offer.selectionName]) offersBySelection[offer.selectionName] = []
+      offersBySelection[offer.selectionName].push(offer)
+    }
+    const offersByBook = pipeline.groupOffersByBook(market.oddsOffers)
+    const selectionKeys = Object.keys(offersBySelection)
+
+    const byMethod = new Map(VIG_METHODS.map((method) => [
+      method,
+      pipeline.computeMarketProbabilities(offersBySelection, offersByBook, marketKey, {
+        method,
+        cutSize: cutRule.cutSize,
+        fieldSize
+      })
+    ]))
+
+    const selections = selectionKeys
+      .map((selection) => {
+        const best = offersBySelection[selection].reduce((top, offer) => (!top || offer.oddsDecimal > top.oddsDecimal ? offer : top), null)
+        return {
+          selection,
+          bestOdds: best.oddsDecimal,
+          bestBook: best.bookmaker,
+          impliedProb: impliedProbability(best.oddsDecimal),
+          books: offersBySelection[selection].length,
+          fair: Object.fromEntries(VIG_METHODS.map((method) => [method, byMethod.get(method).get(selection) ?? null]))
+        }
+      })
+      .sort((a, b) => a.bestOdds - b.bestOdds)
+
+    return {
+      tourEventId,
+      tour: tourEvent.tour,
+      eventName: tourEvent.eventName,
+      marketKey,
+      fetchedAt: market.fetchedAt,
+      configuredMethod: pipeline.getVigMethod(marketKey),
+      books: offersByBook.size,
+      // Matchups add up to one per pairing.
+      expectedTotal: matchup
+        ? new Set(selectionKeys.map((selection) => pipeline.getMatchupGroupKey(selection))).size
+        : expectedMarketTotal(marketKey, { cutSize: cutRule.cutSize, fieldSize, priced: fieldSize }),
+      methods: VIG_METHODS.map((method) => ({
+        method,
+        priced: byMethod.get(method).size,
+        sum: Array.from(byMethod.get(method).values()).reduce((total, value) => total + value, 0)
+      })),
+      selections
+    }
+  }
+
+  return {
+    listMarkets,
+    compareMethods
+  }
+}
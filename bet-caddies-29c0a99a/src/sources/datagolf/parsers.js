@@ -1,6 +1,7 @@
 import { logger } from '../../observability/logger.js'
 import { getAllowedBooksSet, isAllowedBook } from '../odds/allowed-books.js'
 import { normalizeBookKey } from '../odds/book-utils.js'
+import { getExchangeBooksSet, isExchangeBook, parseExchangePrice } from '../odds/exchange.js'
 
 const DEBUG_ENABLED = String(process.env.DEBUG_DATAGOLF || '').toLowerCase() === 'true'
 const debugKeysLogged = new Set()
@@ -106,6 +107,7 @@ const findArray = (payload) => {
     payload.rows,
     payload.offers,
     payload.matchups,
+    payload.match_list,
     payload?.odds?.data,
     payload?.odds?.offers,
     payload?.data?.odds,
@@ -145,6 +147,7 @@ export const parseOddsPayload = (endpoint, payload, { debugKey } = {}) => {
 }
 
 const ALLOWED_BOOKS_SET = getAllowedBooksSet()
+const EXCHANGE_BOOKS_SET = getExchangeBooksSet()
 
 const isLikelyBookKey = (key) => {
   const normalized = normalizeBookKey(key)
@@ -182,6 +185,25 @@ const normalizeOddsValue = (value) => {
   return { decimal: NaN, american: null }
 }
 
+// Exchange offers keep their lay price and the amounts available at each
+// price; the back price is the offer's odds.
+const buildPriceFields = (book, value) => {
+  if (!isExchangeBook(book, EXCHANGE_BOOKS_SET)) return normalizeOddsValue(value)
+  const price = parseExchangePrice(value)
+  if (!price) return normalizeOddsValue(value)
+  const { decimal, american } = normalizeOddsValue(price.back)
+  const lay = price.lay != null ? normalizeOddsValue(price.lay).decimal : NaN
+  return {
+    decimal,
+    american,
+    exchange: {
+      layOdds: Number.isFinite(lay) && lay > 1 ? lay : null,
+      backLiquidity: price.backLiquidity,
+      layLiquidity: price.layLiquidity
+    }
+  }
+}
+
 const extractOddsMap = (row) => {
   if (!row || typeof row !== 'object') return null
   if (row.odds && typeof row.odds === 'object' && !Array.isArray(row.odds)) return row.odds
@@ -216,7 +238,9 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
         if (!entry?.book) continue
         const book = normalizeBookKey(entry.book)
         if (!isAllowedBook(book, ALLOWED_BOOKS_SET)) continue
-        const { decimal, american } = normalizeOddsValue(entry.odds ?? entry.price ?? entry.value ?? entry)
+        // Exchange entries carry their lay price and sizes beside the odds.
+        const value = isExchangeBook(book, EXCHANGE_BOOKS_SET) ? entry : (entry.odds ?? entry.price ?? entry.value ?? entry)
+        const { decimal, american, exchange } = buildPriceFields(book, value)
         if (!Number.isFinite(decimal) || decimal <= 1) continue
         offers.push({
           selectionId: selectionId ? String(selectionId) : null,
@@ -224,7 +248,8 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
           market: market || null,
           book,
           oddsDecimal: decimal,
-          oddsAmerican: american
+          oddsAmerican: american,
+          ...exchange
         })
       }
       continue
@@ -236,7 +261,7 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
         const book = normalizeBookKey(bookKey)
         if (!book || !KNOWN_BOOK_KEYS.has(book)) continue
         if (!isAllowedBook(book, ALLOWED_BOOKS_SET)) continue
-        const { decimal, american } = normalizeOddsValue(oddsValue)
+        const { decimal, american, exchange } = buildPriceFields(book, oddsValue)
         if (!Number.isFinite(decimal) || decimal <= 1) continue
         offers.push({
           selectionId: selectionId ? String(selectionId) : null,
@@ -244,7 +269,8 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
           market: market || null,
           book,
           oddsDecimal: decimal,
-          oddsAmerican: american
+          oddsAmerican: american,
+          ...exchange
         })
       }
       continue
@@ -255,7 +281,7 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
       const book = normalizeBookKey(key)
       if (!book) continue
       if (!isAllowedBook(book, ALLOWED_BOOKS_SET)) continue
-      const { decimal, american } = normalizeOddsValue(value)
+      const { decimal, american, exchange } = buildPriceFields(book, value)
       if (!Number.isFinite(decimal) || decimal <= 1) continue
       offers.push({
         selectionId: selectionId ? String(selectionId) : null,
@@ -263,7 +289,8 @@ export const parseOutrightsOffers = (payload, { market, debugKey } = {}) => {
         market: market || null,
         book,
         oddsDecimal: decimal,
-        oddsAmerican: american
+        oddsAmerican: american,
+        ...exchange
       })
     }
   }
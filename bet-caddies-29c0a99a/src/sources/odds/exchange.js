@@ -0,0 +1,86 @@
+import { normalizeBookKey } from './book-utils.js'
+
+// Exchanges match customers' back and lay bets instead of pricing a margin
+// in, and take commission from a winning bet's net profit. A back price is
+// therefore worth less than the same bookmaker price, and an exchange bet can
+// be closed at the lay price instead of a bookmaker's cash-out offer.
+
+export const DEFAULT_EXCHANGE_BOOKS = Object.freeze(['betfair'])
+export const DEFAULT_EXCHANGE_COMMISSION = 0.05
+
+export const getExchangeBooksSet = () => {
+  const raw = process.env.EXCHANGE_BOOKS
+  const books = raw
+    ? raw.split(',').map((value) => normalizeBookKey(value)).filter(Boolean)
+    : []
+  return new Set(books.length > 0 ? books : DEFAULT_EXCHANGE_BOOKS)
+}
+
+export const isExchangeBook = (bookKey, exchangeSet = getExchangeBooksSet()) => {
+  const normalized = normalizeBookKey(bookKey)
+  return normalized ? exchangeSet.has(normalized) : false
+}
+
+export const getExchangeCommission = () => {
+  const rate = Number(process.env.EXCHANGE_COMMISSION ?? DEFAULT_EXCHANGE_COMMISSION)
+  return Number.isFinite(rate) && rate >= 0 && rate < 1 ? rate : DEFAULT_EXCHANGE_COMMISSION
+}
+
+/**
+ * Decimal odds a back bet at `odds` actually pays once commission is taken
+ * from its profit.
+ */
+export const netBackOdds = (odds, commission = getExchangeCommission()) => {
+  if (!Number.isFinite(odds) || odds <= 1) return NaN
+  return 1 + (odds - 1) * (1 - commission)
+}
+
+/**
+ * Net-of-commission odds for an offer (`{ book | bookmaker, oddsDecimal }`);
+ * bookmaker offers are returned unchanged.
+ */
+export const netOfferOdds = (offer, { commission = getExchangeCommission(), exchangeSet = getExchangeBooksSet() } = {}) => {
+  if (!offer) return NaN
+  const odds = offer.oddsDecimal
+  return isExchangeBook(offer.book || offer.bookmaker, exchangeSet) ? netBackOdds(odds, commission) : odds
+}
+
+/**
+ * Whether an exchange offer has at least `minLiquidity` available to back.
+ * Offers without a quoted size, and bookmaker offers, always pass.
+ */
+export const hasBackLiquidity = (offer, minLiquidity = 0) => {
+  if (!(minLiquidity > 0) || offer?.backLiquidity == null) return true
+  return Number(offer.backLiquidity) >= minLiquidity
+}
+
+const firstDefined = (source, keys) => {
+  for (const key of keys) {
+    if (source?.[key] != null && source[key] !== '') return source[key]
+  }
+  return null
+}
+
+const toSize = (value) => {
+  const size = Number(value)
+  return value != null && Number.isFinite(size) && size >= 0 ? size : null
+}
+
+/**
+ * Exchange price fields from a feed value: a bare back price, or an object
+ * with back and lay prices and the amounts available at each. Prices are
+ * returned raw for the caller to convert; null when there is no back price.
+ */
+export const parseExchangePrice = (value) => {
+  if (value == null) return null
+  if (typeof value !== 'object') return { back: value, lay: null, backLiquidity: null, layLiquidity: null }
+  const source = value.odds && typeof value.odds === 'object' ? { ...value, ...value.odds } : value
+  const back = firstDefined(source, ['back', 'back_price', 'back_odds', 'decimal', 'odds_decimal', 'price', 'odds', 'value'])
+  if (back == null || typeof back === 'object') return null
+  return {
+    back,
+    lay: firstDefined(source, ['lay', 'lay_price', 'lay_odds']),
+    backLiquidity: toSize(firstDefined(source, ['back_size', 'back_liquidity', 'available_to_back', 'size'])),
+    layLiquidity: toSize(firstDefined(source, ['lay_size', 'lay_liquidity', 'available_to_lay']))
+  }
+}
@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { fitBlendWeights, blendWithWeights, staticBlendWeights, readBlendInputs } from '../engine/v2/blending/fit.js'
+import { getBlendWeights, setBlendWeightConfigs } from '../engine/v2/blending/index.js'
+import { logit, invLogit } from '../engine/v2/odds/odds-utils.js'
+
+// The market prices the true rate; the simulation and DataGolf both miss it,
+// by a logit unit and half of one, in the same direction.
+const settledRows = (count = 600) => {
+  const rows = []
+  for (let i = 0; i < count; i += 1) {
+    const trueRate = 0.05 + (i % 10) * 0.05
+    const noise = i % 2 === 0 ? 1 : -1
+    rows.push({
+      sim: invLogit(logit(trueRate) + noise),
+      dg: invLogit(logit(trueRate) + noise * 0.5),
+      mkt: trueRate,
+      actualOutcome: (i * 7919) % 1000 < trueRate * 1000 ? 1 : 0
+    })
+  }
+  return rows
+}
+
+describe('blend weights', () => {
+  afterEach(() => setBlendWeightConfigs([]))
+
+  it('passes a lone simulation probability through and ignores zero weights', () => {
+    expect(blendWithWeights({ sim: 0.2 }, staticBlendWeights(0.35))).toBeCloseTo(0.2, 10)
+    expect(blendWithWeights({ sim: 0.2, mkt: 0.4 }, staticBlendWeights(0.35))).toBeCloseTo(0.2, 10)
+    const blended = blendWithWeights({ sim: 0.2, dg: 0.3 }, { sim: 0.5, dg: 0.5, mkt: 0 })
+    expect(blended).toBeCloseTo(invLogit((logit(0.2) + logit(0.3)) / 2), 10)
+  })
+
+  it('learns to trust the better-calibrated source and beats the static weights', () => {
+    const defaults = staticBlendWeights(0.35)
+    const fit = fitBlendWeights(settledRows(), { defaults, minSamples: 100, ridge: 5 })
+    expect(fit.logLoss).toBeLessThan(fit.staticLogLoss)
+    expect(fit.weights.mkt).toBeGreaterThan(0.2)
+    expect(fit.weights.sim).toBeLessThan(defaults.sim)
+    expect(fit.weights.sim + fit.weights.dg + fit.weights.mkt).toBeCloseTo(1, 10)
+  })
+
+  it('stays near the static weights under strong regularisation or thin history', () => {
+    const defaults = staticBlendWeights(0.35)
+    const weak = fitBlendWeights(settledRows(), { defaults, minSamples: 100, ridge: 5 })
+    const strong = fitBlendWeights(settledRows(), { defaults, minSamples: 100, ridge: 5000 })
+    expect(strong.weights.mkt).toBeLessThan(weak.weights.mkt)
+    expect(Math.abs(strong.weights.sim - defaults.sim)).toBeLessThan(Math.abs(weak.weights.sim - defaults.sim))
+    expect(fitBlendWeights(settledRows(40), { defaults, minSamples: 100 })).toBeNull()
+  })
+
+  it('judges learned weights on the latest settled rows they were not fitted on', () => {
+    // The market priced the true rate at first, the simulation does lately.
+    const rows = settledRows().map((row, index) => {
+      const late = index >= 420
+      const trueRate = 0.05 + (index % 10) * 0.05
+      const noise = index % 2 === 0 ? 1 : -1
+      return {
+        ...row,
+        sim: late ? trueRate : row.sim,
+        mkt: late ? invLogit(logit(trueRate) - noise) : row.mkt,
+        settledAt: new Date(Date.UTC(2026, 0, 1) + index * 3600000)
+      }
+    })
+    expect(fitBlendWeights(rows, { defaults: staticBlendWeights(0.35), minSamples: 100, ridge: 5 })).toBeNull()
+
+    const fit = fitBlendWeights(settledRows(), { defaults: staticBlendWeights(0.35), minSamples: 100, ridge: 5 })
+    expect(fit.holdoutSize).toBe(180)
+    expect(fit.sampleSize).toBe(600)
+  })
+
+  it('uses an active version for its tour and market only', () => {
+    const defaults = staticBlendWeights(0.35)
+    setBlendWeightConfigs([{ tour: 'PGA', marketKey: 'win', version: 2, weightsJson: { sim: 0.5, dg: 0.2, mkt: 0.3 } }])
+    expect(getBlendWeights('win', 'pga', defaults)).toEqual({ sim: 0.5, dg: 0.2, mkt: 0.3 })
+    expect(getBlendWeights('top_5', 'PGA', defaults)).toBe(defaults)
+  })
+
+  it('reads the priced probabilities from stored outcome metrics', () => {
+    const inputs = readBlendInputs({
+      predictedProb: 0.11,
+      dgProb: null,
+      actualOutcome: 1,
+      confidenceJson: { externalAgreement: { simProb: 0.1, dgProb: 0.12 }, context: { marketProb: 0.09 } }
+    })
+    expect(inputs).toEqual({ sim: 0.1, dg: 0.12, mkt: 0.09, actualOutcome: 1, settledAt: null })
+
+    // Without a recorded simulation probability the row cannot be fitted on.
+    const published = readBlendInputs({ predictedProb: 0.11, dgProb: 0.12, actualOutcome: 0, confidenceJson: null })
+    expect(published.sim).toBeNull()
+    expect(fitBlendWeights(Array.from({ length: 200 }, () => published), { minSamples: 100 })).toBeNull()
+  })
+})
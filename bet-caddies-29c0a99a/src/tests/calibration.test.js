@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { fitCalibration, fitIsotonic, applyCalibrationParams } from '../engine/v2/calibration/fit.js'
+import { applyCalibration, setCalibrationTables, getCalibrationVersion } from '../engine/v2/calibration/index.js'
+import { buildOutcomeMetric } from '../observability/outcome-metrics.js'
+
+// Predictions that are systematically twice as confident as reality.
+const overconfidentRows = () => {
+  const rows = []
+  for (let i = 0; i < 400; i += 1) {
+    const predictedProb = 0.05 + (i % 10) * 0.05
+    const trueRate = predictedProb / 2
+    rows.push({ predictedProb, actualOutcome: (i * 7919) % 1000 < trueRate * 1000 ? 1 : 0 })
+  }
+  return rows
+}
+
+describe('calibration', () => {
+  afterEach(() => setCalibrationTables([]))
+
+  it('is the identity when no table is active', () => {
+    expect(applyCalibration(0.2, 'win', 'PGA')).toBe(0.2)
+    expect(getCalibrationVersion('win', 'PGA')).toBeNull()
+  })
+
+  it('produces a monotone isotonic map', () => {
+    const { points } = fitIsotonic([
+      { p: 0.1, y: 0 }, { p: 0.2, y: 1 }, { p: 0.3, y: 0 }, { p: 0.4, y: 1 }
+    ])
+    for (let i = 1; i < points.length; i += 1) {
+      expect(points[i].y).toBeGreaterThanOrEqual(points[i - 1].y)
+    }
+  })
+
+  it('fits overconfident predictions downwards and beats the baseline', () => {
+    const isotonic = fitCalibration(overconfidentRows(), { minSamples: 50, isotonicMinSamples: 300 })
+    expect(isotonic.method).toBe('isotonic')
+    expect(isotonic.logLoss).toBeLessThan(isotonic.baselineLogLoss)
+    expect(applyCalibrationParams(0.4, isotonic.method, isotonic.params)).toBeLessThan(0.4)
+
+    const platt = fitCalibration(overconfidentRows(), { minSamples: 50, isotonicMinSamples: 1000 })
+    expect(platt.method).toBe('platt')
+    expect(applyCalibrationParams(0.4, platt.method, platt.params)).toBeLessThan(0.4)
+  })
+
+  it('judges a fit on the latest settled rows it was not fitted on', () => {
+    // Overconfident at first, well calibrated lately: a map fitted on every row
+    // beats the baseline in sample but hurts the recent predictions.
+    const rows = []
+    for (let i = 0; i < 400; i += 1) {
+      const predictedProb = 0.05 + (i % 10) * 0.05
+      const trueRate = i < 280 ? predictedProb / 2 : predictedProb
+      rows.push({
+        predictedProb,
+        actualOutcome: (i * 7919) % 1000 < trueRate * 1000 ? 1 : 0,
+        settledAt: new Date(Date.UTC(2026, 0, 1) + i * 3600000)
+      })
+    }
+    expect(fitCalibration(rows, { minSamples: 50, isotonicMinSamples: 1000 })).toBeNull()
+
+    const fit = fitCalibration(overconfidentRows(), { minSamples: 50, isotonicMinSamples: 300, holdoutFraction: 0.25 })
+    expect(fit.holdoutSize).toBe(100)
+    expect(fit.sampleSize).toBe(400)
+  })
+
+  it('fits on the pre-calibration probability recorded with the outcome', () => {
+    // The published probability was already calibrated to the true rate.
+    const rows = overconfidentRows().map((row) => ({ ...row, rawProb: row.predictedProb, predictedProb: row.predictedProb / 2 }))
+    const fit = fitCalibration(rows, { minSamples: 50, isotonicMinSamples: 1000 })
+    expect(applyCalibrationParams(0.4, fit.method, fit.params)).toBeLessThan(0.3)
+
+    const metric = buildOutcomeMetric({
+      tour: 'PGA',
+      marketKey: 'win',
+      predictedProb: 0.1,
+      actualOutcome: 0,
+      confidenceJson: { context: { preCalibrationProb: 0.14 } }
+    })
+    expect(metric.rawProb).toBe(0.14)
+    expect(metric.predictedProb).toBe(0.1)
+  })
+
+  it('skips fits with too few samples', () => {
+    expect(fitCalibration(overconfidentRows().slice(0, 10), { minSamples: 50 })).toBeNull()
+  })
+
+  it('applies the active table for the tour and market', () => {
+    setCalibrationTables([
+      { id: 'cal-1', tour: 'PGA', marketKey: 'win', version: 3, method: 'platt', paramsJson: { a: 1, b: -1 } }
+    ])
+    expect(applyCalibration(0.2, 'win', 'pga')).toBeLessThan(0.2)
+    expect(applyCalibration(0.2, 'win', 'DPWT')).toBe(0.2)
+    expect(getCalibrationVersion('win', 'PGA')).toEqual({ id: 'cal-1', version: 3, method: 'platt' })
+  })
+})
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { estimateCashout, tradeOutValue, cashoutBucketStart, gradeCashoutAdvice } from '../domain/cashout.js'
+
+describe('cash-out estimator', () => {
+  it('matches the worked example in the cash-out plan', () => {
+    // S = 10 at 6.0, now 4.0 with p_live 0.25 and a 10% margin.
+    const estimate = estimateCashout({ placedOdds: 6, liveOdds: 4, pLive: 0.25, stake: 10, minBuffer: 0.5 })
+    expect(estimate.fairMarket).toBeCloseTo(15, 10)
+    expect(estimate.fairModel).toBeCloseTo(15, 10)
+    expect(estimate.exitValue).toBeCloseTo(13.5, 10)
+    expect(estimate.exitEv).toBeCloseTo(3.5, 10)
+    expect(estimate.holdEv).toBeCloseTo(5, 10)
+    expect(estimate.buffer).toBe(0.5)
+    expect(estimate).toMatchObject({ confidence: 'HIGH', recommendation: 'HOLD' })
+
+    // Without our own probability the same bet is only MEDIUM confidence.
+    expect(estimateCashout({ placedOdds: 6, liveOdds: 4, stake: 10, minBuffer: 0.5 }))
+      .toMatchObject({ confidence: 'MEDIUM', recommendation: 'WAIT' })
+  })
+
+  it('advises cashing out when the market is far keener than our model', () => {
+    const estimate = estimateCashout({ placedOdds: 10, liveOdds: 2, pLive: 0.3 })
+    // fair = 0.7 * 5 + 0.3 * 3 = 4.4, less 10% = 3.96 per unit
+    expect(estimate.exitValue).toBeCloseTo(3.96, 10)
+    expect(estimate.holdEv).toBeCloseTo(2, 10)
+    expect(estimate.recommendation).toBe('CASH_OUT')
+
+    expect(estimateCashout({ placedOdds: 10, liveOdds: 2, pLive: 0.3, mapped: false }))
+      .toMatchObject({ confidence: 'LOW', recommendation: 'WAIT' })
+  })
+
+  it('closes exchange bets at the lay price net of commission', () => {
+    // Backed at 6.0, now 4.0 to lay: 10 × 6 / 4 = 15 either way, 5 profit less 5%.
+    expect(tradeOutValue({ placedOdds: 6, layOdds: 4, stake: 10, commission: 0.05 })).toBeCloseTo(14.75, 10)
+    // Losing trade-outs pay no commission.
+    expect(tradeOutValue({ placedOdds: 4, layOdds: 6, stake: 10, commission: 0.05 })).toBeCloseTo(6.6667, 4)
+
+    const estimate = estimateCashout({ placedOdds: 6, liveOdds: 3.8, layOdds: 4, pLive: 0.3, stake: 10, commission: 0.05, minBuffer: 0.5 })
+    expect(estimate.exitValue).toBeCloseTo(14.75, 10)
+    expect(estimate.marginApplied).toBe(0)
+    // Holding returns 10 × (1 + 5 × 0.95) = 57.5 three times in ten.
+    expect(estimate.holdEv).toBeCloseTo(7.25, 10)
+    expect(estimate.recommendation).toBe('HOLD')
+
+    // Without a lay price the bookmaker proxy applies to the net return.
+    expect(estimateCashout({ placedOdds: 6, liveOdds: 4, stake: 10, commission: 0.05 }).exitValue)
+      .toBeCloseTo((57.5 / 4) * 0.9, 10)
+  })
+
+  it('gives no advice without a price or a probability', () => {
+    expect(estimateCashout({ placedOdds: 10 })).toMatchObject({ exitValue: null, recommendation: null })
+    expect(estimateCashout({ placedOdds: null, liveOdds: 2 })).toBeNull()
+  })
+
+  it('buckets snapshots and grades advice after settlement', () => {
+    const bucket = cashoutBucketStart(new Date('2026-10-18T14:37:12Z'), 15)
+    expect(bucket.toISOString()).toBe('2026-10-18T14:30:00.000Z')
+
+    expect(gradeCashoutAdvice({ recommendation: 'CASH_OUT', exitValue: 3.96, settledReturn: 0 }))
+      .toEqual({ correct: true, gain: 3.96 })
+    expect(gradeCashoutAdvice({ recommendation: 'HOLD', exitValue: 3.96, settledReturn: 10 }))
+      .toEqual({ correct: true, gain: 10 - 3.96 })
+    expect(gradeCashoutAdvice({ recommendation: 'WAIT', exitValue: 3.96, settledReturn: 10 })).toBeNull()
+  })
+})
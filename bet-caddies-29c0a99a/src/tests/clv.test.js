@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import {
+  latestPricesBefore,
+  closingFairProbabilities,
+  computeClv,
+  buildClvReport
+} from '../domain/clv.js'
+
+const at = (hour) => new Date(Date.UTC(2026, 9, 22, hour))
+
+describe('closing line value', () => {
+  it('takes the latest price per book at or before the cutoff', () => {
+    const latest = latestPricesBefore([
+      { selectionName: 'Scottie Scheffler', bookmaker: 'bet365', oddsDecimal: 5, capturedAt: at(6) },
+      { selectionName: 'Scottie Scheffler', bookmaker: 'bet365', oddsDecimal: 4.5, capturedAt: at(10) },
+      { selectionName: 'Scottie Scheffler', bookmaker: 'bet365', oddsDecimal: 4, capturedAt: at(13) },
+      { selectionName: 'Scottie Scheffler', bookmaker: 'skybet', oddsDecimal: 4.8, capturedAt: at(8) },
+      { selectionName: 'Rory McIlroy', bookmaker: 'skybet', oddsDecimal: 1, capturedAt: at(8) }
+    ], at(12))
+
+    expect(Array.from(latest.keys())).toEqual(['Scottie Scheffler'])
+    const scheffler = latest.get('Scottie Scheffler')
+    expect(scheffler.get('bet365')).toEqual({ odds: 4.5, capturedAt: at(10) })
+    expect(scheffler.get('skybet').odds).toBe(4.8)
+  })
+
+  it('de-vigs closing prices per book and combines books by median', () => {
+    const prices = (entries) => new Map(entries)
+    const field = new Map([
+      ['A', prices([['bet365', { odds: 1.9 }], ['skybet', { odds: 1.8 }]])],
+      ['B', prices([['bet365', { odds: 1.9 }], ['skybet', { odds: 2.1 }]])]
+    ])
+    const fair = closingFairProbabilities(field, { method: 'multiplicative' })
+    // bet365 prices an even field and skybet favours A; with two books the
+    // median is the lower estimate.
+    expect(fair.get('A')).toBeCloseTo(0.5, 6)
+    expect(fair.get('B')).toBeCloseTo((1 / 2.1) / (1 / 1.8 + 1 / 2.1), 6)
+
+    // A matchup pairing is only de-vigged where a book prices both sides.
+    const matchups = new Map([
+      ['A vs B', prices([['bet365', { odds: 1.8 }], ['skybet', { odds: 1.7 }]])],
+      ['B vs A', prices([['bet365', { odds: 2 }]])],
+      ['C vs D', prices([['bet365', { odds: 1.9 }]])]
+    ])
+    const matchupFair = closingFairProbabilities(matchups, { matchup: true })
+    expect(matchupFair.get('A vs B')).toBeCloseTo((1 / 1.8) / (1 / 1.8 + 1 / 2), 6)
+    expect(matchupFair.get('A vs B') + matchupFair.get('B vs A')).toBeCloseTo(1, 6)
+    expect(matchupFair.has('C vs D')).toBe(false)
+
+    expect(closingFairProbabilities(field, { total: null }).size).toBe(0)
+  })
+
+  it('computes CLV and summarises it by tier, market and tour', () => {
+    expect(computeClv({ publishedOdds: 11, closingOdds: 10, closingBestOdds: 11, closingFairProb: 0.1 }))
+      .toEqual({ clvOdds: expect.closeTo(0.1, 6), clvBestOdds: 0, clvEv: expect.closeTo(0.1, 6) })
+    expect(computeClv({ publishedOdds: 3 })).toEqual({ clvOdds: null, clvBestOdds: null, clvEv: null })
+
+    const report = buildClvReport([
+      { tier: 'par', marketKey: 'top_10', tour: 'PGA', clvOdds: 0.1, clvBestOdds: 0, clvEv: 0.05 },
+      { tier: 'par', marketKey: 'win', tour: 'PGA', clvOdds: -0.05, clvBestOdds: -0.1, clvEv: -0.02 },
+      { tier: 'eagle', marketKey: 'win', tour: 'DPWT', clvOdds: null, clvBestOdds: 0.2, clvEv: 0.3 }
+    ])
+
+    expect(report.overall).toMatchObject({ picks: 3, withClose: 2, beatCloseRate: 0.5 })
+    expect(report.overall.avgClvOdds).toBeCloseTo(0.025, 6)
+    expect(report.overall.avgClvEv).toBeCloseTo(0.11, 6)
+    expect(report.byTier.map((row) => row.key)).toEqual(['par', 'eagle'])
+    expect(report.byTier[1]).toMatchObject({ withClose: 0, avgClvOdds: null, beatCloseRate: null, avgClvBestOdds: 0.2 })
+    expect(report.byMarket.find((row) => row.key === 'win').picks).toBe(2)
+    expect(report.byTour.find((row) => row.key === 'DPWT').picks).toBe(1)
+    expect(buildClvReport([]).overall).toMatchObject({ picks: 0, avgClvOdds: null })
+  })
+})
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { buildCourseProfile, BASELINE_DEMANDS } from '../engine/v2/course-profile.js'
+import { buildPlayerParams } from '../engine/v2/player-params.js'
+
+const skillRatings = [
+  { player_name: 'Bomber, Big', sg_total: 1.5, sg_ott: 1.2, sg_app: 0.2, sg_arg: 0, sg_putt: 0.1 },
+  { player_name: 'Putter, Pure', sg_total: 1.5, sg_ott: -0.2, sg_app: 0.2, sg_arg: 0.3, sg_putt: 1.2 }
+]
+const players = [{ name: 'Bomber, Big' }, { name: 'Putter, Pure' }]
+
+describe('course fit', () => {
+  it('keeps baseline demands without course data', () => {
+    const profile = buildCourseProfile({ event: { id: 'e1' } })
+    for (const [category, share] of Object.entries(BASELINE_DEMANDS)) {
+      expect(profile.demands[category]).toBeCloseTo(share, 5)
+    }
+    expect(profile.variance).toBe(4)
+  })
+
+  it('shifts demand towards driving on long courses', () => {
+    const profile = buildCourseProfile({ course: { par: 72, yardage: 7700, typeTags: ['long'] } })
+    expect(profile.demands.ott).toBeGreaterThan(BASELINE_DEMANDS.ott)
+    expect(profile.demandSources.typeTags).toEqual(['long'])
+  })
+
+  it('favours the player whose splits match what the course rewards', () => {
+    const courseProfile = buildCourseProfile({ course: { par: 72, yardage: 7700, typeTags: ['long'] } })
+    const [bomber, putter] = buildPlayerParams({ players, skillRatings, courseProfile })
+    expect(bomber.courseFit.meanAdjustment).toBeLessThan(0)
+    expect(putter.courseFit.meanAdjustment).toBeGreaterThan(0)
+    expect(bomber.mean).toBeLessThan(putter.mean)
+  })
+
+  it('leaves params unchanged without a course profile', () => {
+    const [bomber, putter] = buildPlayerParams({ players, skillRatings })
+    expect(bomber.mean).toBe(putter.mean)
+    expect(bomber.courseFit).toBeUndefined()
+  })
+
+  it('scales volatility with historical scoring variance', () => {
+    const historicalRounds = Array.from({ length: 200 }, (_, i) => ({ statsJson: { score: 70 + (i % 2 ? 4 : -4) } }))
+    const courseProfile = buildCourseProfile({ historicalRounds })
+    const [withCourse] = buildPlayerParams({ players, skillRatings, courseProfile })
+    const [baseline] = buildPlayerParams({ players, skillRatings })
+    expect(withCourse.courseFit.volatilityMultiplier).toBeGreaterThan(1)
+    expect(withCourse.volatility).toBeGreaterThan(baseline.volatility)
+  })
+})
@@ -17,6 +17,12 @@ const mockPrisma = vi.hoisted(() => ({
   },
   runArtifact: {
     create: vi.fn()
+  },
+  teeTime: {
+    findMany: vi.fn(async () => [])
+  },
+  weatherForecast: {
+    findFirst: vi.fn(async () => null)
   }
 }))
 
@@ -32,12 +38,15 @@ vi.mock('../engine/v2/probability-engine.js', () => ({
   }
 }))
 
-vi.mock('../engine/v2/tournamentSim.js', () => ({
-  simulateTournament: () => ({
+vi.mock('../engine/v2/sim-runner.js', () => ({
+  DEFAULT_SIM_WORKERS: 0,
+  runSimulation: async () => ({
     probabilities: new Map([
       ['player one', { win: 0.3 }],
       ['player two', { win: 0.2 }]
-    ])
+    ]),
+    simCount: 10000,
+    run: { requestedSimCount: 10000, chunks: 10, workers: 0, winStandardError: null, stoppedEarly: false }
   })
 }))
 
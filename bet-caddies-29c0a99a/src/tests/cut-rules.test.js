@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { resolveCutRule, buildCutRuleEventKey, describeCutRule } from '../engine/v2/cut-rules.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+
+const buildField = (size) => Array.from({ length: size }, (_, index) => ({
+  name: `player ${index + 1}`,
+  key: `player ${index + 1}`,
+  mean: (index - size / 2) * 0.05,
+  volatility: 2.8,
+  tail: 7,
+  makeCut: 0.5
+}))
+
+const averageMadeCut = (result) => {
+  const values = Array.from(result.probabilities.values()).map((entry) => entry.makeCut)
+  return values.reduce((a, b) => a + b, 0)
+}
+
+describe('cut rule registry', () => {
+  it('resolves event-specific rules before the tour default', () => {
+    expect(resolveCutRule({ tour: 'PGA', eventName: 'Masters Tournament' })).toMatchObject({
+      source: 'registry',
+      rule: { cutAfter: 2, cutSize: 50 }
+    })
+    expect(resolveCutRule({ tour: 'PGA', eventName: 'The Memorial Tournament presented by Workday' }).rule.tenShotRule).toBe(10)
+    expect(resolveCutRule({ tour: 'PGA', eventName: 'Travelers Championship' }).rule.cutAfter).toBe(0)
+    expect(resolveCutRule({ tour: 'DPWT', eventName: 'BMW PGA Championship' }).rule.cutSize).toBe(65)
+    expect(resolveCutRule({ tour: 'KFT', eventName: 'Some Open' })).toMatchObject({
+      source: 'tour_default',
+      rule: { cutAfter: 2, cutSize: 65 }
+    })
+  })
+
+  it('prefers an admin override and keys it by DataGolf id when known', () => {
+    const resolved = resolveCutRule({
+      tour: 'PGA',
+      eventName: 'Masters Tournament',
+      override: { cutAfter: 2, cutSize: 60, ties: false }
+    })
+    expect(resolved.source).toBe('override')
+    expect(resolved.rule).toMatchObject({ cutSize: 60, ties: false })
+    expect(buildCutRuleEventKey({ dgEventId: '14', eventName: 'Masters Tournament' })).toBe('dg:14')
+    expect(buildCutRuleEventKey({ eventName: '  Masters   Tournament ' })).toBe('name:masters tournament')
+    expect(describeCutRule(resolved.rule)).toBe('Top 60 after R2')
+  })
+
+  it('applies the cut size, ten-shot rule and no-cut events in the simulator', () => {
+    const players = buildField(120)
+    const base = { players, tour: 'PGA', simCount: 200, seed: 11 }
+
+    const top65 = simulateTournament({ ...base, cutRule: { cutAfter: 2, cutSize: 65, ties: false } })
+    expect(averageMadeCut(top65)).toBeCloseTo(65, 5)
+
+    const top50 = simulateTournament({ ...base, cutRule: { cutAfter: 2, cutSize: 50, ties: false } })
+    const withTenShot = simulateTournament({ ...base, cutRule: { cutAfter: 2, cutSize: 50, ties: false, tenShotRule: 10 } })
+    expect(averageMadeCut(top50)).toBeCloseTo(50, 5)
+    expect(averageMadeCut(withTenShot)).toBeGreaterThan(50)
+
+    // Round-mode totals are continuous, but the cut line is drawn in whole strokes.
+    const withTies = simulateTournament({ ...base, cutRule: { cutAfter: 2, cutSize: 65, ties: true } })
+    expect(averageMadeCut(withTies)).toBeGreaterThan(66)
+
+    const noCut = simulateTournament({ ...base, cutRule: { cutAfter: 0, cutSize: 0 } })
+    for (const entry of noCut.probabilities.values()) expect(entry.makeCut).toBeCloseTo(1, 2)
+  })
+
+  it('trims the field again at a secondary cut', () => {
+    const players = buildField(100)
+    const result = simulateTournament({
+      players,
+      tour: 'PGA',
+      simCount: 100,
+      seed: 5,
+      emitScores: true,
+      cutRule: { cutAfter: 2, cutSize: 70, ties: false, secondaryCut: { after: 3, size: 40, ties: false } }
+    })
+    expect(averageMadeCut(result)).toBeCloseTo(70, 5)
+    const { roundScores, playerKeys, rounds } = result.scores
+    let finalRoundPlayers = 0
+    for (let index = 0; index < playerKeys.length; index += 1) {
+      if (!Number.isNaN(roundScores[index * rounds + 3])) finalRoundPlayers += 1
+    }
+    expect(finalRoundPlayers).toBe(40)
+  })
+})
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import {
+  deadHeatFraction,
+  settledReturn,
+  formatDeadHeatFraction,
+  parseMatchupTieRules,
+  resolveMatchupTieRule
+} from '../domain/dead-heat.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+import { buildHoleProfile } from '../engine/v2/hole-profile.js'
+
+describe('dead-heat settlement', () => {
+  it('splits the stake across players tied for the last places', () => {
+    expect(deadHeatFraction({ position: 9, tiedCount: 3, places: 10 })).toBeCloseTo(2 / 3)
+    expect(deadHeatFraction({ position: 10, tiedCount: 4, places: 10 })).toBeCloseTo(1 / 4)
+    expect(deadHeatFraction({ position: 4, tiedCount: 3, places: 10 })).toBe(1)
+    expect(deadHeatFraction({ position: 11, tiedCount: 1, places: 10 })).toBe(0)
+    expect(deadHeatFraction({ position: null, places: 10 })).toBeNull()
+  })
+
+  it('pays the dead-heat share at full odds', () => {
+    expect(settledReturn({ outcome: 'won', stake: 30, oddsDecimal: 4, deadHeatFraction: 2 / 3 })).toBeCloseTo(80)
+    expect(settledReturn({ outcome: 'lost', stake: 30, oddsDecimal: 4 })).toBe(0)
+    expect(settledReturn({ outcome: 'void', stake: 30, oddsDecimal: 4 })).toBe(30)
+    expect(settledReturn({ outcome: 'pending', stake: 30, oddsDecimal: 4 })).toBeNull()
+    expect(formatDeadHeatFraction(2 / 3)).toBe('2/3')
+    expect(formatDeadHeatFraction(1)).toBeNull()
+  })
+
+  it('resolves matchup tie rules per market and book', () => {
+    const overrides = parseMatchupTieRules('bet365:dead_heat, fanduel/3_balls:void, unibet:maybe')
+    expect(overrides.size).toBe(2)
+    expect(resolveMatchupTieRule({ marketKey: 'round_matchups' })).toBe('void')
+    expect(resolveMatchupTieRule({ marketKey: '3_balls', bookmaker: 'unibet', overrides })).toBe('dead_heat')
+    expect(resolveMatchupTieRule({ marketKey: 'round_matchups', bookmaker: 'bet365', overrides })).toBe('dead_heat')
+    expect(resolveMatchupTieRule({ marketKey: '3_balls', bookmaker: 'FanDuel', overrides })).toBe('void')
+    expect(resolveMatchupTieRule({ marketKey: 'round_matchups', bookmaker: 'fanduel', overrides })).toBe('void')
+  })
+
+  it('prices top-N markets so the field sums to the places paid', () => {
+    // Hole-by-hole scoring produces whole-stroke totals, so ties are common.
+    const players = Array.from({ length: 40 }, (_, index) => ({
+      name: `player ${index + 1}`,
+      key: `player ${index + 1}`,
+      mean: 0,
+      volatility: 1,
+      tail: 7,
+      makeCut: 0.9
+    }))
+    const holes = buildHoleProfile({ course: { par: 72 } }).holes
+    const result = simulateTournament({ players, tour: 'LIV', rounds: 3, simCount: 200, seed: 3, holes })
+    const entries = Array.from(result.probabilities.values())
+    for (const places of [5, 10, 20]) {
+      const sum = entries.reduce((total, entry) => total + entry[`top${places}`], 0)
+      expect(sum).toBeCloseTo(places, 1)
+    }
+    expect(entries.some((entry) => entry.deadHeat.top10 < 1)).toBe(true)
+  })
+
+  it('applies dead heats to round-mode totals tied on whole strokes', () => {
+    const players = Array.from({ length: 40 }, (_, index) => ({
+      name: `player ${index + 1}`,
+      key: `player ${index + 1}`,
+      mean: 0,
+      volatility: 2.8,
+      tail: 7,
+      makeCut: 0.9
+    }))
+    const result = simulateTournament({ players, tour: 'LIV', rounds: 3, simCount: 200, seed: 3 })
+    const entries = Array.from(result.probabilities.values())
+    for (const places of [5, 10, 20]) {
+      const sum = entries.reduce((total, entry) => total + entry[`top${places}`], 0)
+      expect(sum).toBeCloseTo(places, 1)
+    }
+    expect(entries.some((entry) => entry.deadHeat.top10 < 1)).toBe(true)
+  })
+  it('splits the first-round leader market on whole-stroke ties', () => {
+    const players = Array.from({ length: 40 }, (_, index) => ({
+      name: `player ${index + 1}`,
+      key: `player ${index + 1}`,
+      mean: 0,
+      volatility: 2.8,
+      tail: 7,
+      makeCut: 0.9
+    }))
+    const result = simulateTournament({ players, tour: 'LIV', rounds: 3, simCount: 200, seed: 3 })
+    const tallies = Array.from(result.tallies.stats.values())
+    expect(tallies.reduce((total, row) => total + row.frl, 0)).toBeCloseTo(200, 6)
+    expect(tallies.some((row) => !Number.isInteger(row.frl))).toBe(true)
+  })
+})
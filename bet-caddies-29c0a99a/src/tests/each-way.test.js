@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parsePlaceFraction,
+  parseEachWayTerms,
+  resolveEachWayTerms,
+  eachWayEv,
+  eachWayPayoutOdds,
+  settleEachWay,
+  describeEachWayTerms
+} from '../domain/each-way.js'
+import { placeProbabilities } from '../engine/v2/marketWrappers.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+
+describe('each-way terms', () => {
+  it('parses book terms with per-tour overrides', () => {
+    expect(parsePlaceFraction('1/5')).toBeCloseTo(0.2)
+    expect(parsePlaceFraction('0.25')).toBe(0.25)
+    expect(parsePlaceFraction('5/4')).toBeNull()
+
+    const terms = parseEachWayTerms('bet365:8:1/5, skybet:10:1/5, bet365/dpwt:6:1/4, unibet:0:1/5, paddypower:5')
+    expect(Array.from(terms.keys())).toEqual(['bet365', 'skybet', 'bet365/DPWT'])
+    expect(resolveEachWayTerms({ offer: { bookmaker: 'bet365' }, tour: 'PGA', overrides: terms })).toEqual({ places: 8, fraction: 0.2 })
+    expect(resolveEachWayTerms({ offer: { book: 'bet365' }, tour: 'DPWT', overrides: terms })).toEqual({ places: 6, fraction: 0.25 })
+    // Terms quoted on the offer win over configured ones.
+    expect(resolveEachWayTerms({ offer: { bookmaker: 'skybet', ewPlaces: 7, ewFraction: 0.2 }, overrides: terms })).toEqual({ places: 7, fraction: 0.2 })
+    expect(resolveEachWayTerms({ offer: { bookmaker: 'betfair' }, overrides: terms })).toBeNull()
+    expect(describeEachWayTerms({ places: 8, fraction: 0.2 })).toBe('8 places at 1/5')
+  })
+
+  it('prices each-way EV from the win and exact-place probabilities', () => {
+    // 41.0 at 1/5 pays 9.0 on the place part.
+    const pricing = { winProb: 0.03, placeProb: 0.2, oddsDecimal: 41, fraction: 0.2 }
+    expect(eachWayEv(pricing)).toBeCloseTo((0.03 * 41 + 0.2 * 9) / 2 - 1, 10)
+    const payoutOdds = eachWayPayoutOdds(pricing)
+    expect(pricing.placeProb * payoutOdds - 1).toBeCloseTo(eachWayEv(pricing), 10)
+    expect(eachWayEv({ ...pricing, oddsDecimal: 1 })).toBeNaN()
+  })
+
+  it('settles both parts with dead heats on the last place', () => {
+    const base = { places: 5, fraction: 0.25, oddsDecimal: 21, stake: 2 }
+    // Outright winner: 1 x 21 + 1 x 6.
+    expect(settleEachWay({ ...base, position: 1 })).toMatchObject({ outcome: 'won', winDeadHeat: 1, placeDeadHeat: 1, totalReturn: 27 })
+    // Two tied for the win: each part's win share halves, the place part is full.
+    expect(settleEachWay({ ...base, position: 1, tiedCount: 2 }).totalReturn).toBeCloseTo(10.5 + 6)
+    // Three tied for 4th share two places.
+    const tied = settleEachWay({ ...base, position: 4, tiedCount: 3 })
+    expect(tied).toMatchObject({ outcome: 'placed', winDeadHeat: null })
+    expect(tied.placeDeadHeat).toBeCloseTo(2 / 3)
+    expect(tied.totalReturn).toBeCloseTo(6 * 2 / 3)
+    expect(settleEachWay({ ...base, position: 6 })).toMatchObject({ outcome: 'lost', totalReturn: 0 })
+    // Placing at 3.0 with 1/4 terms returns less than the stake.
+    expect(settleEachWay({ places: 5, fraction: 0.25, oddsDecimal: 3, stake: 1, position: 3 })).toMatchObject({ outcome: 'placed', totalReturn: 0.75 })
+    expect(settleEachWay({ ...base, position: null }).outcome).toBeNull()
+  })
+
+  it('reads payout-equivalent place probabilities for any place count', () => {
+    const players = Array.from({ length: 12 }, (_, index) => ({
+      name: `p${index}`,
+      key: `p${index}`,
+      mean: index * 0.2 - 1,
+      volatility: 2.5,
+      tail: 7
+    }))
+    const result = simulateTournament({ players, simCount: 300, seed: 11, emitScores: true })
+    const places = placeProbabilities(result.scores, [1, 5, 7])
+    const total = (count) => Array.from(places.values()).reduce((sum, row) => sum + row[count], 0)
+    expect(total(1)).toBeCloseTo(1, 6)
+    expect(total(7)).toBeCloseTo(7, 6)
+    expect(places.get('p0')[5]).toBeCloseTo(result.probabilities.get('p0').top5, 6)
+    expect(places.get('p0')[7]).toBeGreaterThan(places.get('p0')[5])
+
+    // Three tied for 2nd share the single remaining place in a top-2 market.
+    // Round-mode totals are continuous; players tie on whole strokes.
+    const sims = { simCount: 1, playerKeys: ['a', 'b', 'c', 'd'], playerIndex: new Map(), totals: Float32Array.from([270.2, 271.9, 272.1, 272.4]) }
+    const tied = placeProbabilities(sims, [2])
+    expect(tied.get('a')[2]).toBe(1)
+    expect(tied.get('b')[2]).toBeCloseTo(1 / 3)
+    expect(placeProbabilities(null, [5]).size).toBe(0)
+  })
+})
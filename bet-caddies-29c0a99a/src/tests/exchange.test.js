@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isExchangeBook,
+  netBackOdds,
+  netOfferOdds,
+  hasBackLiquidity,
+  parseExchangePrice
+} from '../sources/odds/exchange.js'
+import { parseOutrightsOffers } from '../sources/datagolf/parsers.js'
+
+describe('exchange pricing', () => {
+  it('nets commission out of back prices for exchange offers only', () => {
+    expect(isExchangeBook('Betfair')).toBe(true)
+    expect(isExchangeBook('bet365')).toBe(false)
+    expect(netBackOdds(11, 0.05)).toBeCloseTo(10.5, 10)
+    expect(netBackOdds(1, 0.05)).toBeNaN()
+
+    expect(netOfferOdds({ book: 'betfair', oddsDecimal: 5 }, { commission: 0.02 })).toBeCloseTo(4.92, 10)
+    expect(netOfferOdds({ bookmaker: 'skybet', oddsDecimal: 5 }, { commission: 0.02 })).toBe(5)
+  })
+
+  it('reads back, lay and liquidity from exchange feed values', () => {
+    expect(parseExchangePrice(6.2)).toEqual({ back: 6.2, lay: null, backLiquidity: null, layLiquidity: null })
+    expect(parseExchangePrice({ back: 6.2, lay: 6.6, back_size: 140, lay_size: '35.5' }))
+      .toEqual({ back: 6.2, lay: 6.6, backLiquidity: 140, layLiquidity: 35.5 })
+    expect(parseExchangePrice({ book: 'betfair', odds: { back_price: 3, lay_price: 3.1 }, available_to_back: 20 }))
+      .toMatchObject({ back: 3, lay: 3.1, backLiquidity: 20 })
+    expect(parseExchangePrice({ lay: 4 })).toBeNull()
+
+    expect(hasBackLiquidity({ backLiquidity: 20 }, 50)).toBe(false)
+    expect(hasBackLiquidity({ backLiquidity: 80 }, 50)).toBe(true)
+    expect(hasBackLiquidity({ backLiquidity: null }, 50)).toBe(true)
+  })
+
+  it('keeps exchange lay prices on parsed offers', () => {
+    const parsed = parseOutrightsOffers({
+      odds: [
+        { player_name: 'Player One', dg_id: 101, bet365: 9, betfair: { back: 10, lay: 10.5, back_size: 250, lay_size: 90 } },
+        { player_name: 'Player Two', dg_id: 202, books: [{ book: 'betfair', odds: 21, lay: 23 }, { book: 'skybet', odds: 17 }] }
+      ]
+    }, { market: 'win' })
+
+    const exchange = parsed.offers.filter((offer) => offer.book === 'betfair')
+    expect(exchange).toEqual([
+      expect.objectContaining({ selectionName: 'Player One', oddsDecimal: 10, layOdds: 10.5, backLiquidity: 250, layLiquidity: 90 }),
+      expect.objectContaining({ selectionName: 'Player Two', oddsDecimal: 21, layOdds: 23, backLiquidity: null })
+    ])
+    const bookmaker = parsed.offers.find((offer) => offer.book === 'skybet')
+    expect(bookmaker).not.toHaveProperty('layOdds')
+  })
+})
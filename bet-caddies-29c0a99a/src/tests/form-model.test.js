@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import { buildFormRatings, TOUR_ROUND_SG_SD, TOUR_ROUND_SG_KURTOSIS } from '../engine/v2/form-model.js'
+import { buildPlayerParams } from '../engine/v2/player-params.js'
+
+const buildRounds = (playerId, values, year = 2026) => values.map((sg, index) => ({
+  playerId,
+  year,
+  round: (index % 4) + 1,
+  teeTimeUtc: new Date(Date.UTC(year, 0, 1) + index * 86400000).toISOString(),
+  statsJson: {},
+  strokesGainedJson: { sg_total: sg }
+}))
+
+describe('form model', () => {
+  it('weights recent rounds more heavily', () => {
+    // Oldest rounds first: a poor stretch followed by a hot one.
+    const rounds = buildRounds('101', [...new Array(40).fill(-1), ...new Array(20).fill(2)])
+    const form = buildFormRatings({ historicalRounds: rounds, halfLifeRounds: 10 }).get('101')
+    const plainMean = (40 * -1 + 20 * 2) / 60
+    expect(form.rounds).toBe(60)
+    expect(form.sgTotal).toBeGreaterThan(plainMean + 1)
+    expect(form.effectiveRounds).toBeLessThan(60)
+  })
+
+  it('estimates volatility from round-to-round spread, shrunk toward the tour norm', () => {
+    const steady = buildRounds('steady', Array.from({ length: 80 }, (_, i) => (i % 2 ? 0.5 : -0.5)))
+    const wild = buildRounds('wild', Array.from({ length: 80 }, (_, i) => (i % 2 ? 5 : -5)))
+    const sparse = buildRounds('sparse', [0.5, -0.5])
+    const ratings = buildFormRatings({ historicalRounds: [...steady, ...wild, ...sparse] })
+    expect(ratings.get('steady').roundSd).toBeLessThan(TOUR_ROUND_SG_SD)
+    expect(ratings.get('wild').roundSd).toBeGreaterThan(TOUR_ROUND_SG_SD)
+    expect(ratings.get('sparse').roundSd).toBeCloseTo(TOUR_ROUND_SG_SD, 0)
+  })
+
+  it('feeds player params with uncertainty shrinking as rounds accumulate', () => {
+    const formRatings = buildFormRatings({
+      historicalRounds: [
+        ...buildRounds('1', new Array(6).fill(1.5)),
+        ...buildRounds('2', new Array(100).fill(1.5))
+      ]
+    })
+    const players = [
+      { name: 'Few Rounds', dgId: '1' },
+      { name: 'Many Rounds', dgId: '2' },
+      { name: 'No History' }
+    ]
+    const [few, many, none] = buildPlayerParams({ players, formRatings })
+    expect(many.uncertainty).toBeLessThan(few.uncertainty)
+    expect(few.uncertainty).toBeLessThan(none.uncertainty)
+    expect(many.mean).toBeLessThan(few.mean)
+    expect(none.form).toBeNull()
+    for (const params of [few, many, none]) {
+      expect(Object.keys(params)).toEqual(expect.arrayContaining(['mean', 'volatility', 'uncertainty', 'tail', 'makeCut']))
+    }
+  })
+
+  it('estimates tail weight from the shape of round-to-round dispersion', () => {
+    // Same spread, different shape: mostly quiet rounds with rare blow-ups and
+    // heaters, against rounds evenly split either side of the mean.
+    const boomOrBust = Array.from({ length: 120 }, (_, i) => {
+      if (i % 20 === 0) return 8
+      if (i % 20 === 10) return -8
+      return i % 2 ? 1 : -1
+    })
+    const ratings = buildFormRatings({
+      historicalRounds: [
+        ...buildRounds('bomber', boomOrBust),
+        ...buildRounds('even', Array.from({ length: 120 }, (_, i) => (i % 2 ? 2.8 : -2.8)))
+      ],
+      halfLifeRounds: 1000
+    })
+    expect(ratings.get('bomber').kurtosis).toBeGreaterThan(TOUR_ROUND_SG_KURTOSIS + 1)
+    expect(ratings.get('even').kurtosis).toBeLessThan(TOUR_ROUND_SG_KURTOSIS)
+
+    const [bomber, even] = buildPlayerParams({
+      players: [{ name: 'Bomber', dgId: 'bomber' }, { name: 'Even', dgId: 'even' }],
+      formRatings: ratings
+    })
+    expect(bomber.tail).toBeGreaterThan(even.tail)
+    expect(bomber.kurtosis).toBe(ratings.get('bomber').kurtosis)
+  })
+
+  it('uses decomposition spreads as the volatility prior', () => {
+    const decompositions = [
+      { dg_id: 1, player_name: 'Wild, Will', std_deviation: 3.6 },
+      { dg_id: 2, player_name: 'Steady, Sam', std_deviation: 2.2 }
+    ]
+    const players = [{ name: 'Wild, Will', dgId: 1 }, { name: 'Steady, Sam', dgId: 2 }, { name: 'Unknown' }]
+    const [wild, steady, unknown] = buildPlayerParams({ players, decompositions })
+    expect(wild.volatility).toBeGreaterThan(unknown.volatility)
+    expect(steady.volatility).toBeLessThan(unknown.volatility)
+    expect(unknown.kurtosis).toBe(TOUR_ROUND_SG_KURTOSIS)
+
+    // Round history pulls the spread back toward the player's own record.
+    const formRatings = buildFormRatings({ historicalRounds: buildRounds('1', Array.from({ length: 200 }, (_, i) => (i % 2 ? 2.8 : -2.8))) })
+    const [wildWithHistory] = buildPlayerParams({ players, decompositions, formRatings })
+    expect(wildWithHistory.volatility).toBeLessThan(wild.volatility)
+  })
+})
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { buildLiveStartState } from '../engine/v2/live-state.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+
+const buildField = (size) => Array.from({ length: size }, (_, index) => ({
+  name: `player ${index + 1}`,
+  key: `player ${index + 1}`,
+  mean: 0,
+  volatility: 2.8,
+  tail: 7,
+  makeCut: 0.5
+}))
+
+describe('live start state', () => {
+  it('reads finished rounds, the round in progress and cut status from live rows', () => {
+    const players = [
+      { key: 'alpha', dgId: 1 },
+      { key: 'bravo', dgId: 2 },
+      { key: 'charlie', dgId: 3 },
+      { key: 'delta', dgId: 4 },
+      { key: 'nobody', dgId: 99 }
+    ]
+    const leaderboardRows = [
+      { dg_id: 1, player_name: 'Alpha', current_pos: 'T1', current_score: -9, today: -3, thru: 12, R1: 67, R2: 67 },
+      { dg_id: 2, player_name: 'Bravo', current_pos: '5', current_score: -4, today: -2, thru: 'F', R1: 69, R2: 69 },
+      { dg_id: 3, player_name: 'Charlie', current_pos: 'MC', current_score: 8, R1: 74, R2: 74 },
+      { dg_id: 4, player_name: 'Delta', current_pos: 'WD', current_score: 3, R1: 73 }
+    ]
+    // Live stats are fresher: Alpha has since made two more birdies.
+    const liveStatsRows = [{ dg_id: 1, player_name: 'Alpha', position: '1', total: -11, round: -5, thru: 14 }]
+
+    const { startState, matched, unmatched } = buildLiveStartState({ players, leaderboardRows, liveStatsRows })
+
+    expect(matched).toBe(4)
+    expect(unmatched).toEqual(['nobody'])
+    expect(startState.round).toBe(3)
+    expect(startState.cutMade).toBe(true)
+    // Par is estimated as 70 from Alpha's strokes against their score before today.
+    expect(startState.players.get('alpha')).toEqual({ rounds: [-3, -3], today: -5, thru: 14, madeCut: true, withdrawn: false })
+    // Bravo's finished third round has not reached the R3 column yet.
+    expect(startState.players.get('bravo').rounds).toEqual([-1, -1, -2])
+    expect(startState.players.get('charlie')).toMatchObject({ rounds: [4, 4], madeCut: false })
+    expect(startState.players.get('delta')).toMatchObject({ rounds: [3], withdrawn: true })
+    expect(startState.roundAverageToPar).toBeCloseTo(-5 / 14 * 18, 10)
+  })
+
+  it('returns no state when nobody in the field is on the leaderboard', () => {
+    const { startState, unmatched } = buildLiveStartState({ players: [{ key: 'alpha', dgId: 1 }], leaderboardRows: [] })
+    expect(startState).toBeNull()
+    expect(unmatched).toEqual(['alpha'])
+  })
+})
+
+describe('in-play simulation', () => {
+  it('resumes from the live leaderboard instead of the first tee', () => {
+    const players = buildField(80)
+    const state = new Map(players.map((player) => [player.key, { rounds: [0, 0, 0], today: 0, thru: 9 }]))
+    state.set('player 80', { rounds: [-6, -6, -4], today: -1, thru: 9 })
+    state.set('player 1', { rounds: [6, 5], madeCut: false })
+
+    const result = simulateTournament({
+      players,
+      simCount: 2000,
+      seed: 7,
+      emitScores: true,
+      startState: { round: 4, roundAverageToPar: 0, cutMade: true, players: state }
+    })
+
+    expect(result.probabilities.get('player 80').win).toBeGreaterThan(0.99)
+    expect(result.probabilities.get('player 80').frl).toBeGreaterThan(0.99)
+    // Probabilities are clamped to a floor of 0.001.
+    expect(result.probabilities.get('player 1').win).toBeLessThanOrEqual(0.001)
+    expect(result.probabilities.get('player 1').makeCut).toBeLessThanOrEqual(0.001)
+    expect(result.probabilities.get('player 2').makeCut).toBeGreaterThan(0.99)
+    // Finished rounds are fixed in every simulation.
+    const { roundScores, playerIndex, rounds } = result.scores
+    expect(roundScores[playerIndex.get('player 80') * rounds]).toBe(-6)
+  })
+
+  it('never ranks a withdrawn player, however low their score', () => {
+    const players = buildField(80)
+    const state = new Map(players.map((player) => [player.key, { rounds: [0, 0] }]))
+    state.set('player 1', { rounds: [-8, -7], withdrawn: true })
+
+    const result = simulateTournament({
+      players,
+      simCount: 500,
+      seed: 5,
+      startState: { round: 3, roundAverageToPar: 0, cutMade: true, players: state }
+    })
+
+    const tally = result.tallies.stats.get('player 1')
+    expect(tally.win).toBe(0)
+    expect(tally.top5).toBe(0)
+    expect(tally.top10).toBe(0)
+    expect(tally.top20).toBe(0)
+    const top20 = Array.from(result.tallies.stats.values()).reduce((sum, row) => sum + row.top20, 0)
+    expect(top20).toBeCloseTo(20 * 500, 6)
+  })
+
+  it('leaves pre-tournament simulations unchanged', () => {
+    const players = buildField(40)
+    const base = simulateTournament({ players, simCount: 300, seed: 11 })
+    const withoutState = simulateTournament({ players, simCount: 300, seed: 11, startState: null })
+    expect(withoutState.probabilities).toEqual(base.probabilities)
+  })
+})
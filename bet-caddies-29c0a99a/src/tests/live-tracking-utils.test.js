@@ -1,5 +1,11 @@
 import { describe, expect, it } from 'vitest'
-import { computeOddsMovement } from '../live-tracking/live-tracking-service.js'
+import {
+  computeOddsMovement,
+  buildFieldTieContext,
+  withFieldTies,
+  determineBetOutcome,
+  determineDeadHeatFraction
+} from '../live-tracking/live-tracking-service.js'
 
 describe('live tracking odds movement', () => {
   it('returns null when baseline or current missing', () => {
@@ -23,3 +29,40 @@ describe('live tracking odds movement', () => {
     expect(flat.deltaDecimal).toBeCloseTo(0)
   })
 })
+
+describe('live tracking dead-heat settlement', () => {
+  const field = [
+    { position: 1, r1: 66 },
+    { position: 9, r1: 66 },
+    { position: 9, r1: 70 },
+    { position: 9, r1: 71 },
+    { position: 12, r1: 72 }
+  ]
+  const context = buildFieldTieContext(field)
+
+  it('settles a T9 shared by three players in a top-10 market at 2/3', () => {
+    const scoring = withFieldTies(field[1], context)
+    const outcome = determineBetOutcome('top_10', scoring, 'completed')
+    expect(outcome).toBe('won')
+    expect(determineDeadHeatFraction('top_10', scoring, outcome)).toBeCloseTo(2 / 3)
+    expect(determineDeadHeatFraction('top_5', scoring, determineBetOutcome('top_5', scoring, 'completed'))).toBeNull()
+  })
+
+  it('settles a shared first-round lead as a dead heat', () => {
+    const scoring = withFieldTies(field[0], context)
+    const outcome = determineBetOutcome('frl', scoring, 'completed')
+    expect(outcome).toBe('won')
+    expect(determineDeadHeatFraction('frl', scoring, outcome)).toBeCloseTo(1 / 2)
+    expect(determineBetOutcome('frl', withFieldTies(field[2], context), 'completed')).toBe('lost')
+  })
+
+  it('settles each-way picks on the place terms', () => {
+    const scoring = withFieldTies(field[1], context)
+    const outcome = determineBetOutcome('each_way', scoring, 'completed', { ewPlaces: 10 })
+    expect(outcome).toBe('placed')
+    expect(determineDeadHeatFraction('each_way', scoring, outcome, { ewPlaces: 10 })).toBeCloseTo(2 / 3)
+    expect(determineBetOutcome('each_way', scoring, 'completed', { ewPlaces: 8 })).toBe('lost')
+    expect(determineBetOutcome('each_way', scoring, 'live', { ewPlaces: 10 })).toBe('pending')
+    expect(determineBetOutcome('each_way', scoring, 'completed')).toBeNull()
+  })
+})
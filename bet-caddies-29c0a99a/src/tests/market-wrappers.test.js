@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest'
+import { simulateTournament, MAX_SCORE_SIMS } from '../engine/v2/tournamentSim.js'
+import { matchupProbability, threeBallProbability } from '../engine/v2/marketWrappers.js'
+
+const players = [
+  { name: 'strong', key: 'strong', mean: -2, volatility: 2, tail: 7 },
+  { name: 'average', key: 'average', mean: 0, volatility: 2, tail: 7 },
+  { name: 'weak', key: 'weak', mean: 2, volatility: 2, tail: 7 }
+]
+
+describe('market wrappers', () => {
+  it('only emits score matrices when requested', () => {
+    const result = simulateTournament({ players, simCount: 50, seed: 3 })
+    expect(result.scores).toBeUndefined()
+  })
+
+  it('prices matchups and 3-balls from simulated score matrices', () => {
+    const result = simulateTournament({ players, simCount: 400, seed: 5, emitScores: true })
+    const { scores } = result
+    expect(scores.totals).toBeInstanceOf(Float32Array)
+    expect(scores.totals).toHaveLength(400 * players.length)
+    expect(scores.roundScores).toHaveLength(400 * players.length * 4)
+
+    const strongVsWeak = matchupProbability('strong', 'weak', scores)
+    const weakVsStrong = matchupProbability('weak', 'strong', scores)
+    expect(strongVsWeak).toBeGreaterThan(0.5)
+    expect(strongVsWeak + weakVsStrong).toBeCloseTo(1, 5)
+
+    const roundOne = matchupProbability('strong', 'weak', scores, { round: 1 })
+    expect(roundOne).toBeGreaterThan(0.5)
+    expect(roundOne).toBeLessThan(strongVsWeak)
+
+    const threeBall = ['strong', 'average', 'weak'].map((player, index, all) => {
+      const others = all.filter((other) => other !== player)
+      return threeBallProbability(player, others[0], others[1], scores, { round: 1 })
+    })
+    expect(threeBall.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 5)
+    expect(threeBall[0]).toBeGreaterThan(threeBall[2])
+  })
+
+  it('returns null for players missing from the simulation', () => {
+    const result = simulateTournament({ players, simCount: 20, seed: 9, emitScores: true })
+    expect(matchupProbability('strong', 'unknown', result.scores)).toBeNull()
+  })
+
+  it('caps stored sims to keep memory bounded', () => {
+    const result = simulateTournament({ players, simCount: MAX_SCORE_SIMS + 50, seed: 1, emitScores: true })
+    expect(result.simCount).toBe(MAX_SCORE_SIMS + 50)
+    expect(result.scores.simCount).toBe(MAX_SCORE_SIMS)
+    expect(result.scores.totals).toHaveLength(MAX_SCORE_SIMS * players.length)
+  })
+
+  it('still accepts plain per-sim objects', () => {
+    const sims = [{ a: 70, b: 71 }, { a: 72, b: 72 }]
+    expect(matchupProbability('a', 'b', sims)).toBe(0.75)
+  })
+
+  it('settles ties in whole strokes under dead-heat or void rules', () => {
+    const sims = [{ a: 70.2, b: 70.4 }, { a: 71, b: 72 }, { a: 69.9, b: 70.1 }]
+    expect(matchupProbability('a', 'b', sims)).toBe(1)
+    // Rounded to strokes, the first and last sims are ties.
+    expect(matchupProbability('a', 'b', sims, { strokes: true })).toBeCloseTo(2 / 3, 10)
+    expect(matchupProbability('a', 'b', sims, { strokes: true, ties: 'void' })).toBe(1)
+
+    const threeBalls = [{ a: 68, b: 68, c: 70 }, { a: 68, b: 69, c: 70 }, { a: 70, b: 69, c: 69 }, { a: 69, b: 69, c: 69 }]
+    expect(threeBallProbability('a', 'b', 'c', threeBalls)).toBeCloseTo((0.5 + 1 + 1 / 3) / 4, 10)
+    // Void returns the stake whenever the backed player ties for the best score.
+    expect(threeBallProbability('a', 'b', 'c', threeBalls, { ties: 'void' })).toBe(0.5)
+  })
+
+  it('produces realistic tie rates for simulated round matchups', () => {
+    const result = simulateTournament({ players, simCount: 2000, seed: 13, emitScores: true })
+    const deadHeat = matchupProbability('strong', 'average', result.scores, { round: 1, strokes: true })
+    const voided = matchupProbability('strong', 'average', result.scores, { round: 1, strokes: true, ties: 'void' })
+    // Excluding ties pushes the favourite's price further from even money.
+    expect(voided).toBeGreaterThan(deadHeat)
+    const reverse = matchupProbability('average', 'strong', result.scores, { round: 1, strokes: true, ties: 'void' })
+    expect(voided + reverse).toBeCloseTo(1, 5)
+  })
+})
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import { oddsHistoryEventKey, toOddsHistoryRows, buildPriceSeries } from '../domain/odds-history.js'
+
+const event = { id: 'te-1', tour: 'pga', dgEventId: '14', eventName: 'The Memorial Tournament' }
+
+describe('odds history', () => {
+  it('keys events across runs and skips unusable offers', () => {
+    expect(oddsHistoryEventKey(event)).toBe('PGA:dg:14')
+    expect(oddsHistoryEventKey({ tour: 'DPWT', eventName: '  Dubai   Desert Classic ' })).toBe('DPWT:name:dubai desert classic')
+    expect(oddsHistoryEventKey({ tour: 'PGA' })).toBeNull()
+
+    const capturedAt = new Date('2026-10-19T10:00:00Z')
+    const rows = toOddsHistoryRows([
+      { selectionName: 'Scottie Scheffler', selectionId: 18417, book: 'bet365', oddsDecimal: 4.5 },
+      { selectionName: 'Scheffler vs McIlroy', bookmaker: 'williamhill', oddsDecimal: 1.8 },
+      { selectionName: 'Rory McIlroy', book: 'bet365', oddsDecimal: 1 },
+      { selectionName: 'Xander Schauffele', oddsDecimal: 12 }
+    ], { event, marketKey: 'win', source: 'pipeline', runId: 'run-1', capturedAt })
+
+    expect(rows).toHaveLength(2)
+    expect(rows[0]).toEqual({
+      eventKey: 'PGA:dg:14',
+      tour: 'pga',
+      tourEventId: 'te-1',
+      marketKey: 'win',
+      selectionName: 'Scottie Scheffler',
+      dgPlayerId: '18417',
+      bookmaker: 'bet365',
+      oddsDecimal: 4.5,
+      source: 'pipeline',
+      runId: 'run-1',
+      capturedAt
+    })
+    expect(rows[1]).toMatchObject({ bookmaker: 'williamhill', dgPlayerId: null })
+  })
+
+  it('collapses repeated prices into step series and tracks the best price', () => {
+    const at = (hour) => new Date(Date.UTC(2026, 9, 19, hour))
+    const series = buildPriceSeries([
+      { bookmaker: 'bet365', oddsDecimal: 11, capturedAt: at(12) },
+      { bookmaker: 'bet365', oddsDecimal: 10, capturedAt: at(8) },
+      { bookmaker: 'skybet', oddsDecimal: 9, capturedAt: at(8) },
+      { bookmaker: 'bet365', oddsDecimal: 10, capturedAt: at(10) },
+      { bookmaker: 'skybet', oddsDecimal: 12, capturedAt: at(10) },
+      { bookmaker: 'skybet', oddsDecimal: 12, capturedAt: at(12) }
+    ])
+
+    const bet365 = series.books.find((book) => book.bookmaker === 'bet365')
+    expect(bet365.points.map((point) => point.odds)).toEqual([10, 11])
+    // A flat line keeps its last sighting so it runs to the end of the chart.
+    const skybet = series.books.find((book) => book.bookmaker === 'skybet')
+    expect(skybet.points).toEqual([
+      { t: at(8).toISOString(), odds: 9 },
+      { t: at(10).toISOString(), odds: 12 },
+      { t: at(12).toISOString(), odds: 12 }
+    ])
+
+    expect(series.best).toEqual([
+      { t: at(8).toISOString(), odds: 10, bookmaker: 'bet365' },
+      { t: at(10).toISOString(), odds: 12, bookmaker: 'skybet' },
+      { t: at(12).toISOString(), odds: 12, bookmaker: 'skybet' }
+    ])
+    expect(series.firstSeenAt).toBe(at(8).toISOString())
+    expect(series.lastSeenAt).toBe(at(12).toISOString())
+
+    expect(buildPriceSeries([])).toEqual({ books: [], best: [], firstSeenAt: null, lastSeenAt: null })
+  })
+})
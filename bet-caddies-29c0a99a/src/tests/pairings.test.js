@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest'
+import { parseAllPairings, resolveTeeTime, buildPairingIndex } from '../engine/v2/pairings.js'
+
+const payload = {
+  event_name: 'The Open Championship',
+  round: 2,
+  pairings: [
+    {
+      group: 1,
+      course: 'Royal Troon',
+      start_hole: 1,
+      teetime: '6:35am',
+      p1: { dg_id: 10, player_name: 'Alpha, Adam' },
+      p2: { dg_id: 11, player_name: 'Bravo, Ben' },
+      p3: { dg_id: 12, player_name: 'Charlie, Carl' }
+    },
+    { group: 2, start_hole: 10, teetime: '1:50pm', p1_player_name: 'Delta, Dan', p1_dg_id: 13, p2_player_name: 'Echo, Eli', p2_dg_id: 14 },
+    { group: 3, teetime: '2:01pm', p1: { dg_id: 15, player_name: 'Solo, Sam' } }
+  ]
+}
+
+describe('round pairings', () => {
+  it('parses nested and flat groupings from the all-pairings feed', () => {
+    const { round, eventName, groups } = parseAllPairings(payload)
+    expect(round).toBe(2)
+    expect(eventName).toBe('The Open Championship')
+    expect(groups).toHaveLength(2)
+    expect(groups[0]).toMatchObject({ round: 2, group: 1, startHole: 1, teeTime: '6:35am' })
+    expect(groups[0].players.map((player) => player.dgId)).toEqual(['10', '11', '12'])
+    expect(groups[1].players).toEqual([{ name: 'Delta, Dan', dgId: '13' }, { name: 'Echo, Eli', dgId: '14' }])
+  })
+
+  it('places clock tee times on the round date', () => {
+    const eventStart = new Date('2026-07-16T00:00:00Z')
+    expect(resolveTeeTime('6:35am', { eventStart, round: 2 }).toISOString()).toBe('2026-07-17T06:35:00.000Z')
+    expect(resolveTeeTime('1:50pm', { eventStart, round: 2 }).toISOString()).toBe('2026-07-17T13:50:00.000Z')
+    expect(resolveTeeTime('12:10am', { eventStart, round: 1 }).toISOString()).toBe('2026-07-16T00:10:00.000Z')
+    expect(resolveTeeTime('2026-07-17T08:00:00Z', { eventStart, round: 2 }).toISOString()).toBe('2026-07-17T08:00:00.000Z')
+    expect(resolveTeeTime('tbc', { eventStart, round: 2 })).toBeNull()
+  })
+
+  it('finds 3-balls and the 2-balls inside them by participants and round', () => {
+    const { groups } = parseAllPairings(payload)
+    const index = buildPairingIndex(groups, (player) => player.name.toLowerCase())
+    expect(index.rounds).toEqual([2])
+    expect(index.find(['charlie, carl', 'alpha, adam', 'bravo, ben'], 2)).toMatchObject({ group: 1 })
+    expect(index.find(['bravo, ben', 'charlie, carl'])).toMatchObject({ group: 1 })
+    expect(index.find(['echo, eli', 'delta, dan'], 2)).toMatchObject({ group: 2, startHole: 10 })
+    expect(index.find(['echo, eli', 'delta, dan'], 3)).toBeNull()
+    expect(index.find(['alpha, adam', 'delta, dan'])).toBeNull()
+  })
+})
@@ -9,6 +9,12 @@ const mockPrisma = vi.hoisted(() => ({
   },
   betRecommendation: {
     create: vi.fn()
+  },
+  teeTime: {
+    findMany: vi.fn()
+  },
+  weatherForecast: {
+    findFirst: vi.fn()
   }
 }))
 
@@ -60,6 +66,8 @@ describe('WeeklyPipeline dry run', () => {
       }
     ])
     mockPrisma.betRecommendation.create.mockResolvedValue({ id: 'bet-1' })
+    mockPrisma.teeTime.findMany.mockResolvedValue([])
+    mockPrisma.weatherForecast.findFirst.mockResolvedValue(null)
   })
 
   it('generates recommendations without writing in dry run', async () => {
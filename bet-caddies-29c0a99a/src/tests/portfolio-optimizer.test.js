@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+import { createCorrelationEstimator } from '../engine/portfolioOptimizer/joint-outcomes.js'
+import { optimiseTierPortfolio } from '../engine/portfolioOptimizer/optimizer.js'
+import { eachWayEv, eachWayPayoutOdds } from '../domain/each-way.js'
+
+const buildField = (size) => Array.from({ length: size }, (_, index) => ({
+  name: `player ${index + 1}`,
+  key: `player ${index + 1}`,
+  mean: (index - size / 2) * 0.08,
+  volatility: 2.8,
+  tail: 7,
+  makeCut: 0.5
+}))
+
+const candidate = (selectionKey, marketKey, ev, oddsDecimal) => ({
+  selectionKey,
+  selection: selectionKey,
+  marketKey,
+  ev,
+  edge: 0.02,
+  fairProb: (1 + ev) / oddsDecimal,
+  bestOffer: { oddsDecimal }
+})
+
+describe('correlation-aware portfolio optimiser', () => {
+  it('estimates pairwise correlation from joint simulated outcomes', () => {
+    const scores = simulateTournament({ players: buildField(100), tour: 'PGA', simCount: 1500, seed: 9, emitScores: true }).scores
+    const correlation = createCorrelationEstimator(scores)
+    const bet = (selectionKey, marketKey) => ({ selectionKey, marketKey })
+
+    expect(correlation(bet('player 1', 'win'), bet('player 1', 'top_5'))).toBeGreaterThan(0.3)
+    expect(correlation(bet('player 1', 'top_10'), bet('player 1', 'top_20'))).toBeGreaterThan(0.5)
+    expect(correlation(bet('player 1', 'win'), bet('player 2', 'win'))).toBeLessThan(0)
+    expect(correlation(bet('player 60', 'make_cut'), bet('player 60', 'mc'))).toBeCloseTo(-1, 6)
+    expect(correlation(bet('player 1', 'top_5'), bet('nobody', 'top_5'))).toBe(0)
+    expect(createCorrelationEstimator(null)(bet('player 1', 'win'), bet('player 1', 'top_5'))).toBe(0)
+  })
+
+  it('prefers a diversifying pick over a correlated one with higher EV', () => {
+    const aWin = candidate('a', 'win', 0.2, 6)
+    const aTop5 = candidate('a', 'top_5', 0.2, 6)
+    const bTop5 = candidate('b', 'top_5', 0.19, 6)
+    const correlation = (x, y) => (x.selectionKey === 'a' && y.selectionKey === 'a' ? 1 : 0)
+
+    const independent = optimiseTierPortfolio([aWin, aTop5, bTop5], { maxPicks: 2 })
+    expect(independent.picks).toEqual([aWin, aTop5])
+
+    const correlated = optimiseTierPortfolio([aWin, aTop5, bTop5], { maxPicks: 2, correlation })
+    expect(correlated.picks).toEqual([aWin, bTop5])
+    expect(correlated.growth).toBeGreaterThan(0)
+  })
+
+  it('counts earlier tiers and respects the variance budget and exposure caps', () => {
+    const aWin = candidate('a', 'win', 0.2, 6)
+    const aTop5 = candidate('a', 'top_5', 0.2, 6)
+    const bTop5 = candidate('b', 'top_5', 0.19, 6)
+    const correlation = (x, y) => (x.selectionKey === 'a' && y.selectionKey === 'a' ? 1 : 0)
+
+    const withPrior = optimiseTierPortfolio([aTop5, bTop5], { maxPicks: 1, correlation, prior: [aWin] })
+    expect(withPrior.picks).toEqual([bTop5])
+
+    const budgeted = optimiseTierPortfolio([aWin, aTop5, bTop5], { minPicks: 1, maxPicks: 3, maxSdUnits: 2 })
+    expect(budgeted.picks).toHaveLength(1)
+    expect(budgeted.sdUnits).toBeGreaterThan(2)
+
+    const capped = optimiseTierPortfolio([aWin, aTop5, bTop5], { maxPicks: 3, maxPerPlayer: 1 })
+    expect(capped.picks).toEqual([aWin, bTop5])
+  })
+  it('measures each-way risk from both the win and place-only returns', () => {
+    const pricing = { winProb: 0.06, placeProb: 0.3, oddsDecimal: 21, fraction: 0.25 }
+    const binary = {
+      selectionKey: 'a',
+      selection: 'a',
+      marketKey: 'each_way',
+      ev: eachWayEv(pricing),
+      edge: 0.05,
+      fairProb: pricing.placeProb,
+      payoutOdds: eachWayPayoutOdds(pricing),
+      bestOffer: { oddsDecimal: 21 }
+    }
+    const eachWay = { ...binary, eachWay: { places: 5, fraction: 0.25, winProb: 0.06, placeProb: 0.3 } }
+
+    // Same EV, but the winner's tail makes the two-outcome bet riskier, so it is staked less.
+    const sized = optimiseTierPortfolio([eachWay], { maxPicks: 1, maxUnitsPerPick: 100 })
+    const approximated = optimiseTierPortfolio([binary], { maxPicks: 1, maxUnitsPerPick: 100 })
+    expect(sized.picks).toEqual([eachWay])
+    expect(sized.growth).toBeLessThan(approximated.growth)
+  })
+})
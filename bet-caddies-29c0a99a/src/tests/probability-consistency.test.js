@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest'
+import { enforceProbabilityConsistency, findConsistencyViolations, LADDER } from '../engine/v2/probability-consistency.js'
+
+// A 30-player field whose lines nest per player and roughly fill their places.
+const buildField = () => {
+  const table = new Map()
+  const weights = Array.from({ length: 30 }, (_, index) => Math.exp(-index / 6))
+  const total = weights.reduce((sum, value) => sum + value, 0)
+  weights.forEach((weight, index) => {
+    const win = weight / total
+    table.set(`player ${index + 1}`, {
+      win,
+      top5: 1 - (1 - win) ** 5,
+      top10: 1 - (1 - win) ** 10,
+      top20: 1 - (1 - win) ** 20,
+      makeCut: 0.98
+    })
+  })
+  return table
+}
+
+const sumOf = (table, market) => Array.from(table.values()).reduce((sum, set) => sum + set[market], 0)
+
+describe('probability consistency', () => {
+  it('finds ladder breaks and field sums off target', () => {
+    const table = buildField()
+    table.get('player 1').top10 = table.get('player 1').top5 - 0.05
+    for (const set of table.values()) set.win *= 1.2
+
+    const { ladder, sums } = findConsistencyViolations(table)
+    expect(ladder).toEqual([{ player: 'player 1', violations: ['top10_below_top5'] }])
+    expect(sums.map(({ market }) => market)).toContain('win')
+  })
+
+  it('nests every ladder and brings each line to its number of places', () => {
+    const table = buildField()
+    table.get('player 3').top20 = 0.05
+    table.get('player 3').makeCut = 0.04
+    for (const set of table.values()) set.win *= 1.3
+
+    const { probabilities, violations, residuals } = enforceProbabilityConsistency(table)
+    expect(violations.ladder.map(({ player }) => player)).toContain('player 3')
+    for (const set of probabilities.values()) {
+      for (let index = 1; index < LADDER.length; index += 1) {
+        expect(set[LADDER[index]]).toBeGreaterThanOrEqual(set[LADDER[index - 1]] - 1e-12)
+      }
+    }
+    expect(sumOf(probabilities, 'win')).toBeCloseTo(1, 4)
+    expect(sumOf(probabilities, 'top20')).toBeCloseTo(20, 3)
+    expect(Math.abs(residuals.top5)).toBeLessThan(1e-3)
+    // The input table is left untouched.
+    expect(table.get('player 3').top20).toBe(0.05)
+  })
+
+  it('leaves a consistent field as it is and skips lines a small field cannot fill', () => {
+    const consistent = enforceProbabilityConsistency(buildField()).probabilities
+    const { probabilities, violations } = enforceProbabilityConsistency(consistent)
+    expect(violations).toEqual({ ladder: [], sums: [] })
+    expect(probabilities.get('player 1').win).toBeCloseTo(consistent.get('player 1').win, 6)
+    expect(probabilities.get('player 30').top20).toBeCloseTo(consistent.get('player 30').top20, 6)
+
+    const small = new Map([['a', { win: 0.6, top5: 1 }], ['b', { win: 0.6, top5: 1 }]])
+    const solved = enforceProbabilityConsistency(small).probabilities
+    expect(solved.get('a').win).toBeCloseTo(0.5, 6)
+    expect(solved.get('a').top5).toBe(1)
+  })
+})
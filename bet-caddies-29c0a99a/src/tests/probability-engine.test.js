@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { ProbabilityEngineV2, validateProbabilitySet } from '../engine/v2/probability-engine.js'
+
+const buildRatings = (size) => Array.from({ length: size }, (_, index) => ({
+  player_name: `Player ${index + 1}`,
+  rating: 2 - (4 * index) / (size - 1)
+}))
+
+describe('probability engine fallback', () => {
+  it('prices win and top-N from ratings so the field sums to the places paid', () => {
+    const model = new ProbabilityEngineV2().build({ skillRatings: buildRatings(156) })
+    const sets = Array.from({ length: 156 }, (_, index) => model.getPlayerProbs(`Player ${index + 1}`))
+    const sum = (key) => sets.reduce((total, set) => total + set[key], 0)
+
+    // Probabilities floored at 0.001 push the sums slightly above the places paid.
+    expect(sum('win')).toBeGreaterThan(0.99)
+    expect(sum('win')).toBeLessThan(1.1)
+    expect(sum('top5')).toBeCloseTo(5, 0)
+    expect(sum('top10')).toBeCloseTo(10, 0)
+    expect(sum('top20')).toBeCloseTo(20, 0)
+    expect(sum('makeCut')).toBeCloseTo(65, 0)
+
+    // The middle of a 156-man field is nowhere near 50% to win.
+    expect(sets[78].win).toBeLessThan(0.01)
+    expect(sets[0].win).toBeGreaterThan(sets[1].win)
+    for (const set of sets) {
+      expect(validateProbabilitySet(set).valid).toBe(true)
+      expect(set.source).toBe('fallback')
+    }
+  })
+
+  it('restricts the fallback to the event field when ratings cover more players', () => {
+    // DataGolf ratings list every ranked player; the field is every third of them.
+    const ratings = buildRatings(480).map((row, index) => ({ ...row, dg_id: 1000 + index }))
+    const field = ratings.filter((_, index) => index % 3 === 1).slice(0, 156)
+      .map((row, index) => (index % 2 === 0 ? { name: row.player_name } : { name: null, dgId: row.dg_id }))
+    expect(field).toHaveLength(156)
+
+    const model = new ProbabilityEngineV2().build({ skillRatings: ratings, field })
+    const sets = field.map((player) => model.getPlayerProbs({ name: player.name, id: player.dgId ?? null }))
+    const sum = (key) => sets.reduce((total, set) => total + set[key], 0)
+
+    expect(sets.every(Boolean)).toBe(true)
+    expect(sum('win')).toBeGreaterThan(0.99)
+    expect(sum('win')).toBeLessThan(1.1)
+    expect(sum('top20')).toBeCloseTo(20, 0)
+    expect(sum('makeCut')).toBeCloseTo(65, 0)
+    // Players outside the field get no fallback.
+    expect(model.getPlayerProbs('Player 1')).toBeNull()
+  })
+
+  it('rejects inconsistent sets before they can be blended', () => {
+    expect(validateProbabilitySet({ win: 0.2, top5: 0.1, top10: 0.4 })).toEqual({
+      valid: false,
+      violations: ['top5_below_win']
+    })
+    expect(validateProbabilitySet({ win: 0.1, top5: NaN, top10: 0.3 }).valid).toBe(true)
+    expect(validateProbabilitySet(null).valid).toBe(false)
+
+    const model = new ProbabilityEngineV2().build({
+      preTournamentPreds: [
+        // Implied odds: 4.0 to win but 10.0 for a top 5 is inconsistent.
+        { player_name: 'Player 1', dg_id: 11, win: 4, top_5: 10, top_10: 2 },
+        { player_name: 'Player 2', dg_id: 12, win: 40, top_5: 9, top_10: 5 }
+      ],
+      skillRatings: buildRatings(10)
+    })
+    expect(model.rejected).toEqual([{ player: 'player 1', source: 'datagolf', violations: ['top5_below_win'] }])
+    expect(model.getPlayerProbs({ name: 'Player 1', id: 11 }).source).toBe('fallback')
+    expect(model.getPlayerProbs({ name: 'Player 2', id: 12 }).source).toBe('datagolf')
+  })
+})
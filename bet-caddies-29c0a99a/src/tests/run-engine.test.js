@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { runEngine, runOptimalEngine, compareEngineResults } from '../engine/runEngine.js'
+
+const candidate = (selection, marketKey, edge, ev, oddsDecimal, extra = {}) => ({
+  selection,
+  selectionKey: selection.toLowerCase(),
+  marketKey,
+  edge,
+  ev,
+  fairProb: 0.2,
+  bestOffer: { oddsDecimal, bookmaker: 'bet365', selectionId: null },
+  ...extra
+})
+
+const candidates = [
+  candidate('Alpha', 'top_10', 0.09, 0.4, 5),
+  candidate('Alpha', 'top_20', 0.06, 0.2, 2.5),
+  candidate('Alpha', 'win', 0.04, 0.5, 30),
+  candidate('Bravo', 'top_5', 0.035, 0.3, 9),
+  candidate('Charlie', 'top_20', -0.01, -0.05, 2.2),
+  candidate('Delta', 'win', 0.02, 0.1, 80, { bestOffer: { oddsDecimal: NaN } })
+]
+
+describe('shadow engine', () => {
+  it('optimises over eligible candidates with per-player and total caps', async () => {
+    const { bets } = await runOptimalEngine({ candidates, limits: { maxPerPlayer: 2, maxTotal: 10 } })
+    expect(bets.map((bet) => bet.key)).toEqual(['top_10:alpha', 'top_20:alpha', 'top_5:bravo'])
+    expect(bets.map((bet) => bet.tier)).toEqual(['PAR', 'BIRDIE', 'EAGLE'])
+  })
+
+  it('keeps the live picks active and compares them with the shadow picks', async () => {
+    const selected = [
+      { ...candidates[2], tier: 'LONG_SHOTS' },
+      { ...candidates[0], tier: 'BIRDIE' },
+      { ...candidates[4], tier: 'PAR', isFallback: true }
+    ]
+    const result = await runEngine({ candidates, selected, limits: { maxPerPlayer: 2, maxTotal: 2 } })
+
+    expect(result.active.source).toBe('legacy')
+    expect(result.active.bets).toHaveLength(3)
+    expect(result.shadow.bets.map((bet) => bet.key)).toEqual(['top_10:alpha', 'top_20:alpha'])
+    expect(result.comparison).toMatchObject({
+      overlap: ['top_10:alpha'],
+      sameTier: 0,
+      onlyLegacy: ['win:alpha', 'top_20:charlie'],
+      onlyOptimal: ['top_20:alpha']
+    })
+    expect(result.comparison.legacy.totalEv).toBeCloseTo(0.85, 10)
+    expect(result.comparison.optimal.byTier).toEqual({ PAR: 1, BIRDIE: 1 })
+  })
+
+  it('reports identical portfolios as a full overlap', () => {
+    const bets = [{ key: 'win:alpha', tier: 'PAR', ev: 0.2, edge: 0.05 }]
+    const comparison = compareEngineResults({ bets }, { bets })
+    expect(comparison.overlap).toEqual(['win:alpha'])
+    expect(comparison.sameTier).toBe(1)
+    expect(comparison.onlyLegacy).toEqual([])
+    expect(comparison.onlyOptimal).toEqual([])
+  })
+})
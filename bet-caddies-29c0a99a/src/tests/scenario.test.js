@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest'
+import {
+  applyScenarioEdits,
+  deserializeScenarioInputs,
+  diffRecommendations,
+  serializeScenarioInputs
+} from '../engine/v2/scenario.js'
+
+const wave = (windMph, rainMm) => ({ windMph, rainMm, impact: 0, sd: 0.5 })
+
+const buildInputs = ({ waves = true } = {}) => deserializeScenarioInputs(serializeScenarioInputs({
+  event: { id: 'evt-1', eventName: 'Test Open', tour: 'PGA' },
+  simOptions: {
+    players: [
+      { key: 'alpha', name: 'Alpha', mean: -1, volatility: 2.8 },
+      { key: 'bravo', name: 'Bravo', mean: 0, volatility: 3 },
+      { key: 'charlie', name: 'Charlie', mean: 0.5, volatility: 3.1 }
+    ],
+    rounds: 4,
+    simCount: 10000,
+    waves: waves
+      ? { playerWaves: new Map([['alpha', { 1: 'AM' }]]), conditions: { 1: { AM: wave(8, 0), PM: wave(18, 2) } } }
+      : null,
+    startState: null
+  },
+  candidates: [
+    { marketKey: 'win', selectionKey: 'alpha', tourEvent: { id: 'evt-1' } },
+    { marketKey: 'win', selectionKey: 'bravo' },
+    { marketKey: 'tournament_matchups', selectionKey: 'alpha vs charlie' }
+  ]
+}))
+
+describe('scenario edits', () => {
+  it('round-trips Maps through the stored artifact and drops tour events', () => {
+    const inputs = buildInputs()
+    expect(inputs.simOptions.waves.playerWaves).toBeInstanceOf(Map)
+    expect(inputs.simOptions.waves.playerWaves.get('alpha')).toEqual({ 1: 'AM' })
+    expect(inputs.candidates[0].tourEvent).toBeUndefined()
+  })
+
+  it('withdraws players with every candidate on them and shifts player parameters', () => {
+    const inputs = buildInputs()
+    const result = applyScenarioEdits(inputs, {
+      withdraw: ['alpha', 'zulu'],
+      players: [{ key: 'bravo', meanShift: 1.5, volatilityScale: 1.2 }]
+    })
+
+    expect(result.simOptions.players.map((player) => player.key)).toEqual(['bravo', 'charlie'])
+    expect(result.candidates.map((candidate) => candidate.selectionKey)).toEqual(['bravo'])
+    const bravo = result.simOptions.players.find((player) => player.key === 'bravo')
+    expect(bravo.mean).toBeCloseTo(1.5, 10)
+    expect(bravo.volatility).toBeCloseTo(3.6, 10)
+    expect(result.warnings).toEqual(['Unknown player zulu; withdrawal ignored'])
+    expect(result.applied.map((entry) => entry.type)).toEqual(['withdraw', 'player'])
+
+    // The stored inputs are untouched.
+    expect(inputs.simOptions.players).toHaveLength(3)
+    expect(inputs.candidates).toHaveLength(3)
+  })
+
+  it('replaces a wave forecast, keeping whatever the edit leaves out', () => {
+    const inputs = buildInputs()
+    const result = applyScenarioEdits(inputs, { weather: [{ round: 1, wave: 'PM', windMph: 30 }] })
+    const conditions = result.simOptions.waves.conditions[1]
+    expect(conditions.AM).toEqual(inputs.simOptions.waves.conditions[1].AM)
+    expect(conditions.PM).toMatchObject({ windMph: 30, rainMm: 2 })
+    expect(conditions.PM.impact).toBeGreaterThan(0)
+    expect(inputs.simOptions.waves.conditions[1].PM.windMph).toBe(18)
+
+    const noTeeSheet = applyScenarioEdits(buildInputs({ waves: false }), { weather: [{ round: 1, wave: 'ALL', windMph: 30 }] })
+    expect(noTeeSheet.applied).toEqual([])
+    expect(noTeeSheet.warnings).toEqual(['No tee sheet for round 1; weather edit ignored'])
+  })
+})
+
+describe('scenario diff', () => {
+  const rec = (selection, fields = {}) => ({
+    marketKey: 'top_10',
+    selection,
+    tier: 'PAR',
+    bestBookmaker: 'bet365',
+    bestOdds: 6,
+    ev: 0.1,
+    stakeUnits: 1,
+    ...fields
+  })
+
+  it('lists added, removed and materially changed picks', () => {
+    const diff = diffRecommendations(
+      [rec('Alpha'), rec('Bravo'), rec('Charlie'), rec('Delta')],
+      [rec('Alpha', { ev: 0.105 }), rec('Bravo', { ev: 0.2 }), rec('Charlie', { tier: 'EAGLE' }), rec('Echo')]
+    )
+    expect(diff.added.map((entry) => entry.selection)).toEqual(['Echo'])
+    expect(diff.removed.map((entry) => entry.selection)).toEqual(['Delta'])
+    expect(diff.changed.map(({ after }) => after.selection)).toEqual(['Bravo', 'Charlie'])
+    expect(diff.changed[0].before.ev).toBe(0.1)
+    expect(diff.unchanged).toBe(1)
+  })
+})
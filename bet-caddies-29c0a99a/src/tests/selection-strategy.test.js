@@ -15,6 +15,18 @@ describe('Selection strategy', () => {
     expect(pipeline.getTierForOdds(61.0)).toBe('LONG_SHOTS')
   })
 
+  it('emits per-sim scores only for markets and portfolios that read them', () => {
+    const pipeline = new WeeklyPipeline()
+    pipeline.maxPicksPerTier = 1
+
+    expect(pipeline.needsSimScores([{ marketKey: 'top_10' }, { marketKey: 'mc' }])).toBe(false)
+    expect(pipeline.needsSimScores([{ marketKey: 'tournament_matchups' }])).toBe(true)
+    expect(pipeline.needsSimScores([{ marketKey: 'win' }])).toBe(true)
+
+    pipeline.maxPicksPerTier = 5
+    expect(pipeline.needsSimScores([{ marketKey: 'top_10' }])).toBe(true)
+  })
+
   it('computes EV from fair probability and odds', () => {
     const pipeline = new WeeklyPipeline()
     expect(pipeline.computeEv(0.2, 5)).toBeCloseTo(0)
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { runSimulation, deriveChunkSeed } from '../engine/v2/sim-runner.js'
+
+const players = Array.from({ length: 24 }, (_, index) => ({
+  name: `player ${index + 1}`,
+  key: `player ${index + 1}`,
+  mean: (index - 12) * 0.15,
+  volatility: 2.5,
+  tail: 7,
+  makeCut: 0.5
+}))
+
+describe('chunked simulation runner', () => {
+  it('derives distinct, stable chunk seeds', () => {
+    expect(deriveChunkSeed(42, 0)).toBe(deriveChunkSeed(42, 0))
+    expect(deriveChunkSeed(42, 0)).not.toBe(deriveChunkSeed(42, 1))
+    expect(deriveChunkSeed(42, 1)).not.toBe(deriveChunkSeed(43, 1))
+  })
+
+  it('reproduces seeded results whatever the worker count', async () => {
+    const options = { players, tour: 'PGA', simCount: 1200, seed: 17, emitScores: true }
+    const inline = await runSimulation(options, { workers: 0, chunkSize: 300 })
+    const threaded = await runSimulation(options, { workers: 2, chunkSize: 300 })
+
+    expect(threaded.simCount).toBe(1200)
+    expect(threaded.run.workers).toBe(2)
+    for (const [key, probs] of inline.probabilities.entries()) {
+      expect(threaded.probabilities.get(key)).toEqual(probs)
+    }
+    expect(Array.from(threaded.scores.totals)).toEqual(Array.from(inline.scores.totals))
+  })
+
+  it('keeps per-sim scores up to the requested count', async () => {
+    const result = await runSimulation(
+      { players, tour: 'PGA', simCount: 1200, seed: 3, emitScores: 500 },
+      { workers: 0, chunkSize: 300 }
+    )
+    expect(result.simCount).toBe(1200)
+    expect(result.scores.simCount).toBe(500)
+    expect(result.scores.totals).toHaveLength(500 * players.length)
+
+    const none = await runSimulation({ players, tour: 'PGA', simCount: 600, seed: 3, emitScores: 0 }, { workers: 0, chunkSize: 300 })
+    expect(none.scores).toBeUndefined()
+  })
+
+  it('stops early once win probabilities converge', async () => {
+    const result = await runSimulation(
+      { players, tour: 'PGA', simCount: 20000, seed: 5 },
+      { workers: 0, chunkSize: 500, convergenceSe: 0.01, minSims: 1000 }
+    )
+    expect(result.run.stoppedEarly).toBe(true)
+    expect(result.simCount).toBeLessThan(20000)
+    expect(result.run.winStandardError).toBeLessThanOrEqual(0.01)
+  })
+})
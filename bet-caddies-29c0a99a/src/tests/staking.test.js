@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { kellyFraction, kellyFractionForOutcomes, sizeStakes, stakeForBankroll } from '../domain/staking.js'
+import { eachWayOutcomes, eachWayPayoutOdds } from '../domain/each-way.js'
+
+describe('kelly staking', () => {
+  it('computes full Kelly and ignores bets without an edge', () => {
+    // p = 0.3 at 4.0: (0.3 * 3 - 0.7) / 3
+    expect(kellyFraction({ probability: 0.3, oddsDecimal: 4 })).toBeCloseTo(0.2 / 3, 10)
+    expect(kellyFraction({ probability: 0.2, oddsDecimal: 4 })).toBe(0)
+    expect(kellyFraction({ probability: null, oddsDecimal: 4 })).toBeNull()
+    expect(kellyFraction({ probability: 0.3, oddsDecimal: 1 })).toBeNull()
+  })
+
+  it('sizes each-way bets on their win and place-only returns', () => {
+    expect(kellyFractionForOutcomes([{ probability: 0.3, returnMultiple: 4 }])).toBeCloseTo(0.2 / 3, 8)
+    expect(kellyFractionForOutcomes([{ probability: 0.2, returnMultiple: 4 }])).toBe(0)
+    expect(kellyFractionForOutcomes([{ probability: 1.2, returnMultiple: 4 }])).toBeNull()
+
+    // 21.0 at 1/4: a winner returns 13.5 per unit, a place-only finish 3.0.
+    const pricing = { winProb: 0.06, placeProb: 0.3, oddsDecimal: 21, fraction: 0.25 }
+    const outcomes = eachWayOutcomes(pricing)
+    expect(outcomes.map((outcome) => outcome.returnMultiple)).toEqual([13.5, 3])
+    const growth = (f) => outcomes.reduce((sum, { probability, returnMultiple }) => sum + probability * Math.log(1 + f * (returnMultiple - 1)), 0) +
+      (1 - pricing.placeProb) * Math.log(1 - f)
+    const full = kellyFractionForOutcomes(outcomes)
+    expect(growth(full)).toBeGreaterThan(growth(full - 0.01))
+    expect(growth(full)).toBeGreaterThan(growth(full + 0.01))
+    // The binary view at the average payout misses the winner's tail.
+    const binary = kellyFraction({ probability: pricing.placeProb, oddsDecimal: eachWayPayoutOdds(pricing) })
+    expect(growth(full)).toBeGreaterThan(growth(binary))
+
+    const [sized] = sizeStakes([{ playerKey: 'a' }], { fraction: 1, maxUnitsPerPick: 100, outcomes: () => outcomes })
+    expect(sized.kellyFraction).toBeCloseTo(full, 10)
+  })
+
+  it('applies the Kelly fraction and per-pick, per-player and per-event caps', () => {
+    const picks = [
+      { playerKey: 'a', probability: 0.3, oddsDecimal: 4 },
+      { playerKey: 'a', probability: 0.6, oddsDecimal: 2 },
+      { playerKey: 'b', probability: 0.12, oddsDecimal: 10 },
+      { playerKey: 'c', probability: 0.05, oddsDecimal: 10 }
+    ]
+    const uncapped = sizeStakes(picks, { fraction: 0.25, maxUnitsPerPick: 100, maxUnitsPerPlayer: 100, maxUnitsPerEvent: 100 })
+    expect(uncapped.map((pick) => pick.stakeUnits)).toEqual([1.67, 5, 0.56, 0])
+
+    const capped = sizeStakes(picks, { fraction: 0.25, maxUnitsPerPick: 2, maxUnitsPerPlayer: 3, maxUnitsPerEvent: 100 })
+    // Player a: 1.67 + 2 exceeds 3, so both scale down together.
+    expect(capped[0].stakeUnits + capped[1].stakeUnits).toBeCloseTo(3, 1)
+    expect(capped[1].stakeUnits).toBeGreaterThan(capped[0].stakeUnits)
+    expect(capped[2].stakeUnits).toBe(0.56)
+
+    const eventCapped = sizeStakes(picks, { fraction: 0.25, maxUnitsPerPick: 2, maxUnitsPerPlayer: 3, maxUnitsPerEvent: 1.8 })
+    expect(eventCapped.reduce((sum, pick) => sum + pick.stakeUnits, 0)).toBeCloseTo(1.8, 1)
+    expect(eventCapped[3].kellyFraction).toBe(0)
+  })
+
+  it('caps the total staked on one market', () => {
+    const picks = [
+      { playerKey: 'a', marketKey: 'win', probability: 0.3, oddsDecimal: 4 },
+      { playerKey: 'b', marketKey: 'win', probability: 0.6, oddsDecimal: 2 },
+      { playerKey: 'c', marketKey: 'top_5', probability: 0.12, oddsDecimal: 10 }
+    ]
+    const sized = sizeStakes(picks, { fraction: 0.25, maxUnitsPerPick: 2, maxUnitsPerMarket: 2, maxUnitsPerEvent: 100 })
+    expect(sized[0].stakeUnits + sized[1].stakeUnits).toBeCloseTo(2, 1)
+    expect(sized[2].stakeUnits).toBe(0.56)
+  })
+
+  it('scales units by the user bankroll and Kelly fraction', () => {
+    expect(stakeForBankroll({ stakeUnits: 2, bankroll: 500 })).toBe(10)
+    expect(stakeForBankroll({ stakeUnits: 2, bankroll: 500, kellyFraction: 0.5 })).toBe(20)
+    expect(stakeForBankroll({ stakeUnits: 2, bankroll: null })).toBeNull()
+  })
+})
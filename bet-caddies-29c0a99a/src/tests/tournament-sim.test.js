@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
-import { simulateTournament } from '../engine/v2/tournamentSim.js'
+import { simulateTournament, buildTailMixture } from '../engine/v2/tournamentSim.js'
+import { buildHoleProfile } from '../engine/v2/hole-profile.js'
 
 const players = [
   { name: 'player one', key: 'player one', mean: -1, volatility: 2, tail: 7, makeCut: 0.6 },
@@ -23,4 +24,69 @@ describe('tournament simulator', () => {
       expect(entry.makeCut).toBeLessThan(1)
     }
   })
+
+  it('simulates hole by hole when a hole profile is supplied', () => {
+    const profile = buildHoleProfile({ course: { name: 'Test Links', par: 72 } })
+    expect(profile.holes).toHaveLength(18)
+    expect(profile.par).toBe(72)
+
+    const result = simulateTournament({ players, tour: 'PGA', simCount: 300, seed: 11, holes: profile.holes, holeInOneRate: 0.01 })
+    expect(result.mode).toBe('holes')
+    const probs = Array.from(result.probabilities.values())
+    const winSum = probs.reduce((sum, p) => sum + p.win, 0)
+    const leaderSum = probs.reduce((sum, p) => sum + p.leaderAfter9, 0)
+    expect(winSum).toBeGreaterThan(0.8)
+    expect(winSum).toBeLessThan(1.2)
+    expect(leaderSum).toBeGreaterThan(0.8)
+    expect(leaderSum).toBeLessThan(1.2)
+    for (const entry of probs) {
+      expect(entry.holeInOne).toBeGreaterThan(0)
+      expect(entry.expectedBirdies).toBeGreaterThan(0)
+    }
+    expect(result.fieldProps.holeInOne).toBeGreaterThan(0)
+  })
+
+  it('builds hole pars and difficulty from historical hole scores', () => {
+    const historicalHoles = [
+      { hole: 1, par: 4, score: 5 },
+      { hole: 1, par: 4, score: 4 },
+      { holes: [{ hole: 2, par: 3, score: 2 }] }
+    ]
+    const profile = buildHoleProfile({ course: { par: 71 }, historicalHoles })
+    // Holes without history are filled from the course-par layout.
+    expect(profile.holes).toHaveLength(18)
+    expect(profile.holes[0]).toMatchObject({ par: 4, difficulty: 0.5 })
+    expect(profile.holes[1]).toMatchObject({ par: 3, difficulty: -1 })
+    expect(profile.holes[2]).toMatchObject({ difficulty: 0, samples: 0 })
+    expect(buildHoleProfile({ course: { par: 71 } }).par).toBe(71)
+  })
+
+  it('lays out default pars that add up to the course par', () => {
+    for (let coursePar = 68; coursePar <= 75; coursePar += 1) {
+      const { holes } = buildHoleProfile({ course: { par: coursePar } })
+      expect(holes.reduce((sum, hole) => sum + hole.par, 0)).toBe(coursePar)
+    }
+  })
+
+  it('draws fat-tailed rounds with the same variance', () => {
+    expect(buildTailMixture(0)).toBeNull()
+    const mixture = buildTailMixture(3)
+    const variance = 0.9 * mixture.narrowSd ** 2 + 0.1 * mixture.wideSd ** 2
+    const fourth = 3 * (0.9 * mixture.narrowSd ** 4 + 0.1 * mixture.wideSd ** 4)
+    expect(variance).toBeCloseTo(1, 10)
+    expect(fourth / variance ** 2 - 3).toBeCloseTo(3, 10)
+
+    // A long shot wins more often when their rounds are boom-or-bust.
+    const field = Array.from({ length: 60 }, (_, index) => ({
+      name: `player ${index + 1}`,
+      key: `player ${index + 1}`,
+      mean: index === 0 ? 1.5 : 0,
+      volatility: 2.8,
+      tail: 12,
+      makeCut: 0.5
+    }))
+    const steady = simulateTournament({ players: field, simCount: 4000, seed: 21 })
+    const bomber = simulateTournament({ players: [{ ...field[0], kurtosis: 6 }, ...field.slice(1)], simCount: 4000, seed: 21 })
+    expect(bomber.probabilities.get('player 1').win).toBeGreaterThan(steady.probabilities.get('player 1').win)
+  })
 })
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import {
+  VIG_METHODS,
+  removeVig,
+  expectedMarketTotal,
+  parseVigMethods,
+  resolveVigMethod
+} from '../engine/v2/odds/vig-removal.js'
+
+const sum = (values) => values.reduce((total, value) => total + value, 0)
+
+// A 30-runner top-5 book: a longshot-heavy field priced to a booksum of 6.
+const base = Array.from({ length: 30 }, (_, index) => 0.5 / (index + 1) + 0.07)
+const topFiveBook = base.map((p) => ({ oddsDecimal: sum(base) / (p * 6) }))
+
+describe('vig removal', () => {
+  it('de-vigs every method to the market total and keeps the order', () => {
+    const implied = topFiveBook.map((offer) => 1 / offer.oddsDecimal)
+    expect(sum(implied)).toBeCloseTo(6, 6)
+    for (const method of VIG_METHODS) {
+      const fair = removeVig(topFiveBook, { method, total: 5 })
+      expect(fair).toHaveLength(30)
+      expect(sum(fair)).toBeCloseTo(5, 3)
+      fair.forEach((p, index) => {
+        expect(p).toBeLessThan(implied[index])
+        if (index > 0) expect(p).toBeLessThanOrEqual(fair[index - 1])
+      })
+    }
+  })
+
+  it('splits the margin differently by method', () => {
+    const offers = [{ oddsDecimal: 1.5 }, { oddsDecimal: 4 }, { oddsDecimal: 9 }]
+    const [multiplicative, additive, power, shin] = VIG_METHODS.map((method) => removeVig(offers, { method }))
+    for (const fair of [multiplicative, additive, power, shin]) expect(sum(fair)).toBeCloseTo(1, 6)
+    // Additive takes an equal share from every price; power and Shin take
+    // proportionally more from the longshot than scaling does.
+    expect((1 / 1.5) - additive[0]).toBeCloseTo((1 / 9) - additive[2], 9)
+    expect(power[2]).toBeLessThan(multiplicative[2])
+    expect(shin[2]).toBeLessThan(multiplicative[2])
+    expect(shin[0]).toBeGreaterThan(multiplicative[0])
+
+    // Even matchup prices are even under every method.
+    for (const method of VIG_METHODS) {
+      expect(removeVig([{ oddsDecimal: 1.91 }, { oddsDecimal: 1.91 }], { method })).toEqual([
+        expect.closeTo(0.5, 6),
+        expect.closeTo(0.5, 6)
+      ])
+    }
+  })
+
+  it('refuses books that cannot carry the total', () => {
+    expect(removeVig([{ oddsDecimal: 1.2 }, { oddsDecimal: 3 }], { method: 'power', total: 5 })).toEqual([])
+    expect(removeVig([{ oddsDecimal: 1 }, { oddsDecimal: 3 }], { method: 'power' })).toEqual([])
+    expect(removeVig([], { method: 'shin' })).toEqual([])
+  })
+
+  it('knows each market total and resolves the method per market', () => {
+    expect(expectedMarketTotal('win')).toBe(1)
+    expect(expectedMarketTotal('top_20')).toBe(20)
+    expect(expectedMarketTotal('top_20', { fieldSize: 144, priced: 144 })).toBe(20)
+    // Books that leave longshots out of a top-N market cannot be scaled to N.
+    expect(expectedMarketTotal('top_20', { fieldSize: 144, priced: 60 })).toBeNull()
+    expect(expectedMarketTotal('win', { fieldSize: 144, priced: 60 })).toBe(1)
+    expect(expectedMarketTotal('3_balls', { matchup: true })).toBe(1)
+    expect(expectedMarketTotal('make_cut', { cutSize: 65, fieldSize: 144, priced: 144 })).toBe(65)
+    expect(expectedMarketTotal('mc', { cutSize: 65, fieldSize: 144, priced: 150 })).toBe(79)
+    expect(expectedMarketTotal('make_cut', { cutSize: 65, fieldSize: 144, priced: 40 })).toBeNull()
+    expect(expectedMarketTotal('make_cut', { cutSize: 0, fieldSize: 60, priced: 60 })).toBeNull()
+
+    const overrides = parseVigMethods('win:shin, TOP_20:Additive, matchup:power, top_5:logit')
+    expect(Array.from(overrides.entries())).toEqual([['win', 'shin'], ['top_20', 'additive'], ['matchup', 'power']])
+    expect(resolveVigMethod({ marketKey: 'win', overrides })).toBe('shin')
+    expect(resolveVigMethod({ marketKey: 'top_5', overrides })).toBe('power')
+    expect(resolveVigMethod({ marketKey: 'round_matchups', matchup: true, overrides })).toBe('power')
+    expect(resolveVigMethod({ marketKey: 'round_matchups', matchup: true })).toBe('multiplicative')
+  })
+})
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { buildWaveConditions, extractHourlyForecast } from '../engine/v2/weather-waves.js'
+import { simulateTournament } from '../engine/v2/tournamentSim.js'
+
+const day = '2026-04-09'
+const teeTimes = [
+  { round: 1, playerKey: 'early one', teeTimeUtc: `${day}T07:00:00Z` },
+  { round: 1, playerKey: 'early two', teeTimeUtc: `${day}T07:10:00Z` },
+  { round: 1, playerKey: 'late one', teeTimeUtc: `${day}T12:00:00Z` },
+  { round: 1, playerKey: 'late two', teeTimeUtc: `${day}T12:10:00Z` }
+]
+
+const hours = Array.from({ length: 24 }, (_, hour) => `${day}T${String(hour).padStart(2, '0')}:00:00Z`)
+const windyAfternoon = {
+  hourly: {
+    time: hours,
+    wind_mph: hours.map((_, hour) => (hour >= 12 ? 28 : 6)),
+    precipitation: hours.map(() => 0)
+  }
+}
+
+describe('tee-wave weather', () => {
+  it('reads column-style hourly forecasts', () => {
+    const hourly = extractHourlyForecast(windyAfternoon)
+    expect(hourly).toHaveLength(24)
+    expect(hourly[13].windMph).toBe(28)
+  })
+
+  it('splits tee times into waves and scores the windier wave harder', () => {
+    const waves = buildWaveConditions({ teeTimes, forecastJson: windyAfternoon })
+    expect(waves.playerWaves.get('early one')[1]).toBe('AM')
+    expect(waves.playerWaves.get('late two')[1]).toBe('PM')
+    expect(waves.conditions[1].PM.impact).toBeGreaterThan(waves.conditions[1].AM.impact)
+    expect(waves.conditions[1].PM.sd).toBeGreaterThan(waves.conditions[1].AM.sd)
+  })
+
+  it('returns null without tee times', () => {
+    expect(buildWaveConditions({ teeTimes: [], forecastJson: windyAfternoon })).toBeNull()
+  })
+
+  it('favours the calmer wave for first-round leader', () => {
+    const players = ['early one', 'early two', 'late one', 'late two']
+      .map((key) => ({ key, name: key, mean: 0, volatility: 2, tail: 7 }))
+    const waves = buildWaveConditions({ teeTimes, forecastJson: windyAfternoon })
+    const result = simulateTournament({ players, simCount: 2000, seed: 21, waves })
+    const early = result.probabilities.get('early one').frl + result.probabilities.get('early two').frl
+    const late = result.probabilities.get('late one').frl + result.probabilities.get('late two').frl
+    expect(early).toBeGreaterThan(late)
+  })
+
+  it('leaves the simulation unchanged when no waves are supplied', () => {
+    const players = [{ key: 'a', mean: -1 }, { key: 'b', mean: 1 }]
+    const base = simulateTournament({ players, simCount: 200, seed: 4 })
+    const withNull = simulateTournament({ players, simCount: 200, seed: 4, waves: null })
+    expect(withNull.probabilities.get('a')).toEqual(base.probabilities.get('a'))
+  })
+})